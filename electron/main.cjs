@@ -3,8 +3,10 @@ const { app, BrowserWindow, Menu, ipcMain, dialog, shell } = require('electron')
 const path = require('path');
 const crypto = require('crypto');
 const https = require('https');
+const http = require('http');
 const fs = require('fs');
 const fsp = require('fs').promises;
+const history = require('./page-history.cjs');
 
 let mainWindow;
 
@@ -59,6 +61,7 @@ function createWindow() {
   });
 
   mainWindow.on('closed', () => {
+    stopFolderWatch();
     mainWindow = null;
   });
 
@@ -174,7 +177,8 @@ function generateHmac(appKey, hmacKey, body) {
   return crypto.createHmac('sha512', key).update(body).digest('hex');
 }
 
-function myscriptRequest(appKey, hmac, body) {
+// Text/Diagram answer in JIIX; Math asks for 'application/x-latex'.
+function myscriptRequest(appKey, hmac, body, accept = 'application/json, application/vnd.myscript.jiix') {
   return new Promise((resolve, reject) => {
     const options = {
       hostname: 'cloud.myscript.com',
@@ -182,7 +186,7 @@ function myscriptRequest(appKey, hmac, body) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Accept': 'application/json, application/vnd.myscript.jiix',
+        'Accept': accept,
         'applicationKey': appKey,
         'hmac': hmac
       }
@@ -213,7 +217,7 @@ function myscriptRequest(appKey, hmac, body) {
   });
 }
 
-ipcMain.handle('myscript-api-call', async (_event, { appKey, hmacKey, body }) => {
+ipcMain.handle('myscript-api-call', async (_event, { appKey, hmacKey, body, accept }) => {
   // Trim whitespace/tabs from keys (common paste artifact)
   const cleanAppKey = (appKey || '').trim();
   const cleanHmacKey = (hmacKey || '').trim();
@@ -228,7 +232,7 @@ ipcMain.handle('myscript-api-call', async (_event, { appKey, hmacKey, body }) =>
     const hmac = generateHmac(cleanAppKey, cleanHmacKey, body);
     console.log('[MyScript] Generated HMAC:', hmac.substring(0, 16) + '...' + hmac.substring(hmac.length - 16));
     console.log('[MyScript] HMAC length:', hmac.length, '(expected: 128 hex chars)');
-    const result = await myscriptRequest(cleanAppKey, hmac, body);
+    const result = await myscriptRequest(cleanAppKey, hmac, body, accept || undefined);
     console.log('[MyScript] Result status:', result.status);
     return result;
   } catch (err) {
@@ -237,6 +241,336 @@ ipcMain.handle('myscript-api-call', async (_event, { appKey, hmacKey, body }) =>
   }
 });
 
+// ===== Local recognizer proxy =====
+// The "Local HTTP" recognition engine posts strokes to a self-hosted
+// OCR/HTR server (usually on localhost) so notebooks never leave the
+// machine. Going through Node avoids CORS on servers that don't send the
+// headers. Only http(s) URLs are accepted.
+
+const LOCAL_RECOGNIZER_TIMEOUT_MS = 60000;
+
+function recognizerRequest(url, body) {
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      reject(new Error(`Invalid recognizer URL: ${url}`));
+      return;
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      reject(new Error(`Recognizer URL must be http or https: ${url}`));
+      return;
+    }
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      },
+      timeout: LOCAL_RECOGNIZER_TIMEOUT_MS
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on('timeout', () => req.destroy(new Error('Recognizer did not answer in time')));
+    req.on('error', reject);
+    req.write(body);
+    req.end();
+  });
+}
+
+ipcMain.handle('recognizer-http-call', async (_event, { url, body }) => {
+  try {
+    return await recognizerRequest(url, body);
+  } catch (err) {
+    console.error('[Recognizer] Request error:', err.message);
+    return { status: 0, body: err.message };
+  }
+});
+
+// ===== Transcription queue =====
+// Recognition requests queued by the renderer (src/lib/recognition/
+// transcription-queue.js) are sent from here so they survive restarts and
+// outages. Jobs persist in <userData>/transcription-queue.json with the
+// per-month MyScript request count. Network errors retry until the network
+// is back; 429 and 5xx answers retry with exponential backoff, up to
+// QUEUE_MAX_ATTEMPTS. Requests are spaced QUEUE_MIN_INTERVAL_MS apart. A
+// finished job keeps its raw answer until the renderer has parsed it and
+// removes it; an answer the renderer can't file stays on the job, marked
+// failed, and retrying it files that answer again instead of re-sending the
+// request. MyScript keys are pushed by the renderer and only kept in memory.
+
+const QUEUE_MIN_INTERVAL_MS = 1500;
+const QUEUE_BACKOFF_BASE_MS = 5000;
+const QUEUE_BACKOFF_MAX_MS = 10 * 60 * 1000;
+const QUEUE_MAX_ATTEMPTS = 8;
+
+const transcriptionQueue = {
+  loaded: null,       // Promise of the first load from disk
+  jobs: [],
+  usage: {},          // { 'YYYY-MM': MyScript requests sent }
+  myscriptKeys: null, // { appKey, hmacKey } from the renderer
+  online: true,
+  sending: false,
+  lastRequestAt: 0,
+  timer: null,
+  saving: Promise.resolve()
+};
+
+function transcriptionQueuePath() {
+  return path.join(app.getPath('userData'), 'transcription-queue.json');
+}
+
+function usageMonth(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function queueBackoffMs(attempts) {
+  return Math.min(QUEUE_BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), QUEUE_BACKOFF_MAX_MS);
+}
+
+function loadTranscriptionQueue() {
+  if (!transcriptionQueue.loaded) {
+    transcriptionQueue.loaded = (async () => {
+      try {
+        const parsed = JSON.parse(await fsp.readFile(transcriptionQueuePath(), 'utf8'));
+        transcriptionQueue.jobs = Array.isArray(parsed.jobs) ? parsed.jobs : [];
+        transcriptionQueue.usage = (parsed.usage && typeof parsed.usage === 'object') ? parsed.usage : {};
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.warn('[Queue] Could not read the transcription queue:', err.message);
+      }
+      // A request in flight when the app quit is sent again.
+      for (const job of transcriptionQueue.jobs) {
+        if (job.status === 'sending') job.status = 'queued';
+      }
+      scheduleQueuePump(0);
+    })();
+  }
+  return transcriptionQueue.loaded;
+}
+
+function saveTranscriptionQueue() {
+  const { jobs, usage } = transcriptionQueue;
+  const contents = JSON.stringify({ jobs, usage });
+  // Chained so two quick saves never race on the rename.
+  transcriptionQueue.saving = transcriptionQueue.saving
+    .then(() => writeFileAtomic(transcriptionQueuePath(), contents))
+    .catch((err) => console.error('[Queue] Could not save the transcription queue:', err.message));
+  return transcriptionQueue.saving;
+}
+
+/** Job without its request/answer bodies, for the renderer's queue view. */
+function queueJobSummary(job) {
+  const { transport, response, context, ...summary } = job;
+  return { ...summary, kind: transport.kind, hasResponse: !!response };
+}
+
+function transcriptionQueueState() {
+  const month = usageMonth();
+  return {
+    jobs: transcriptionQueue.jobs.map(queueJobSummary),
+    usage: { month, myscript: transcriptionQueue.usage[month] || 0 },
+    online: transcriptionQueue.online,
+    myscriptReady: !!transcriptionQueue.myscriptKeys
+  };
+}
+
+function notifyQueueChanged() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.webContents.send('transcription-queue:changed', transcriptionQueueState());
+}
+
+function canSendQueuedJob(job) {
+  return job.transport.kind !== 'myscript' || !!transcriptionQueue.myscriptKeys;
+}
+
+function scheduleQueuePump(delayMs) {
+  if (transcriptionQueue.timer) clearTimeout(transcriptionQueue.timer);
+  transcriptionQueue.timer = setTimeout(() => {
+    transcriptionQueue.timer = null;
+    pumpTranscriptionQueue().catch((err) => console.error('[Queue] Pump failed:', err.message));
+  }, Math.max(0, delayMs));
+}
+
+async function sendQueuedJob(job) {
+  const { transport } = job;
+  try {
+    if (transport.kind === 'myscript') {
+      const { appKey, hmacKey } = transcriptionQueue.myscriptKeys;
+      return await myscriptRequest(appKey, generateHmac(appKey, hmacKey, transport.body), transport.body, transport.accept);
+    }
+    return await recognizerRequest(transport.url, transport.body);
+  } catch (err) {
+    return { status: 0, body: err.message };
+  }
+}
+
+/** Send the next due job, then re-arm for the one after. One request at a time. */
+async function pumpTranscriptionQueue() {
+  const q = transcriptionQueue;
+  if (q.sending || !q.online) return;
+
+  const now = Date.now();
+  const waiting = q.jobs.filter(job => job.status === 'queued' && canSendQueuedJob(job));
+  if (waiting.length === 0) return;
+  const due = waiting.find(job => (job.nextAttemptAt || 0) <= now);
+  if (!due) {
+    scheduleQueuePump(Math.min(...waiting.map(job => job.nextAttemptAt)) - now);
+    return;
+  }
+  const spacing = q.lastRequestAt + QUEUE_MIN_INTERVAL_MS - now;
+  if (spacing > 0) {
+    scheduleQueuePump(spacing);
+    return;
+  }
+
+  q.sending = true;
+  q.lastRequestAt = now;
+  due.status = 'sending';
+  notifyQueueChanged();
+
+  const response = await sendQueuedJob(due);
+  q.sending = false;
+
+  if (due.transport.kind === 'myscript' && response.status !== 0) {
+    const month = usageMonth();
+    q.usage[month] = (q.usage[month] || 0) + 1;
+  }
+
+  if (q.jobs.includes(due)) {
+    if (response.status >= 200 && response.status < 300) {
+      due.status = 'done';
+      due.response = response;
+      due.lastError = null;
+    } else if (response.status === 0) {
+      // Offline or server down: wait it out, without using up attempts.
+      due.status = 'queued';
+      due.lastError = `Network error: ${response.body}`;
+      due.nextAttemptAt = Date.now() + queueBackoffMs((due.networkFailures = (due.networkFailures || 0) + 1));
+    } else {
+      due.attempts = (due.attempts || 0) + 1;
+      due.lastError = `HTTP ${response.status}: ${String(response.body).slice(0, 300)}`;
+      const retryable = response.status === 429 || response.status >= 500;
+      if (retryable && due.attempts < QUEUE_MAX_ATTEMPTS) {
+        due.status = 'queued';
+        due.nextAttemptAt = Date.now() + queueBackoffMs(due.attempts);
+      } else {
+        due.status = 'failed';
+      }
+    }
+  }
+
+  await saveTranscriptionQueue();
+  notifyQueueChanged();
+  scheduleQueuePump(0);
+}
+
+function findQueuedJob(id) {
+  const job = transcriptionQueue.jobs.find(j => j.id === id);
+  if (!job) throw new Error(`No queued transcription ${id}`);
+  return job;
+}
+
+ipcMain.handle('transcription-queue:getState', ipcSafe(async () => {
+  await loadTranscriptionQueue();
+  return transcriptionQueueState();
+}));
+ipcMain.handle('transcription-queue:configure', ipcSafe(async (settings) => {
+  await loadTranscriptionQueue();
+  const appKey = (settings?.myscript?.appKey || '').trim();
+  const hmacKey = (settings?.myscript?.hmacKey || '').trim();
+  transcriptionQueue.myscriptKeys = appKey && hmacKey ? { appKey, hmacKey } : null;
+  notifyQueueChanged();
+  scheduleQueuePump(0);
+  return transcriptionQueueState();
+}));
+ipcMain.handle('transcription-queue:enqueue', ipcSafe(async (job) => {
+  await loadTranscriptionQueue();
+  const transport = job && job.transport;
+  if (!transport || typeof transport.body !== 'string' ||
+      (transport.kind !== 'myscript' && !(transport.kind === 'http' && typeof transport.url === 'string'))) {
+    throw new Error('Invalid transcription job');
+  }
+  const entry = {
+    id: crypto.randomUUID(),
+    label: String(job.label || ''),
+    engine: job.engine,
+    transport,
+    context: job.context || {},
+    meta: job.meta || {},
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+    createdAt: new Date().toISOString()
+  };
+  transcriptionQueue.jobs.push(entry);
+  await saveTranscriptionQueue();
+  notifyQueueChanged();
+  scheduleQueuePump(0);
+  return queueJobSummary(entry);
+}));
+ipcMain.handle('transcription-queue:getResult', ipcSafe(async (id) => {
+  await loadTranscriptionQueue();
+  const { engine, context, meta, label, response } = findQueuedJob(id);
+  return { id, engine, context, meta, label, response: response || null };
+}));
+ipcMain.handle('transcription-queue:remove', ipcSafe(async (id) => {
+  await loadTranscriptionQueue();
+  transcriptionQueue.jobs = transcriptionQueue.jobs.filter(j => j.id !== id);
+  await saveTranscriptionQueue();
+  notifyQueueChanged();
+  return true;
+}));
+ipcMain.handle('transcription-queue:fail', ipcSafe(async (id, error) => {
+  await loadTranscriptionQueue();
+  const job = findQueuedJob(id);
+  // Keep the (paid-for) answer so a retry can file it without asking again.
+  job.status = 'failed';
+  job.lastError = `Could not file the answer: ${String(error || 'unknown error').slice(0, 300)}`;
+  await saveTranscriptionQueue();
+  notifyQueueChanged();
+  return queueJobSummary(job);
+}));
+ipcMain.handle('transcription-queue:retry', ipcSafe(async (id) => {
+  await loadTranscriptionQueue();
+  for (const job of transcriptionQueue.jobs) {
+    if (id && job.id !== id) continue;
+    if (job.status !== 'failed' && job.status !== 'queued') continue;
+    if (job.status === 'failed' && job.response) {
+      // The answer arrived but couldn't be filed: hand it back to the renderer.
+      job.status = 'done';
+      continue;
+    }
+    if (job.status === 'failed') job.attempts = 0;
+    job.status = 'queued';
+    job.nextAttemptAt = 0;
+  }
+  await saveTranscriptionQueue();
+  notifyQueueChanged();
+  scheduleQueuePump(0);
+  return true;
+}));
+ipcMain.handle('transcription-queue:setOnline', ipcSafe(async (online) => {
+  await loadTranscriptionQueue();
+  const cameBack = online && !transcriptionQueue.online;
+  transcriptionQueue.online = !!online;
+  if (cameBack) {
+    // Don't sit out the rest of a backoff that was only waiting for the network.
+    for (const job of transcriptionQueue.jobs) {
+      if (job.status === 'queued' && job.networkFailures) job.nextAttemptAt = 0;
+    }
+  }
+  notifyQueueChanged();
+  scheduleQueuePump(0);
+  return transcriptionQueueState();
+}));
+
 // ===== Local Storage (v2.0 — replaces LogSeq HTTP API as the data layer) =====
 // One JSON file per pen page at <dataRoot>/pages/B{book}/P{page}.json
 // See docs/LOCAL-STORAGE-PIVOT-SPEC.md for the full design.
@@ -257,6 +591,66 @@ function aliasesPath(root) {
   return path.join(pagesDir(root), '_aliases.json');
 }
 
+function recognitionSettingsPath(root) {
+  return path.join(pagesDir(root), '_recognition.json');
+}
+
+function correctionsPath(root) {
+  return path.join(pagesDir(root), '_corrections.json');
+}
+
+function searchIndexPath(root) {
+  return path.join(pagesDir(root), '_search-index.json');
+}
+
+// ----- Cloud-sync conflict copies -----
+// OneDrive/Dropbox/Google Drive keep both sides of a sync conflict by writing
+// a renamed copy next to the page:
+//   P12 (conflicted copy).json, P12 (Josh's conflicted copy 2026-01-02).json  (Dropbox)
+//   P12-DESKTOP-ABC.json, P12-DESKTOP-ABC-2.json                             (OneDrive)
+//   P12 (1).json, P12(1).json                                                (Drive / Explorer)
+// A single trailing letter with no separator ("P151b.json") is a real page
+// variant, not a copy. The renderer merges copies into the page (see
+// src/lib/storage/conflict-merge.js) and then asks us to remove them.
+const CONFLICT_COPY_RE = /^P(\d+)([a-zA-Z]?)(\s*\([^)]*conflicted copy[^)]*\)|\s*\(\d+\)|-[A-Za-z0-9][A-Za-z0-9_-]*)\.json$/i;
+
+/** Parse a conflict-copy filename → { page, suffix, pageId, marker } or null. */
+function parseConflictCopyName(name) {
+  const m = String(name).match(CONFLICT_COPY_RE);
+  if (!m) return null;
+  const page = parseInt(m[1], 10);
+  const suffix = m[2] || '';
+  return { page, suffix, pageId: `${page}${suffix}`, marker: m[3].trim() };
+}
+
+/**
+ * Resolve a renderer-supplied conflict-copy path, insisting it is a copy of
+ * B{book}/P{pageId} — so a resolve call can only ever remove a copy.
+ */
+function resolveConflictCopyPath(root, book, pageId, relPath) {
+  const abs = path.resolve(root, String(relPath || ''));
+  const parsed = parseConflictCopyName(path.basename(abs));
+  if (path.dirname(abs) !== bookDir(root, book) || !parsed || parsed.pageId !== String(pageId)) {
+    throw new Error(`Not a conflict copy of B${book}/P${pageId}: ${relPath}`);
+  }
+  return abs;
+}
+
+// ----- Per-page version history -----
+// Snapshots, pruning and the history layout live in page-history.cjs (shared
+// with scripts/smartpen-cli.mjs). listAllPages only reads files directly
+// inside B*/, so the .history dot-folder never shows up as a page.
+const { historyDir, versionStamp, readHistoryEntries, addHistoryVersion } = history;
+
+function historyVersionPath(root, book, page, versionId) {
+  // Version ids are generated by us (timestamp stamps); validate anyway so a
+  // crafted id can't escape the history folder.
+  if (!/^[0-9A-Za-z-]+$/.test(String(versionId))) {
+    throw new Error(`Invalid version id: ${versionId}`);
+  }
+  return path.join(historyDir(root, book, page), `${versionId}.json`);
+}
+
 // ----- "Publish to graph" target paths (JPI Tools plugin asset storage) -----
 // The plugin (v1.9.66+) discovers pages from smartpen-index.json under its
 // mandatory storages/<plugin-id>/ asset sub-folder. See the bridge module
@@ -275,22 +669,46 @@ function graphIndexPath(graphRoot) {
   return path.join(graphAssetsDir(graphRoot), 'smartpen-index.json');
 }
 
+const GRAPH_ASSET_RE = /^smartpen-B(\d+)-P(\d+[a-zA-Z]?)\.json$/;
+
+/**
+ * Validate a renderer-supplied book/pageId before it becomes part of a graph
+ * path. pageId is the bridge filename identifier: digits + an optional letter
+ * suffix (e.g. "42", "151b").
+ */
+function graphPageIdentity(book, pageId) {
+  const bookNum = Number(book);
+  if (!Number.isFinite(bookNum)) throw new Error(`Invalid book: ${book}`);
+  const pid = String(pageId);
+  if (!/^\d+[a-zA-Z]?$/.test(pid)) throw new Error(`Invalid pageId: ${pageId}`);
+  return { bookNum, pid };
+}
+
 async function ensureDir(dir) {
   await fsp.mkdir(dir, { recursive: true });
 }
 
-/** Atomic write: write to a .tmp sibling, fsync, then rename. */
+// Files main itself just wrote, renamed or removed, so the folder watcher
+// doesn't echo the app's own saves back to the renderer as external changes.
+const OWN_WRITE_WINDOW_MS = 2000;
+const recentOwnWrites = new Map(); // absolute path -> ms
+
+function noteOwnWrite(filePath) {
+  recentOwnWrites.set(filePath, Date.now());
+}
+
+function isRecentOwnWrite(filePath) {
+  const at = recentOwnWrites.get(filePath);
+  if (at == null) return false;
+  if (Date.now() - at <= OWN_WRITE_WINDOW_MS) return true;
+  recentOwnWrites.delete(filePath);
+  return false;
+}
+
+/** Atomic write (tmp + fsync + rename, page-history.cjs) the watcher won't echo. */
 async function writeFileAtomic(filePath, contents) {
-  await ensureDir(path.dirname(filePath));
-  const tmp = `${filePath}.tmp-${process.pid}-${Date.now()}`;
-  const fh = await fsp.open(tmp, 'w');
-  try {
-    await fh.writeFile(contents, 'utf8');
-    await fh.sync();
-  } finally {
-    await fh.close();
-  }
-  await fsp.rename(tmp, filePath);
+  await history.writeFileAtomic(filePath, contents);
+  noteOwnWrite(filePath);
 }
 
 /**
@@ -304,6 +722,20 @@ function buildTranscriptionText(lines) {
   return lines.map(l => '  '.repeat(l.indentLevel || 0) + (l.text || '')).join('\n');
 }
 
+/**
+ * The transcript lines the renderer's search index needs (src/lib/search-index.js):
+ * id, text and position, so a hit can point at the exact line on the page.
+ */
+function searchableLines(lines) {
+  if (!Array.isArray(lines)) return [];
+  return lines.map(l => ({
+    id: l.id ?? null,
+    text: l.text || '',
+    indentLevel: l.indentLevel || 0,
+    yBounds: l.yBounds ?? null
+  }));
+}
+
 /**
  * Count serialized stroke entries in the tail of a PageDoc (the slice starting
  * at the top-level "strokes" key). The hybrid serializer writes each stored
@@ -326,7 +758,7 @@ function countStrokeLines(tail) {
  * transcript), reading the stroke count from metadata.totalStrokes. Falls back to
  * a full parse if the layout is unexpected (older / hand-edited files).
  *
- * @returns {{strokeCount:number, lastUpdated:string|null, hasTranscription:boolean, transcriptLineCount:number, transcriptionText:string|null}}
+ * @returns {{strokeCount:number, lastUpdated:string|null, hasTranscription:boolean, transcriptLineCount:number, transcriptionText:string|null, transcriptLines:Array}}
  */
 function extractPageMeta(raw) {
   const marker = '\n  "strokes":';
@@ -344,7 +776,8 @@ function extractPageMeta(raw) {
         lastUpdated: doc?.metadata?.lastUpdated || null,
         hasTranscription: !!(lines && lines.length),
         transcriptLineCount: (lines && lines.length) || 0,
-        transcriptionText: buildTranscriptionText(lines)
+        transcriptionText: buildTranscriptionText(lines),
+        transcriptLines: searchableLines(lines)
       };
     } catch {
       // fall through to a full parse
@@ -357,7 +790,8 @@ function extractPageMeta(raw) {
     lastUpdated: doc?.metadata?.lastUpdated || null,
     hasTranscription: !!(lines && lines.length),
     transcriptLineCount: (lines && lines.length) || 0,
-    transcriptionText: buildTranscriptionText(lines)
+    transcriptionText: buildTranscriptionText(lines),
+    transcriptLines: searchableLines(lines)
   };
 }
 
@@ -377,54 +811,130 @@ async function listAllPages(root) {
     if (!entry.isDirectory()) continue;
     const m = entry.name.match(/^B(\d+)$/);
     if (!m) continue;
-    const book = parseInt(m[1], 10);
-    const bookPath = path.join(dir, entry.name);
+    pages.push(...await listBookPages(root, parseInt(m[1], 10)));
+  }
+
+  pages.sort((a, b) => (a.book - b.book) || (a.page - b.page) || a.suffix.localeCompare(b.suffix));
+  return pages;
+}
+
+/**
+ * PageMeta entries for one book folder. With `onlyPageId`, reads just that
+ * page (and its conflict copies) — what the folder watcher needs to refresh a
+ * single record without re-reading the whole book.
+ */
+async function listBookPages(root, book, onlyPageId = null) {
+  const bookPath = bookDir(root, book);
 
-    let pageFiles;
+  let pageFiles;
+  try {
+    pageFiles = await fsp.readdir(bookPath, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const pages = [];
+  // Sync-conflict copies ride along on their page's entry instead of being
+  // skipped (or, worse, mistaken for a letter-suffixed page).
+  const copiesByPageId = new Map();
+  for (const pf of pageFiles) {
+    if (!pf.isFile()) continue;
+    const conflict = parseConflictCopyName(pf.name);
+    if (!conflict || (onlyPageId != null && conflict.pageId !== onlyPageId)) continue;
+    const filePath = path.join(bookPath, pf.name);
+    let mtime = null;
     try {
-      pageFiles = await fsp.readdir(bookPath, { withFileTypes: true });
+      mtime = new Date((await fsp.stat(filePath)).mtimeMs).toISOString();
     } catch {
       continue;
     }
+    if (!copiesByPageId.has(conflict.pageId)) copiesByPageId.set(conflict.pageId, []);
+    copiesByPageId.get(conflict.pageId).push({
+      fileName: pf.name,
+      relPath: path.relative(root, filePath).split(path.sep).join('/'),
+      marker: conflict.marker,
+      mtime
+    });
+  }
+  const listedPageIds = new Set();
+
+  for (const pf of pageFiles) {
+    if (!pf.isFile()) continue;
+    // Accept "P42.json" and letter-suffixed forms like "P151b.json"
+    const pm = pf.name.match(/^P(\d+)([a-zA-Z]?)\.json$/);
+    if (!pm) continue;
+    const page = parseInt(pm[1], 10);
+    const suffix = pm[2] || '';
+    const pageId = `${page}${suffix}`;
+    if (onlyPageId != null && pageId !== onlyPageId) continue;
+    const filePath = path.join(bookPath, pf.name);
 
-    for (const pf of pageFiles) {
-      if (!pf.isFile()) continue;
-      // Accept "P42.json" and letter-suffixed forms like "P151b.json"
-      const pm = pf.name.match(/^P(\d+)([a-zA-Z]?)\.json$/);
-      if (!pm) continue;
-      const page = parseInt(pm[1], 10);
-      const suffix = pm[2] || '';
-      const pageId = `${page}${suffix}`;
-      const filePath = path.join(bookPath, pf.name);
+    try {
+      const [raw, stat] = await Promise.all([fsp.readFile(filePath, 'utf8'), fsp.stat(filePath)]);
+      const meta = extractPageMeta(raw);
+      pages.push({
+        book,
+        page,
+        pageId,           // includes suffix if any (used as primary identifier)
+        suffix,
+        strokeCount: meta.strokeCount,
+        lastUpdated: meta.lastUpdated,
+        hasTranscription: meta.hasTranscription,
+        transcriptLineCount: meta.transcriptLineCount,
+        // Transcript text is tiny next to strokes; carrying it here keeps the
+        // Data Explorer preview + full-text search working without the renderer
+        // ever holding stroke arrays resident.
+        transcriptionText: meta.transcriptionText,
+        transcriptLines: meta.transcriptLines,
+        path: filePath,
+        mtime: new Date(stat.mtimeMs).toISOString(),
+        conflictCopies: copiesByPageId.get(pageId) || []
+      });
+      listedPageIds.add(pageId);
+    } catch (err) {
+      console.warn(`[storage] skipping unreadable ${filePath}:`, err.message);
+    }
+  }
 
-      try {
-        const raw = await fsp.readFile(filePath, 'utf8');
-        const meta = extractPageMeta(raw);
-        pages.push({
-          book,
-          page,
-          pageId,           // includes suffix if any (used as primary identifier)
-          suffix,
-          strokeCount: meta.strokeCount,
-          lastUpdated: meta.lastUpdated,
-          hasTranscription: meta.hasTranscription,
-          transcriptLineCount: meta.transcriptLineCount,
-          // Transcript text is tiny next to strokes; carrying it here keeps the
-          // Data Explorer preview + full-text search working without the renderer
-          // ever holding stroke arrays resident.
-          transcriptionText: meta.transcriptionText,
-          path: filePath
-        });
-      } catch (err) {
-        console.warn(`[storage] skipping unreadable ${filePath}:`, err.message);
-      }
+  // A copy whose page is missing or unreadable: list the page from the
+  // newest copy so it shows up (flagged) and can be resolved into place.
+  for (const [pageId, copies] of copiesByPageId) {
+    if (listedPageIds.has(pageId)) continue;
+    const newest = [...copies].sort((a, b) => b.mtime.localeCompare(a.mtime))[0];
+    const filePath = path.join(root, newest.relPath);
+    try {
+      const meta = extractPageMeta(await fsp.readFile(filePath, 'utf8'));
+      const pm = pageId.match(/^(\d+)([a-zA-Z]?)$/);
+      pages.push({
+        book,
+        page: parseInt(pm[1], 10),
+        pageId,
+        suffix: pm[2] || '',
+        strokeCount: meta.strokeCount,
+        lastUpdated: meta.lastUpdated,
+        hasTranscription: meta.hasTranscription,
+        transcriptLineCount: meta.transcriptLineCount,
+        transcriptionText: meta.transcriptionText,
+        transcriptLines: meta.transcriptLines,
+        path: filePath,
+        mtime: newest.mtime,
+        conflictCopies: copies,
+        missingOriginal: true
+      });
+    } catch (err) {
+      console.warn(`[storage] skipping unreadable conflict copy ${filePath}:`, err.message);
     }
   }
 
-  pages.sort((a, b) => (a.book - b.book) || (a.page - b.page) || a.suffix.localeCompare(b.suffix));
   return pages;
 }
 
+/** PageMeta for a single page (null once neither the page nor a copy exists). */
+async function readPageMeta(root, book, pageId) {
+  const [meta] = await listBookPages(root, book, String(pageId));
+  return meta || null;
+}
+
 async function readPageDoc(root, book, page) {
   const fp = pagePath(root, book, page);
   try {
@@ -439,10 +949,67 @@ async function readPageDoc(root, book, page) {
 async function writePageDoc(root, book, page, doc) {
   const fp = pagePath(root, book, page);
   const json = serializePageDoc(doc);
+  await snapshotPageVersion(root, book, page);
   await writeFileAtomic(fp, json);
   return fp;
 }
 
+/**
+ * Copy the current page file (if any) into its history folder, then prune.
+ * Best-effort: a history failure is logged but never blocks the save itself.
+ */
+async function snapshotPageVersion(root, book, page) {
+  try {
+    return await history.snapshotFile(pagePath(root, book, page), historyDir(root, book, page));
+  } catch (err) {
+    console.warn(`[history] snapshot failed for B${book}/P${page}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * List a page's saved versions, newest first, with a lightweight summary of
+ * each (same shell-only parse as the Data Explorer listing).
+ */
+async function listPageVersions(root, book, page) {
+  const entries = await readHistoryEntries(historyDir(root, book, page));
+  const versions = [];
+  for (const e of entries) {
+    let meta = null;
+    try {
+      meta = extractPageMeta(await fsp.readFile(e.file, 'utf8'));
+    } catch (err) {
+      console.warn(`[history] unreadable version ${e.file}:`, err.message);
+    }
+    versions.push({
+      id: e.id,
+      savedAt: new Date(e.mtimeMs).toISOString(),
+      size: e.size,
+      readable: !!meta,
+      strokeCount: meta ? meta.strokeCount : 0,
+      transcriptLineCount: meta ? meta.transcriptLineCount : 0,
+      lastUpdated: meta ? meta.lastUpdated : null
+    });
+  }
+  return versions;
+}
+
+async function readPageVersion(root, book, page, versionId) {
+  const raw = await fsp.readFile(historyVersionPath(root, book, page, versionId), 'utf8');
+  return JSON.parse(raw);
+}
+
+/**
+ * Make a saved version the current page. Goes through writePageDoc, so the
+ * state being replaced is itself snapshotted — a restore can be undone.
+ */
+async function restorePageVersion(root, book, page, versionId) {
+  const doc = await readPageVersion(root, book, page, versionId);
+  doc.metadata = { ...(doc.metadata || {}), lastUpdated: new Date().toISOString() };
+  const fp = await writePageDoc(root, book, page, doc);
+  return { doc, path: fp };
+}
+
 /**
  * Hybrid serializer: pretty-prints the doc shell but inlines each stroke
  * onto one line. Cuts file size ~60% versus full pretty-print while keeping
@@ -463,8 +1030,11 @@ function serializePageDoc(doc) {
 
 async function deletePageDoc(root, book, page) {
   const fp = pagePath(root, book, page);
+  // Keep the deleted page in its history so the delete can be undone.
+  await snapshotPageVersion(root, book, page);
   try {
     await fsp.unlink(fp);
+    noteOwnWrite(fp);
   } catch (err) {
     if (err.code !== 'ENOENT') throw err;
   }
@@ -485,6 +1055,440 @@ async function writeAliases(root, aliases) {
   await writeFileAtomic(aliasesPath(root), JSON.stringify(aliases, null, 2));
 }
 
+// ----- Recognition settings (_recognition.json) -----
+// { books: { "3": { lang, contentType } }, pages: { "3/12": { lang?, contentType? } } }
+// A page entry overrides its book's entry field by field; the renderer
+// (src/stores/recognition-settings.js) resolves the effective options.
+
+async function readRecognitionSettings(root) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await fsp.readFile(recognitionSettingsPath(root), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { books: {}, pages: {} };
+    throw err;
+  }
+  const pick = (obj) => (obj && typeof obj === 'object' && !Array.isArray(obj)) ? obj : {};
+  return { books: pick(parsed && parsed.books), pages: pick(parsed && parsed.pages) };
+}
+
+async function writeRecognitionSettings(root, settings) {
+  await writeFileAtomic(recognitionSettingsPath(root), JSON.stringify(settings, null, 2));
+}
+
+/** Set (or with null, clear) one entry of the books/pages map. */
+async function updateRecognitionSettings(root, section, key, value) {
+  const settings = await readRecognitionSettings(root);
+  if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+    settings[section][key] = value;
+  } else {
+    delete settings[section][key];
+  }
+  await writeRecognitionSettings(root, settings);
+  return settings;
+}
+
+// ----- Correction dictionary (_corrections.json) -----
+// { entries: [{ from, to, count, enabled, lastSeen }] }
+// Learned from transcript edits: every time a recognized "from" is corrected
+// to "to" the pair's count goes up. The renderer
+// (src/lib/recognition/corrections.js) diffs the edits, feeds the enabled
+// entries to the recognizer as a lexicon and substitutes them in new results.
+
+async function readCorrections(root) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await fsp.readFile(correctionsPath(root), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { entries: [] };
+    throw err;
+  }
+  const entries = Array.isArray(parsed && parsed.entries) ? parsed.entries : [];
+  return {
+    entries: entries
+      .filter(e => e && typeof e.from === 'string' && typeof e.to === 'string' && e.from && e.to)
+      .map(e => ({
+        from: e.from,
+        to: e.to,
+        count: Number.isFinite(e.count) && e.count > 0 ? e.count : 1,
+        enabled: e.enabled !== false,
+        lastSeen: typeof e.lastSeen === 'string' ? e.lastSeen : null
+      }))
+  };
+}
+
+async function writeCorrections(root, dictionary) {
+  await writeFileAtomic(correctionsPath(root), JSON.stringify(dictionary, null, 2));
+}
+
+/** Count one sighting of each { from, to } pair, adding new pairs enabled. */
+async function recordCorrections(root, pairs) {
+  const dictionary = await readCorrections(root);
+  const lastSeen = new Date().toISOString();
+  for (const pair of Array.isArray(pairs) ? pairs : []) {
+    if (!pair || typeof pair.from !== 'string' || typeof pair.to !== 'string') continue;
+    if (!pair.from || !pair.to || pair.from === pair.to) continue;
+    const entry = dictionary.entries.find(e => e.from === pair.from && e.to === pair.to);
+    if (entry) {
+      entry.count += 1;
+      entry.lastSeen = lastSeen;
+    } else {
+      dictionary.entries.push({ from: pair.from, to: pair.to, count: 1, enabled: true, lastSeen });
+    }
+  }
+  await writeCorrections(root, dictionary);
+  return dictionary;
+}
+
+/** Enable/disable one entry, or with null remove it. */
+async function updateCorrection(root, from, to, value) {
+  const dictionary = await readCorrections(root);
+  if (value && typeof value === 'object') {
+    const entry = dictionary.entries.find(e => e.from === from && e.to === to);
+    if (entry && typeof value.enabled === 'boolean') entry.enabled = value.enabled;
+  } else {
+    dictionary.entries = dictionary.entries.filter(e => !(e.from === from && e.to === to));
+  }
+  await writeCorrections(root, dictionary);
+  return dictionary;
+}
+
+// ----- Full-text search index (_search-index.json) -----
+// A cache of the renderer's index (src/lib/search-index.js), so a scan only
+// re-tokenizes pages whose file changed since it was written. The renderer
+// owns the format and checks its version; a missing or unreadable file just
+// means a full rebuild.
+
+async function readSearchIndex(root) {
+  try {
+    return JSON.parse(await fsp.readFile(searchIndexPath(root), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('[storage] ignoring unreadable search index:', err.message);
+    return null;
+  }
+}
+
+async function writeSearchIndex(root, data) {
+  await ensureDir(pagesDir(root));
+  await writeFileAtomic(searchIndexPath(root), JSON.stringify(data));
+  return true;
+}
+
+// ----- Exports (exports/) -----
+// Files the app derives from pages, e.g. the Excalidraw scenes written by a
+// handwritten [sketch] tag (src/lib/commands/builtin-commands.js). Users own
+// the folder, so a path may only point inside it, and an unchanged file is
+// not rewritten (no churn for cloud sync on every page save).
+
+function resolveExportPath(root, relPath) {
+  const exportsRoot = path.join(root, 'exports');
+  const abs = path.resolve(root, String(relPath || ''));
+  if (!abs.startsWith(exportsRoot + path.sep)) {
+    throw new Error(`Not inside exports/: ${relPath}`);
+  }
+  return abs;
+}
+
+async function writeExportFile(root, relPath, text) {
+  const abs = resolveExportPath(root, relPath);
+  try {
+    if (await fsp.readFile(abs, 'utf8') === text) return { path: abs, written: false };
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  await writeFileAtomic(abs, String(text));
+  return { path: abs, written: true };
+}
+
+// ----- Audio recordings (pages/B{book}/audio-{startTime}.{ext}) -----
+// Microphone recordings made while writing, stored in the book folder next to
+// the pages they were recorded over and referenced from those pages'
+// metadata.audio (src/lib/audio/audio-refs.js). Binary, so they travel as
+// bytes rather than text; page listings and the folder watcher skip them.
+
+const AUDIO_FILE_RE = /^audio-\d+\.(?:webm|ogg|wav|m4a)$/;
+
+function audioPath(root, book, fileName) {
+  if (!AUDIO_FILE_RE.test(String(fileName))) throw new Error(`Not an audio recording: ${fileName}`);
+  return path.join(bookDir(root, book), fileName);
+}
+
+async function writeAudioFile(root, book, fileName, bytes) {
+  const abs = audioPath(root, book, fileName);
+  await writeFileAtomic(abs, Buffer.from(bytes));
+  return { path: abs };
+}
+
+async function readAudioFile(root, book, fileName) {
+  return fsp.readFile(audioPath(root, book, fileName));
+}
+
+// ----- Conflict-copy resolution -----
+
+async function readConflictCopy(root, book, pageId, relPath) {
+  const abs = resolveConflictCopyPath(root, book, pageId, relPath);
+  return JSON.parse(await fsp.readFile(abs, 'utf8'));
+}
+
+/**
+ * Finish resolving a conflict copy: optionally write the resolved doc as the
+ * page (snapshotting the outgoing file as usual), keep the copy's bytes in
+ * the page's history as a "-conflict" version, then remove the copy.
+ * `doc` is null when the user keeps the page file as-is.
+ */
+async function resolveConflictCopy(root, book, pageId, relPath, doc) {
+  const abs = resolveConflictCopyPath(root, book, pageId, relPath);
+  const raw = await fsp.readFile(abs, 'utf8');
+  if (!doc && !fs.existsSync(pagePath(root, book, pageId))) {
+    throw new Error(`B${book}/P${pageId} has no page file — keep or merge the copy instead of discarding it`);
+  }
+  let fp = null;
+  if (doc) fp = await writePageDoc(root, book, pageId, doc);
+
+  const id = await addHistoryVersion(historyDir(root, book, pageId), raw, '-conflict');
+  await fsp.unlink(abs);
+  noteOwnWrite(abs);
+  return { path: fp, archivedAs: id };
+}
+
+// ----- Data-folder integrity check -----
+// The renderer's checker (src/lib/storage/integrity.js) validates page contents
+// it reads back through storage:getPage; main only inventories the folder —
+// including files listAllPages silently skips — and performs the file-level
+// repairs (drop/promote a leftover .tmp, move a corrupt file aside).
+
+// writeFileAtomic names its temp file `<target>.tmp-<pid>-<ms>`.
+const TMP_FILE_RE = /^(.+)\.tmp-\d+-\d+$/;
+// A .tmp younger than this may belong to a write that is still in flight.
+const TMP_ORPHAN_AGE_MS = 60 * 1000;
+
+/** Root-relative, forward-slash path (stable across platforms for the UI). */
+function toRelPath(root, abs) {
+  return path.relative(root, abs).split(path.sep).join('/');
+}
+
+/** Resolve a root-relative path from the renderer, refusing anything outside pages/. */
+function resolvePagesRelPath(root, relPath) {
+  const abs = path.resolve(root, String(relPath || ''));
+  const base = pagesDir(root) + path.sep;
+  if (!abs.startsWith(base)) throw new Error(`Path is outside the pages folder: ${relPath}`);
+  return abs;
+}
+
+/**
+ * Inventory pages/ for the integrity checker: every B{n}/P{id}.json (parseable
+ * or not), every leftover atomic-write temp file, and whether _aliases.json
+ * exists. .history folders are skipped — snapshots are checked on restore.
+ */
+async function listDataFiles(root) {
+  const dir = pagesDir(root);
+  const out = { pages: [], tmpFiles: [], aliases: null };
+  let top;
+  try {
+    top = await fsp.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return out;
+    throw err;
+  }
+
+  const now = Date.now();
+  const noteTmp = async (folder, name, siblings) => {
+    const m = name.match(TMP_FILE_RE);
+    if (!m) return;
+    const abs = path.join(folder, name);
+    try {
+      const stat = await fsp.stat(abs);
+      out.tmpFiles.push({
+        relPath: toRelPath(root, abs),
+        targetRelPath: toRelPath(root, path.join(folder, m[1])),
+        targetExists: siblings.has(m[1]),
+        size: stat.size,
+        mtime: new Date(stat.mtimeMs).toISOString(),
+        inFlight: now - stat.mtimeMs < TMP_ORPHAN_AGE_MS
+      });
+    } catch {
+      // vanished (write completed) — not an orphan
+    }
+  };
+
+  const topNames = new Set(top.map(e => e.name));
+  if (topNames.has('_aliases.json')) out.aliases = { relPath: toRelPath(root, aliasesPath(root)) };
+
+  for (const entry of top) {
+    if (entry.isFile()) {
+      await noteTmp(dir, entry.name, topNames);
+      continue;
+    }
+    if (!entry.isDirectory()) continue;
+    const bm = entry.name.match(/^B(\d+)$/);
+    if (!bm) continue;
+    const book = parseInt(bm[1], 10);
+    const bookPath = path.join(dir, entry.name);
+    let files;
+    try {
+      files = await fsp.readdir(bookPath, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    const names = new Set(files.map(f => f.name));
+    for (const f of files) {
+      if (!f.isFile()) continue;
+      const pm = f.name.match(/^P(\d+)([a-zA-Z]?)\.json$/);
+      if (pm) {
+        out.pages.push({
+          book,
+          page: parseInt(pm[1], 10),
+          pageId: `${parseInt(pm[1], 10)}${pm[2] || ''}`,
+          relPath: toRelPath(root, path.join(bookPath, f.name))
+        });
+      } else {
+        await noteTmp(bookPath, f.name, names);
+      }
+    }
+  }
+
+  out.pages.sort((a, b) => (a.book - b.book) || (a.page - b.page) || a.pageId.localeCompare(b.pageId));
+  return out;
+}
+
+/**
+ * File-level repairs offered by the integrity checker:
+ *   'delete-tmp'  — remove a leftover atomic-write temp file
+ *   'promote-tmp' — rename a temp file over its target (snapshotting a page
+ *                   target into history first), for when the rename never ran
+ *   'quarantine'  — move an unreadable page / _aliases.json aside as
+ *                   `<name>.corrupt-<stamp>` so it stops being loaded but
+ *                   nothing is lost
+ */
+async function repairDataFile(root, relPath, action) {
+  const abs = resolvePagesRelPath(root, relPath);
+  const name = path.basename(abs);
+
+  if (action === 'delete-tmp' || action === 'promote-tmp') {
+    const m = name.match(TMP_FILE_RE);
+    if (!m) throw new Error(`Not an atomic-write temp file: ${relPath}`);
+    if (action === 'delete-tmp') {
+      await fsp.unlink(abs);
+      return { removed: relPath };
+    }
+    const target = path.join(path.dirname(abs), m[1]);
+    const pm = m[1].match(/^P(\d+[a-zA-Z]?)\.json$/);
+    const bm = path.basename(path.dirname(abs)).match(/^B(\d+)$/);
+    try {
+      JSON.parse(await fsp.readFile(abs, 'utf8'));
+    } catch {
+      throw new Error(`Temp file is not valid JSON, so it can't replace ${m[1]}`);
+    }
+    if (pm && bm) await snapshotPageVersion(root, parseInt(bm[1], 10), pm[1]);
+    await fsp.rename(abs, target);
+    noteOwnWrite(target);
+    return { promoted: relPath, target: toRelPath(root, target) };
+  }
+
+  if (action === 'quarantine') {
+    if (!/^(P\d+[a-zA-Z]?|_aliases)\.json$/.test(name)) {
+      throw new Error(`Only page files and _aliases.json can be moved aside: ${relPath}`);
+    }
+    const dest = `${abs}.corrupt-${versionStamp()}`;
+    await fsp.rename(abs, dest);
+    noteOwnWrite(abs);
+    return { moved: relPath, to: toRelPath(root, dest) };
+  }
+
+  throw new Error(`Unknown repair action: ${action}`);
+}
+
+/** Raw _aliases.json contents (or null if absent), unlike readAliases which normalizes. */
+async function readAliasesRaw(root) {
+  try {
+    return JSON.parse(await fsp.readFile(aliasesPath(root), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// ----- Data-folder watch -----
+// The renderer scans pages/ at boot and on demand; between scans a cloud
+// client (OneDrive, Dropbox, another machine) can rewrite pages under it. We
+// watch pages/ recursively and push batched, de-duplicated change events so
+// the renderer can refresh just the affected records. History, temp and
+// quarantined files are noise here, and so are the app's own writes.
+
+const WATCH_DEBOUNCE_MS = 300;
+
+let folderWatcher = null;
+let watchedRoot = null;
+const pendingWatchChanges = new Map(); // key -> change
+let watchFlushTimer = null;
+
+/**
+ * Map a path relative to pages/ onto a change event, or null to ignore it.
+ * Conflict copies report their page: the copy list is part of its meta.
+ */
+function classifyWatchPath(relPath) {
+  const parts = relPath.split(/[\\/]/).filter(Boolean);
+  if (parts.length === 1 && parts[0] === '_aliases.json') return { kind: 'aliases' };
+  if (parts.length === 1 && parts[0] === '_recognition.json') return { kind: 'recognition' };
+  if (parts.length === 1 && parts[0] === '_corrections.json') return { kind: 'corrections' };
+  if (parts.length !== 2) return null;
+  const bm = parts[0].match(/^B(\d+)$/);
+  if (!bm) return null;
+  const book = parseInt(bm[1], 10);
+  const pm = parts[1].match(/^P(\d+)([a-zA-Z]?)\.json$/);
+  if (pm) return { kind: 'page', book, pageId: `${parseInt(pm[1], 10)}${pm[2] || ''}` };
+  const conflict = parseConflictCopyName(parts[1]);
+  if (conflict) return { kind: 'page', book, pageId: conflict.pageId, conflictCopy: true };
+  return null;
+}
+
+function flushWatchChanges() {
+  watchFlushTimer = null;
+  const changes = [];
+  for (const { change, absPath } of pendingWatchChanges.values()) {
+    if (!isRecentOwnWrite(absPath)) changes.push(change);
+  }
+  pendingWatchChanges.clear();
+  if (!changes.length || !mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.webContents.send('storage:folderChanged', { root: watchedRoot, changes });
+}
+
+function stopFolderWatch() {
+  if (folderWatcher) folderWatcher.close();
+  folderWatcher = null;
+  watchedRoot = null;
+  pendingWatchChanges.clear();
+  if (watchFlushTimer) clearTimeout(watchFlushTimer);
+  watchFlushTimer = null;
+}
+
+async function startFolderWatch(root) {
+  stopFolderWatch();
+  const dir = pagesDir(root);
+  await ensureDir(dir);
+  folderWatcher = fs.watch(dir, { recursive: true }, (_eventType, filename) => {
+    if (!filename) return;
+    const relPath = filename.toString();
+    const change = classifyWatchPath(relPath);
+    if (!change) return;
+    const key = change.kind === 'page' ? `B${change.book}/P${change.pageId}:${relPath}` : change.kind;
+    pendingWatchChanges.set(key, { change, absPath: path.join(dir, relPath) });
+    if (watchFlushTimer) clearTimeout(watchFlushTimer);
+    watchFlushTimer = setTimeout(flushWatchChanges, WATCH_DEBOUNCE_MS);
+  });
+  folderWatcher.on('error', (err) => {
+    // e.g. the folder was deleted or the drive unmounted. Tell the renderer,
+    // which re-arms the watch once the folder is verified again.
+    console.warn('[storage] folder watch stopped:', err.message);
+    stopFolderWatch();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('storage:folderChanged', { root, changes: [], stopped: err.message });
+    }
+  });
+  watchedRoot = root;
+  return true;
+}
+
 /** Wraps an IPC handler so thrown errors become `{ok:false, error}` responses. */
 function ipcSafe(fn) {
   return async (_event, ...args) => {
@@ -531,6 +1535,7 @@ ipcMain.handle('storage:openInExplorer', ipcSafe(async (root) => {
 
 ipcMain.handle('storage:listPages',   ipcSafe(async (root)              => listAllPages(root)));
 ipcMain.handle('storage:getPage',     ipcSafe(async (root, book, page)  => readPageDoc(root, book, page)));
+ipcMain.handle('storage:getPageMeta', ipcSafe(async (root, book, pageId) => readPageMeta(root, book, pageId)));
 ipcMain.handle('storage:savePage',    ipcSafe(async (root, book, page, doc) => {
   const fp = await writePageDoc(root, book, page, doc);
   return {
@@ -541,6 +1546,9 @@ ipcMain.handle('storage:savePage',    ipcSafe(async (root, book, page, doc) => {
   };
 }));
 ipcMain.handle('storage:deletePage',  ipcSafe(async (root, book, page)  => { await deletePageDoc(root, book, page); return true; }));
+ipcMain.handle('storage:listPageHistory',    ipcSafe(async (root, book, page)            => listPageVersions(root, book, page)));
+ipcMain.handle('storage:getPageVersion',     ipcSafe(async (root, book, page, versionId) => readPageVersion(root, book, page, versionId)));
+ipcMain.handle('storage:restorePageVersion', ipcSafe(async (root, book, page, versionId) => restorePageVersion(root, book, page, versionId)));
 ipcMain.handle('storage:getAliases',  ipcSafe(async (root)              => readAliases(root)));
 ipcMain.handle('storage:setAlias',    ipcSafe(async (root, book, alias) => {
   const aliases = await readAliases(root);
@@ -554,6 +1562,31 @@ ipcMain.handle('storage:removeAlias', ipcSafe(async (root, book) => {
   await writeAliases(root, aliases);
   return aliases;
 }));
+ipcMain.handle('storage:getRecognitionSettings', ipcSafe(async (root) => readRecognitionSettings(root)));
+ipcMain.handle('storage:setBookRecognition',     ipcSafe(async (root, book, value) =>
+  updateRecognitionSettings(root, 'books', String(book), value)));
+ipcMain.handle('storage:setPageRecognition',     ipcSafe(async (root, book, pageId, value) =>
+  updateRecognitionSettings(root, 'pages', `${book}/${pageId}`, value)));
+ipcMain.handle('storage:getSearchIndex',         ipcSafe(async (root) => readSearchIndex(root)));
+ipcMain.handle('storage:saveSearchIndex',        ipcSafe(async (root, data) => writeSearchIndex(root, data)));
+ipcMain.handle('storage:writeExport',            ipcSafe(async (root, relPath, text) => writeExportFile(root, relPath, text)));
+ipcMain.handle('storage:writeAudio',             ipcSafe(async (root, book, fileName, bytes) => writeAudioFile(root, book, fileName, bytes)));
+ipcMain.handle('storage:readAudio',              ipcSafe(async (root, book, fileName) => readAudioFile(root, book, fileName)));
+ipcMain.handle('storage:getCorrections',         ipcSafe(async (root) => readCorrections(root)));
+ipcMain.handle('storage:recordCorrections',      ipcSafe(async (root, pairs) => recordCorrections(root, pairs)));
+ipcMain.handle('storage:updateCorrection',       ipcSafe(async (root, from, to, value) =>
+  updateCorrection(root, from, to, value)));
+
+ipcMain.handle('storage:getConflictCopy',     ipcSafe(async (root, book, pageId, relPath)      => readConflictCopy(root, book, pageId, relPath)));
+ipcMain.handle('storage:resolveConflictCopy', ipcSafe(async (root, book, pageId, relPath, doc) => resolveConflictCopy(root, book, pageId, relPath, doc)));
+ipcMain.handle('storage:listDataFiles',  ipcSafe(async (root)                  => listDataFiles(root)));
+ipcMain.handle('storage:repairDataFile', ipcSafe(async (root, relPath, action) => repairDataFile(root, relPath, action)));
+ipcMain.handle('storage:getAliasesRaw',  ipcSafe(async (root)                  => readAliasesRaw(root)));
+ipcMain.handle('storage:watchFolder',   ipcSafe(async (root) => {
+  if (!root) throw new Error('No folder set');
+  return startFolderWatch(root);
+}));
+ipcMain.handle('storage:unwatchFolder', ipcSafe(async () => { stopFolderWatch(); return true; }));
 
 // ===== "Publish to graph" — mirror saved pages into a LogSeq graph folder =====
 // Pure filesystem writes (no LogSeq runtime). The renderer (src/lib/storage/
@@ -589,14 +1622,7 @@ ipcMain.handle('storage:readGraphIndex', ipcSafe(async (graphRoot) => {
 // Write a page's asset + the (already-upserted) index manifest, atomically.
 ipcMain.handle('storage:publishToGraph', ipcSafe(async (graphRoot, book, pageId, assetText, indexText) => {
   await requireGraphRoot(graphRoot);
-
-  const bookNum = Number(book);
-  if (!Number.isFinite(bookNum)) throw new Error(`Invalid book: ${book}`);
-
-  // pageId is the bridge filename identifier: digits + an optional letter
-  // suffix (e.g. "42", "151b"). Validate to keep the write inside the asset dir.
-  const pid = String(pageId);
-  if (!/^\d+[a-zA-Z]?$/.test(pid)) throw new Error(`Invalid pageId: ${pageId}`);
+  const { bookNum, pid } = graphPageIdentity(book, pageId);
 
   if (typeof assetText !== 'string' || typeof indexText !== 'string') {
     throw new Error('publishToGraph: assetText and indexText must be strings');
@@ -612,6 +1638,118 @@ ipcMain.handle('storage:publishToGraph', ipcSafe(async (graphRoot, book, pageId,
   return { assetPath, indexPath };
 }));
 
+// ----- Graph sync ("Sync graph now": reconcile the mirror with pages/) -----
+
+// Every page asset in the graph's plugin folder: [{ book, pageId, fileName }].
+ipcMain.handle('storage:listGraphAssets', ipcSafe(async (graphRoot) => {
+  await requireGraphRoot(graphRoot);
+  let names;
+  try {
+    names = await fsp.readdir(graphAssetsDir(graphRoot));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const assets = [];
+  for (const fileName of names) {
+    const m = fileName.match(GRAPH_ASSET_RE);
+    if (m) assets.push({ book: parseInt(m[1], 10), pageId: m[2], fileName });
+  }
+  return assets;
+}));
+
+// A page's published asset (string), or null if it isn't there.
+ipcMain.handle('storage:readGraphAsset', ipcSafe(async (graphRoot, book, pageId) => {
+  await requireGraphRoot(graphRoot);
+  const { bookNum, pid } = graphPageIdentity(book, pageId);
+  try {
+    return await fsp.readFile(graphAssetPath(graphRoot, bookNum, pid), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}));
+
+ipcMain.handle('storage:writeGraphAsset', ipcSafe(async (graphRoot, book, pageId, assetText) => {
+  await requireGraphRoot(graphRoot);
+  const { bookNum, pid } = graphPageIdentity(book, pageId);
+  if (typeof assetText !== 'string') throw new Error('writeGraphAsset: assetText must be a string');
+  const assetPath = graphAssetPath(graphRoot, bookNum, pid);
+  await writeFileAtomic(assetPath, assetText);
+  return { assetPath };
+}));
+
+ipcMain.handle('storage:removeGraphAsset', ipcSafe(async (graphRoot, book, pageId) => {
+  await requireGraphRoot(graphRoot);
+  const { bookNum, pid } = graphPageIdentity(book, pageId);
+  const assetPath = graphAssetPath(graphRoot, bookNum, pid);
+  try {
+    await fsp.unlink(assetPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  return { assetPath };
+}));
+
+ipcMain.handle('storage:writeGraphIndex', ipcSafe(async (graphRoot, indexText) => {
+  await requireGraphRoot(graphRoot);
+  if (typeof indexText !== 'string') throw new Error('writeGraphIndex: indexText must be a string');
+  const indexPath = graphIndexPath(graphRoot);
+  await writeFileAtomic(indexPath, indexText);
+  return { indexPath };
+}));
+
+// ----- Graph Markdown (pages/, journals/, assets/ — see graph-markdown.js) -----
+// The optional Markdown publish mode writes plain LogSeq files for graphs
+// without the plugin. Only the file shapes it produces are allowed: a page or
+// journal .md, or an ink .svg directly under assets/.
+
+const GRAPH_FILE_RE = /^(?:(?:pages|journals)\/[^/\\]+\.md|assets\/[^/\\]+\.svg)$/;
+
+function resolveGraphFilePath(graphRoot, relPath) {
+  const rel = String(relPath || '');
+  if (!GRAPH_FILE_RE.test(rel) || rel.split('/')[1].startsWith('.')) {
+    throw new Error(`Not a graph page, journal or ink file: ${relPath}`);
+  }
+  return path.join(graphRoot, ...rel.split('/'));
+}
+
+// A graph file's text, or null if it isn't there.
+ipcMain.handle('storage:readGraphFile', ipcSafe(async (graphRoot, relPath) => {
+  await requireGraphRoot(graphRoot);
+  try {
+    return await fsp.readFile(resolveGraphFilePath(graphRoot, relPath), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}));
+
+// Written atomically, and only when changed (LogSeq re-parses on every write).
+ipcMain.handle('storage:writeGraphFile', ipcSafe(async (graphRoot, relPath, text) => {
+  await requireGraphRoot(graphRoot);
+  const abs = resolveGraphFilePath(graphRoot, relPath);
+  if (typeof text !== 'string') throw new Error('writeGraphFile: text must be a string');
+  try {
+    if (await fsp.readFile(abs, 'utf8') === text) return { path: abs, written: false };
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  await writeFileAtomic(abs, text);
+  return { path: abs, written: true };
+}));
+
+ipcMain.handle('storage:removeGraphFile', ipcSafe(async (graphRoot, relPath) => {
+  await requireGraphRoot(graphRoot);
+  const abs = resolveGraphFilePath(graphRoot, relPath);
+  try {
+    await fsp.unlink(abs);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  return { path: abs };
+}));
+
 function resetBluetoothState() {
   isBluetoothDialogOpen = false;
   bluetoothCallback = null;
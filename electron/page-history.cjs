@@ -0,0 +1,128 @@
+/**
+ * Page history and atomic writes — the data folder's write rules, shared by
+ * electron/main.cjs and scripts/smartpen-cli.mjs so the app and the CLI keep
+ * the same history.
+ *
+ * Every save snapshots the outgoing page file into
+ *   pages/B{book}/.history/P{page}/{stamp}.json
+ * before the atomic overwrite, so a bad merge or an accidental deletion can be
+ * rolled back. The history is rolling and size-bounded per page (oldest
+ * snapshots are pruned first; the newest is always kept).
+ */
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+
+const HISTORY_DIR_NAME = '.history';
+const HISTORY_MAX_VERSIONS = 25;
+const HISTORY_MAX_BYTES = 20 * 1024 * 1024; // per page
+
+/** Atomic write: write to a .tmp sibling, fsync, then rename. */
+async function writeFileAtomic(filePath, contents) {
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp-${process.pid}-${Date.now()}`;
+  const fh = await fsp.open(tmp, 'w');
+  try {
+    await fh.writeFile(contents, 'utf8');
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  await fsp.rename(tmp, filePath);
+}
+
+/** A page's history folder. */
+function historyDir(root, book, page) {
+  return path.join(root, 'pages', `B${book}`, HISTORY_DIR_NAME, `P${page}`);
+}
+
+/** Filesystem-safe, lexically sortable stamp: 2026-10-19T12-05-01-123Z */
+function versionStamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/** Read a history folder as [{ id, file, size, mtimeMs }], newest first. */
+async function readHistoryEntries(dir) {
+  let names;
+  try {
+    names = await fsp.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = [];
+  for (const name of names) {
+    if (!name.endsWith('.json')) continue;
+    const file = path.join(dir, name);
+    try {
+      const stat = await fsp.stat(file);
+      entries.push({ id: name.slice(0, -'.json'.length), file, size: stat.size, mtimeMs: stat.mtimeMs });
+    } catch {
+      // vanished between readdir and stat — ignore
+    }
+  }
+  entries.sort((a, b) => b.id.localeCompare(a.id));
+  return entries;
+}
+
+/** Drop the oldest snapshots beyond the count / byte budget (newest always kept). */
+async function pruneHistory(dir) {
+  const entries = await readHistoryEntries(dir);
+  let bytes = 0;
+  for (let i = 0; i < entries.length; i++) {
+    bytes += entries[i].size;
+    const overBudget = i >= HISTORY_MAX_VERSIONS || (i > 0 && bytes > HISTORY_MAX_BYTES);
+    if (overBudget) {
+      await fsp.unlink(entries[i].file).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Keep `raw` as a new version in a history folder, then prune.
+ * @param {string} dir - from historyDir()
+ * @param {string} raw - the page file's text
+ * @param {string} [suffix] - appended to the stamp, e.g. "-conflict"
+ * @returns {Promise<string>} the version id
+ */
+async function addHistoryVersion(dir, raw, suffix = '') {
+  let id = `${versionStamp()}${suffix}`;
+  // Two saves inside the same millisecond: disambiguate rather than overwrite.
+  for (let n = 1; fs.existsSync(path.join(dir, `${id}.json`)); n++) {
+    id = `${versionStamp()}${suffix}-${n}`;
+  }
+  await writeFileAtomic(path.join(dir, `${id}.json`), raw);
+  await pruneHistory(dir);
+  return id;
+}
+
+/**
+ * Copy a page file (if it exists) into its history folder before it changes.
+ * @param {string} filePath - the page file
+ * @param {string} dir - its history folder, from historyDir()
+ * @returns {Promise<string|null>} the version id; null when there was no file
+ */
+async function snapshotFile(filePath, dir) {
+  let raw;
+  try {
+    raw = await fsp.readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null; // first save — nothing to keep
+    throw err;
+  }
+  return addHistoryVersion(dir, raw);
+}
+
+module.exports = {
+  HISTORY_DIR_NAME,
+  HISTORY_MAX_VERSIONS,
+  HISTORY_MAX_BYTES,
+  writeFileAtomic,
+  historyDir,
+  versionStamp,
+  readHistoryEntries,
+  pruneHistory,
+  addHistoryVersion,
+  snapshotFile
+};
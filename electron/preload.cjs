@@ -50,8 +50,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
   },
 
   // MyScript API proxy (routes through Node.js to preserve header casing)
-  myscriptApiCall: (appKey, hmacKey, body) => {
-    return ipcRenderer.invoke('myscript-api-call', { appKey, hmacKey, body });
+  myscriptApiCall: (appKey, hmacKey, body, accept) => {
+    return ipcRenderer.invoke('myscript-api-call', { appKey, hmacKey, body, accept });
+  },
+
+  // Local recognizer proxy (self-hosted OCR/HTR server; avoids CORS)
+  recognizerHttpCall: (url, body) => {
+    return ipcRenderer.invoke('recognizer-http-call', { url, body });
   }
 });
 
@@ -64,13 +69,87 @@ contextBridge.exposeInMainWorld('storageAPI', {
   openInExplorer:   (root)                   => ipcRenderer.invoke('storage:openInExplorer', root),
   listPages:        (root)                   => ipcRenderer.invoke('storage:listPages', root),
   getPage:          (root, book, page)       => ipcRenderer.invoke('storage:getPage', root, book, page),
+  getPageMeta:      (root, book, pageId)     => ipcRenderer.invoke('storage:getPageMeta', root, book, pageId),
   savePage:         (root, book, page, doc)  => ipcRenderer.invoke('storage:savePage', root, book, page, doc),
   deletePage:       (root, book, page)       => ipcRenderer.invoke('storage:deletePage', root, book, page),
   getAliases:       (root)                   => ipcRenderer.invoke('storage:getAliases', root),
   setAlias:         (root, book, alias)      => ipcRenderer.invoke('storage:setAlias', root, book, alias),
   removeAlias:      (root, book)             => ipcRenderer.invoke('storage:removeAlias', root, book),
 
+  // Per-book / per-page recognition language + content type (pages/_recognition.json)
+  getRecognitionSettings: (root)                     => ipcRenderer.invoke('storage:getRecognitionSettings', root),
+  setBookRecognition:     (root, book, value)         => ipcRenderer.invoke('storage:setBookRecognition', root, book, value),
+  setPageRecognition:     (root, book, pageId, value) => ipcRenderer.invoke('storage:setPageRecognition', root, book, pageId, value),
+
+  // Correction dictionary learned from transcript edits (pages/_corrections.json)
+  getCorrections:    (root)                  => ipcRenderer.invoke('storage:getCorrections', root),
+  recordCorrections: (root, pairs)           => ipcRenderer.invoke('storage:recordCorrections', root, pairs),
+  updateCorrection:  (root, from, to, value) => ipcRenderer.invoke('storage:updateCorrection', root, from, to, value),
+
+  // Cached full-text search index (pages/_search-index.json)
+  getSearchIndex:    (root)                  => ipcRenderer.invoke('storage:getSearchIndex', root),
+  saveSearchIndex:   (root, data)            => ipcRenderer.invoke('storage:saveSearchIndex', root, data),
+
+  // Files derived from pages under exports/ (e.g. [sketch] drawings)
+  writeExport:       (root, relPath, text)   => ipcRenderer.invoke('storage:writeExport', root, relPath, text),
+
+  // Audio recorded while writing (pages/B{book}/audio-*.webm); bytes as Uint8Array
+  writeAudio:        (root, book, fileName, bytes) => ipcRenderer.invoke('storage:writeAudio', root, book, fileName, bytes),
+  readAudio:         (root, book, fileName)        => ipcRenderer.invoke('storage:readAudio', root, book, fileName),
+
+  // Per-page version history (pages/B{book}/.history/P{page}/)
+  listPageHistory:    (root, book, page)            => ipcRenderer.invoke('storage:listPageHistory', root, book, page),
+  getPageVersion:     (root, book, page, versionId) => ipcRenderer.invoke('storage:getPageVersion', root, book, page, versionId),
+  restorePageVersion: (root, book, page, versionId) => ipcRenderer.invoke('storage:restorePageVersion', root, book, page, versionId),
+
+  // Cloud-sync conflict copies (P12 (conflicted copy).json, P12-DESKTOP-ABC.json, …)
+  getConflictCopy:     (root, book, pageId, relPath)      => ipcRenderer.invoke('storage:getConflictCopy', root, book, pageId, relPath),
+  resolveConflictCopy: (root, book, pageId, relPath, doc) => ipcRenderer.invoke('storage:resolveConflictCopy', root, book, pageId, relPath, doc),
+
+  // Data-folder integrity check (inventory incl. unreadable files + file-level repairs)
+  listDataFiles:      (root)                        => ipcRenderer.invoke('storage:listDataFiles', root),
+  repairDataFile:     (root, relPath, action)       => ipcRenderer.invoke('storage:repairDataFile', root, relPath, action),
+  getAliasesRaw:      (root)                        => ipcRenderer.invoke('storage:getAliasesRaw', root),
+
+  // Live refresh: main watches pages/ and pushes { root, changes } batches.
+  // onFolderChanged returns an unsubscribe function.
+  watchFolder:        (root)                        => ipcRenderer.invoke('storage:watchFolder', root),
+  unwatchFolder:      ()                            => ipcRenderer.invoke('storage:unwatchFolder'),
+  onFolderChanged:    (callback) => {
+    const listener = (_, event) => callback(event);
+    ipcRenderer.on('storage:folderChanged', listener);
+    return () => ipcRenderer.removeListener('storage:folderChanged', listener);
+  },
+
   // "Publish to graph" — mirror a saved page into a LogSeq graph folder
   readGraphIndex:   (graphRoot)                                    => ipcRenderer.invoke('storage:readGraphIndex', graphRoot),
   publishToGraph:   (graphRoot, book, pageId, assetText, indexText) => ipcRenderer.invoke('storage:publishToGraph', graphRoot, book, pageId, assetText, indexText),
+  listGraphAssets:  (graphRoot)                                    => ipcRenderer.invoke('storage:listGraphAssets', graphRoot),
+  readGraphAsset:   (graphRoot, book, pageId)                      => ipcRenderer.invoke('storage:readGraphAsset', graphRoot, book, pageId),
+  writeGraphAsset:  (graphRoot, book, pageId, assetText)           => ipcRenderer.invoke('storage:writeGraphAsset', graphRoot, book, pageId, assetText),
+  removeGraphAsset: (graphRoot, book, pageId)                      => ipcRenderer.invoke('storage:removeGraphAsset', graphRoot, book, pageId),
+  writeGraphIndex:  (graphRoot, indexText)                         => ipcRenderer.invoke('storage:writeGraphIndex', graphRoot, indexText),
+  readGraphFile:    (graphRoot, relPath)                           => ipcRenderer.invoke('storage:readGraphFile', graphRoot, relPath),
+  writeGraphFile:   (graphRoot, relPath, text)                     => ipcRenderer.invoke('storage:writeGraphFile', graphRoot, relPath, text),
+  removeGraphFile:  (graphRoot, relPath)                           => ipcRenderer.invoke('storage:removeGraphFile', graphRoot, relPath),
+});
+
+// ===== Transcription queue =====
+// Persistent recognition job queue run by main (retries, rate limiting,
+// monthly MyScript usage). Same { ok, result } envelope as storageAPI.
+contextBridge.exposeInMainWorld('transcriptionQueueAPI', {
+  getState:   ()         => ipcRenderer.invoke('transcription-queue:getState'),
+  configure:  (settings) => ipcRenderer.invoke('transcription-queue:configure', settings),
+  enqueue:    (job)      => ipcRenderer.invoke('transcription-queue:enqueue', job),
+  getResult:  (id)       => ipcRenderer.invoke('transcription-queue:getResult', id),
+  remove:     (id)       => ipcRenderer.invoke('transcription-queue:remove', id),
+  fail:       (id, error) => ipcRenderer.invoke('transcription-queue:fail', id, error),
+  retry:      (id)       => ipcRenderer.invoke('transcription-queue:retry', id),
+  setOnline:  (online)   => ipcRenderer.invoke('transcription-queue:setOnline', online),
+  // Pushes the queue state after every change; returns an unsubscribe function.
+  onChanged:  (callback) => {
+    const listener = (_, state) => callback(state);
+    ipcRenderer.on('transcription-queue:changed', listener);
+    return () => ipcRenderer.removeListener('transcription-queue:changed', listener);
+  }
 });
@@ -314,23 +314,9 @@ async function writeFileAtomic(filePath, contents) {
   await fsp.rename(tmp, filePath);
 }
 
-/**
- * Hybrid PageDoc serializer — keeps the doc shell pretty-printed but inlines
- * each stroke onto a single line. ~60% smaller than full pretty-print while
- * preserving per-stroke git diffs.
- */
-function serializePageDoc(doc) {
-  const { strokes, ...shell } = doc || {};
-  const shellPretty = JSON.stringify(shell, null, 2);
-  const closingBrace = shellPretty.lastIndexOf('}');
-  const head = shellPretty.slice(0, closingBrace).trimEnd();
-  const headWithComma = head.endsWith(',') ? head : head + ',';
-  const strokeLines = (strokes || []).map(s => '    ' + JSON.stringify(s));
-  const strokesBlock = strokeLines.length === 0
-    ? '  "strokes": []'
-    : '  "strokes": [\n' + strokeLines.join(',\n') + '\n  ]';
-  return headWithComma + '\n' + strokesBlock + '\n}\n';
-}
+// The app's hybrid PageDoc serializer (src/lib/storage/page-doc-format.js,
+// an ES module), loaded by main() before the first page is written.
+let serializePageDoc;
 
 // ---------------------------------------------------------------------------
 // Per-file migration
@@ -409,6 +395,8 @@ async function migrateOne(srcPath, outRoot) {
 // ---------------------------------------------------------------------------
 
 async function main() {
+  ({ serializePageDoc } = await import('../src/lib/storage/page-doc-format.js'));
+
   const [, , inputDir, outputRoot] = process.argv;
   if (!inputDir || !outputRoot) {
     console.error('Usage: node migrate-from-logseq.cjs <input-jpi-folder> <output-data-root>');
@@ -0,0 +1,497 @@
+#!/usr/bin/env node
+/**
+ * smartpen-cli.mjs
+ *
+ * Headless access to a data folder (`pages/B{book}/P{page}.json`) for
+ * scripting and batch jobs — nightly exports, bulk fixes — without the
+ * Electron app. PageDoc handling comes from the app's own modules
+ * (src/lib/storage/page-tools.js and what it builds on), so exports, merges
+ * and graph publishes match what the app produces.
+ *
+ * Usage:
+ *   node scripts/smartpen-cli.mjs <command> [pages...] [options]
+ *   npm run cli -- <command> [pages...] [options]
+ *
+ * Commands:
+ *   list [pages...]                     one line per page
+ *   show B12/P3                         a page's summary and transcript
+ *   validate [pages...]                 integrity check; exits 1 on any issue
+ *   export [pages...] --format md|svg|json [--out <dir>]
+ *                                       without --out, one page to stdout;
+ *                                       with it, <dir>/B{book}/P{page}.{format}
+ *   export-days [pages...] --out <dir>  the transcripts as one Markdown file
+ *                                       per day, <dir>/YYYY-MM-DD.md, each
+ *                                       line on the day it was written
+ *   publish-graph <graph-root> [pages...] [--markdown page|journal|days]
+ *                                       publish pages to a LogSeq graph, like
+ *                                       "Publish to LogSeq graph on save";
+ *                                       --markdown also writes them as LogSeq
+ *                                       pages or journal blocks (days: in the
+ *                                       journal of each day written on)
+ *   rename-book <book> <name>           set a book's alias ("" clears it)
+ *   rename-book <book> --to <book>      renumber a book: its folder, history,
+ *                                       pages' pageInfo and alias move along
+ *   merge-pages <target> <source...> [--remove]
+ *                                       fold pages into the target (strokes
+ *                                       unioned, duplicate lines folded);
+ *                                       --remove deletes the sources after
+ *
+ * Pages are "B12/P3" or "12/3"; "B12" selects a whole book; none selects all.
+ *
+ * Options:
+ *   --root <dir>   data folder (default: $SMARTPEN_DATA_ROOT)
+ *   --dry-run      writing commands report what they would change
+ *
+ * Writes follow the app's rules: atomic (tmp + fsync + rename), and a page
+ * file is snapshotted into B{book}/.history/ before it is overwritten or
+ * removed, so every change can be rolled back from the page's History panel
+ * (electron/page-history.cjs, shared with the app). The app picks the
+ * changes up through its folder watcher.
+ */
+
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { deserializePageDoc, serializePageDoc } from '../src/lib/storage/page-doc-format.js';
+import { checkPageDoc, checkAliases, unreadablePageIssue, unreadableAliasesIssue } from '../src/lib/storage/integrity.js';
+import { SMARTPEN_ASSETS_REL, SMARTPEN_INDEX_NAME, smartpenAssetName } from '../src/lib/storage/graph-index.js';
+import {
+  GRAPH_MARKDOWN_MODES,
+  buildGraphMarkdown,
+  upsertJournalBlock,
+  removeJournalBlock,
+  staleJournalPaths,
+  staleRoutedPaths
+} from '../src/lib/storage/graph-markdown.js';
+import { pagesToDayMarkdown } from '../src/lib/storage/journal-days.js';
+import { writeFileAtomic, historyDir, snapshotFile } from '../electron/page-history.cjs';
+import {
+  EXPORT_FORMATS,
+  parsePageRef,
+  formatPageRef,
+  summarizePage,
+  exportPage,
+  renumberPageDoc,
+  withBookAlias,
+  mergePages,
+  publishPages
+} from '../src/lib/storage/page-tools.js';
+
+const PAGE_FILE_RE = /^P(\d+)([a-zA-Z]?)\.json$/;
+
+class UsageError extends Error {}
+
+// ---------------------------------------------------------------------------
+// Data folder (same layout and write rules as electron/main.cjs)
+// ---------------------------------------------------------------------------
+
+function bookDir(root, book) {
+  return path.join(root, 'pages', `B${book}`);
+}
+
+function pagePath(root, book, pageId) {
+  return path.join(bookDir(root, book), `P${pageId}.json`);
+}
+
+function aliasesPath(root) {
+  return path.join(root, 'pages', '_aliases.json');
+}
+
+function relPath(root, abs) {
+  return path.relative(root, abs).split(path.sep).join('/');
+}
+
+/** A file's text, or null if it isn't there. */
+async function readText(filePath) {
+  try {
+    return await fsp.readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fsp.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/** Every page file, sorted by book then page: [{ book, pageId, page, file }]. */
+async function listPageFiles(root) {
+  let bookEntries;
+  try {
+    bookEntries = await fsp.readdir(path.join(root, 'pages'), { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const pages = [];
+  for (const entry of bookEntries) {
+    const bm = entry.isDirectory() && entry.name.match(/^B(\d+)$/);
+    if (!bm) continue;
+    const book = parseInt(bm[1], 10);
+    for (const name of await fsp.readdir(bookDir(root, book))) {
+      const pm = name.match(PAGE_FILE_RE);
+      if (!pm) continue;
+      const page = parseInt(pm[1], 10);
+      pages.push({ book, page, pageId: `${page}${pm[2]}`, file: path.join(bookDir(root, book), name) });
+    }
+  }
+  return pages.sort((a, b) => (a.book - b.book) || (a.page - b.page) || a.pageId.localeCompare(b.pageId));
+}
+
+/** The pages named on the command line ("B12/P3", "B12"), or all of them. */
+async function selectPages(root, refs) {
+  const all = await listPageFiles(root);
+  if (refs.length === 0) return all;
+  const selected = [];
+  for (const ref of refs) {
+    const bookOnly = String(ref).match(/^B?(\d+)$/i);
+    const want = bookOnly ? null : parsePageRef(ref);
+    if (!bookOnly && !want) throw new UsageError(`Not a page reference: ${ref} (expected e.g. B12/P3)`);
+    const matches = bookOnly
+      ? all.filter(p => p.book === parseInt(bookOnly[1], 10))
+      : all.filter(p => p.book === want.book && p.pageId === want.pageId);
+    if (matches.length === 0) throw new Error(`No such page: ${ref}`);
+    for (const p of matches) if (!selected.includes(p)) selected.push(p);
+  }
+  return selected;
+}
+
+async function readPage(root, ref) {
+  const where = parsePageRef(ref);
+  if (!where) throw new UsageError(`Not a page reference: ${ref} (expected e.g. B12/P3)`);
+  const file = pagePath(root, where.book, where.pageId);
+  const doc = await readJson(file);
+  if (!doc) throw new Error(`No such page: ${formatPageRef(where.book, where.pageId)}`);
+  return { ...where, file, doc };
+}
+
+/** Copy a page file into its history folder before it changes, then prune. */
+async function snapshotPage(root, book, pageId) {
+  await snapshotFile(pagePath(root, book, pageId), historyDir(root, book, pageId));
+}
+
+async function writePage(root, book, pageId, doc) {
+  await snapshotPage(root, book, pageId);
+  await writeFileAtomic(pagePath(root, book, pageId), serializePageDoc(doc));
+}
+
+async function removePage(root, book, pageId) {
+  await snapshotPage(root, book, pageId);
+  await fsp.unlink(pagePath(root, book, pageId));
+}
+
+async function hasHistory(root, book, pageId) {
+  try {
+    return (await fsp.readdir(historyDir(root, book, pageId))).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+function describeStates(states) {
+  const parts = Object.entries(states).map(([state, n]) => `${state} ${n}`);
+  return parts.length ? ` (${parts.join(', ')})` : '';
+}
+
+async function cmdList(root, refs, options, out) {
+  const aliases = (await readJson(aliasesPath(root))) || {};
+  for (const p of await selectPages(root, refs)) {
+    let line;
+    try {
+      const s = summarizePage(deserializePageDoc(await fsp.readFile(p.file, 'utf8')));
+      line = `${s.strokes} strokes  ${s.lines} lines  ${s.lastUpdated || '-'}`;
+    } catch (err) {
+      line = `unreadable: ${err.message}`;
+    }
+    const alias = aliases[String(p.book)] ? `  [${aliases[String(p.book)]}]` : '';
+    out(`${formatPageRef(p.book, p.pageId).padEnd(12)}  ${line}${alias}`);
+  }
+}
+
+async function cmdShow(root, refs, options, out) {
+  if (refs.length !== 1) throw new UsageError('show takes one page, e.g. show B12/P3');
+  const { book, pageId, file, doc } = await readPage(root, refs[0]);
+  const alias = ((await readJson(aliasesPath(root))) || {})[String(book)];
+  const s = summarizePage(doc);
+  out(`${formatPageRef(book, pageId)}${alias ? ` (${alias})` : ''}`);
+  out(`  file:              ${relPath(root, file)}`);
+  out(`  strokes:           ${s.strokes}`);
+  out(`  lines:             ${s.lines}${describeStates(s.states)}`);
+  out(`  last updated:      ${s.lastUpdated || '-'}`);
+  out(`  last transcribed:  ${s.lastTranscribed || '-'}`);
+  const markdown = exportPage(doc, 'md');
+  if (markdown) out(`\n${markdown.trimEnd()}`);
+}
+
+async function cmdValidate(root, refs, options, out) {
+  const issues = [];
+  if (refs.length === 0) {
+    const file = aliasesPath(root);
+    try {
+      const raw = await readJson(file);
+      if (raw !== null) issues.push(...checkAliases(raw, relPath(root, file)));
+    } catch (err) {
+      issues.push(unreadableAliasesIssue(relPath(root, file), err.message));
+    }
+  }
+  const pages = await selectPages(root, refs);
+  for (const p of pages) {
+    const where = { book: p.book, pageId: p.pageId, relPath: relPath(root, p.file) };
+    let doc;
+    try {
+      doc = deserializePageDoc(await fsp.readFile(p.file, 'utf8'));
+    } catch (err) {
+      issues.push(unreadablePageIssue(where, err.message, await hasHistory(root, p.book, p.pageId)));
+      continue;
+    }
+    issues.push(...checkPageDoc(doc, where));
+  }
+  for (const issue of issues) out(`${issue.severity.padEnd(7)}  ${issue.relPath}: ${issue.message}`);
+  out(`${pages.length} page(s) checked, ${issues.length} issue(s)`);
+  return issues.length > 0 ? 1 : 0;
+}
+
+async function cmdExport(root, refs, options, out) {
+  const format = options.format;
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new UsageError(`export needs --format ${EXPORT_FORMATS.join('|')}`);
+  }
+  const pages = await selectPages(root, refs);
+  if (!options.out) {
+    if (pages.length !== 1) throw new UsageError('export without --out writes one page to stdout; pass --out <dir> for more');
+    process.stdout.write(exportPage(await readJson(pages[0].file), format));
+    return 0;
+  }
+  for (const p of pages) {
+    const target = path.join(path.resolve(options.out), `B${p.book}`, `P${p.pageId}.${format}`);
+    if (!options['dry-run']) await writeFileAtomic(target, exportPage(await readJson(p.file), format));
+    out(`${formatPageRef(p.book, p.pageId).padEnd(12)}  → ${target}`);
+  }
+  out(`${options['dry-run'] ? 'Would export' : 'Exported'} ${pages.length} page(s)`);
+}
+
+async function cmdExportDays(root, refs, options, out) {
+  if (!options.out) throw new UsageError('export-days needs --out <dir>');
+  const pages = [];
+  for (const p of await selectPages(root, refs)) pages.push({ book: p.book, pageId: p.pageId, doc: await readJson(p.file) });
+  const days = pagesToDayMarkdown(pages, (await readJson(aliasesPath(root))) || {});
+  for (const day of days) {
+    const target = path.join(path.resolve(options.out), day.fileName);
+    if (!options['dry-run']) await writeFileAtomic(target, day.text);
+    out(`${day.date}  → ${target}`);
+  }
+  out(`${options['dry-run'] ? 'Would export' : 'Exported'} ${days.length} day(s) from ${pages.length} page(s)`);
+}
+
+async function cmdPublishGraph(root, [graphRoot, ...refs], options, out) {
+  if (!graphRoot) throw new UsageError('publish-graph needs the graph folder, e.g. publish-graph ~/logseq/notes');
+  const mode = options.markdown ?? 'off';
+  if (!GRAPH_MARKDOWN_MODES.includes(mode)) {
+    throw new UsageError(`--markdown must be ${GRAPH_MARKDOWN_MODES.filter(m => m !== 'off').join(' or ')}`);
+  }
+  const stat = await fsp.stat(graphRoot).catch(() => null);
+  if (!stat?.isDirectory()) throw new Error(`Graph folder not found: ${graphRoot}`);
+
+  const assetsDir = path.join(graphRoot, ...SMARTPEN_ASSETS_REL.split('/'));
+  const indexPath = path.join(assetsDir, SMARTPEN_INDEX_NAME);
+  let index = null;
+  try {
+    index = await readJson(indexPath);
+  } catch {
+    // A corrupt manifest shouldn't block publishing; start clean.
+  }
+
+  const pages = [];
+  for (const p of await selectPages(root, refs)) pages.push({ book: p.book, pageId: p.pageId, doc: await readJson(p.file) });
+  const aliases = (await readJson(aliasesPath(root))) || {};
+  const published = publishPages(index, pages, aliases);
+
+  // What each page looked like when last published, for the journals its
+  // Markdown went to then (read before the assets are overwritten)
+  const previous = new Map();
+  for (const { book, pageId } of mode === 'off' ? [] : pages) {
+    try {
+      previous.set(formatPageRef(book, pageId), await readJson(path.join(assetsDir, smartpenAssetName(book, pageId))));
+    } catch {
+      // An unreadable asset is overwritten below anyway
+    }
+  }
+
+  // Assets first (the data), then the manifest that points discovery at them.
+  for (const asset of published.assets) {
+    const target = path.join(assetsDir, smartpenAssetName(asset.book, asset.pageId));
+    if (!options['dry-run']) await writeFileAtomic(target, asset.text);
+    out(`${formatPageRef(asset.book, asset.pageId).padEnd(12)}  → ${target}`);
+  }
+  if (!options['dry-run']) await writeFileAtomic(indexPath, JSON.stringify(published.index, null, 2) + '\n');
+
+  for (const { book, pageId, doc } of mode === 'off' ? [] : pages) {
+    const built = buildGraphMarkdown(doc, { book, pageId, alias: aliases[String(book)] ?? null, mode });
+    const { svg, markdown, journals = [], routed = [], superseded } = built;
+    // The other modes' output carries the same block ids
+    const stale = superseded && path.join(graphRoot, ...superseded.relPath.split('/'));
+    if (stale && !options['dry-run']) {
+      if (!superseded.journal) await fsp.rm(stale, { force: true });
+      else await removeFromJournal(stale, book, pageId);
+    }
+    if (!options['dry-run']) {
+      const last = previous.get(formatPageRef(book, pageId)) ?? null;
+      for (const relPath of [...staleJournalPaths(last, built), ...staleRoutedPaths(last, built)]) {
+        await removeFromJournal(path.join(graphRoot, ...relPath.split('/')), book, pageId);
+      }
+    }
+    for (const file of [svg, markdown, ...journals, ...routed].filter(Boolean)) {
+      const target = path.join(graphRoot, ...file.relPath.split('/'));
+      if (!options['dry-run']) {
+        let text = file.text;
+        if (file.block) text = upsertJournalBlock(await readText(target), file.block, { book, pageId });
+        await writeFileAtomic(target, text);
+      }
+      out(`${formatPageRef(book, pageId).padEnd(12)}  → ${target}`);
+    }
+  }
+  out(`${options['dry-run'] ? 'Would publish' : 'Published'} ${pages.length} page(s) to ${graphRoot}`);
+}
+
+/** Take a page's block out of a journal (or routed page) file, if it's there. */
+async function removeFromJournal(file, book, pageId) {
+  const text = removeJournalBlock(await readText(file), { book, pageId });
+  if (text !== null) await writeFileAtomic(file, text);
+}
+
+async function cmdRenameBook(root, [bookArg, name], options, out) {
+  const book = String(bookArg || '').replace(/^B/i, '');
+  if (!/^\d+$/.test(book)) throw new UsageError('rename-book needs a book number, e.g. rename-book 387 "Site Visits"');
+  const aliases = (await readJson(aliasesPath(root))) || {};
+
+  if (options.to == null) {
+    if (name == null) throw new UsageError('rename-book needs a name ("" to clear it) or --to <book>');
+    const next = withBookAlias(aliases, book, name);
+    if (!options['dry-run']) await writeFileAtomic(aliasesPath(root), JSON.stringify(next, null, 2));
+    const note = options['dry-run'] ? ' (dry run)' : '';
+    out(next[book] ? `B${book} is now "${next[book]}"${note}` : `B${book} alias cleared${note}`);
+    return;
+  }
+
+  const to = String(options.to).replace(/^B/i, '');
+  if (!/^\d+$/.test(to) || to === book) throw new UsageError(`--to needs a different book number than ${book}`);
+  const pages = (await listPageFiles(root)).filter(p => p.book === Number(book));
+  if (pages.length === 0) throw new Error(`No such book: B${book}`);
+  if (fs.existsSync(bookDir(root, to))) {
+    throw new Error(`B${to} already exists; fold its pages together with merge-pages instead`);
+  }
+
+  if (!options['dry-run']) {
+    // Moving the folder carries the history and any conflict copies along;
+    // the pages then take the new number (snapshotted like any other save).
+    await fsp.rename(bookDir(root, book), bookDir(root, to));
+    for (const p of pages) {
+      await writePage(root, Number(to), p.pageId, renumberPageDoc(await readJson(pagePath(root, to, p.pageId)), Number(to)));
+    }
+    if (aliases[book] != null) {
+      const next = withBookAlias(withBookAlias(aliases, to, aliases[book]), book, null);
+      await writeFileAtomic(aliasesPath(root), JSON.stringify(next, null, 2));
+    }
+  }
+  out(`${options['dry-run'] ? 'Would move' : 'Moved'} ${pages.length} page(s) from B${book} to B${to}`);
+  out('Pages already published to a graph keep their old name there; run publish-graph to add the new ones.');
+}
+
+async function cmdMergePages(root, refs, options, out) {
+  if (refs.length < 2) throw new UsageError('merge-pages needs a target and at least one source, e.g. merge-pages B12/P3 B12/P3b');
+  const target = await readPage(root, refs[0]);
+  const sources = [];
+  for (const ref of refs.slice(1)) {
+    const source = await readPage(root, ref);
+    if (source.file === target.file || sources.some(s => s.file === source.file)) {
+      throw new UsageError(`${ref} is named twice`);
+    }
+    sources.push(source);
+  }
+
+  const { doc, reports } = mergePages(target.doc, sources.map(s => s.doc));
+  reports.forEach((r, i) => {
+    const folded = r.linesFolded ? `, ${r.linesFolded} duplicate line(s) folded` : '';
+    const conflicts = r.strokeConflicts + r.lineConflicts.length;
+    out(`${formatPageRef(sources[i].book, sources[i].pageId).padEnd(12)}  +${r.strokesFromTheirs} strokes, +${r.linesFromTheirs} lines${folded}${conflicts ? `, ${conflicts} conflict(s)` : ''}`);
+  });
+
+  if (!options['dry-run']) {
+    await writePage(root, target.book, target.pageId, doc);
+    if (options.remove) for (const s of sources) await removePage(root, s.book, s.pageId);
+  }
+  const dryRun = options['dry-run'];
+  const removed = options.remove ? (dryRun ? ' and remove them' : ' and removed them') : '';
+  out(`${dryRun ? 'Would merge' : 'Merged'} ${sources.length} page(s) into ${formatPageRef(target.book, target.pageId)}${removed}: ${doc.strokes.length} strokes, ${doc.transcript.lines.length} lines`);
+}
+
+const COMMANDS = {
+  list: cmdList,
+  show: cmdShow,
+  validate: cmdValidate,
+  export: cmdExport,
+  'export-days': cmdExportDays,
+  'publish-graph': cmdPublishGraph,
+  'rename-book': cmdRenameBook,
+  'merge-pages': cmdMergePages
+};
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function usage() {
+  const source = fs.readFileSync(new URL(import.meta.url), 'utf8');
+  const header = source.slice(source.indexOf('/**') + 3, source.indexOf('*/'));
+  return header.split('\n').map(l => l.replace(/^ \* ?/, '')).join('\n').trim();
+}
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      root: { type: 'string' },
+      format: { type: 'string' },
+      out: { type: 'string' },
+      to: { type: 'string' },
+      markdown: { type: 'string' },
+      remove: { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  const [command, ...args] = positionals;
+  if (options.help || !command) {
+    console.log(usage());
+    return 0;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new UsageError(`Unknown command: ${command}`);
+
+  const root = options.root || process.env.SMARTPEN_DATA_ROOT;
+  if (!root) throw new UsageError('Pass the data folder with --root <dir> or SMARTPEN_DATA_ROOT');
+  if (!fs.existsSync(path.join(root, 'pages'))) throw new Error(`Not a data folder (no pages/): ${root}`);
+
+  return (await run(path.resolve(root), args, options, line => console.log(line))) || 0;
+}
+
+main().then(
+  code => process.exit(code),
+  err => {
+    console.error(err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION'
+      ? `${err.message}\nRun with --help for usage.`
+      : `Error: ${err.message}`);
+    process.exit(err instanceof UsageError ? 2 : 1);
+  }
+);
@@ -0,0 +1,142 @@
+/**
+ * Tests for the audio recorded while writing — lib/audio/audio-refs.js,
+ * lib/audio/audio-recorder.js, storage/page-audio.js and stores/audio.js.
+ *
+ * Coverage:
+ *   - audioFileName / recordingCoversStrokes / mergeAudioRefs / findRecordingAt
+ *   - startRecording through the fake source: a silent WAV of the right length
+ *   - saveRecording: one file per book written in, saved pages that now list
+ *     it, nothing stored when nothing was written
+ *   - audioRefsForPage and seekAudioTo from the registered recordings
+ *
+ * getPage / savePage are mocked and window.storageAPI stands in for main's
+ * audio IPC.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { get } from 'svelte/store';
+
+vi.mock('$lib/storage/local-store.js', () => ({
+  getPage: vi.fn(),
+  savePage: vi.fn(),
+}));
+
+import { getPage, savePage } from '$lib/storage/local-store.js';
+import { audioFileName, recordingCoversStrokes, mergeAudioRefs, findRecordingAt } from '../audio/audio-refs.js';
+import { fakeAudioSource, setAudioSource, startRecording } from '../audio/audio-recorder.js';
+import { saveRecording, audioRefsForPage } from '../storage/page-audio.js';
+import { audioLibrary, audioPlayback, registerAudioRefs, seekAudioTo } from '$stores/audio.js';
+import { dataRoot } from '$stores/settings.js';
+
+const T = 1765403005000;
+const ref = (start, end, file = `audio-${start}.webm`) => ({ file, startTime: start, endTime: end, mimeType: 'audio/webm' });
+
+describe('audio refs', () => {
+  it('names files by start time and container', () => {
+    expect(audioFileName(T, 'audio/webm;codecs=opus')).toBe(`audio-${T}.webm`);
+    expect(audioFileName(T, 'audio/wav')).toBe(`audio-${T}.wav`);
+    expect(audioFileName(T, 'audio/unknown')).toBe(`audio-${T}.webm`);
+  });
+
+  it('tells whether strokes were begun during a recording', () => {
+    const r = ref(T, T + 60000);
+    expect(recordingCoversStrokes(r, [{ startTime: T - 1 }, { startTime: T + 1000 }])).toBe(true);
+    expect(recordingCoversStrokes(r, [{ startTime: T + 60001 }, { points: [] }])).toBe(false);
+  });
+
+  it('merges refs one per file in recording order', () => {
+    const merged = mergeAudioRefs([ref(T + 5000, T + 6000)], [ref(T, T + 1000), { ...ref(T + 5000, T + 6000), book: 3 }]);
+    expect(merged.map(r => r.startTime)).toEqual([T, T + 5000]);
+    expect(merged[1]).not.toHaveProperty('book');
+    expect(mergeAudioRefs(undefined, [])).toEqual([]);
+  });
+
+  it('finds the recording at a moment, latest take first', () => {
+    const early = ref(T, T + 60000);
+    const late = ref(T + 30000, T + 90000);
+    expect(findRecordingAt([early, late], T + 10000)).toEqual({ recording: early, offset: 10 });
+    expect(findRecordingAt([early, late], T + 40000)).toEqual({ recording: late, offset: 10 });
+    expect(findRecordingAt([early], T + 61000)).toBeNull();
+    expect(findRecordingAt([early], undefined)).toBeNull();
+  });
+});
+
+describe('startRecording', () => {
+  afterEach(() => setAudioSource(null));
+
+  it('records silence of the elapsed length from the fake source', async () => {
+    let clock = T;
+    const now = () => clock;
+    setAudioSource(() => fakeAudioSource({ sampleRate: 8000, now }));
+    const recording = await startRecording({ now });
+    clock += 2000;
+    const result = await recording.stop();
+    expect(result).toMatchObject({ mimeType: 'audio/wav', startTime: T, endTime: T + 2000 });
+    expect(result.blob.size).toBe(44 + 2 * 8000 * 2);
+  });
+});
+
+describe('saveRecording', () => {
+  let written;
+
+  beforeEach(() => {
+    written = [];
+    audioLibrary.set(new Map());
+    dataRoot.set('/data');
+    window.storageAPI = {
+      writeAudio: vi.fn(async (root, book, fileName, bytes) => {
+        written.push(`B${book}/${fileName} ${bytes.length}`);
+        return { ok: true, result: {} };
+      })
+    };
+    getPage.mockReset();
+    savePage.mockReset();
+  });
+
+  afterEach(() => {
+    delete window.storageAPI;
+    dataRoot.set('');
+  });
+
+  const recording = { blob: new Blob([new Uint8Array(10)], { type: 'audio/webm' }), mimeType: 'audio/webm', startTime: T, endTime: T + 60000 };
+  const pen = (book, page, startTime) => ({ pageInfo: { book, page }, startTime, dotArray: [] });
+
+  it('stores the file per book and links the saved pages', async () => {
+    getPage.mockImplementation(async (book, page) =>
+      (book === 3 && page === 1 ? { metadata: { audio: [ref(T - 90000, T - 70000)] }, strokes: [{ startTime: T + 1000 }] } : null));
+    const result = await saveRecording(recording, [pen(3, 1, T + 1000), pen(3, 2, T + 2000), pen(7, 5, T + 3000), pen(9, 9, T - 5000)]);
+
+    expect(written).toEqual([`B3/audio-${T}.webm 10`, `B7/audio-${T}.webm 10`]);
+    expect(result.pages).toEqual([{ book: 3, page: 1 }, { book: 3, page: 2 }, { book: 7, page: 5 }]);
+    expect(result.linked).toBe(1);
+    expect(savePage).toHaveBeenCalledTimes(1);
+    const [, , doc] = savePage.mock.calls[0];
+    expect(doc.metadata.audio.map(r => r.file)).toEqual([`audio-${T - 90000}.webm`, `audio-${T}.webm`]);
+
+    // Pages not saved yet pick the recording up on save
+    expect(audioRefsForPage(3, [{ startTime: T + 2000 }])).toEqual([ref(T, T + 60000)]);
+    expect(audioRefsForPage(9, [{ startTime: T + 2000 }])).toEqual([]);
+  });
+
+  it('stores nothing when nothing was written meanwhile', async () => {
+    expect(await saveRecording(recording, [pen(3, 1, T - 1000)])).toEqual({ ref: null, pages: [], linked: 0 });
+    expect(written).toEqual([]);
+  });
+});
+
+describe('seekAudioTo', () => {
+  beforeEach(() => {
+    audioLibrary.set(new Map());
+    audioPlayback.set(null);
+  });
+
+  it('plays the registered recording from a stroke', () => {
+    registerAudioRefs('4', [ref(T, T + 60000)]);
+    expect(seekAudioTo(T + 1500)).toBe(true);
+    expect(get(audioPlayback)).toMatchObject({ ref: { book: 4, file: `audio-${T}.webm` }, offset: 1.5 });
+    const { seq } = get(audioPlayback);
+    seekAudioTo(T + 1500);
+    expect(get(audioPlayback).seq).toBe(seq + 1);
+    expect(seekAudioTo(T - 1)).toBe(false);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for recognition/bullet-symbols.js — reading hand-drawn bullet-journal
+ * symbols into transcript line states.
+ *
+ * Coverage:
+ *   - symbols: checkbox, dot, circle, dash → todo / event / note
+ *   - marks: X and tick → done, single stroke → cancelled, > → migrated,
+ *     < → scheduled
+ *   - lines without a bullet (plain text, ink too close to the text)
+ *   - the symbol's recognized word dropped from the text
+ *   - manual states kept, and carried to a re-transcribed line
+ *   - detections forgotten when their ink is deleted
+ *   - carryBulletState (editors that only know `checked`)
+ *
+ * Strokes are drawn in millimetres and converted to Ncode units.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { classifyBulletSymbols, carryBulletState, withManualState, lineState } from '../recognition/bullet-symbols.js';
+
+const MM = 2.371;
+let nextTime = 1000;
+
+/** A stroke through the given points (mm), optionally linked to a line. */
+function stroke(pointsMm, lineId = 'L1') {
+  const startTime = nextTime++;
+  return { id: `s${startTime}`, startTime, endTime: startTime + 100, lineId, points: pointsMm.map(([x, y]) => [x / MM, y / MM]) };
+}
+
+/** Densify a polyline so shapes have enough points to measure. */
+function path(corners, steps = 8) {
+  const out = [];
+  for (let i = 0; i < corners.length - 1; i++) {
+    const [x1, y1] = corners[i];
+    const [x2, y2] = corners[i + 1];
+    for (let k = 0; k < steps; k++) out.push([x1 + ((x2 - x1) * k) / steps, y1 + ((y2 - y1) * k) / steps]);
+  }
+  out.push(corners[corners.length - 1]);
+  return out;
+}
+
+const box = (x, y, size = 4) => stroke(path([[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y + 0.2]]));
+const circle = (cx, cy, r = 2) => stroke(Array.from({ length: 41 }, (_, i) => [cx + r * Math.cos((i / 40) * 2 * Math.PI), cy + r * Math.sin((i / 40) * 2 * Math.PI)]));
+const dot = (x, y) => stroke([[x, y], [x + 0.3, y + 0.2], [x + 0.1, y + 0.4]]);
+const dash = (x, y) => stroke(path([[x, y], [x + 3, y + 0.1]]));
+const line = (from, to) => stroke(path([from, to]));
+const chevron = (x, y, pointsRight = true) =>
+  stroke(path(pointsRight ? [[x, y - 1.5], [x + 1.5, y], [x, y + 1.5]] : [[x + 1.5, y - 1.5], [x, y], [x + 1.5, y + 1.5]]));
+/** Handwriting-ish zigzags starting at x, 2mm tall. */
+const text = (x, y, letters = 3) => Array.from({ length: letters }, (_, i) => stroke(path([[x + i * 2, y + 2], [x + i * 2 + 0.5, y], [x + i * 2 + 1, y + 2], [x + i * 2 + 1.5, y]])));
+
+/** A page with one line at y 10–14 mm and the given strokes. */
+function page(strokes, lineFields = {}) {
+  return {
+    version: '2.1',
+    pageInfo: { section: 0, owner: 0, book: 3, page: 12 },
+    metadata: { lastUpdated: '2026-10-19T10:00:00.000Z', totalStrokes: strokes.length, bounds: {} },
+    transcript: {
+      lastTranscribed: null,
+      lines: [{ id: 'L1', text: 'Buy milk', indentLevel: 0, parentId: null, checked: null, yBounds: { minY: 10 / MM, maxY: 14 / MM }, ...lineFields }]
+    },
+    strokes
+  };
+}
+
+const classify = (strokes, lineFields) => classifyBulletSymbols(page(strokes, lineFields)).doc.transcript.lines[0];
+
+describe('symbols', () => {
+  it('reads a checkbox as a TODO', () => {
+    const symbol = box(10, 10);
+    const out = classify([symbol, ...text(17, 11)]);
+    expect(out.state).toBe('todo');
+    expect(out.checked).toBe(false);
+    expect(out.bullet).toMatchObject({ symbol: 'checkbox', state: 'todo', strokeIds: [symbol.id] });
+    expect(out.bullet.confidence).toBeGreaterThan(0.6);
+  });
+
+  it('reads dots, circles and dashes', () => {
+    expect(classify([dot(10, 12), ...text(14, 11)])).toMatchObject({ state: 'todo', bullet: { symbol: 'dot' } });
+    expect(classify([circle(12, 12), ...text(17, 11)])).toMatchObject({ state: 'event', checked: null, bullet: { symbol: 'circle' } });
+    expect(classify([dash(10, 12), ...text(16, 11)])).toMatchObject({ state: 'note', bullet: { symbol: 'dash' } });
+  });
+});
+
+describe('marks', () => {
+  it('reads an X or a tick in the box as DONE', () => {
+    const crossed = classify([box(10, 10), line([10.5, 10.5], [13.5, 13.5]), line([13.5, 10.5], [10.5, 13.5]), ...text(17, 11)]);
+    expect(crossed).toMatchObject({ state: 'done', checked: true });
+    expect(crossed.bullet.strokeIds).toHaveLength(3);
+
+    const ticked = classify([box(10, 10), stroke(path([[10.8, 12], [11.8, 13.4], [13.4, 10.6]])), ...text(17, 11)]);
+    expect(ticked.state).toBe('done');
+  });
+
+  it('reads a single stroke through the box as cancelled', () => {
+    expect(classify([box(10, 10), line([10.3, 13.7], [13.7, 10.3]), ...text(17, 11)])).toMatchObject({ state: 'cancelled', checked: null });
+  });
+
+  it('reads > as migrated and < as scheduled', () => {
+    expect(classify([box(10, 10), chevron(14.5, 12), ...text(19, 11)]).state).toBe('migrated');
+    expect(classify([dot(10, 12), chevron(9.6, 12.2, false), ...text(15, 11)]).state).toBe('scheduled');
+  });
+});
+
+describe('lines without a bullet', () => {
+  it('leaves plain handwriting alone', () => {
+    const out = classify(text(10, 11, 4));
+    expect(out).not.toHaveProperty('bullet');
+    expect(out).not.toHaveProperty('state');
+    expect(out.checked).toBeNull();
+  });
+
+  it('needs a gap between the symbol and the text', () => {
+    expect(classify([box(10, 10), ...text(14.3, 11)])).not.toHaveProperty('bullet');
+  });
+
+  it('keeps a checkbox state set before bullets were detected', () => {
+    expect(classify(text(10, 11), { checked: true }).checked).toBe(true);
+  });
+});
+
+describe('recognized text', () => {
+  it('drops the word the recognizer read from the symbol', () => {
+    const symbol = box(10, 10);
+    const words = [{ text: 'D', strokeIds: [symbol.id] }, { text: 'Buy', strokeIds: ['x'] }, { text: 'milk' }];
+    const out = classify([symbol, ...text(17, 11)], { text: 'D Buy milk', words });
+    expect(out.text).toBe('Buy milk');
+    expect(out.words.map((w) => w.text)).toEqual(['Buy', 'milk']);
+  });
+});
+
+describe('manual states', () => {
+  it('keeps a state picked by hand, updating only the detection', () => {
+    const out = classify([box(10, 10), line([10.3, 13.7], [13.7, 10.3]), ...text(17, 11)], { state: 'todo', checked: false, stateSource: 'manual' });
+    expect(out).toMatchObject({ state: 'todo', checked: false, stateSource: 'manual', bullet: { state: 'cancelled' } });
+  });
+
+  it('follows the symbol onto a line recreated by re-transcription', () => {
+    const symbol = box(10, 10);
+    const doc = page([symbol, ...text(17, 11)]);
+    const old = { ...doc.transcript.lines[0], id: 'gone', yBounds: null, state: 'done', checked: true, stateSource: 'manual', bullet: { symbol: 'checkbox', state: 'todo', strokeIds: [symbol.id], confidence: 0.9 } };
+    doc.transcript.lines.push(old);
+
+    const [fresh, stale] = classifyBulletSymbols(doc).doc.transcript.lines;
+    expect(fresh).toMatchObject({ state: 'done', checked: true, stateSource: 'manual' });
+    expect(stale).toMatchObject({ state: 'done', stateSource: 'manual' });
+    expect(stale).not.toHaveProperty('bullet');
+  });
+
+  it('withManualState clears the state to none', () => {
+    const out = withManualState({ id: 'L1', state: 'done', checked: true }, null);
+    expect(out).toEqual({ id: 'L1', checked: null, stateSource: 'manual' });
+    expect(lineState(out)).toBeNull();
+  });
+});
+
+describe('deleted ink', () => {
+  it('forgets a detection once its symbol is erased', () => {
+    const bullet = { symbol: 'checkbox', state: 'done', strokeIds: ['s1'], confidence: 0.9 };
+    const out = classify(text(17, 11), { state: 'done', checked: true, bullet });
+    expect(out).not.toHaveProperty('bullet');
+    expect(out).not.toHaveProperty('state');
+    expect(out.checked).toBeNull();
+  });
+});
+
+describe('carryBulletState', () => {
+  const previous = { id: 'L1', checked: null, state: 'migrated', bullet: { symbol: 'checkbox', state: 'migrated', strokeIds: ['s1'], confidence: 0.9 } };
+
+  it('keeps the state when the checkbox was not touched', () => {
+    expect(carryBulletState({ id: 'L1', text: 'x', checked: null }, previous)).toMatchObject({ state: 'migrated', bullet: previous.bullet });
+  });
+
+  it('treats a toggled checkbox as a manual state', () => {
+    expect(carryBulletState({ id: 'L1', text: 'x', checked: true }, previous)).toMatchObject({ state: 'done', checked: true, stateSource: 'manual' });
+    expect(carryBulletState({ id: 'L2', checked: false }, undefined)).toEqual({ id: 'L2', checked: false });
+  });
+});
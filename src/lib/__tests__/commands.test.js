@@ -0,0 +1,154 @@
+/**
+ * Tests for the inline command framework (commands/registry.js and
+ * commands/builtin-commands.js).
+ *
+ * Coverage:
+ *   - registry (custom commands, replacing, removing, invalid names)
+ *   - detectCommands (registered tags only, lines covered by indentation,
+ *     validation errors; used by buildTranscription)
+ *   - built-ins: parseCommandDate formats, tag lists
+ *   - applyCommands (page/tag/date properties on the covered lines, stale
+ *     properties dropped, invalid tags reported, [sketch] export written
+ *     the same way every time, failing actions don't block the save)
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { get } from 'svelte/store';
+import { logMessages } from '$stores';
+import {
+  registerCommand,
+  unregisterCommand,
+  getCommand,
+  listCommands,
+  detectCommands,
+  applyCommands
+} from '../commands/registry.js';
+import { parseCommandDate } from '../commands/builtin-commands.js';
+import { buildTranscription } from '../recognition/transcript-structure.js';
+
+const line = (id, text, indentLevel = 0, yBounds = null) => ({ id, text, indentLevel, parentId: null, checked: null, yBounds });
+const stroke = (startTime, minY, maxY, lineId = null) => ({ id: `s${startTime}`, startTime, lineId, points: [[10, minY], [20, maxY]] });
+const doc = (lines, strokes = []) => ({
+  version: '2.1',
+  pageInfo: { section: 0, owner: 0, book: 3, page: 12 },
+  metadata: { lastUpdated: '2026-10-19T10:00:00.000Z', totalStrokes: strokes.length, bounds: {} },
+  transcript: { lastTranscribed: null, lines },
+  strokes
+});
+
+describe('registry', () => {
+  afterEach(() => unregisterCommand('priority'));
+
+  it('ships the built-in commands', () => {
+    expect(listCommands().map((c) => c.name)).toEqual(expect.arrayContaining(['page', 'tag', 'date', 'sketch']));
+  });
+
+  it('adds, replaces and removes custom commands', () => {
+    const remove = registerCommand({ name: 'Priority', parse: (v) => Number(v) });
+    expect(getCommand('PRIORITY').parse('2')).toBe(2);
+
+    registerCommand({ name: 'priority', description: 'newer' });
+    expect(getCommand('priority').description).toBe('newer');
+    remove(); // the older registration no longer owns the name
+    expect(getCommand('priority')).not.toBeNull();
+
+    unregisterCommand('priority');
+    expect(getCommand('priority')).toBeNull();
+  });
+
+  it('rejects names that cannot be written in brackets', () => {
+    expect(() => registerCommand({ name: 'two words' })).toThrow('Invalid command name');
+  });
+});
+
+describe('detectCommands', () => {
+  it('finds registered tags with the lines indented under them', () => {
+    const lines = [line('a', 'Shop [page: Errands]'), line('b', 'milk', 1), line('c', 'eggs [x]', 2), line('d', 'Later')];
+    const commands = detectCommands(lines);
+    expect(commands).toEqual([
+      { command: 'page', value: 'Errands', args: 'Errands', error: null, lineIndex: 0, affectedLines: [0, 1, 2] }
+    ]);
+  });
+
+  it('reports tags whose value does not validate', () => {
+    const [command] = detectCommands([line('a', '[date: someday]')]);
+    expect(command.error).toMatch('unrecognized date');
+  });
+
+  it('is what buildTranscription reports as commands', () => {
+    const result = buildTranscription('Notes [tag: work]\n[todo: x]', []);
+    expect(result.commands.map((c) => [c.command, c.args])).toEqual([['tag', ['work']]]);
+  });
+});
+
+describe('built-in parsing', () => {
+  const now = new Date(2026, 9, 19, 12).getTime();
+
+  it('reads dates in several notations', () => {
+    expect(parseCommandDate('2026-10-19')).toBe('2026-10-19');
+    expect(parseCommandDate('19.10.2026')).toBe('2026-10-19');
+    expect(parseCommandDate('10/19/26')).toBe('2026-10-19');
+    expect(parseCommandDate('19 Oct 2026')).toBe('2026-10-19');
+    expect(parseCommandDate('October 19, 2026')).toBe('2026-10-19');
+    expect(parseCommandDate('tomorrow', now)).toBe('2026-10-20');
+    expect(parseCommandDate('2026-02-30')).toBeNull();
+    expect(parseCommandDate(null)).toBeNull();
+  });
+
+  it('splits tags on commas and drops the hash', () => {
+    expect(getCommand('tag').parse('#work, urgent, work')).toEqual(['work', 'urgent']);
+  });
+});
+
+describe('applyCommands', () => {
+  it('sets page, tag and date properties on the lines each tag covers', async () => {
+    const lines = [
+      line('a', 'Shopping [page: Errands] [tag: home]'),
+      line('b', 'milk [date: 2026-10-20]', 1),
+      line('c', 'Unrelated')
+    ];
+    const { doc: saved } = await applyCommands(doc(lines), { book: 3, page: 12 });
+
+    expect(saved.transcript.lines.map((l) => l.properties)).toEqual([
+      { page: 'Errands', tags: ['home'] },
+      { page: 'Errands', tags: ['home'], date: '2026-10-20' },
+      undefined
+    ]);
+    expect(lines[0].properties).toBeUndefined();
+  });
+
+  it('drops properties whose tag is gone and reports invalid tags', async () => {
+    const lines = [{ ...line('a', 'Shopping [page: ]'), properties: { page: 'Errands' } }];
+    const { doc: saved, results } = await applyCommands(doc(lines), { book: 3, page: 12 });
+
+    expect(saved.transcript.lines[0]).not.toHaveProperty('properties');
+    expect(results).toEqual([{ command: 'page', lineId: 'a', error: 'needs a page name, e.g. [page: Shopping]' }]);
+    expect(get(logMessages)[0].message).toBe('B3/P12: [page] needs a page name, e.g. [page: Shopping]');
+  });
+
+  it('exports the ink under [sketch] the same way every time', async () => {
+    const lines = [line('a', '[sketch: Floor plan]', 0, { minY: 10, maxY: 14 }), line('b', 'Next', 0, { minY: 60, maxY: 64 })];
+    const strokes = [stroke(1, 10, 14, 'a'), stroke(2, 20, 40), stroke(3, 30, 50), stroke(4, 60, 64, 'b')];
+    const writeExport = vi.fn(async () => ({ written: true }));
+
+    const first = await applyCommands(doc(lines, strokes), { book: 3, page: 12, writeExport });
+    await applyCommands(doc(lines, strokes), { book: 3, page: 12, writeExport });
+
+    const [relPath, text] = writeExport.mock.calls[0];
+    expect(relPath).toBe('exports/sketches/B3-P12-floor-plan.excalidraw');
+    const scene = JSON.parse(text);
+    expect(scene.type).toBe('excalidraw');
+    expect(scene.elements.map((e) => e.id)).toEqual(['s2', 's3']);
+    expect(writeExport.mock.calls[1][1]).toBe(text);
+    expect(first.doc.transcript.lines[0].properties).toEqual({ sketch: relPath });
+  });
+
+  it('saves without the effect when an action fails', async () => {
+    const lines = [line('a', '[sketch]', 0, { minY: 10, maxY: 14 })];
+    const { doc: saved, results } = await applyCommands(doc(lines), { book: 3, page: 12, writeExport: vi.fn() });
+
+    expect(saved.transcript.lines[0]).not.toHaveProperty('properties');
+    expect(results).toEqual([{ command: 'sketch', lineId: 'a', error: 'no ink found under the tag' }]);
+    expect(get(logMessages)[0].message).toContain('B3/P12 [sketch] failed');
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Tests for storage/conflict-merge.js — three-way merge of sync-conflict copies.
+ *
+ * Coverage:
+ *   - mergePageDocs strokes (union by id, deletions respected with a base,
+ *     nothing deleted without one, one-sided edits, both-sided conflicts)
+ *   - mergePageDocs lines (one-sided edits, conflicts, edit beats delete,
+ *     independent duplicate transcriptions folded + strokes re-pointed, fold
+ *     counts kept apart from each side's additions,
+ *     dangling lineIds cleared, top-to-bottom ordering)
+ *   - metadata recomputed, audio recordings of both sides kept, missing original
+ *   - pickMergeBase (newest readable version predating both sides)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mergePageDocs, pickMergeBase } from '../storage/conflict-merge.js';
+
+const NOW = '2026-03-01T00:00:00.000Z';
+
+function doc(strokes, lines = [], lastUpdated = '2026-01-01T00:00:00.000Z') {
+  return {
+    version: '2.1',
+    pageInfo: { section: 3, owner: 27, book: 3, page: 12 },
+    metadata: { lastUpdated, totalStrokes: strokes.length, bounds: {} },
+    transcript: { lastTranscribed: null, lines },
+    strokes
+  };
+}
+const stroke = (n, lineId = null) => ({ id: `s${n}`, startTime: n, lineId, points: [[n, n * 10]] });
+const line = (id, text, minY, extra = {}) => ({
+  id, text, indentLevel: 0, parentId: null, checked: null, yBounds: { minY, maxY: minY + 5 }, ...extra
+});
+const ids = (items) => items.map((i) => i.id);
+
+describe('mergePageDocs — strokes', () => {
+  it('unions strokes added on either side, sorted by startTime', () => {
+    const base = doc([stroke(1)]);
+    const ours = doc([stroke(1), stroke(3)]);
+    const theirs = doc([stroke(1), stroke(2)]);
+    const { doc: out, report } = mergePageDocs(base, ours, theirs, { now: NOW });
+    expect(ids(out.strokes)).toEqual(['s1', 's2', 's3']);
+    expect(report.strokesFromOurs).toBe(1);
+    expect(report.strokesFromTheirs).toBe(1);
+  });
+
+  it('respects a deletion made on either side', () => {
+    const base = doc([stroke(1), stroke(2), stroke(3)]);
+    const ours = doc([stroke(1), stroke(3)]);   // deleted s2
+    const theirs = doc([stroke(1), stroke(2)]); // deleted s3
+    const { doc: out, report } = mergePageDocs(base, ours, theirs, { now: NOW });
+    expect(ids(out.strokes)).toEqual(['s1']);
+    expect(report.strokesDeleted).toBe(2);
+  });
+
+  it('keeps a deletion even if the other side relinked the stroke', () => {
+    const base = doc([stroke(1), stroke(2)], [line('l1', 'a', 10)]);
+    const ours = doc([stroke(1)], [line('l1', 'a', 10)]);
+    const theirs = doc([stroke(1), stroke(2, 'l1')], [line('l1', 'a', 10)]);
+    expect(ids(mergePageDocs(base, ours, theirs, { now: NOW }).doc.strokes)).toEqual(['s1']);
+  });
+
+  it('treats nothing as deleted without a base', () => {
+    const { doc: out, report } = mergePageDocs(null, doc([stroke(1)]), doc([stroke(2)]), { now: NOW });
+    expect(ids(out.strokes)).toEqual(['s1', 's2']);
+    expect(report.hasBase).toBe(false);
+    expect(report.strokesDeleted).toBe(0);
+  });
+
+  it('takes a one-sided change and resolves two-sided ones to the newer doc', () => {
+    const lines = [line('a', 'A', 10), line('b', 'B', 20)];
+    const base = doc([stroke(1), stroke(2)], lines);
+    const ours = doc([stroke(1, 'a'), stroke(2, 'a')], lines, '2026-01-02T00:00:00.000Z');
+    const theirs = doc([stroke(1), stroke(2, 'b')], lines, '2026-01-03T00:00:00.000Z');
+    const { doc: out, report } = mergePageDocs(base, ours, theirs, { now: NOW });
+    expect(out.strokes.map((s) => s.lineId)).toEqual(['a', 'b']);
+    expect(report.strokeConflicts).toBe(1);
+  });
+});
+
+describe('mergePageDocs — transcript lines', () => {
+  it('takes a line edited on one side only', () => {
+    const base = doc([], [line('l1', 'helo', 10)]);
+    const ours = doc([], [line('l1', 'helo', 10)]);
+    const theirs = doc([], [line('l1', 'hello', 10)]);
+    const { doc: out, report } = mergePageDocs(base, ours, theirs, { now: NOW });
+    expect(out.transcript.lines[0].text).toBe('hello');
+    expect(report.lineConflicts).toEqual([]);
+  });
+
+  it('reports a line edited on both sides, keeping the newer doc', () => {
+    const base = doc([], [line('l1', 'x', 10)]);
+    const ours = doc([], [line('l1', 'ours', 10)], '2026-01-05T00:00:00.000Z');
+    const theirs = doc([], [line('l1', 'theirs', 10)], '2026-01-04T00:00:00.000Z');
+    const { doc: out, report } = mergePageDocs(base, ours, theirs, { now: NOW });
+    expect(out.transcript.lines[0].text).toBe('ours');
+    expect(report.lineConflicts).toHaveLength(1);
+    expect(report.lineConflicts[0]).toMatchObject({ id: 'l1', kept: 'ours' });
+    expect(report.lineConflicts[0].theirs.text).toBe('theirs');
+  });
+
+  it('keeps a hand edit over a deletion on the other side', () => {
+    const base = doc([], [line('l1', 'x', 10), line('l2', 'y', 20)]);
+    const ours = doc([], [line('l1', 'x', 10)]);                             // deleted l2
+    const theirs = doc([], [line('l1', 'x', 10), line('l2', 'y fixed', 20)]); // edited l2
+    const { doc: out } = mergePageDocs(base, ours, theirs, { now: NOW });
+    expect(out.transcript.lines.map((l) => l.text)).toEqual(['x', 'y fixed']);
+  });
+
+  it('folds a line both machines transcribed and re-points its strokes', () => {
+    const base = doc([stroke(1)]);
+    const ours = doc([stroke(1, 'mine')], [line('mine', 'Groceries', 10)]);
+    const theirs = doc([stroke(1, 'yours'), stroke(2, 'yours')], [line('yours', 'Groceries', 11)]);
+    const { doc: out, report } = mergePageDocs(base, ours, theirs, { now: NOW });
+    expect(ids(out.transcript.lines)).toEqual(['mine']);
+    expect(out.strokes.map((s) => s.lineId)).toEqual(['mine', 'mine']);
+    expect(report.linesFolded).toBe(1);
+    expect(report.linesFromTheirs).toBe(0);
+    expect(report.strokeConflicts).toBe(0);
+  });
+
+  it('counts a fold of a line kept by edit-beats-delete without touching the copy\'s additions', () => {
+    // We deleted l1 and re-transcribed the same ink as l2; the copy fixed l1's text
+    const base = doc([], [line('l1', 'Grocerys', 10)]);
+    const ours = doc([], [line('l2', 'Groceries', 10)]);
+    const theirs = doc([], [line('l1', 'Groceries', 10), line('l3', 'Milk', 20)]);
+    const { doc: out, report } = mergePageDocs(base, ours, theirs, { now: NOW });
+    expect(ids(out.transcript.lines)).toEqual(['l2', 'l3']);
+    expect(report.linesFolded).toBe(1);
+    expect(report.linesFromOurs).toBe(1);
+    expect(report.linesFromTheirs).toBe(1);
+  });
+
+  it('orders merged lines top-to-bottom and clears links to deleted lines', () => {
+    const base = doc([stroke(1, 'gone')], [line('gone', 'old', 50)]);
+    const ours = doc([stroke(1, 'gone')], [line('gone', 'old', 50), line('top', 'top', 5)]);
+    const theirs = doc([stroke(1, 'gone')], [line('mid', 'mid', 20)]); // deleted "gone"
+    const { doc: out } = mergePageDocs(base, ours, theirs, { now: NOW });
+    expect(ids(out.transcript.lines)).toEqual(['top', 'mid']);
+    expect(out.strokes[0].lineId).toBeNull();
+  });
+});
+
+describe('mergePageDocs — doc shell', () => {
+  it('recomputes metadata and stamps the merge time', () => {
+    const { doc: out } = mergePageDocs(null, doc([stroke(1)]), doc([stroke(2)]), { now: NOW });
+    expect(out.metadata.lastUpdated).toBe(NOW);
+    expect(out.metadata.totalStrokes).toBe(2);
+    expect(out.metadata.bounds).toEqual({ minX: 1, maxX: 2, minY: 10, maxY: 20 });
+    expect(out.pageInfo.page).toBe(12);
+    expect(out.metadata).not.toHaveProperty('audio');
+  });
+
+  it('keeps the audio recordings either side linked', () => {
+    const audio = (start) => ({ file: `audio-${start}.webm`, startTime: start, endTime: start + 100, mimeType: 'audio/webm' });
+    const ours = doc([stroke(1)]);
+    ours.metadata.audio = [audio(200)];
+    const theirs = doc([stroke(2)]);
+    theirs.metadata.audio = [audio(100), audio(200)];
+    const { doc: out } = mergePageDocs(null, ours, theirs, { now: NOW });
+    expect(out.metadata.audio.map((a) => a.startTime)).toEqual([100, 200]);
+  });
+
+  it('uses the copy as-is when the original is missing', () => {
+    const theirs = doc([stroke(1)], [line('l1', 'a', 10)]);
+    const { doc: out } = mergePageDocs(null, null, theirs, { now: NOW });
+    expect(ids(out.strokes)).toEqual(['s1']);
+    expect(ids(out.transcript.lines)).toEqual(['l1']);
+  });
+});
+
+describe('pickMergeBase', () => {
+  const versions = [
+    { id: 'v3', readable: true, lastUpdated: '2026-01-09T00:00:00.000Z' },
+    { id: 'v2', readable: false, lastUpdated: null },
+    { id: 'v1', readable: true, lastUpdated: '2026-01-03T00:00:00.000Z' },
+    { id: 'v0', readable: true, lastUpdated: '2026-01-01T00:00:00.000Z' }
+  ];
+
+  it('picks the newest readable version predating both sides', () => {
+    const ours = doc([], [], '2026-01-10T00:00:00.000Z');
+    const theirs = doc([], [], '2026-01-05T00:00:00.000Z');
+    expect(pickMergeBase(versions, ours, theirs).id).toBe('v1');
+  });
+
+  it('returns null when nothing is old enough', () => {
+    expect(pickMergeBase(versions, doc([], [], '2025-12-01T00:00:00.000Z'), doc([]))).toBeNull();
+    expect(pickMergeBase([], doc([]), doc([]))).toBeNull();
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Tests for recognition/corrections.js — the correction dictionary learned
+ * from transcript edits.
+ *
+ * Coverage:
+ *   - diffCorrections (single and multi-word replacements, punctuation kept
+ *     out, insertions / deletions / rewrites ignored)
+ *   - editorCorrections (recognized lines only, merged lines)
+ *   - applyCorrections (whole words, phrases first, most frequent wins)
+ *   - applyCorrectionsToResult (lines, text and word alternatives; Math left alone)
+ *   - correctionLexicon
+ *   - learnCorrections (recorded in the data folder, skipped without one)
+ *   - fileTranscriptionResult runs the substitution pass
+ *
+ * local-store is mocked so no Electron storage backend is needed.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { get } from 'svelte/store';
+
+vi.mock('$lib/storage/local-store.js', () => ({ recordCorrections: vi.fn() }));
+
+import { recordCorrections } from '$lib/storage/local-store.js';
+import {
+  diffCorrections,
+  editorCorrections,
+  applyCorrections,
+  applyCorrectionsToResult,
+  correctionLexicon,
+  learnCorrections
+} from '../recognition/corrections.js';
+import { fileTranscriptionResult } from '../recognition/incremental-transcription.js';
+import { pageTranscriptions, clearTranscription, correctionDictionary, setCorrectionDictionary, dataFolderReady } from '$stores';
+
+const entry = (from, to, count = 1, enabled = true) => ({ from, to, count, enabled, lastSeen: null });
+
+describe('diffCorrections', () => {
+  it('finds replaced words and phrases', () => {
+    expect(diffCorrections('Call Sarn about part Acme 42', 'Call Sam about part ACME-42')).toEqual([
+      { from: 'Sarn', to: 'Sam' },
+      { from: 'Acme 42', to: 'ACME-42' }
+    ]);
+  });
+
+  it('leaves surrounding punctuation out of the pair', () => {
+    expect(diffCorrections('Ask Sarn, then go', 'Ask Sam, then go')).toEqual([{ from: 'Sarn', to: 'Sam' }]);
+    expect(diffCorrections('Buy milk.', 'Buy milk!')).toEqual([]);
+  });
+
+  it('ignores insertions, deletions and rewrites', () => {
+    expect(diffCorrections('Buy milk', 'Buy oat milk')).toEqual([]);
+    expect(diffCorrections('Buy oat milk', 'Buy milk')).toEqual([]);
+    expect(diffCorrections('the quick brown fox jumps', 'a slow red dog sleeps')).toEqual([]);
+    expect(diffCorrections('', 'anything')).toEqual([]);
+  });
+});
+
+describe('editorCorrections', () => {
+  const original = [
+    { text: 'Call Sarn', syncStatus: 'new' },
+    { text: 'Order Acme', syncStatus: 'new' },
+    { text: '42 today', syncStatus: 'new' },
+    { text: 'Existing blcok', syncStatus: 'synced', blockUuid: 'u1' }
+  ];
+
+  it('compares changed recognizer lines, merged ones with their sources', () => {
+    const edited = [
+      { text: 'Call Sam', originalIndex: 0, userModified: true },
+      { text: 'Order ACME-42 today', originalIndex: 1, sourceLines: [1, 2], userModified: true },
+      { text: 'Existing block', originalIndex: 3, userModified: true }
+    ];
+    expect(editorCorrections(original, edited)).toEqual([
+      { from: 'Sarn', to: 'Sam' },
+      { from: 'Acme 42', to: 'ACME-42' }
+    ]);
+  });
+
+  it('skips lines the user did not touch', () => {
+    expect(editorCorrections(original, [{ text: 'Call Sam', originalIndex: 0, userModified: false }])).toEqual([]);
+  });
+});
+
+describe('applyCorrections', () => {
+  it('replaces whole words and keeps punctuation and spacing', () => {
+    const out = applyCorrections('Ask Sarn,  and Sarnia\nSarn.', [entry('Sarn', 'Sam')]);
+    expect(out.text).toBe('Ask Sam,  and Sarnia\nSam.');
+    expect(out.applied).toHaveLength(2);
+  });
+
+  it('tries phrases before words and prefers the most frequent correction', () => {
+    const entries = [entry('Acme', 'Acne', 1), entry('Acme', 'ACME', 5), entry('Acme 42', 'ACME-42', 1)];
+    expect(applyCorrections('Acme 42 and Acme', entries).text).toBe('ACME-42 and ACME');
+  });
+
+  it('returns the text unchanged without entries', () => {
+    expect(applyCorrections('Ask Sarn', [])).toEqual({ text: 'Ask Sarn', applied: [] });
+  });
+});
+
+describe('applyCorrectionsToResult', () => {
+  it('corrects lines and text, keeping the word\'s strokes with the old spelling as an alternative', () => {
+    const result = {
+      text: 'Ask Sarn\nx',
+      lines: [
+        { text: 'Ask Sarn', words: [{ label: 'Ask' }, { label: 'Sarn', strokeIds: ['s1'], confidence: 0.4 }] },
+        { text: 'Sarn', latex: 'Sarn' }
+      ]
+    };
+    const out = applyCorrectionsToResult(result, [entry('Sarn', 'Sam')]);
+
+    expect(out.text).toBe('Ask Sam\nx');
+    expect(out.lines[0].text).toBe('Ask Sam');
+    expect(out.lines[0].words[1]).toEqual({ label: 'Sam', strokeIds: ['s1'], candidates: ['Sarn'] });
+    expect(out.lines[1].text).toBe('Sarn');
+    expect(out.correctionsApplied).toEqual([{ from: 'Sarn', to: 'Sam' }]);
+    expect(result.lines[0].text).toBe('Ask Sarn');
+  });
+
+  it('returns the same result when nothing matches', () => {
+    const result = { text: 'Buy milk', lines: [{ text: 'Buy milk' }] };
+    expect(applyCorrectionsToResult(result, [entry('Sarn', 'Sam')])).toBe(result);
+  });
+});
+
+describe('correctionLexicon', () => {
+  it('lists each corrected word once', () => {
+    expect(correctionLexicon([entry('Acme 42', 'ACME-42'), entry('Sarn', 'Sam'), entry('Sann', 'Sam'), entry('a b', '(Jo Ann)')])).toEqual([
+      'ACME-42',
+      'Sam',
+      'Jo',
+      'Ann'
+    ]);
+  });
+});
+
+describe('learnCorrections', () => {
+  beforeEach(() => {
+    recordCorrections.mockReset();
+    setCorrectionDictionary({ entries: [] });
+  });
+
+  it('records the pairs and keeps the returned dictionary', async () => {
+    dataFolderReady.set(true);
+    recordCorrections.mockResolvedValue({ entries: [entry('Sarn', 'Sam', 2)] });
+
+    await learnCorrections([{ from: 'Sarn', to: 'Sam' }]);
+
+    expect(recordCorrections).toHaveBeenCalledWith([{ from: 'Sarn', to: 'Sam' }]);
+    expect(get(correctionDictionary).entries).toEqual([entry('Sarn', 'Sam', 2)]);
+  });
+
+  it('does nothing without a data folder or pairs, and survives a failed write', async () => {
+    dataFolderReady.set(false);
+    await learnCorrections([{ from: 'Sarn', to: 'Sam' }]);
+    dataFolderReady.set(true);
+    await learnCorrections([]);
+    expect(recordCorrections).not.toHaveBeenCalled();
+
+    recordCorrections.mockRejectedValue(new Error('disk full'));
+    await expect(learnCorrections([{ from: 'Sarn', to: 'Sam' }])).resolves.toBeUndefined();
+  });
+});
+
+describe('fileTranscriptionResult with a dictionary', () => {
+  const page = { pageKey: 'S0/O0/B3/P12', pageInfo: { book: 3, page: 12 }, strokeCount: 2 };
+
+  beforeEach(() => clearTranscription());
+
+  it('files corrected lines and line updates, skipping disabled entries', () => {
+    setCorrectionDictionary({ entries: [entry('Sarn', 'Sam'), entry('milk', 'silk', 3, false)] });
+
+    fileTranscriptionResult(page, { text: 'Call Sarn', lines: [{ text: 'Call Sarn' }] }, [{ startTime: 1 }]);
+    fileTranscriptionResult({ ...page, lineId: 'a' }, { lines: [{ text: 'Sarn buys milk' }] }, [{ startTime: 2 }]);
+
+    const stored = get(pageTranscriptions).get(page.pageKey);
+    expect(stored.lines.map((l) => l.text)).toEqual(['Call Sam']);
+    expect(stored.lineUpdates.map((u) => u.text)).toEqual(['Sam buys milk']);
+  });
+});
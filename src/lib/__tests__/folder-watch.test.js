@@ -0,0 +1,146 @@
+/**
+ * Tests for storage/folder-watch.js — live refresh on external page changes.
+ *
+ * Coverage:
+ *   - coalesceFolderChanges (page/copy de-dup, aliases/recognition/corrections flags, junk ignored)
+ *   - handleFolderChanges (single-record upsert keeping syncStatus, removal,
+ *     page-cache invalidation, foreign-root batches dropped, alias,
+ *     recognition-settings and correction-dictionary reload,
+ *     unsaved transcript edit warning)
+ *
+ * local-store and page-cache are mocked so no Electron storage backend is needed.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { get } from 'svelte/store';
+
+vi.mock('$lib/storage/local-store.js', () => ({
+  getPage: vi.fn(),
+  getPageMeta: vi.fn(),
+  getAliases: vi.fn(),
+  getRecognitionSettings: vi.fn(),
+  getCorrections: vi.fn(),
+  watchFolder: vi.fn(),
+  unwatchFolder: vi.fn(),
+  onFolderChanged: vi.fn(),
+  listPages: vi.fn()
+}));
+vi.mock('$lib/viewer/page-cache.js', () => ({ invalidatePage: vi.fn() }));
+
+import { getPageMeta, getAliases, getRecognitionSettings, getCorrections } from '$lib/storage/local-store.js';
+import { invalidatePage } from '$lib/viewer/page-cache.js';
+import { coalesceFolderChanges, handleFolderChanges } from '../storage/folder-watch.js';
+import { logseqPages, setLogseqPages, markViewerDirtyPage, clearAllViewerDirty, dataRoot, logMessages } from '$stores';
+import { bookAliases } from '$stores/book-aliases.js';
+import { recognitionSettings } from '$stores/recognition-settings.js';
+import { correctionDictionary } from '$stores/corrections.js';
+
+const ROOT = '/data';
+
+function meta(pageId, overrides = {}) {
+  return {
+    book: 3,
+    page: parseInt(pageId, 10),
+    pageId,
+    suffix: pageId.replace(/^\d+/, ''),
+    strokeCount: 10,
+    lastUpdated: '2026-01-01T00:00:00.000Z',
+    hasTranscription: false,
+    transcriptLineCount: 0,
+    transcriptionText: null,
+    conflictCopies: [],
+    ...overrides
+  };
+}
+
+const record = (pageId, extra = {}) => ({ book: 3, page: parseInt(pageId, 10), pageId, syncStatus: 'clean', ...extra });
+
+describe('coalesceFolderChanges', () => {
+  it('merges events for the same page and remembers a conflict copy', () => {
+    const out = coalesceFolderChanges([
+      { kind: 'page', book: 3, pageId: '12' },
+      { kind: 'page', book: 3, pageId: '12', conflictCopy: true },
+      { kind: 'page', book: 3, pageId: '12b' },
+      { kind: 'aliases' },
+      { kind: 'recognition' },
+      { kind: 'corrections' },
+      { kind: 'page', book: 3 },
+      { kind: 'other' }
+    ]);
+    expect(out.aliases).toBe(true);
+    expect(out.recognition).toBe(true);
+    expect(out.corrections).toBe(true);
+    expect(out.pages).toEqual([
+      { book: 3, pageId: '12', conflictCopy: true },
+      { book: 3, pageId: '12b', conflictCopy: false }
+    ]);
+  });
+
+  it('handles an empty batch', () => {
+    expect(coalesceFolderChanges(undefined)).toEqual({ aliases: false, recognition: false, corrections: false, pages: [] });
+  });
+});
+
+describe('handleFolderChanges', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dataRoot.set(ROOT);
+    clearAllViewerDirty();
+    setLogseqPages([record('12', { syncStatus: 'in-canvas', strokeCount: 1 }), record('13')]);
+  });
+
+  it('replaces only the changed record, keeping its sync status', async () => {
+    getPageMeta.mockResolvedValue(meta('12', { strokeCount: 42 }));
+    const untouched = get(logseqPages)[1];
+    await handleFolderChanges({ root: ROOT, changes: [{ kind: 'page', book: 3, pageId: '12' }] });
+    const [p12, p13] = get(logseqPages);
+    expect(p12.strokeCount).toBe(42);
+    expect(p12.syncStatus).toBe('in-canvas');
+    expect(p13).toBe(untouched);
+    expect(invalidatePage).toHaveBeenCalledWith(3, '12');
+  });
+
+  it('adds a page that appeared and removes one that vanished', async () => {
+    getPageMeta.mockImplementation(async (_book, pageId) => (pageId === '14' ? meta('14') : null));
+    await handleFolderChanges({
+      root: ROOT,
+      changes: [
+        { kind: 'page', book: 3, pageId: '14' },
+        { kind: 'page', book: 3, pageId: '13' }
+      ]
+    });
+    expect(get(logseqPages).map((p) => p.pageId)).toEqual(['12', '14']);
+  });
+
+  it('ignores a batch for a folder that is no longer the data root', async () => {
+    await handleFolderChanges({ root: '/old', changes: [{ kind: 'page', book: 3, pageId: '12' }] });
+    expect(getPageMeta).not.toHaveBeenCalled();
+  });
+
+  it('reloads aliases when _aliases.json changes', async () => {
+    getAliases.mockResolvedValue({ 3: 'Work' });
+    await handleFolderChanges({ root: ROOT, changes: [{ kind: 'aliases' }] });
+    expect(get(bookAliases)).toEqual({ 3: 'Work' });
+  });
+
+  it('reloads recognition settings when _recognition.json changes', async () => {
+    getRecognitionSettings.mockResolvedValue({ books: { 3: { lang: 'de_DE', contentType: 'Math' } }, pages: {} });
+    await handleFolderChanges({ root: ROOT, changes: [{ kind: 'recognition' }] });
+    expect(get(recognitionSettings).books).toEqual({ 3: { lang: 'de_DE', contentType: 'Math' } });
+  });
+
+  it('reloads the correction dictionary when _corrections.json changes', async () => {
+    const entry = { from: 'Sarn', to: 'Sam', count: 2, enabled: true, lastSeen: null };
+    getCorrections.mockResolvedValue({ entries: [entry] });
+    await handleFolderChanges({ root: ROOT, changes: [{ kind: 'corrections' }] });
+    expect(get(correctionDictionary).entries).toEqual([entry]);
+  });
+
+  it('warns when the page has transcript edits in progress', async () => {
+    getPageMeta.mockResolvedValue(meta('12'));
+    markViewerDirtyPage('3:12');
+    await handleFolderChanges({ root: ROOT, changes: [{ kind: 'page', book: 3, pageId: '12' }] });
+    const warnings = get(logMessages).filter((e) => e.level === 'warning').map((e) => e.message);
+    expect(warnings.some((m) => m.includes('B3/P12') && m.includes('transcript'))).toBe(true);
+  });
+});
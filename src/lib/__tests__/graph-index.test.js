@@ -7,7 +7,11 @@ import {
   smartpenAssetRelPath,
   emptySmartpenIndex,
   buildSmartpenIndexEntry,
-  upsertSmartpenIndex
+  upsertSmartpenIndex,
+  removeFromSmartpenIndex,
+  setSmartpenIndexAlias,
+  parseSmartpenAssetName,
+  reconcileSmartpenIndex
 } from '../storage/graph-index.js';
 
 function makeDoc(overrides = {}) {
@@ -154,3 +158,79 @@ describe('upsertSmartpenIndex', () => {
     expect(next.aliases).toEqual({});
   });
 });
+
+describe('removeFromSmartpenIndex', () => {
+  let index = upsertSmartpenIndex(emptySmartpenIndex(), buildSmartpenIndexEntry(makeDoc(), 3017, '42'), 'Field Notes');
+  index = upsertSmartpenIndex(index, buildSmartpenIndexEntry(makeDoc(), 3017, '43'), null);
+  index = upsertSmartpenIndex(index, buildSmartpenIndexEntry(makeDoc(), 390, '151b'), 'Calc Pad');
+
+  it('drops only the deleted page and keeps the input untouched', () => {
+    const next = removeFromSmartpenIndex(index, '3017', 42);
+    expect(next.pages.map(e => `${e.book}/${e.pageId}`)).toEqual(['390/151b', '3017/43']);
+    expect(next.aliases).toEqual({ 3017: 'Field Notes', 390: 'Calc Pad' });
+    expect(index.pages).toHaveLength(3);
+  });
+
+  it("drops the book's alias with its last page", () => {
+    const next = removeFromSmartpenIndex(index, 390, '151b');
+    expect(next.aliases).toEqual({ 3017: 'Field Notes' });
+    expect(removeFromSmartpenIndex(null, 1, 1).pages).toEqual([]);
+  });
+});
+
+describe('setSmartpenIndexAlias', () => {
+  const index = upsertSmartpenIndex(emptySmartpenIndex(), buildSmartpenIndexEntry(makeDoc(), 3017, '42'), 'Field Notes');
+
+  it('renames and clears a published book', () => {
+    expect(setSmartpenIndexAlias(index, 3017, 'Site Visits').aliases).toEqual({ 3017: 'Site Visits' });
+    expect(setSmartpenIndexAlias(index, '3017', '  ').aliases).toEqual({});
+    expect(setSmartpenIndexAlias(index, 3017, null).aliases).toEqual({});
+  });
+
+  it('ignores books with nothing published', () => {
+    expect(setSmartpenIndexAlias(index, 12, 'Home').aliases).toEqual({ 3017: 'Field Notes' });
+  });
+});
+
+describe('parseSmartpenAssetName', () => {
+  it('reads the page identity back from an asset filename', () => {
+    expect(parseSmartpenAssetName('smartpen-B390-P151b.json')).toEqual({ book: 390, pageId: '151b' });
+    expect(parseSmartpenAssetName(smartpenAssetName(3017, 42))).toEqual({ book: 3017, pageId: '42' });
+    expect(parseSmartpenAssetName('smartpen-index.json')).toBeNull();
+  });
+});
+
+describe('reconcileSmartpenIndex', () => {
+  const entry = (book, pageId, overrides = {}) => ({ ...buildSmartpenIndexEntry(makeDoc(), book, pageId), ...overrides });
+  // What the manifest looks like after a JSON round trip
+  const onDisk = (index) => JSON.parse(JSON.stringify(index));
+
+  it('reports nothing for a manifest that matches the data root', () => {
+    const index = onDisk(upsertSmartpenIndex(emptySmartpenIndex(), entry(3017, '42'), 'Field Notes'));
+    const out = reconcileSmartpenIndex(index, [entry(3017, '42')], { 3017: 'Field Notes' });
+    expect(out).toMatchObject({ missing: [], stale: [], orphaned: [], aliasesChanged: false, changed: false });
+    expect(out.index.updatedAt).toBe(index.updatedAt);
+  });
+
+  it('adds missing entries, replaces stale ones and drops deleted pages', () => {
+    let index = upsertSmartpenIndex(emptySmartpenIndex(), entry(3017, '42'), 'Field Notes');
+    index = onDisk(upsertSmartpenIndex(index, entry(3017, '43'), null));
+    const fresh = [entry(3017, '42', { strokeCount: 9 }), entry(390, '151b')];
+
+    const out = reconcileSmartpenIndex(index, fresh, { 390: 'Calc Pad' });
+    expect(out.missing.map(e => e.pageId)).toEqual(['151b']);
+    expect(out.stale.map(e => e.pageId)).toEqual(['42']);
+    expect(out.orphaned.map(e => e.pageId)).toEqual(['43']);
+    expect(out.index.pages.map(e => [e.book, e.pageId, e.strokeCount])).toEqual([[390, '151b', 2], [3017, '42', 9]]);
+    expect(out.index.aliases).toEqual({ 390: 'Calc Pad' });
+    expect(out.aliasesChanged).toBe(true);
+    expect(out.changed).toBe(true);
+  });
+
+  it('keeps the entries of pages that could not be read', () => {
+    const index = onDisk(upsertSmartpenIndex(emptySmartpenIndex(), entry(3017, '42'), null));
+    const out = reconcileSmartpenIndex(index, [], {}, { keep: [{ book: '3017', pageId: 42 }] });
+    expect(out.orphaned).toEqual([]);
+    expect(out.index.pages).toEqual(index.pages);
+  });
+});
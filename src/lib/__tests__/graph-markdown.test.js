@@ -0,0 +1,225 @@
+/**
+ * Tests for storage/graph-markdown.js — pages as plain LogSeq Markdown.
+ *
+ * Coverage:
+ *   - file paths (namespaced page file, journal, SVG)
+ *   - pageJournalDate (first stroke, lastUpdated fallback)
+ *   - lineBlockUuid (UUIDs kept, other ids hashed stably)
+ *   - pageToLogseqMarkdown / pageToJournalBlock (task markers, nesting, id::)
+ *   - upsertJournalBlock / removeJournalBlock (the rest of the journal kept)
+ *   - buildGraphMarkdown (what each mode writes and supersedes)
+ *   - days mode: a block per day written on; staleJournalPaths
+ *   - [page: X] / [tag: X]: routed lines moved to their page's block,
+ *     tags:: on tagged blocks, staleRoutedPaths
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  smartpenPageName,
+  markdownPagePath,
+  pageSvgPath,
+  journalPath,
+  pageJournalDate,
+  lineBlockUuid,
+  pageToLogseqMarkdown,
+  pageToJournalBlock,
+  upsertJournalBlock,
+  removeJournalBlock,
+  buildGraphMarkdown,
+  pageJournalDates,
+  staleJournalPaths,
+  routedPagePath,
+  staleRoutedPaths
+} from '../storage/graph-markdown.js';
+
+const UUID = '6f1c2a3b-1111-4222-8333-444455556666';
+const written = new Date(2026, 9, 19, 9, 30).getTime();
+const doc = {
+  version: '2.1',
+  pageInfo: { section: 0, owner: 0, book: 12, page: 3 },
+  metadata: { lastUpdated: '2026-10-21T10:00:00.000Z', totalStrokes: 1, bounds: {} },
+  transcript: {
+    lastTranscribed: null,
+    lines: [
+      { id: 'line-1', text: 'Buy milk', indentLevel: 0, parentId: null, checked: false, yBounds: null },
+      { id: UUID, text: 'whole', indentLevel: 1, parentId: 'line-1', checked: null, yBounds: null },
+      { id: 'line-3', text: '  ', indentLevel: 0, parentId: null, checked: null, yBounds: null }
+    ]
+  },
+  strokes: [{ id: `s${written}`, startTime: written, endTime: written + 50, points: [[10, 10], [20, 12]] }]
+};
+const page = { book: 12, pageId: '3' };
+
+describe('paths', () => {
+  it('follows LogSeq file naming', () => {
+    expect(smartpenPageName(12, '3')).toBe('Smartpen/B12/P3');
+    expect(markdownPagePath(12, '3')).toBe('pages/Smartpen___B12___P3.md');
+    expect(pageSvgPath(390, '151b')).toBe('assets/smartpen-B390-P151b.svg');
+    expect(journalPath('2026-10-19')).toBe('journals/2026_10_19.md');
+  });
+});
+
+describe('pageJournalDate', () => {
+  it('is the day of the first stroke, else of the last save', () => {
+    expect(pageJournalDate(doc)).toBe('2026-10-19');
+    expect(pageJournalDate({ ...doc, strokes: [], metadata: { lastUpdated: new Date(2026, 9, 21, 12).toISOString() } })).toBe('2026-10-21');
+    expect(pageJournalDate({ strokes: [], metadata: {} })).toBeNull();
+  });
+});
+
+describe('lineBlockUuid', () => {
+  it('keeps UUID line ids and hashes the rest stably', () => {
+    expect(lineBlockUuid(UUID.toUpperCase())).toBe(UUID);
+    const id = lineBlockUuid('line-1');
+    expect(id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(lineBlockUuid('line-1')).toBe(id);
+    expect(lineBlockUuid('line-2')).not.toBe(id);
+  });
+});
+
+describe('page and journal Markdown', () => {
+  const lineId = lineBlockUuid('line-1');
+
+  it('writes a page with the ink above the transcript', () => {
+    expect(pageToLogseqMarkdown(doc, { ...page, alias: 'Work' })).toBe([
+      'title:: Smartpen/B12/P3',
+      'tags:: smartpen',
+      'smartpen-book:: Work',
+      '',
+      '- ![B12/P3](../assets/smartpen-B12-P3.svg)',
+      '- TODO Buy milk',
+      `  id:: ${lineId}`,
+      '\t- whole',
+      `\t  id:: ${UUID}`,
+      ''
+    ].join('\n'));
+  });
+
+  it('nests the page under a link in the journal', () => {
+    expect(pageToJournalBlock(doc, page).split('\n')).toEqual([
+      '- [[Smartpen/B12/P3]]',
+      '  smartpen-page:: B12/P3',
+      '\t- ![B12/P3](../assets/smartpen-B12-P3.svg)',
+      '\t- TODO Buy milk',
+      `\t  id:: ${lineId}`,
+      '\t\t- whole',
+      `\t\t  id:: ${UUID}`
+    ]);
+  });
+});
+
+describe('journal blocks', () => {
+  const block = pageToJournalBlock(doc, page);
+  const journal = '- morning note\n\t- detail\n- lunch\n';
+
+  it('appends a page once and replaces it afterwards', () => {
+    const first = upsertJournalBlock(journal, block, page);
+    expect(first).toBe(`${journal}${block}\n`);
+    const edited = pageToJournalBlock({ ...doc, transcript: { lines: [] } }, page);
+    expect(upsertJournalBlock(`${first}- evening\n`, edited, page)).toBe(`${journal}${edited}\n- evening\n`);
+    expect(upsertJournalBlock('-\n', block, page)).toBe(`${block}\n`);
+  });
+
+  it('removes only the page', () => {
+    expect(removeJournalBlock(`${journal}${block}\n- evening\n`, page)).toBe(`${journal}- evening\n`);
+    expect(removeJournalBlock(journal, page)).toBeNull();
+  });
+});
+
+describe('buildGraphMarkdown', () => {
+  it('writes the page file and supersedes the journal block', () => {
+    const out = buildGraphMarkdown(doc, { ...page, mode: 'page' });
+    expect(out.svg.relPath).toBe('assets/smartpen-B12-P3.svg');
+    expect(out.svg.text).toMatch(/^<svg /);
+    expect(out.markdown.relPath).toBe('pages/Smartpen___B12___P3.md');
+    expect(out.superseded).toEqual({ relPath: 'journals/2026_10_19.md', journal: true });
+  });
+
+  it('writes a journal block and supersedes the page file', () => {
+    const out = buildGraphMarkdown(doc, { ...page, mode: 'journal' });
+    expect(out.markdown).toEqual({ relPath: 'journals/2026_10_19.md', block: pageToJournalBlock(doc, page) });
+    expect(out.superseded).toEqual({ relPath: 'pages/Smartpen___B12___P3.md', journal: false });
+    expect(buildGraphMarkdown(doc, { ...page, mode: 'off' })).toEqual({ svg: null, markdown: null, superseded: null });
+  });
+});
+
+describe('days mode', () => {
+  const later = new Date(2026, 9, 22, 20).getTime();
+  const twoDays = {
+    ...doc,
+    strokes: [...doc.strokes, { id: `s${later}`, startTime: later, lineId: UUID, points: [[10, 30], [20, 32]] }]
+  };
+
+  it('writes a block into the journal of each day written on', () => {
+    const out = buildGraphMarkdown(twoDays, { ...page, mode: 'days' });
+    expect(out.markdown).toBeNull();
+    expect(out.journals.map(j => j.relPath)).toEqual(['journals/2026_10_19.md', 'journals/2026_10_22.md']);
+    expect(out.journals[0].block).toContain('TODO Buy milk');
+    expect(out.journals[0].block).not.toContain('whole');
+    expect(out.journals[1].block).toMatch(/\t- whole\n\t {2}id:: 6f1c2a3b/);
+    expect(out.superseded).toEqual({ relPath: 'pages/Smartpen___B12___P3.md', journal: false });
+    expect(pageJournalDates(twoDays)).toEqual(['2026-10-19', '2026-10-22']);
+  });
+
+  it('names the journals a republish no longer writes to', () => {
+    const journalOut = buildGraphMarkdown(twoDays, { ...page, mode: 'journal' });
+    expect(staleJournalPaths(twoDays, journalOut)).toEqual(['journals/2026_10_22.md']);
+    expect(staleJournalPaths(twoDays, buildGraphMarkdown(twoDays, { ...page, mode: 'days' }))).toEqual([]);
+    expect(staleJournalPaths(null, journalOut)).toEqual([]);
+  });
+});
+
+describe('routed and tagged lines', () => {
+  const routed = {
+    ...doc,
+    transcript: {
+      lines: [
+        { id: 'line-1', text: 'Buy milk', indentLevel: 0, parentId: null, checked: false, properties: { page: 'Shopping', tags: ['errand'] } },
+        { id: UUID, text: 'whole', indentLevel: 1, parentId: 'line-1', checked: null, properties: { page: 'Shopping' } },
+        { id: 'line-4', text: 'Call Ann', indentLevel: 0, parentId: null, checked: null, properties: { tags: ['work', 'phone call'] } }
+      ]
+    }
+  };
+  const lineId = (id) => lineBlockUuid(id);
+
+  it('names the page file the way LogSeq does', () => {
+    expect(routedPagePath('Shopping')).toBe('pages/Shopping.md');
+    expect(routedPagePath('Projects/Garden')).toBe('pages/Projects___Garden.md');
+    expect(routedPagePath('What? 50%')).toBe('pages/What%3F 50%25.md');
+  });
+
+  it('moves routed lines to their page and tags the rest', () => {
+    const out = buildGraphMarkdown(routed, { ...page, mode: 'page' });
+    expect(out.markdown.text).not.toContain('Buy milk');
+    expect(out.markdown.text).toContain(['- Call Ann', '  tags:: work, phone call', `  id:: ${lineId('line-4')}`].join('\n'));
+    expect(out.routed).toEqual([{
+      relPath: 'pages/Shopping.md',
+      block: [
+        '- [[Smartpen/B12/P3]]',
+        '  smartpen-page:: B12/P3',
+        '\t- TODO Buy milk',
+        '\t  tags:: errand',
+        `\t  id:: ${lineId('line-1')}`,
+        '\t\t- whole',
+        `\t\t  id:: ${UUID}`
+      ].join('\n')
+    }]);
+    expect(upsertJournalBlock('- my list\n', out.routed[0].block, page)).toBe(`- my list\n${out.routed[0].block}\n`);
+  });
+
+  it('routes out of the journal modes too', () => {
+    for (const mode of ['journal', 'days']) {
+      const out = buildGraphMarkdown(routed, { ...page, mode });
+      const blocks = [out.markdown, ...(out.journals || [])].filter(Boolean).map(b => b.block).join('\n');
+      expect(blocks).toContain('Call Ann');
+      expect(blocks).not.toContain('Buy milk');
+      expect(out.routed.map(r => r.relPath)).toEqual(['pages/Shopping.md']);
+    }
+  });
+
+  it('names the pages a republish no longer routes to', () => {
+    expect(staleRoutedPaths(routed, buildGraphMarkdown(doc, { ...page, mode: 'page' }))).toEqual(['pages/Shopping.md']);
+    expect(staleRoutedPaths(routed, buildGraphMarkdown(routed, { ...page, mode: 'journal' }))).toEqual([]);
+    expect(staleRoutedPaths(null, buildGraphMarkdown(doc, { ...page, mode: 'page' }))).toEqual([]);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for storage/graph-pull.js — transcript edits made in LogSeq.
+ *
+ * Coverage:
+ *   - transcriptsDiffer (only the fields LogSeq edits count)
+ *   - pickGraphBase (the page itself, a history version, none)
+ *   - diffGraphTranscript: added / edited / removed, untouched lines,
+ *     conflicts with bridge edits, two-way without a base
+ *   - applyGraphPull: chosen sides, insert position, words dropped with a
+ *     text edit, removed lines unlinking strokes and reparenting children
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  transcriptsDiffer,
+  pickGraphBase,
+  diffGraphTranscript,
+  applyGraphPull
+} from '../storage/graph-pull.js';
+
+const line = (id, text, extra = {}) => ({ id, text, indentLevel: 0, parentId: null, checked: null, yBounds: null, ...extra });
+const doc = (lines, lastUpdated = '2026-10-19T10:00:00.000Z', strokes = []) => ({
+  version: '2.1',
+  pageInfo: { section: 0, owner: 0, book: 3, page: 1 },
+  metadata: { lastUpdated, totalStrokes: strokes.length, bounds: {} },
+  transcript: { lastTranscribed: null, lines },
+  strokes
+});
+
+const published = doc([line('a', 'Buy mlik', { words: [{ text: 'Buy' }, { text: 'mlik' }] }), line('b', 'Call Bob'), line('c', 'Old idea')]);
+
+describe('transcriptsDiffer', () => {
+  it('ignores fields LogSeq cannot edit', () => {
+    const moved = doc(published.transcript.lines.map(l => ({ ...l, yBounds: { minY: 1, maxY: 2 }, words: undefined })));
+    expect(transcriptsDiffer(published, moved)).toBe(false);
+    expect(transcriptsDiffer(published, doc([line('a', 'Buy milk')]))).toBe(true);
+  });
+});
+
+describe('pickGraphBase', () => {
+  const asset = doc([], '2026-10-19T10:00:00.000Z');
+
+  it('uses the page when it was not saved since publishing', () => {
+    expect(pickGraphBase(doc([]), [], asset)).toEqual({ source: 'page', version: null });
+  });
+
+  it('otherwise takes the newest version from before the asset', () => {
+    const versions = [
+      { id: 'v3', readable: true, lastUpdated: '2026-10-19T11:00:00.000Z' },
+      { id: 'v2', readable: true, lastUpdated: '2026-10-19T10:00:00.000Z' },
+      { id: 'v1', readable: true, lastUpdated: '2026-10-19T09:00:00.000Z' }
+    ];
+    const ours = doc([], '2026-10-19T12:00:00.000Z');
+    expect(pickGraphBase(ours, versions, asset)).toEqual({ source: 'version', version: versions[1] });
+    expect(pickGraphBase(ours, versions.slice(0, 1), asset)).toEqual({ source: null, version: null });
+  });
+});
+
+describe('diffGraphTranscript', () => {
+  it('reports the changes made in LogSeq', () => {
+    const theirs = doc([line('a', 'Buy milk'), line('d', 'New in LogSeq'), line('b', 'Call Bob')]);
+    const diff = diffGraphTranscript(published, published, theirs);
+
+    expect(diff.hasBase).toBe(true);
+    expect(diff.changes.map(c => [c.id, c.kind, c.conflict, c.kept])).toEqual([
+      ['a', 'edited', false, 'theirs'],
+      ['d', 'added', false, 'theirs'],
+      ['c', 'removed', false, 'theirs']
+    ]);
+  });
+
+  it('marks lines the bridge changed since publishing as conflicts', () => {
+    const ours = doc([line('a', 'Buy oat milk'), line('b', 'Call Bob'), line('c', 'Old idea, done')], '2026-10-19T12:00:00.000Z');
+    const theirs = doc([line('a', 'Buy milk'), line('b', 'Call Bob')]);
+    const diff = diffGraphTranscript(published, ours, theirs);
+
+    // The bridge copy is newer, so its side is kept by default
+    expect(diff.changes.map(c => [c.id, c.kind, c.conflict, c.kept])).toEqual([
+      ['a', 'edited', true, 'ours'],
+      ['c', 'removed', true, 'ours']
+    ]);
+  });
+
+  it('treats every difference as a conflict without a base', () => {
+    const theirs = doc([line('a', 'Buy milk'), line('b', 'Call Bob')]);
+    const diff = diffGraphTranscript(null, published, theirs);
+    expect(diff.hasBase).toBe(false);
+    expect(diff.changes.map(c => [c.id, c.kind, c.conflict])).toEqual([['a', 'edited', true]]);
+  });
+});
+
+describe('applyGraphPull', () => {
+  const strokes = [{ id: 's1', startTime: 1, lineId: 'c', points: [[1, 2]] }];
+  const ours = doc([...published.transcript.lines, line('e', 'Child of c', { parentId: 'c', indentLevel: 1 })], published.metadata.lastUpdated, strokes);
+  const theirs = doc([line('a', 'Buy milk'), line('d', 'New in LogSeq'), line('b', 'Call Bob', { checked: true }), line('e', 'Child of c', { parentId: 'c', indentLevel: 1 })]);
+  const diff = diffGraphTranscript(ours, ours, theirs);
+
+  it('takes the LogSeq side of every change by default', () => {
+    const { doc: pulled, pulled: count, textEdits } = applyGraphPull(ours, diff, {}, { now: '2026-10-20T00:00:00.000Z' });
+
+    expect(count).toBe(4);
+    expect(pulled.transcript.lines.map(l => [l.id, l.text, l.parentId])).toEqual([
+      ['a', 'Buy milk', null],
+      ['d', 'New in LogSeq', null],
+      ['b', 'Call Bob', null],
+      ['e', 'Child of c', null]
+    ]);
+    expect(pulled.transcript.lines[0].words).toBeUndefined();
+    expect(pulled.transcript.lines[2].checked).toBe(true);
+    expect(pulled.strokes[0].lineId).toBeNull();
+    expect(pulled.metadata.lastUpdated).toBe('2026-10-20T00:00:00.000Z');
+    expect(textEdits).toEqual([{ from: 'Buy mlik', to: 'Buy milk' }]);
+  });
+
+  it('leaves the lines the user keeps', () => {
+    const { doc: pulled, pulled: count } = applyGraphPull(ours, diff, { a: 'ours', c: 'ours', d: 'ours' });
+    expect(count).toBe(1);
+    expect(pulled.transcript.lines.map(l => l.text)).toEqual(['Buy mlik', 'Call Bob', 'Old idea', 'Child of c']);
+    expect(pulled.strokes).toEqual(strokes);
+  });
+});
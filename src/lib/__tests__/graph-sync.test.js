@@ -0,0 +1,245 @@
+/**
+ * Tests for storage/graph-sync.js — "Sync graph now".
+ *
+ * Coverage:
+ *   - dry run: missing / stale / up-to-date assets, index entries to write and
+ *     remove, assets of deleted pages, nothing written
+ *   - applying: assets written, orphaned assets removed, manifest rewritten
+ *   - unreadable pages and a corrupt manifest
+ *   - assets with LogSeq transcript edits kept for review; findGraphEdits
+ *   - Markdown mode: missing / stale Markdown rewritten, a deleted page's
+ *     page file, SVG and routed block removed
+ *   - describeGraphSync summaries
+ *
+ * local-store is mocked and window.storageAPI stands in for main's graph IPC.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('$lib/storage/local-store.js', () => ({
+  listPages: vi.fn(),
+  getPage: vi.fn(),
+  listPageHistory: vi.fn(async () => []),
+  getPageVersion: vi.fn()
+}));
+
+import { listPages, getPage } from '$lib/storage/local-store.js';
+import { syncGraphMirror, describeGraphSync, findGraphEdits } from '../storage/graph-sync.js';
+import { buildSmartpenIndexEntry, upsertSmartpenIndex, emptySmartpenIndex } from '../storage/graph-index.js';
+import { serializePageDoc } from '../storage/page-doc-format.js';
+import { upsertJournalBlock, pageToRoutedBlock } from '../storage/graph-markdown.js';
+import { graphRoot, graphMarkdownMode } from '$stores/settings.js';
+import { bookAliases } from '$stores/book-aliases.js';
+
+const doc = (page, strokes = 1) => ({
+  version: '2.1',
+  pageInfo: { section: 0, owner: 0, book: 3, page },
+  metadata: { lastUpdated: '2026-10-19T10:00:00.000Z', totalStrokes: strokes, bounds: {} },
+  transcript: { lastTranscribed: null, lines: [] },
+  strokes: Array.from({ length: strokes }, (_, i) => ({ id: `s${i}`, startTime: i, points: [[1, 2]] }))
+});
+
+/** A fake graph folder: asset texts by "book/pageId" plus the manifest text. */
+function fakeGraph(assets, indexText) {
+  const files = new Map(Object.entries(assets));
+  const graph = { files, indexText };
+  const ok = (result) => ({ ok: true, result });
+  window.storageAPI = {
+    readGraphIndex: vi.fn(async () => ok(graph.indexText)),
+    listGraphAssets: vi.fn(async () => ok([...files.keys()].map(key => {
+      const [book, pageId] = key.split('/');
+      return { book: Number(book), pageId, fileName: `smartpen-B${book}-P${pageId}.json` };
+    }))),
+    readGraphAsset: vi.fn(async (root, book, pageId) => ok(files.get(`${book}/${pageId}`) ?? null)),
+    writeGraphAsset: vi.fn(async (root, book, pageId, text) => { files.set(`${book}/${pageId}`, text); return ok({}); }),
+    removeGraphAsset: vi.fn(async (root, book, pageId) => { files.delete(`${book}/${pageId}`); return ok({}); }),
+    writeGraphIndex: vi.fn(async (root, text) => { graph.indexText = text; return ok({}); })
+  };
+  return graph;
+}
+
+const docs = { '3/1': doc(1), '3/2': doc(2, 2), '3/4': doc(4) };
+
+beforeEach(() => {
+  graphRoot.set('/graph');
+  bookAliases.set({ 3: 'Work' });
+  listPages.mockResolvedValue(Object.keys(docs).map(key => ({ book: 3, pageId: key.split('/')[1] })));
+  getPage.mockImplementation(async (book, pageId) => docs[`${book}/${pageId}`] ?? null);
+});
+
+afterEach(() => {
+  delete window.storageAPI;
+  graphRoot.set('');
+});
+
+/** P1 published and current, P2 published from an older save, P4 never published, P9 deleted. */
+function driftedGraph() {
+  let index = upsertSmartpenIndex(emptySmartpenIndex(), buildSmartpenIndexEntry(docs['3/1'], 3, '1'), 'Work');
+  index = upsertSmartpenIndex(index, buildSmartpenIndexEntry(doc(2, 1), 3, '2'), null);
+  index = upsertSmartpenIndex(index, buildSmartpenIndexEntry(doc(9), 3, '9'), null);
+  return fakeGraph(
+    { '3/1': serializePageDoc(docs['3/1']), '3/2': serializePageDoc(doc(2, 1)), '3/9': serializePageDoc(doc(9)) },
+    JSON.stringify(index, null, 2) + '\n'
+  );
+}
+
+describe('syncGraphMirror', () => {
+  it('reports the drift without writing on a dry run', async () => {
+    driftedGraph();
+    const report = await syncGraphMirror();
+
+    expect(report.dryRun).toBe(true);
+    expect(report.assetsToWrite).toEqual([{ book: 3, pageId: '2', reason: 'stale' }, { book: 3, pageId: '4', reason: 'missing' }]);
+    expect(report.entriesToWrite).toEqual([{ book: 3, pageId: '4', reason: 'missing' }, { book: 3, pageId: '2', reason: 'stale' }]);
+    expect(report.entriesToRemove).toEqual([{ book: 3, pageId: '9' }]);
+    expect(report.assetsToRemove).toEqual([{ book: 3, pageId: '9' }]);
+    expect(report.changed).toBe(true);
+    expect(window.storageAPI.writeGraphAsset).not.toHaveBeenCalled();
+    expect(window.storageAPI.removeGraphAsset).not.toHaveBeenCalled();
+    expect(window.storageAPI.writeGraphIndex).not.toHaveBeenCalled();
+  });
+
+  it('applies the report and leaves nothing to do afterwards', async () => {
+    const graph = driftedGraph();
+    const onProgress = vi.fn();
+    await syncGraphMirror({ dryRun: false, onProgress });
+
+    expect([...graph.files.keys()].sort()).toEqual(['3/1', '3/2', '3/4']);
+    expect(graph.files.get('3/2')).toBe(serializePageDoc(docs['3/2']));
+    const index = JSON.parse(graph.indexText);
+    expect(index.pages.map(e => [e.pageId, e.strokeCount])).toEqual([['1', 1], ['2', 2], ['4', 1]]);
+    expect(index.aliases).toEqual({ 3: 'Work' });
+    expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+
+    const again = await syncGraphMirror();
+    expect(again.changed).toBe(false);
+    expect(describeGraphSync(again)).toBe('3 pages checked, graph is up to date');
+  });
+
+  it('leaves unreadable pages alone and rebuilds a corrupt manifest', async () => {
+    const graph = fakeGraph({ '3/1': 'old' }, '{ not json');
+    getPage.mockImplementation(async (book, pageId) => {
+      if (pageId === '1') throw new Error('Unexpected token');
+      return docs[`${book}/${pageId}`];
+    });
+
+    const report = await syncGraphMirror({ dryRun: false });
+    expect(report.unreadable).toEqual([{ book: 3, pageId: '1', error: 'Unexpected token' }]);
+    expect(report.indexUnreadable).toBe(true);
+    expect(graph.files.get('3/1')).toBe('old');
+    expect(JSON.parse(graph.indexText).pages.map(e => e.pageId)).toEqual(['2', '4']);
+  });
+
+  it('keeps assets whose transcript was edited in LogSeq', async () => {
+    const edited = { ...docs['3/2'], transcript: { lastTranscribed: null, lines: [{ id: 'x', text: 'Typed in LogSeq', indentLevel: 0, parentId: null, checked: null }] } };
+    const graph = fakeGraph(
+      { '3/1': serializePageDoc(docs['3/1']), '3/2': serializePageDoc(edited), '3/4': serializePageDoc(docs['3/4']) },
+      null
+    );
+
+    const report = await syncGraphMirror({ dryRun: false });
+    expect(report.graphEdits).toEqual([{ book: 3, pageId: '2' }]);
+    expect(report.assetsToWrite).toEqual([]);
+    expect(graph.files.get('3/2')).toBe(serializePageDoc(edited));
+    expect(describeGraphSync(report)).toContain('1 page with LogSeq edits to review');
+
+    expect(await findGraphEdits()).toEqual([{ book: 3, pageId: '2', added: 1, edited: 0, removed: 0, conflicts: 0 }]);
+  });
+
+  it('needs a graph folder', async () => {
+    graphRoot.set('');
+    await expect(syncGraphMirror()).rejects.toThrow('No graph folder set');
+  });
+});
+
+describe('syncGraphMirror with Markdown on', () => {
+  const nine = {
+    ...doc(9),
+    transcript: {
+      lastTranscribed: null,
+      lines: [{ id: 'a', text: 'Eggs', indentLevel: 0, parentId: null, checked: null, properties: { page: 'Shopping' } }]
+    }
+  };
+  const shopping = upsertJournalBlock('- bread\n', pageToRoutedBlock({ book: 3, pageId: '9' }, nine.transcript.lines), { book: 3, pageId: '9' });
+  let md;
+
+  beforeEach(() => {
+    fakeGraph({
+      '3/1': serializePageDoc(docs['3/1']),
+      '3/2': serializePageDoc(docs['3/2']),
+      '3/4': serializePageDoc(docs['3/4']),
+      '3/9': serializePageDoc(nine)
+    }, null);
+    md = new Map([
+      ['pages/Smartpen___B3___P1.md', 'old'],
+      ['pages/Smartpen___B3___P9.md', 'old'],
+      ['assets/smartpen-B3-P9.svg', '<svg/>'],
+      ['pages/Shopping.md', shopping]
+    ]);
+    const ok = (result) => ({ ok: true, result });
+    Object.assign(window.storageAPI, {
+      readGraphFile: vi.fn(async (root, relPath) => ok(md.get(relPath) ?? null)),
+      writeGraphFile: vi.fn(async (root, relPath, text) => { md.set(relPath, text); return ok({}); }),
+      removeGraphFile: vi.fn(async (root, relPath) => { md.delete(relPath); return ok({}); })
+    });
+    graphMarkdownMode.set('page');
+  });
+
+  afterEach(() => {
+    graphMarkdownMode.set('off');
+  });
+
+  it('lists the Markdown to write and to remove on a dry run', async () => {
+    const report = await syncGraphMirror();
+    expect(report.markdownToWrite).toEqual(['1', '2', '4'].map(pageId => ({
+      book: 3,
+      pageId,
+      files: [`assets/smartpen-B3-P${pageId}.svg`, `pages/Smartpen___B3___P${pageId}.md`]
+    })));
+    expect(report.markdownToRemove).toEqual([
+      { book: 3, pageId: '9', files: ['pages/Smartpen___B3___P9.md', 'assets/smartpen-B3-P9.svg', 'pages/Shopping.md'] }
+    ]);
+    expect(describeGraphSync(report)).toContain('Markdown of 3 pages to rewrite, Markdown of 1 deleted page to remove');
+    expect(window.storageAPI.writeGraphFile).not.toHaveBeenCalled();
+    expect(window.storageAPI.removeGraphFile).not.toHaveBeenCalled();
+  });
+
+  it('writes the pages as a save would and takes the deleted page out', async () => {
+    await syncGraphMirror({ dryRun: false });
+    expect([...md.keys()].sort()).toEqual([
+      'assets/smartpen-B3-P1.svg',
+      'assets/smartpen-B3-P2.svg',
+      'assets/smartpen-B3-P4.svg',
+      'pages/Shopping.md',
+      'pages/Smartpen___B3___P1.md',
+      'pages/Smartpen___B3___P2.md',
+      'pages/Smartpen___B3___P4.md'
+    ]);
+    expect(md.get('pages/Smartpen___B3___P1.md')).toMatch(/^title:: Smartpen\/B3\/P1\ntags:: smartpen\nsmartpen-book:: Work\n/);
+    expect(md.get('pages/Shopping.md')).toBe('- bread\n');
+
+    const again = await syncGraphMirror();
+    expect(again.markdownToWrite).toEqual([]);
+    expect(again.changed).toBe(false);
+  });
+});
+
+describe('describeGraphSync', () => {
+  it('summarizes what a dry run would do', () => {
+    const report = {
+      dryRun: true,
+      pagesChecked: 12,
+      assetsToWrite: [{ book: 3, pageId: '4' }],
+      entriesToWrite: [{ book: 3, pageId: '4' }, { book: 3, pageId: '5' }],
+      entriesToRemove: [{ book: 3, pageId: '9' }],
+      assetsToRemove: [{ book: 3, pageId: '9' }],
+      aliasesChanged: true,
+      indexUnreadable: false,
+      unreadable: [],
+      graphEdits: []
+    };
+    expect(describeGraphSync(report)).toBe(
+      '12 pages checked: 1 asset to write, 2 index entries to update, 1 deleted page to remove, book aliases to update'
+    );
+  });
+});
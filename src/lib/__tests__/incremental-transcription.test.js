@@ -0,0 +1,186 @@
+/**
+ * Tests for incremental transcription (recognition/incremental-transcription.js)
+ * and how its results merge into a saved transcript (mergeTranscript in
+ * storage/save-page.js).
+ *
+ * Coverage:
+ *   - planIncrementalTranscription (fresh strokes, strokes extending a line,
+ *     overlapping line bands, strokes without dots)
+ *   - lineUpdateFromResult (pieces joined, LaTeX kept, bounds combined)
+ *   - fileTranscriptionResult (new lines vs. line updates in the page store,
+ *     latest update per line wins)
+ *   - mergeTranscript (new lines inserted by position, strokes linked only
+ *     from the sent set or by their words, word detail kept, line updates in
+ *     place, already-applied updates skipped, updates for deleted lines
+ *     restored)
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { get } from 'svelte/store';
+import { pageTranscriptions, clearTranscription } from '$stores';
+import {
+  planIncrementalTranscription,
+  lineUpdateFromResult,
+  fileTranscriptionResult
+} from '../recognition/incremental-transcription.js';
+import { mergeTranscript } from '../storage/save-page.js';
+
+const dot = (x, y) => ({ x, y, timestamp: 0, f: 400 });
+const stroke = (startTime, minY, maxY, blockUuid = null) => ({
+  startTime,
+  blockUuid,
+  dotArray: [dot(10, minY), dot(20, maxY)]
+});
+const stored = (startTime, minY, maxY, lineId = null) => ({
+  id: `s${startTime}`,
+  startTime,
+  lineId,
+  points: [[10, minY], [20, maxY]]
+});
+const line = (id, text, minY, maxY) => ({
+  id, text, indentLevel: 0, parentId: null, checked: null, yBounds: { minY, maxY }
+});
+
+describe('planIncrementalTranscription', () => {
+  const linked = [stroke(1, 10, 16, 'line-a'), stroke(2, 11, 17, 'line-a'), stroke(3, 30, 36, 'line-b')];
+
+  it('sends strokes away from every line as fresh', () => {
+    const plan = planIncrementalTranscription([stroke(10, 50, 56), stroke(11, 51, 55)], linked);
+    expect(plan.fresh.map((s) => s.startTime)).toEqual([10, 11]);
+    expect(plan.extensions).toEqual([]);
+  });
+
+  it('groups strokes inside a line band with that line, in writing order', () => {
+    const plan = planIncrementalTranscription([stroke(10, 12, 15), stroke(11, 50, 56), stroke(12, 29, 37)], linked);
+    expect(plan.fresh.map((s) => s.startTime)).toEqual([11]);
+    expect(plan.extensions.map((e) => [e.lineId, e.strokes.map((s) => s.startTime), e.newStrokes.map((s) => s.startTime)])).toEqual([
+      ['line-a', [1, 2, 10], [10]],
+      ['line-b', [3, 12], [12]]
+    ]);
+  });
+
+  it('picks the nearest line when bands overlap', () => {
+    const tall = [stroke(1, 10, 30, 'tall'), stroke(2, 24, 30, 'short')];
+    const plan = planIncrementalTranscription([stroke(10, 26, 28)], tall);
+    expect(plan.extensions.map((e) => e.lineId)).toEqual(['short']);
+  });
+
+  it('treats a page with no transcribed strokes, and strokes without dots, as fresh', () => {
+    const empty = { startTime: 9, dotArray: [] };
+    const plan = planIncrementalTranscription([stroke(10, 12, 15), empty]);
+    expect(plan.fresh).toHaveLength(2);
+    expect(plan.extensions).toEqual([]);
+  });
+});
+
+describe('lineUpdateFromResult', () => {
+  it('joins the recognized pieces into one line', () => {
+    const result = {
+      text: 'Buy milk\nand eggs',
+      lines: [
+        { text: 'Buy milk', yBounds: { minY: 10, maxY: 16 } },
+        { text: ' and eggs ', yBounds: { minY: 14, maxY: 20 } }
+      ]
+    };
+    expect(lineUpdateFromResult('line-a', result)).toEqual({
+      lineId: 'line-a',
+      text: 'Buy milk and eggs',
+      yBounds: { minY: 10, maxY: 20 }
+    });
+  });
+
+  it('keeps LaTeX and falls back to the text when there are no lines', () => {
+    expect(lineUpdateFromResult('m', { lines: [{ text: 'x^2', latex: 'x^2', yBounds: null }] }).latex).toBe('x^2');
+    expect(lineUpdateFromResult('t', { text: 'a\nb' })).toEqual({ lineId: 't', text: 'a b', yBounds: null });
+  });
+});
+
+describe('fileTranscriptionResult', () => {
+  const page = { pageKey: 'S0/O0/B3/P12', pageInfo: { book: 3, page: 12 }, strokeCount: 6 };
+
+  beforeEach(() => clearTranscription());
+
+  it('files new lines and line updates side by side', () => {
+    fileTranscriptionResult({ ...page, lineId: 'line-a' }, { lines: [{ text: 'first try' }] }, [{ startTime: 1 }, { startTime: 10 }]);
+    fileTranscriptionResult(page, { text: 'New line', lines: [{ text: 'New line' }] }, [{ startTime: 11 }]);
+    fileTranscriptionResult({ ...page, lineId: 'line-a' }, { lines: [{ text: 'Buy milk and eggs' }] }, [{ startTime: 1 }, { startTime: 10 }]);
+
+    const entry = get(pageTranscriptions).get(page.pageKey);
+    expect(entry.lines.map((l) => l.text)).toEqual(['New line']);
+    expect(entry.transcribedStrokeIds).toEqual(['11']);
+    expect(entry.lineUpdates).toEqual([
+      { lineId: 'line-a', text: 'Buy milk and eggs', yBounds: null, strokeIds: ['1', '10'] }
+    ]);
+  });
+
+  it('starts an empty page entry for an update on its own', () => {
+    fileTranscriptionResult({ ...page, lineId: 'line-b' }, { lines: [{ text: 'Call Sam' }] }, [{ startTime: 3 }]);
+    const entry = get(pageTranscriptions).get(page.pageKey);
+    expect(entry.lines).toEqual([]);
+    expect(entry.text).toBe('');
+    expect(entry.lineUpdates.map((u) => u.text)).toEqual(['Call Sam']);
+  });
+});
+
+describe('mergeTranscript', () => {
+  const existing = [line('a', 'Buy milk', 10, 16), line('b', 'Call Sam', 30, 36)];
+
+  it('inserts new lines between existing ones and links only the sent strokes', () => {
+    const strokes = [stored(1, 10, 16, 'a'), stored(3, 30, 36, 'b'), stored(10, 20, 26), stored(11, 21, 25)];
+    const { lines, lineIdAssignments } = mergeTranscript(
+      existing,
+      [{ text: 'Pay rent', yBounds: { minY: 20, maxY: 26 } }],
+      strokes,
+      { transcribedStrokeIds: ['10'] }
+    );
+
+    expect(lines.map((l) => l.text)).toEqual(['Buy milk', 'Pay rent', 'Call Sam']);
+    expect([...lineIdAssignments.keys()]).toEqual(['s10']);
+    expect(lineIdAssignments.get('s10')).toBe(lines[1].id);
+  });
+
+  it('links the strokes the line\'s words name and keeps the word detail', () => {
+    const strokes = [stored(10, 20, 26), stored(11, 20, 40), stored(12, 21, 25)];
+    const words = [{ label: 'Pay', strokeIds: ['s10', 's11'], candidates: ['Pey'] }, { label: 'rent' }];
+    const { lines, lineIdAssignments } = mergeTranscript([], [{ text: 'Pay rent', words, yBounds: { minY: 20, maxY: 26 } }], strokes);
+
+    expect(lines[0].words).toEqual([{ text: 'Pay', strokeIds: ['s10', 's11'], candidates: ['Pey'] }, { text: 'rent' }]);
+    expect([...lineIdAssignments.keys()]).toEqual(['s10', 's11']);
+  });
+
+  it('keeps the existing order and appends lines without bounds', () => {
+    const unordered = [line('b', 'Call Sam', 30, 36), line('a', 'Buy milk', 10, 16)];
+    const { lines } = mergeTranscript(unordered, [{ text: 'Somewhere', yBounds: { minY: 0, maxY: 0 } }], []);
+    expect(lines.map((l) => l.text)).toEqual(['Call Sam', 'Buy milk', 'Somewhere']);
+  });
+
+  it('updates an extended line in place and links its new strokes', () => {
+    const strokes = [stored(1, 10, 16, 'a'), stored(10, 11, 15), stored(3, 30, 36, 'b')];
+    const { lines, lineIdAssignments, linesUpdated } = mergeTranscript(existing, [], strokes, {
+      lineUpdates: [{ lineId: 'a', text: 'Buy milk and eggs', yBounds: { minY: 9, maxY: 16 }, strokeIds: ['1', '10'] }]
+    });
+
+    expect(linesUpdated).toBe(1);
+    expect(lines.map((l) => [l.id, l.text])).toEqual([['a', 'Buy milk and eggs'], ['b', 'Call Sam']]);
+    expect(lines[0].yBounds).toEqual({ minY: 9, maxY: 16 });
+    expect([...lineIdAssignments]).toEqual([['s10', 'a']]);
+  });
+
+  it('skips an update that an earlier save applied', () => {
+    const edited = [line('a', 'Buy oat milk and eggs', 10, 16)];
+    const strokes = [stored(1, 10, 16, 'a'), stored(10, 11, 15, 'a')];
+    const { lines, linesUpdated } = mergeTranscript(edited, [], strokes, {
+      lineUpdates: [{ lineId: 'a', text: 'Buy milk and eggs', yBounds: null, strokeIds: ['1', '10'] }]
+    });
+    expect(linesUpdated).toBe(0);
+    expect(lines[0].text).toBe('Buy oat milk and eggs');
+  });
+
+  it('brings back a line that was deleted before the update arrived', () => {
+    const strokes = [stored(1, 30, 36), stored(10, 31, 35)];
+    const { lines } = mergeTranscript([line('c', 'Later', 50, 56)], [], strokes, {
+      lineUpdates: [{ lineId: 'b', text: 'Call Sam today', yBounds: { minY: 30, maxY: 36 }, strokeIds: ['1', '10'] }]
+    });
+    expect(lines.map((l) => [l.id, l.text])).toEqual([['b', 'Call Sam today'], ['c', 'Later']]);
+  });
+});
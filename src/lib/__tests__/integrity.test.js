@@ -0,0 +1,224 @@
+/**
+ * Tests for storage/integrity.js — pure data-folder checks and repairs.
+ *
+ * Coverage:
+ *   - checkPageDoc (clean page, invalid shell, pageInfo/filename mismatch,
+ *     duplicate stroke ids, dangling lineIds, stale totalStrokes)
+ *   - repairPageDoc (normalize, fix-pageinfo, dedupe-strokes, clear-line-refs,
+ *     recount; input not mutated; repaired docs re-check clean)
+ *   - checkAliases / invalidAliasKeys
+ *   - unreadablePageIssue / orphanTmpIssue repair offers
+ *   - storage/check-folder.js restore-history: newest *valid* saved version
+ *
+ * check-folder.js reaches the folder through local-store.js, mocked here.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('$lib/storage/local-store.js', () => ({
+  listPageHistory: vi.fn(),
+  getPageVersion: vi.fn(),
+  restorePageVersion: vi.fn(async () => ({})),
+}));
+
+import { listPageHistory, getPageVersion, restorePageVersion } from '$lib/storage/local-store.js';
+import { applyRepair } from '../storage/check-folder.js';
+import {
+  ISSUE,
+  REPAIR,
+  checkPageDoc,
+  repairPageDoc,
+  checkAliases,
+  invalidAliasKeys,
+  unreadablePageIssue,
+  orphanTmpIssue
+} from '../storage/integrity.js';
+
+const where = { book: 3, pageId: '12', relPath: 'pages/B3/P12.json' };
+
+function page(overrides = {}) {
+  const strokes = overrides.strokes || [
+    { id: 's1', startTime: 1, lineId: 'l1', points: [[1, 2], [3, 4]] },
+    { id: 's2', startTime: 2, lineId: null, points: [[5, 6]] }
+  ];
+  return {
+    version: '2.1',
+    pageInfo: { section: 3, owner: 27, book: 3, page: 12 },
+    metadata: { lastUpdated: '2026-01-01T00:00:00.000Z', totalStrokes: strokes.length, bounds: {} },
+    transcript: { lastTranscribed: null, lines: [{ id: 'l1', text: 'hi', indentLevel: 0 }] },
+    ...overrides,
+    strokes
+  };
+}
+
+const kinds = (issues) => issues.map((i) => i.kind);
+const actions = (issue) => issue.repairs.map((r) => r.action);
+
+describe('checkPageDoc', () => {
+  it('reports nothing for a healthy page', () => {
+    expect(checkPageDoc(page(), where)).toEqual([]);
+  });
+
+  it('reports an invalid shell and stops there', () => {
+    const issues = checkPageDoc({ version: '2.1', strokes: [] }, where);
+    expect(kinds(issues)).toEqual([ISSUE.INVALID]);
+    expect(issues[0].severity).toBe('error');
+    expect(actions(issues[0])).toContain(REPAIR.NORMALIZE);
+  });
+
+  it('does not offer normalize for an unknown version or non-array strokes', () => {
+    expect(actions(checkPageDoc(page({ version: '9.0' }), where)[0])).not.toContain(REPAIR.NORMALIZE);
+    expect(actions(checkPageDoc({ ...page(), strokes: 'nope' }, where)[0])).toEqual([
+      REPAIR.RESTORE_HISTORY,
+      REPAIR.QUARANTINE
+    ]);
+  });
+
+  it('flags pageInfo that disagrees with the filename', () => {
+    const issues = checkPageDoc(page({ pageInfo: { section: 3, owner: 27, book: 3, page: 13 } }), where);
+    expect(kinds(issues)).toEqual([ISSUE.PAGEINFO_MISMATCH]);
+    expect(issues[0].message).toContain('B3/P13');
+  });
+
+  it('compares a suffixed pageId by its page number', () => {
+    expect(checkPageDoc(page(), { ...where, pageId: '12b' })).toEqual([]);
+  });
+
+  it('flags duplicate stroke ids', () => {
+    const s = { id: 's1', startTime: 1, lineId: null, points: [[1, 1]] };
+    const issues = checkPageDoc(page({ strokes: [s, { ...s }, { ...s }] }), where);
+    expect(kinds(issues)).toEqual([ISSUE.DUPLICATE_STROKES]);
+    expect(issues[0].message).toMatch(/^2 duplicate strokes/);
+  });
+
+  it('flags strokes linked to missing transcript lines', () => {
+    const strokes = [
+      { id: 's1', lineId: 'gone', points: [] },
+      { id: 's2', lineId: 'gone', points: [] },
+      { id: 's3', lineId: 'l1', points: [] }
+    ];
+    const issues = checkPageDoc(page({ strokes }), where);
+    expect(kinds(issues)).toEqual([ISSUE.DANGLING_LINE_REFS]);
+    expect(issues[0].message).toBe('2 strokes linked to 1 missing transcript line');
+  });
+
+  it('flags a stale totalStrokes count', () => {
+    const doc = page();
+    doc.metadata.totalStrokes = 7;
+    expect(kinds(checkPageDoc(doc, where))).toEqual([ISSUE.STALE_METADATA]);
+  });
+});
+
+describe('repairPageDoc', () => {
+  it('normalizes a doc with missing shell fields', () => {
+    const fixed = repairPageDoc({ strokes: [{ id: 's1', points: [[1, 2], [3, 4]] }] }, REPAIR.NORMALIZE, where);
+    expect(fixed.version).toBe('2.1');
+    expect(fixed.pageInfo).toEqual({ section: 0, owner: 0, book: 3, page: 12 });
+    expect(fixed.transcript.lines).toEqual([]);
+    expect(fixed.metadata.totalStrokes).toBe(1);
+    expect(fixed.metadata.bounds).toEqual({ minX: 1, maxX: 3, minY: 2, maxY: 4 });
+    expect(checkPageDoc(fixed, where)).toEqual([]);
+  });
+
+  it('takes book/page from the filename', () => {
+    const doc = page({ pageInfo: { section: 3, owner: 27, book: 9, page: 1 } });
+    const fixed = repairPageDoc(doc, REPAIR.FIX_PAGEINFO, where);
+    expect(fixed.pageInfo).toEqual({ section: 3, owner: 27, book: 3, page: 12 });
+    expect(doc.pageInfo.book).toBe(9);
+  });
+
+  it('drops exact duplicate strokes and re-ids differing ones', () => {
+    const a = { id: 's1', startTime: 1, lineId: null, points: [[1, 1]] };
+    const b = { id: 's1', startTime: 1, lineId: null, points: [[2, 2]] };
+    const taken = { id: 's1-2', startTime: 5, lineId: null, points: [[3, 3]] };
+    const fixed = repairPageDoc(page({ strokes: [a, { ...a }, b, taken] }), REPAIR.DEDUPE_STROKES, where);
+    expect(fixed.strokes.map((s) => s.id)).toEqual(['s1', 's1-3', 's1-2']);
+    expect(fixed.strokes[1].points).toEqual([[2, 2]]);
+    expect(fixed.metadata.totalStrokes).toBe(3);
+    expect(checkPageDoc(fixed, where)).toEqual([]);
+  });
+
+  it('unlinks strokes from missing lines only', () => {
+    const strokes = [
+      { id: 's1', lineId: 'gone', points: [] },
+      { id: 's2', lineId: 'l1', points: [] }
+    ];
+    const doc = page({ strokes });
+    const fixed = repairPageDoc(doc, REPAIR.CLEAR_LINE_REFS, where);
+    expect(fixed.strokes.map((s) => s.lineId)).toEqual([null, 'l1']);
+    expect(doc.strokes[0].lineId).toBe('gone');
+  });
+
+  it('recounts strokes and bounds', () => {
+    const doc = page();
+    doc.metadata.totalStrokes = 99;
+    const fixed = repairPageDoc(doc, REPAIR.RECOUNT, where);
+    expect(fixed.metadata.totalStrokes).toBe(2);
+    expect(fixed.metadata.lastUpdated).toBe(doc.metadata.lastUpdated);
+  });
+
+  it('rejects file-level actions', () => {
+    expect(() => repairPageDoc(page(), REPAIR.QUARANTINE, where)).toThrow(/Not a page-content repair/);
+  });
+});
+
+describe('checkAliases', () => {
+  it('accepts a clean alias map', () => {
+    expect(checkAliases({ 3: 'Work', 12: 'Home' }, 'pages/_aliases.json')).toEqual([]);
+  });
+
+  it('lists invalid entries', () => {
+    const raw = { 3: 'Work', abc: 'x', 4: '', 5: 7 };
+    expect(invalidAliasKeys(raw).sort()).toEqual(['4', '5', 'abc']);
+    const issues = checkAliases(raw, 'pages/_aliases.json');
+    expect(kinds(issues)).toEqual([ISSUE.ALIASES_INVALID]);
+    expect(actions(issues[0])).toEqual([REPAIR.DROP_BAD_ALIASES]);
+  });
+
+  it('rejects a non-object', () => {
+    const issues = checkAliases(['x'], 'pages/_aliases.json');
+    expect(issues[0].severity).toBe('error');
+    expect(actions(issues[0])).toEqual([REPAIR.QUARANTINE]);
+  });
+});
+
+describe('file-level issues', () => {
+  it('offers a history restore for an unreadable page only when history exists', () => {
+    expect(actions(unreadablePageIssue(where, 'bad', true))).toEqual([REPAIR.RESTORE_HISTORY, REPAIR.QUARANTINE]);
+    expect(actions(unreadablePageIssue(where, 'bad', false))).toEqual([REPAIR.QUARANTINE]);
+  });
+
+  it('prefers promoting a temp file whose target is missing', () => {
+    const tmp = { relPath: 'pages/B3/P12.json.tmp-1-2', targetRelPath: 'pages/B3/P12.json', size: 10, mtime: 'x' };
+    expect(actions(orphanTmpIssue({ ...tmp, targetExists: true }))).toEqual([REPAIR.DELETE_TMP, REPAIR.PROMOTE_TMP]);
+    const missing = orphanTmpIssue({ ...tmp, targetExists: false });
+    expect(missing.severity).toBe('error');
+    expect(actions(missing)[0]).toBe(REPAIR.PROMOTE_TMP);
+  });
+});
+
+describe('restore-history repair', () => {
+  const version = (id, readable = true) => ({ id, savedAt: `2026-01-0${id}T00:00:00.000Z`, readable });
+
+  it('restores the newest version that is a valid page, not just one that parses', async () => {
+    listPageHistory.mockResolvedValue([version('3'), version('2', false), version('1')]);
+    const saved = { 3: { version: '2.1', strokes: 'nope' }, 1: page() };
+    getPageVersion.mockImplementation(async (book, pageId, id) => saved[id]);
+
+    const issue = unreadablePageIssue(where, 'bad', true);
+    const message = await applyRepair(issue, REPAIR.RESTORE_HISTORY);
+
+    expect(restorePageVersion).toHaveBeenCalledWith(3, '12', '1');
+    expect(message).toContain('2026-01-01');
+    expect(issue.repairs[0].label).toMatch(/loses the latest save/);
+  });
+
+  it('fails when no saved version is valid', async () => {
+    restorePageVersion.mockClear();
+    listPageHistory.mockResolvedValue([version('1')]);
+    getPageVersion.mockResolvedValue({ strokes: [] });
+    await expect(applyRepair(unreadablePageIssue(where, 'bad', true), REPAIR.RESTORE_HISTORY))
+      .rejects.toThrow('no valid saved version');
+    expect(restorePageVersion).not.toHaveBeenCalled();
+  });
+});
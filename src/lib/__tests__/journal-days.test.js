@@ -0,0 +1,72 @@
+/**
+ * Tests for storage/journal-days.js — transcripts cut up by the day each
+ * line was written.
+ *
+ * Coverage:
+ *   - lineWrittenDates: stroke lineIds, word and bullet strokes, [date:]
+ *     overrides, undated lines following the line above, page-start fallback
+ *   - sliceTranscriptByDay: order, blank lines dropped, indents evened out
+ *   - pagesToDayMarkdown: one file per day across pages, pages in writing order
+ */
+
+import { describe, it, expect } from 'vitest';
+import { lineWrittenDates, sliceTranscriptByDay, pagesToDayMarkdown } from '../storage/journal-days.js';
+
+const mon = new Date(2026, 9, 19, 9).getTime();
+const tue = new Date(2026, 9, 20, 18).getTime();
+const line = (id, text, indentLevel = 0, extra = {}) => ({ id, text, indentLevel, parentId: null, checked: null, ...extra });
+const stroke = (startTime, lineId = null) => ({ id: `s${startTime}`, startTime, lineId, points: [[0, 0]] });
+
+const doc = {
+  metadata: { lastUpdated: '2026-10-21T08:00:00.000Z' },
+  transcript: {
+    lines: [
+      line('head', 'Title'),
+      line('a', 'Buy milk', 0),
+      line('b', 'Call Ann', 1),
+      line('c', 'and Bob', 2),
+      line('blank', '  ', 0),
+      line('d', 'Plan trip', 0, { words: [{ text: 'Plan', strokeIds: [`s${mon + 60000}`] }] }),
+      line('e', 'Dentist', 0, { properties: { date: '2026-10-23' } })
+    ]
+  },
+  strokes: [stroke(mon, 'a'), stroke(tue, 'b'), stroke(mon + 60000)]
+};
+
+describe('lineWrittenDates', () => {
+  it('dates lines by their strokes, commands and neighbours', () => {
+    expect(lineWrittenDates(doc).map(d => d.date)).toEqual([
+      '2026-10-19', '2026-10-19', '2026-10-20', '2026-10-20', '2026-10-20', '2026-10-19', '2026-10-23'
+    ]);
+    expect(lineWrittenDates(doc)[5].start).toBe(mon + 60000);
+  });
+
+  it('reads bullet strokes and falls back to the save date', () => {
+    const bulleted = { transcript: { lines: [line('x', 'Task', 0, { bullet: { strokeIds: [`s${tue}`] } })] }, strokes: [stroke(tue)] };
+    expect(lineWrittenDates(bulleted)[0].date).toBe('2026-10-20');
+    const unwritten = { metadata: { lastUpdated: new Date(2026, 9, 21, 12).toISOString() }, transcript: { lines: [line('y', 'Note')] }, strokes: [] };
+    expect(lineWrittenDates(unwritten)[0].date).toBe('2026-10-21');
+  });
+});
+
+describe('sliceTranscriptByDay', () => {
+  it('gives each day its own outline', () => {
+    const slices = sliceTranscriptByDay(doc);
+    expect(slices.map(s => [s.date, s.lines.map(l => `${l.indentLevel}:${l.text}`)])).toEqual([
+      ['2026-10-19', ['0:Title', '0:Buy milk', '0:Plan trip']],
+      ['2026-10-20', ['0:Call Ann', '1:and Bob']],
+      ['2026-10-23', ['0:Dentist']]
+    ]);
+    expect(slices[0].start).toBe(mon);
+    expect(doc.transcript.lines[2].indentLevel).toBe(1);
+  });
+});
+
+describe('pagesToDayMarkdown', () => {
+  it('writes a file per day with the pages in writing order', () => {
+    const early = { transcript: { lines: [line('z', 'Standup')] }, strokes: [stroke(tue - 3600000, 'z')] };
+    const days = pagesToDayMarkdown([{ book: 3, pageId: '1', doc }, { book: 7, pageId: '2', doc: early }], { 7: 'Work' });
+    expect(days.map(d => d.fileName)).toEqual(['2026-10-19.md', '2026-10-20.md', '2026-10-23.md']);
+    expect(days[1].text).toBe('# 2026-10-20\n\n## B7/P2 (Work)\n\n- Standup\n\n## B3/P1\n\n- Call Ann\n\t- and Bob\n');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for several pens connected at once — lib/pen-ids.js, the connected
+ * pens in stores/pen.js and per-pen strokes in pen-sdk.js.
+ *
+ * Coverage:
+ *   - normalizePenId / penKey / penColor / penLabel / strokePens / isPenVisible
+ *   - updateConnectedPen / removeConnectedPen / setActivePen keeping the
+ *     single-pen stores on the active pen
+ *   - pen-sdk: interleaved dots from two pens build two strokes, each with its
+ *     penId; one pen disconnecting leaves the other connected
+ *   - strokeToStored keeps penId
+ *
+ * web_pen_sdk is mocked: PenHelper is a plain object whose callbacks the test
+ * calls the way the SDK would.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { get } from 'svelte/store';
+
+vi.mock('web_pen_sdk', () => ({
+  PenHelper: { pens: [], connectDevice: async () => {}, disconnect: () => {} },
+  PenMessageType: { PEN_AUTHORIZED: 0x01, PEN_DISCONNECTED: 0x04, PEN_CONNECTION_SUCCESS: 0x06, PEN_SETTING_INFO: 0x11 }
+}));
+
+import { PenHelper, PenMessageType } from 'web_pen_sdk';
+import { NO_PEN, PEN_COLORS, normalizePenId, penKey, penColor, penLabel, strokePens, isPenVisible } from '../pen-ids.js';
+import {
+  penConnected, penController, penInfo, penAuthorized, connectedPens, activePenId,
+  setPenConnected, updateConnectedPen, removeConnectedPen, setActivePen
+} from '$stores/pen.js';
+import { strokes, clearStrokes } from '$stores/strokes.js';
+import { initializePenSDK } from '../pen-sdk.js';
+import { strokeToStored } from '../storage/save-page.js';
+
+const A = '9C:7B:D2:01:4F:3A';
+const B = '9C:7B:D2:01:88:10';
+
+describe('pen ids', () => {
+  it('normalizes MAC addresses', () => {
+    expect(normalizePenId(A)).toBe('9c:7b:d2:01:4f:3a');
+    expect(normalizePenId('9c7bd2014f3a')).toBe('9c:7b:d2:01:4f:3a');
+    expect(normalizePenId('')).toBeNull();
+    expect(normalizePenId(undefined)).toBeNull();
+  });
+
+  it('keys, colours and labels pens', () => {
+    const id = normalizePenId(A);
+    expect(penKey({ penId: id })).toBe(id);
+    expect(penKey({})).toBe(NO_PEN);
+    expect(PEN_COLORS).toContain(penColor(id));
+    expect(penColor(id)).toBe(penColor(id));
+    expect(penColor(NO_PEN)).toBe('#000000');
+    expect(penLabel(id)).toBe('Pen 4f:3a');
+    expect(penLabel(id, 'LAMY safari')).toBe('LAMY safari 4f:3a');
+    expect(penLabel(NO_PEN)).toBe('Unknown pen');
+  });
+
+  it('lists the pens among strokes and filters by them', () => {
+    const list = [{ penId: 'a' }, {}, { penId: 'a' }, { penId: 'b' }];
+    expect(strokePens(list)).toEqual([{ key: 'a', count: 2 }, { key: NO_PEN, count: 1 }, { key: 'b', count: 1 }]);
+    const hidden = new Set(['a', NO_PEN]);
+    expect(list.filter(s => isPenVisible(s, hidden))).toEqual([{ penId: 'b' }]);
+    expect(isPenVisible({ penId: 'a' }, new Set())).toBe(true);
+  });
+});
+
+describe('connected pens store', () => {
+  beforeEach(() => setPenConnected(false));
+
+  it('follows the active pen and falls back when it disconnects', () => {
+    updateConnectedPen('a', { controller: 'ctrl-a', info: { Battery: 80 } });
+    updateConnectedPen('a', { authorized: true });
+    expect(get(activePenId)).toBe('a');
+    expect(get(penAuthorized)).toBe(true);
+
+    updateConnectedPen('b', { controller: 'ctrl-b' }, { activate: true });
+    expect(get(penController)).toBe('ctrl-b');
+    expect(get(penAuthorized)).toBe(false);
+
+    setActivePen('a');
+    expect(get(penInfo)).toEqual({ Battery: 80 });
+    setActivePen('missing');
+    expect(get(activePenId)).toBe('a');
+
+    expect(removeConnectedPen('a')).toBe(1);
+    expect(get(activePenId)).toBe('b');
+    expect(get(penController)).toBe('ctrl-b');
+    expect(removeConnectedPen('b')).toBe(0);
+    expect(get(penConnected)).toBe(false);
+    expect(get(connectedPens).size).toBe(0);
+  });
+});
+
+describe('pen-sdk with two pens', () => {
+  const pageInfo = { section: 3, owner: 27, book: 12, page: 1 };
+  const dot = (dotType, x, t) => ({ dotType, x, y: x, f: 300, timeStamp: t, pageInfo });
+  const controller = (mac) => ({ info: { MacAddress: mac }, RequestAvailableNotes: vi.fn(), SetHoverEnable: vi.fn() });
+
+  beforeEach(() => {
+    setPenConnected(false);
+    clearStrokes();
+    PenHelper.pens = [controller(A), controller(B)];
+    initializePenSDK();
+  });
+
+  it('builds a stroke per pen from interleaved dots', async () => {
+    PenHelper.messageCallback(A, PenMessageType.PEN_CONNECTION_SUCCESS);
+    PenHelper.messageCallback(B, PenMessageType.PEN_CONNECTION_SUCCESS);
+    expect([...get(connectedPens).keys()]).toEqual([normalizePenId(A), normalizePenId(B)]);
+    expect(get(activePenId)).toBe(normalizePenId(B));
+
+    PenHelper.dotCallback(A, dot(0, 1, 100));
+    PenHelper.dotCallback(B, dot(0, 50, 101));
+    PenHelper.dotCallback(A, dot(1, 2, 102));
+    PenHelper.dotCallback(B, dot(1, 51, 103));
+    PenHelper.dotCallback(B, dot(2, 52, 104));
+    PenHelper.dotCallback(A, dot(2, 3, 105));
+    await Promise.resolve();
+
+    const written = get(strokes);
+    expect(written.map(s => [s.penId, s.startTime, s.endTime, s.dotArray.map(d => d.x)])).toEqual([
+      [normalizePenId(B), 101, 104, [50, 51]],
+      [normalizePenId(A), 100, 105, [1, 2]]
+    ]);
+  });
+
+  it('keeps the other pen connected when one disconnects', () => {
+    PenHelper.messageCallback(A, PenMessageType.PEN_CONNECTION_SUCCESS);
+    PenHelper.messageCallback(B, PenMessageType.PEN_CONNECTION_SUCCESS);
+    PenHelper.messageCallback(B, PenMessageType.PEN_DISCONNECTED);
+    expect(get(penConnected)).toBe(true);
+    expect(get(activePenId)).toBe(normalizePenId(A));
+    PenHelper.messageCallback(A, PenMessageType.PEN_DISCONNECTED);
+    expect(get(penConnected)).toBe(false);
+  });
+});
+
+describe('strokeToStored', () => {
+  it('saves the pen that wrote a stroke', () => {
+    const stroke = { startTime: 5, endTime: 6, dotArray: [{ x: 1, y: 2, f: 100, timestamp: 5 }] };
+    expect(strokeToStored({ ...stroke, penId: 'aa:bb' })).toMatchObject({ id: 's5', penId: 'aa:bb' });
+    expect(strokeToStored(stroke)).not.toHaveProperty('penId');
+  });
+});
@@ -12,10 +12,15 @@
  *
  *   Fix: fallback is now {0,0}, and a second interpolation pass fills the gaps
  *   from neighbouring lines that did get valid word-match bounds.
+ *
+ * Also covers the Math (LaTeX rows → lines with `latex`) and Diagram (JIIX
+ * text elements → lines) parsers, and the request transcribeStrokes sends
+ * for each content type, with stroke ids that JIIX words refer back to and
+ * the correction dictionary's lexicon.
  */
 
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { parseMyScriptResponse } from '../myscript-api.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { parseMyScriptResponse, parseMathResponse, parseDiagramResponse, transcribeStrokes } from '../myscript-api.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -314,3 +319,100 @@ describe('parseMyScriptResponse — indentation', () => {
     expect(result.lines[1].indentLevel).toBeGreaterThan(0);
   });
 });
+
+describe('parseMathResponse', () => {
+  it('makes one line per LaTeX row, keeping the source as latex', () => {
+    const result = parseMathResponse('\\begin{align*} x &= 1 \\\\ y &= 2 \\end{align*}', 200);
+    expect(result.text).toBe('x = 1\ny = 2');
+    expect(result.lines.map(l => [l.text, l.latex])).toEqual([['x = 1', 'x = 1'], ['y = 2', 'y = 2']]);
+    expect(result.raw.latex).toContain('align*');
+  });
+
+  it('splits the ink extent (mm in the request canvas) between the rows', () => {
+    const result = parseMathResponse('a \\\\ b', 10 + 96 + 10);
+    const mm = 25.4 / 96;
+    expect(result.lines[0].yBounds.minY).toBeCloseTo(10 * mm);
+    expect(result.lines[0].yBounds.maxY).toBeCloseTo(58 * mm);
+    expect(result.lines[1].yBounds.maxY).toBeCloseTo(106 * mm);
+  });
+
+  it('returns no lines for an empty answer', () => {
+    expect(parseMathResponse('', 100).lines).toEqual([]);
+  });
+});
+
+describe('parseDiagramResponse', () => {
+  it('turns labelled elements into lines, top to bottom', () => {
+    const result = parseDiagramResponse({
+      type: 'Diagram',
+      elements: [
+        { type: 'Node', kind: 'rectangle', label: 'Server', 'bounding-box': { x: 10, y: 40, width: 30, height: 8 } },
+        { type: 'Text', label: 'Client app', 'bounding-box': { x: 10, y: 5, width: 30, height: 8 },
+          words: [word('Client', 10, 5, 14, 8), word(' '), word('app', 26, 5, 10, 8)] },
+        { type: 'Edge', kind: 'line', 'bounding-box': { x: 20, y: 13, width: 1, height: 27 } }
+      ]
+    });
+    expect(result.lines.map(l => l.text)).toEqual(['Client app', 'Server']);
+    expect(result.lines[0].yBounds).toEqual({ minY: 5, maxY: 13 });
+    expect(result.lines[1].yBounds).toEqual({ minY: 40, maxY: 48 });
+  });
+});
+
+describe('transcribeStrokes — content types', () => {
+  const strokes = [{ dotArray: [{ x: 0, y: 0, timestamp: 1, f: 500 }, { x: 10, y: 5, timestamp: 2, f: 500 }] }];
+
+  afterEach(() => {
+    delete window.electronAPI;
+  });
+
+  it('asks for LaTeX when recognizing Math', async () => {
+    const myscriptApiCall = vi.fn(async () => ({ status: 200, body: 'x^{2}' }));
+    window.electronAPI = { myscriptApiCall };
+
+    const result = await transcribeStrokes(strokes, 'app', 'hmac', { lang: 'fr_FR', contentType: 'Math' });
+
+    const [, , body, accept] = myscriptApiCall.mock.calls[0];
+    const request = JSON.parse(body);
+    expect(request.contentType).toBe('Math');
+    expect(request.configuration.lang).toBe('fr_FR');
+    expect(request.configuration.math.mimeTypes).toEqual(['application/x-latex']);
+    expect(request.configuration.text).toBeUndefined();
+    expect(accept).toBe('application/x-latex');
+    expect(result.lines.map(l => l.latex)).toEqual(['x^{2}']);
+  });
+
+  it('defaults to Text with a JIIX answer', async () => {
+    const myscriptApiCall = vi.fn(async () => ({ status: 200, body: JSON.stringify(response('hi', [word('hi', 5, 5)])) }));
+    window.electronAPI = { myscriptApiCall };
+
+    const result = await transcribeStrokes(strokes, 'app', 'hmac');
+
+    const [, , body, accept] = myscriptApiCall.mock.calls[0];
+    expect(JSON.parse(body).contentType).toBe('Text');
+    expect(JSON.parse(body).configuration.text.configuration).toBeUndefined();
+    expect(accept).toContain('application/vnd.myscript.jiix');
+    expect(result.lines[0].text).toBe('hi');
+  });
+
+  it('adds the correction dictionary\'s words to the Text lexicon', async () => {
+    const myscriptApiCall = vi.fn(async () => ({ status: 200, body: JSON.stringify(response('hi', [word('hi', 5, 5)])) }));
+    window.electronAPI = { myscriptApiCall };
+
+    await transcribeStrokes(strokes, 'app', 'hmac', { lexicon: ['ACME-42', 'Sam'] });
+
+    const request = JSON.parse(myscriptApiCall.mock.calls[0][2]);
+    expect(request.configuration.text.configuration.customLexicon).toEqual(['ACME-42', 'Sam']);
+  });
+
+  it('sends each stroke\'s id so JIIX words can name their strokes', async () => {
+    const jiix = response('hi', [{ ...word('hi', 5, 5), items: [{ type: 'stroke', id: 's42' }] }]);
+    const myscriptApiCall = vi.fn(async () => ({ status: 200, body: JSON.stringify(jiix) }));
+    window.electronAPI = { myscriptApiCall };
+
+    const result = await transcribeStrokes([{ ...strokes[0], startTime: 42 }], 'app', 'hmac');
+
+    const request = JSON.parse(myscriptApiCall.mock.calls[0][2]);
+    expect(request.strokeGroups[0].strokes[0].id).toBe('s42');
+    expect(result.lines[0].words[0].items).toEqual([{ type: 'stroke', id: 's42' }]);
+  });
+});
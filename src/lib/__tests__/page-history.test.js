@@ -0,0 +1,92 @@
+/**
+ * Tests for storage/page-history.js — pure PageDoc version diffing.
+ *
+ * Coverage:
+ *   - diffPageDocs (identical docs, stroke add/remove/relink, line add/remove/edit, null sides)
+ *   - summarizeDiff (identical, pluralisation, ordering)
+ *   - versionIdToDate (plain id, collision suffix, garbage)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffPageDocs, summarizeDiff, versionIdToDate } from '../storage/page-history.js';
+
+const doc = (strokes, lines) => ({
+  strokes: strokes.map(([id, lineId]) => ({ id, lineId: lineId ?? null, points: [] })),
+  transcript: { lines }
+});
+const line = (id, text, extra = {}) => ({ id, text, indentLevel: 0, checked: null, ...extra });
+
+describe('diffPageDocs', () => {
+  it('reports identical docs', () => {
+    const a = doc([['s1', 'l1']], [line('l1', 'hello')]);
+    const b = doc([['s1', 'l1']], [line('l1', 'hello')]);
+    const d = diffPageDocs(a, b);
+    expect(d.identical).toBe(true);
+    expect(d.strokesAdded).toEqual([]);
+    expect(d.linesChanged).toEqual([]);
+  });
+
+  it('detects added, removed and relinked strokes', () => {
+    const a = doc([['s1', 'l1'], ['s2', 'l1']], []);
+    const b = doc([['s1', 'l2'], ['s3', null]], []);
+    const d = diffPageDocs(a, b);
+    expect(d.strokesAdded).toEqual(['s3']);
+    expect(d.strokesRemoved).toEqual(['s2']);
+    expect(d.strokesRelinked).toBe(1);
+    expect(d.identical).toBe(false);
+  });
+
+  it('detects added, removed and edited lines', () => {
+    const a = doc([], [line('l1', 'keep'), line('l2', 'old'), line('l3', 'gone')]);
+    const b = doc([], [line('l1', 'keep'), line('l2', 'new'), line('l4', 'fresh')]);
+    const d = diffPageDocs(a, b);
+    expect(d.linesAdded.map((l) => l.id)).toEqual(['l4']);
+    expect(d.linesRemoved.map((l) => l.id)).toEqual(['l3']);
+    expect(d.linesChanged).toEqual([{ id: 'l2', before: a.transcript.lines[1], after: b.transcript.lines[1] }]);
+  });
+
+  it('treats indent and checked changes as edits', () => {
+    const a = doc([], [line('l1', 'x'), line('l2', 'y')]);
+    const b = doc([], [line('l1', 'x', { indentLevel: 1 }), line('l2', 'y', { checked: true })]);
+    expect(diffPageDocs(a, b).linesChanged.map((c) => c.id)).toEqual(['l1', 'l2']);
+  });
+
+  it('handles a missing side as an empty page', () => {
+    const a = doc([['s1']], [line('l1', 'a')]);
+    const d = diffPageDocs(null, a);
+    expect(d.strokesAdded).toEqual(['s1']);
+    expect(d.linesAdded).toHaveLength(1);
+    expect(diffPageDocs(a, null).strokesRemoved).toEqual(['s1']);
+    expect(diffPageDocs(null, null).identical).toBe(true);
+  });
+});
+
+describe('summarizeDiff', () => {
+  it('says so when nothing differs', () => {
+    expect(summarizeDiff(diffPageDocs(null, null))).toBe('No differences');
+    expect(summarizeDiff(null)).toBe('No differences');
+  });
+
+  it('lists each kind of change with pluralisation', () => {
+    const a = doc([['s1'], ['s2', 'l1']], [line('l1', 'a'), line('l2', 'b')]);
+    const b = doc([['s2', 'l9'], ['s3'], ['s4'], ['s5']], [line('l1', 'A')]);
+    expect(summarizeDiff(diffPageDocs(a, b))).toBe(
+      '+3 strokes, −1 stroke, −1 line, 1 line edited, 1 stroke relinked'
+    );
+  });
+});
+
+describe('versionIdToDate', () => {
+  it('parses a version id back into its save time', () => {
+    expect(versionIdToDate('2026-10-19T12-05-01-123Z').toISOString()).toBe('2026-10-19T12:05:01.123Z');
+  });
+
+  it('ignores a collision suffix', () => {
+    expect(versionIdToDate('2026-10-19T12-05-01-123Z-2').toISOString()).toBe('2026-10-19T12:05:01.123Z');
+  });
+
+  it('returns null for ids that do not parse', () => {
+    expect(versionIdToDate('nonsense')).toBeNull();
+    expect(versionIdToDate(null)).toBeNull();
+  });
+});
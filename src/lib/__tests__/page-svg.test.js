@@ -4,7 +4,8 @@
  * Coverage:
  *   - computeStrokeBounds (empty, multi-stroke, strokes missing points)
  *   - strokeToPathD (<2 points, scaling, normalisation to bounds origin)
- *   - generateThumbnailSVG (empty placeholder, paths, dimensions)
+ *   - generateThumbnailSVG (empty placeholder, paths, dimensions, highlight regions)
+ *   - strokeToWidthRuns (pressure-modulated runs, legacy no-force fallback)
  */
 
 import { describe, it, expect } from 'vitest';
@@ -13,6 +14,7 @@ import {
   computeStrokeBounds,
   strokeToPathD,
   generateThumbnailSVG,
+  strokeToWidthRuns,
 } from '../viewer/page-svg.js';
 
 let n = 0;
@@ -68,7 +70,54 @@ describe('generateThumbnailSVG', () => {
     expect(svg).toContain('height="180"');
   });
 
+  it('draws highlight regions behind the ink, in thumbnail coordinates', () => {
+    const svg = generateThumbnailSVG(
+      [stroke([[0, 0], [100, 0]]), stroke([[0, 50], [100, 50]])],
+      240,
+      200,
+      '#000',
+      [{ minX: 10, minY: 0, maxX: 20, maxY: 50 }]
+    );
+    // fitScale = 232 / 100; x = 10 * 2.32 + 4 - 2
+    expect(svg).toContain('<rect x="25.2" y="2.0" width="27.2" height="120.0"');
+    expect(svg.indexOf('<rect')).toBeLessThan(svg.indexOf('<path'));
+  });
+
   it('exposes the Ncode scale constant', () => {
     expect(NCODE_SCALE).toBeCloseTo(2.371);
   });
 });
+
+describe('strokeToWidthRuns', () => {
+  const origin = { minX: 0, minY: 0 };
+
+  it('returns a single base-width run matching strokeToPathD when force is absent', () => {
+    const s = stroke([[0, 0, 1], [1, 1, 2], [2, 0, 3]]);
+    const runs = strokeToWidthRuns(s, origin, 2, 0.5);
+    expect(runs).toEqual([{ d: strokeToPathD(s, origin, 2), width: 0.5 }]);
+  });
+
+  it('splits a pressure stroke into runs of differing width', () => {
+    // force 500 = reference (1×), force 1000 = 2×
+    const s = stroke([[0, 0, 1, 500], [1, 0, 2, 500], [2, 0, 3, 1000], [3, 0, 4, 1000]]);
+    const runs = strokeToWidthRuns(s, origin, 1, 0.5);
+    expect(runs.map((r) => r.width)).toEqual([0.5, 1]);
+    // runs share their joining point so the ink stays continuous
+    expect(runs[0].d).toBe('M 0.00 0.00 L 1.00 0.00');
+    expect(runs[1].d).toBe('M 1.00 0.00 L 2.00 0.00 L 3.00 0.00');
+  });
+
+  it('reads force from points whose timestamp slot is null', () => {
+    const s = stroke([[0, 0, null, 250], [1, 0, null, 250]]);
+    expect(strokeToWidthRuns(s, origin, 1, 1)).toEqual([{ d: 'M 0.00 0.00 L 1.00 0.00', width: 0.5 }]);
+  });
+
+  it('returns no runs for fewer than 2 points', () => {
+    expect(strokeToWidthRuns(stroke([[1, 1, 1, 500]]), origin)).toEqual([]);
+  });
+
+  it('renders pressure widths in thumbnails', () => {
+    const svg = generateThumbnailSVG([stroke([[0, 0, 1, 250], [10, 10, 2, 250], [20, 5, 3, 1000]])], 240, 180);
+    expect(svg.match(/<path/g)).toHaveLength(2);
+  });
+});
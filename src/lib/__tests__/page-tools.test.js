@@ -0,0 +1,133 @@
+/**
+ * Tests for storage/page-tools.js — the PageDoc side of the headless CLI
+ * (scripts/smartpen-cli.mjs).
+ *
+ * Coverage:
+ *   - parsePageRef (B12/P3, letter suffixes, bare numbers, junk)
+ *   - summarizePage
+ *   - exportPage: md (task markers), json (the app's file format), svg (real
+ *     size), unknown formats
+ *   - withBookAlias / renumberPageDoc
+ *   - mergePages (strokes unioned, duplicate lines folded, target kept)
+ *   - publishPages (index entries, aliases, asset text)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parsePageRef,
+  formatPageRef,
+  summarizePage,
+  exportPage,
+  withBookAlias,
+  renumberPageDoc,
+  mergePages,
+  publishPages
+} from '../storage/page-tools.js';
+import { serializePageDoc } from '../storage/page-doc-format.js';
+
+const line = (id, text, minY, extra = {}) => ({ id, text, indentLevel: 0, parentId: null, checked: null, yBounds: { minY, maxY: minY + 4 }, ...extra });
+const stroke = (startTime, y, lineId = null) => ({ id: `s${startTime}`, startTime, endTime: startTime + 50, lineId, points: [[10, y], [20, y + 2], [30, y]] });
+const doc = (page, lines, strokes, lastUpdated = '2026-10-19T10:00:00.000Z') => ({
+  version: '2.1',
+  pageInfo: { section: 0, owner: 0, book: 12, page },
+  metadata: { lastUpdated, totalStrokes: strokes.length, bounds: {} },
+  transcript: { lastTranscribed: null, lines },
+  strokes
+});
+
+describe('parsePageRef', () => {
+  it('reads B/P references with or without the letters', () => {
+    expect(parsePageRef('B12/P3')).toEqual({ book: 12, pageId: '3' });
+    expect(parsePageRef('b390/p151b')).toEqual({ book: 390, pageId: '151b' });
+    expect(parsePageRef(' 12 / 03 ')).toEqual({ book: 12, pageId: '3' });
+    expect(formatPageRef(390, '151b')).toBe('B390/P151b');
+  });
+
+  it('rejects anything else', () => {
+    expect(parsePageRef('B12')).toBeNull();
+    expect(parsePageRef('B12/P3/x')).toBeNull();
+    expect(parsePageRef(null)).toBeNull();
+  });
+});
+
+describe('summarizePage', () => {
+  it('counts strokes, lines and task states', () => {
+    const page = doc(3, [line('a', 'Buy milk', 10, { state: 'todo' }), line('b', 'Call', 20, { state: 'todo' }), line('c', 'Note', 30)], [stroke(1, 10)]);
+    expect(summarizePage(page)).toEqual({
+      strokes: 1,
+      lines: 3,
+      states: { todo: 2 },
+      lastUpdated: '2026-10-19T10:00:00.000Z',
+      lastTranscribed: null
+    });
+  });
+});
+
+describe('exportPage', () => {
+  const page = doc(3, [line('a', 'Buy milk', 10, { checked: false }), line('b', 'whole', 20, { indentLevel: 1 })], [stroke(1, 10, 'a')]);
+
+  it('writes the transcript as LogSeq markdown', () => {
+    expect(exportPage(page, 'md')).toBe('- TODO Buy milk\n\t- whole\n');
+    expect(exportPage(doc(3, [], []), 'md')).toBe('');
+  });
+
+  it('writes json exactly as the app stores pages', () => {
+    expect(exportPage(page, 'json')).toBe(serializePageDoc(page));
+  });
+
+  it('draws the ink at its real size', () => {
+    const svg = exportPage(page, 'svg');
+    // 20 Ncode units wide → 47.42 mm → 179.2 px at 96 dpi, plus padding
+    expect(svg).toMatch(/^<svg [^>]*width="187\.2" height="25\.9"/);
+    expect(svg.match(/<path /g)).toHaveLength(1);
+    expect(exportPage(doc(3, [], []), 'svg')).toContain('Empty');
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => exportPage(page, 'pdf')).toThrow('Unknown export format "pdf"');
+  });
+});
+
+describe('book edits', () => {
+  it('sets and clears aliases without touching the others', () => {
+    const aliases = { 3: 'Home' };
+    expect(withBookAlias(aliases, 12, '  Work ')).toEqual({ 3: 'Home', 12: 'Work' });
+    expect(withBookAlias({ 3: 'Home', 12: 'Work' }, '12', '')).toEqual({ 3: 'Home' });
+    expect(aliases).toEqual({ 3: 'Home' });
+  });
+
+  it('renumbers a page into another book', () => {
+    expect(renumberPageDoc(doc(3, [], []), 13).pageInfo).toEqual({ section: 0, owner: 0, book: 13, page: 3 });
+  });
+});
+
+describe('mergePages', () => {
+  it('unions strokes and folds lines transcribed on both pages', () => {
+    const target = doc(3, [line('a', 'Buy milk', 10)], [stroke(1, 10, 'a')]);
+    const source = doc(4, [line('b', 'Buy milk', 10), line('c', 'Call Bob', 20)], [stroke(1, 10, 'b'), stroke(2, 20, 'c')], '2026-10-20T10:00:00.000Z');
+
+    const { doc: merged, reports } = mergePages(target, [source], { now: '2026-10-21T00:00:00.000Z' });
+    expect(merged.pageInfo.page).toBe(3);
+    expect(merged.transcript.lines.map(l => l.id)).toEqual(['a', 'c']);
+    expect(merged.strokes.map(s => [s.id, s.lineId])).toEqual([['s1', 'a'], ['s2', 'c']]);
+    expect(merged.metadata).toMatchObject({ lastUpdated: '2026-10-21T00:00:00.000Z', totalStrokes: 2 });
+    expect(reports[0]).toMatchObject({ hasBase: false, strokesFromTheirs: 1, linesFromTheirs: 1, linesFolded: 1 });
+  });
+});
+
+describe('publishPages', () => {
+  it('adds every page to the index with its book alias', () => {
+    const existing = { version: 1, updatedAt: null, aliases: {}, pages: [{ book: 12, pageId: '9', page: 9 }] };
+    const pages = [{ book: 12, pageId: '3', doc: doc(3, [line('a', 'Buy milk', 10)], [stroke(1, 10, 'a')]) }];
+
+    const { index, assets } = publishPages(existing, pages, { 12: 'Work' });
+    expect(index.pages.map(p => p.pageId)).toEqual(['3', '9']);
+    expect(index.aliases).toEqual({ 12: 'Work' });
+    expect(assets).toEqual([{ book: 12, pageId: '3', text: serializePageDoc(pages[0].doc) }]);
+  });
+
+  it('starts a fresh index when the graph has none', () => {
+    const { index } = publishPages(null, [{ book: 1, pageId: '2', doc: doc(2, [], []) }]);
+    expect(index.pages).toHaveLength(1);
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Tests for storage/publish-graph.js — deletes, alias edits and LogSeq edits
+ * in the published graph.
+ *
+ * Coverage:
+ *   - publishPageToGraph holding back over transcript edits made in LogSeq,
+ *     but not over a stale mirror, also after a restore or a conflict
+ *     resolution (local-store.js); Markdown mode files, days mode split over
+ *     journals and blocks taken out of days the page no longer reaches;
+ *     [page: X] lines published on page X and taken off it again
+ *   - unpublishPageFromGraph: entry removed before the asset, unlisted pages
+ *     only lose their asset, disabled publishing, failures reported not thrown
+ *   - publishBookAliasToGraph: rename, removal, unchanged alias, no manifest
+ *     yet; the book's Markdown rewritten with the new alias
+ *
+ * window.storageAPI stands in for main's graph IPC.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { publishPageToGraph, unpublishPageFromGraph, publishBookAliasToGraph } from '../storage/publish-graph.js';
+import { buildSmartpenIndexEntry, upsertSmartpenIndex, emptySmartpenIndex } from '../storage/graph-index.js';
+import { serializePageDoc } from '../storage/page-doc-format.js';
+import { restorePageVersion, resolveConflictCopy, PAGE_DOC_VERSION } from '../storage/local-store.js';
+import { bookAliases } from '$stores/book-aliases.js';
+import { graphRoot, publishToGraph, graphMarkdownMode, dataRoot } from '$stores/settings.js';
+
+const doc = { pageInfo: { book: 3, page: 1 }, metadata: {}, transcript: { lines: [] }, strokes: [] };
+
+function publishedIndex() {
+  let index = upsertSmartpenIndex(emptySmartpenIndex(), buildSmartpenIndexEntry(doc, 3, '1'), 'Work');
+  index = upsertSmartpenIndex(index, buildSmartpenIndexEntry(doc, 3, '2'), null);
+  return JSON.stringify(index);
+}
+
+let calls;
+let indexText;
+
+beforeEach(() => {
+  calls = [];
+  indexText = publishedIndex();
+  const ok = (result) => ({ ok: true, result });
+  window.storageAPI = {
+    readGraphIndex: vi.fn(async () => ok(indexText)),
+    writeGraphIndex: vi.fn(async (root, text) => { calls.push('index'); indexText = text; return ok({}); }),
+    removeGraphAsset: vi.fn(async (root, book, pageId) => { calls.push(`asset B${book}/P${pageId}`); return ok({}); })
+  };
+  graphRoot.set('/graph');
+  publishToGraph.set(true);
+});
+
+afterEach(() => {
+  delete window.storageAPI;
+  graphRoot.set('');
+  publishToGraph.set(false);
+  graphMarkdownMode.set('off');
+  bookAliases.set({});
+});
+
+describe('publishPageToGraph', () => {
+  const page = (text, lastUpdated) => ({
+    ...doc,
+    metadata: { lastUpdated },
+    transcript: { lines: [{ id: 'a', text, indentLevel: 0, parentId: null, checked: null }] }
+  });
+  const previous = page('Buy mlik', '2026-10-19T10:00:00.000Z');
+  const saved = page('Buy mlik, eggs', '2026-10-19T11:00:00.000Z');
+
+  beforeEach(() => {
+    window.storageAPI.publishToGraph = vi.fn(async () => { calls.push('publish'); return { ok: true, result: {} }; });
+  });
+
+  it('holds back a save over edits made in LogSeq', async () => {
+    const asset = serializePageDoc(page('Buy milk', previous.metadata.lastUpdated));
+    window.storageAPI.readGraphAsset = vi.fn(async () => ({ ok: true, result: asset }));
+    expect(await publishPageToGraph(3, 1, saved, { previous })).toEqual({ skipped: true, reason: 'graph-edits' });
+    expect(calls).toEqual([]);
+  });
+
+  it('publishes over a stale or untouched asset', async () => {
+    const stale = serializePageDoc(page('Something older', '2026-10-18T10:00:00.000Z'));
+    window.storageAPI.readGraphAsset = vi.fn(async () => ({ ok: true, result: stale }));
+    expect(await publishPageToGraph(3, 1, saved, { previous })).toMatchObject({ success: true });
+    window.storageAPI.readGraphAsset = vi.fn(async () => ({ ok: true, result: serializePageDoc(previous) }));
+    expect(await publishPageToGraph(3, 1, saved, { previous })).toMatchObject({ success: true });
+    expect(calls).toEqual(['publish', 'publish']);
+  });
+
+  describe('after a restore or a conflict resolution', () => {
+    const restored = page('Buy bread', '2026-10-19T12:00:00.000Z');
+
+    beforeEach(() => {
+      dataRoot.set('/data');
+      const asset = serializePageDoc(page('Buy milk', previous.metadata.lastUpdated));
+      Object.assign(window.storageAPI, {
+        getPage: vi.fn(async () => ({ ok: true, result: previous })),
+        readGraphAsset: vi.fn(async () => ({ ok: true, result: asset })),
+        restorePageVersion: vi.fn(async () => ({ ok: true, result: { doc: restored, path: '/data/pages/B3/P1.json' } })),
+        resolveConflictCopy: vi.fn(async () => ({ ok: true, result: { path: '/data/pages/B3/P1.json', archivedAs: 'v1-conflict' } }))
+      });
+    });
+
+    afterEach(() => {
+      dataRoot.set('');
+    });
+
+    it('does not publish a restored version over LogSeq edits', async () => {
+      expect(await restorePageVersion(3, 1, 'v1')).toMatchObject({ doc: restored });
+      expect(window.storageAPI.getPage).toHaveBeenCalledBefore(window.storageAPI.restorePageVersion);
+      expect(calls).toEqual([]);
+    });
+
+    it('does not publish a resolved conflict over LogSeq edits', async () => {
+      const merged = { ...restored, version: PAGE_DOC_VERSION, pageInfo: { section: 0, owner: 0, book: 3, page: 1 } };
+      await resolveConflictCopy(3, 1, 'pages/B3/P1 (conflict).json', merged);
+      expect(window.storageAPI.getPage).toHaveBeenCalledBefore(window.storageAPI.resolveConflictCopy);
+      expect(calls).toEqual([]);
+    });
+  });
+});
+
+describe('Markdown mode', () => {
+  const written = new Date(2026, 9, 19, 9).getTime();
+  const inked = {
+    ...doc,
+    metadata: { lastUpdated: '2026-10-19T10:00:00.000Z' },
+    transcript: { lines: [{ id: 'a', text: 'Buy milk', indentLevel: 0, parentId: null, checked: false }] },
+    strokes: [{ id: `s${written}`, startTime: written, points: [[1, 2], [3, 4]] }]
+  };
+  let files;
+
+  beforeEach(() => {
+    files = new Map([['journals/2026_10_19.md', '- morning note\n'], ['pages/Smartpen___B3___P1.md', 'old']]);
+    Object.assign(window.storageAPI, {
+      publishToGraph: vi.fn(async () => ({ ok: true, result: {} })),
+      readGraphAsset: vi.fn(async () => ({ ok: true, result: serializePageDoc(inked) })),
+      readGraphFile: vi.fn(async (root, relPath) => ({ ok: true, result: files.get(relPath) ?? null })),
+      writeGraphFile: vi.fn(async (root, relPath, text) => { files.set(relPath, text); return { ok: true, result: {} }; }),
+      removeGraphFile: vi.fn(async (root, relPath) => { files.delete(relPath); return { ok: true, result: {} }; })
+    });
+    graphMarkdownMode.set('journal');
+  });
+
+  it('adds the page to its journal next to the ink', async () => {
+    await publishPageToGraph(3, 1, inked);
+    expect([...files.keys()].sort()).toEqual(['assets/smartpen-B3-P1.svg', 'journals/2026_10_19.md']);
+    expect(files.get('journals/2026_10_19.md')).toMatch(/^- morning note\n- \[\[Smartpen\/B3\/P1\]\]\n {2}smartpen-page:: B3\/P1\n/);
+  });
+
+  it('takes it out again when the page is deleted', async () => {
+    await publishPageToGraph(3, 1, inked);
+    await unpublishPageFromGraph(3, 1);
+    expect([...files.entries()]).toEqual([['journals/2026_10_19.md', '- morning note\n']]);
+  });
+
+  it('rewrites the alias in the Markdown of the renamed book', async () => {
+    window.storageAPI.readGraphAsset = vi.fn(async (root, book, pageId) =>
+      ({ ok: true, result: String(pageId) === '1' ? serializePageDoc(inked) : null }));
+    bookAliases.set({ 3: 'Work' });
+    await publishPageToGraph(3, 1, inked);
+    expect(files.get('journals/2026_10_19.md')).toContain('- [[Smartpen/B3/P1]] (Work)\n');
+
+    await publishBookAliasToGraph(3, 'Site Visits');
+    expect(files.get('journals/2026_10_19.md')).toContain('- [[Smartpen/B3/P1]] (Site Visits)\n');
+    expect(files.get('journals/2026_10_19.md')).not.toContain('(Work)');
+
+    graphMarkdownMode.set('page');
+    await publishPageToGraph(3, 1, inked);
+    expect(files.get('pages/Smartpen___B3___P1.md')).toContain('smartpen-book:: Work\n');
+    await publishBookAliasToGraph(3, '');
+    expect(files.get('pages/Smartpen___B3___P1.md')).toMatch(/^title:: Smartpen\/B3\/P1\ntags:: smartpen\n\n/);
+  });
+
+  describe('[page: X] and [tag: X]', () => {
+    const routed = {
+      ...inked,
+      transcript: {
+        lines: [
+          ...inked.transcript.lines,
+          { id: 'b', text: 'Eggs', indentLevel: 0, parentId: null, checked: null, properties: { page: 'Shopping', tags: ['errand'] } }
+        ]
+      }
+    };
+
+    beforeEach(() => {
+      files.set('pages/Shopping.md', '- bread\n');
+      graphMarkdownMode.set('page');
+    });
+
+    it('writes routed lines as blocks on their page, with their tags', async () => {
+      await publishPageToGraph(3, 1, routed);
+      expect(files.get('pages/Smartpen___B3___P1.md')).toContain('- TODO Buy milk');
+      expect(files.get('pages/Smartpen___B3___P1.md')).not.toContain('Eggs');
+      expect(files.get('pages/Shopping.md')).toMatch(
+        /^- bread\n- \[\[Smartpen\/B3\/P1\]\]\n {2}smartpen-page:: B3\/P1\n\t- Eggs\n\t {2}tags:: errand\n\t {2}id:: /
+      );
+    });
+
+    it('takes the block off the page when the line is no longer routed or the page is deleted', async () => {
+      await publishPageToGraph(3, 1, routed);
+      window.storageAPI.readGraphAsset = vi.fn(async () => ({ ok: true, result: serializePageDoc(routed) }));
+      await publishPageToGraph(3, 1, inked);
+      expect(files.get('pages/Shopping.md')).toBe('- bread\n');
+
+      await publishPageToGraph(3, 1, routed);
+      await unpublishPageFromGraph(3, 1);
+      expect(files.get('pages/Shopping.md')).toBe('- bread\n');
+    });
+  });
+
+  describe('days mode', () => {
+    const nextDay = new Date(2026, 9, 20, 18).getTime();
+    const twoDays = {
+      ...inked,
+      transcript: { lines: [...inked.transcript.lines, { id: 'b', text: 'Call Ann', indentLevel: 0, parentId: null, checked: null }] },
+      strokes: [...inked.strokes, { id: `s${nextDay}`, startTime: nextDay, lineId: 'b', points: [[1, 40], [3, 40]] }]
+    };
+
+    beforeEach(() => {
+      graphMarkdownMode.set('days');
+    });
+
+    it('puts each line in the journal of the day it was written', async () => {
+      await publishPageToGraph(3, 1, twoDays);
+      expect(files.get('journals/2026_10_19.md')).toContain('Buy milk');
+      expect(files.get('journals/2026_10_19.md')).not.toContain('Call Ann');
+      expect(files.get('journals/2026_10_20.md')).toMatch(/^- \[\[Smartpen\/B3\/P1\]\]\n[\s\S]*\t- Call Ann\n/);
+      expect(files.has('pages/Smartpen___B3___P1.md')).toBe(false);
+    });
+
+    it('takes the page out of days it no longer reaches', async () => {
+      await publishPageToGraph(3, 1, twoDays);
+      window.storageAPI.readGraphAsset = vi.fn(async () => ({ ok: true, result: serializePageDoc(twoDays) }));
+      graphMarkdownMode.set('journal');
+      await publishPageToGraph(3, 1, twoDays);
+      expect(files.get('journals/2026_10_20.md')).toBe('');
+      expect(files.get('journals/2026_10_19.md')).toContain('Call Ann');
+    });
+  });
+});
+
+describe('unpublishPageFromGraph', () => {
+  it('removes the manifest entry, then the asset', async () => {
+    expect(await unpublishPageFromGraph(3, 2)).toEqual({ skipped: false, success: true });
+    expect(calls).toEqual(['index', 'asset B3/P2']);
+    expect(JSON.parse(indexText).pages.map(e => e.pageId)).toEqual(['1']);
+  });
+
+  it('only removes the asset of a page the manifest never listed', async () => {
+    await unpublishPageFromGraph(3, '9b');
+    expect(calls).toEqual(['asset B3/P9b']);
+  });
+
+  it('does nothing while publishing is off', async () => {
+    publishToGraph.set(false);
+    expect(await unpublishPageFromGraph(3, 2)).toEqual({ skipped: true, reason: 'disabled' });
+    expect(calls).toEqual([]);
+  });
+
+  it('reports a failed write instead of throwing', async () => {
+    window.storageAPI.removeGraphAsset.mockResolvedValue({ ok: false, error: 'EACCES' });
+    expect(await unpublishPageFromGraph(3, 2)).toEqual({ skipped: false, success: false, error: 'EACCES' });
+  });
+});
+
+describe('publishBookAliasToGraph', () => {
+  it('rewrites the aliases map on rename and removal', async () => {
+    await publishBookAliasToGraph(3, 'Site Visits');
+    expect(JSON.parse(indexText).aliases).toEqual({ 3: 'Site Visits' });
+    await publishBookAliasToGraph(3, null);
+    expect(JSON.parse(indexText).aliases).toEqual({});
+  });
+
+  it('skips the write when nothing changes', async () => {
+    expect(await publishBookAliasToGraph(3, 'Work')).toEqual({ skipped: true, reason: 'unchanged' });
+    expect(await publishBookAliasToGraph(12, 'Home')).toEqual({ skipped: true, reason: 'unchanged' });
+    indexText = null;
+    expect(await publishBookAliasToGraph(3, 'Site Visits')).toEqual({ skipped: true, reason: 'no-index' });
+    expect(calls).toEqual([]);
+  });
+});
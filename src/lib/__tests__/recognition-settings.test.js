@@ -0,0 +1,87 @@
+/**
+ * Tests for per-book / per-page recognition options
+ * (stores/recognition-settings.js) and the LaTeX row splitting that Math
+ * results go through (recognition/transcript-structure.js).
+ *
+ * Coverage:
+ *   - resolveRecognitionOptions (defaults, book settings, field-by-field page
+ *     overrides, unknown content types)
+ *   - set/clear helpers for books and pages
+ *   - splitLatexRows (single expression, align environments, empty rows)
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { get } from 'svelte/store';
+import {
+  recognitionSettings,
+  setRecognitionSettings,
+  setBookRecognitionOptions,
+  setPageRecognitionOptions,
+  resolveRecognitionOptions,
+  DEFAULT_RECOGNITION_OPTIONS
+} from '$stores/recognition-settings.js';
+import { splitLatexRows } from '../recognition/transcript-structure.js';
+
+describe('resolveRecognitionOptions', () => {
+  beforeEach(() => {
+    setRecognitionSettings({
+      books: { 3: { lang: 'de_DE', contentType: 'Text' }, 7: { contentType: 'Math' } },
+      pages: { '3/12': { contentType: 'Math' }, '3/12b': { lang: 'fr_FR' }, '7/1': { contentType: 'Bogus' } }
+    });
+  });
+
+  it('falls back to the defaults for books without settings', () => {
+    expect(resolveRecognitionOptions(99, 1)).toEqual(DEFAULT_RECOGNITION_OPTIONS);
+  });
+
+  it('uses the book settings, filling gaps with the defaults', () => {
+    expect(resolveRecognitionOptions(3, 1)).toEqual({ lang: 'de_DE', contentType: 'Text' });
+    expect(resolveRecognitionOptions(7, 2)).toEqual({ lang: 'en_US', contentType: 'Math' });
+  });
+
+  it('lets a page override single fields of its book', () => {
+    expect(resolveRecognitionOptions(3, 12)).toEqual({ lang: 'de_DE', contentType: 'Math' });
+    expect(resolveRecognitionOptions(3, '12b')).toEqual({ lang: 'fr_FR', contentType: 'Text' });
+  });
+
+  it('ignores content types the recognizers do not know', () => {
+    expect(resolveRecognitionOptions(7, 1).contentType).toBe('Text');
+  });
+
+  it('accepts an explicit settings object', () => {
+    expect(resolveRecognitionOptions(1, 1, { books: { 1: { contentType: 'Diagram' } }, pages: {} }).contentType).toBe('Diagram');
+  });
+});
+
+describe('book and page helpers', () => {
+  beforeEach(() => setRecognitionSettings({}));
+
+  it('sets and clears entries', () => {
+    setBookRecognitionOptions(3, { lang: 'it_IT' });
+    setPageRecognitionOptions(3, '4', { contentType: 'Diagram' });
+    expect(get(recognitionSettings)).toEqual({
+      books: { 3: { lang: 'it_IT' } },
+      pages: { '3/4': { contentType: 'Diagram' } }
+    });
+
+    setBookRecognitionOptions(3, null);
+    setPageRecognitionOptions(3, '4', null);
+    expect(get(recognitionSettings)).toEqual({ books: {}, pages: {} });
+  });
+});
+
+describe('splitLatexRows', () => {
+  it('keeps a single expression as one row', () => {
+    expect(splitLatexRows(' \\frac{a}{b} ')).toEqual(['\\frac{a}{b}']);
+  });
+
+  it('splits align-style environments on row breaks and drops alignment marks', () => {
+    expect(splitLatexRows('\\begin{align*} x &= 1 \\\\ y &= 2 \\\\ \\end{align*}')).toEqual(['x = 1', 'y = 2']);
+    expect(splitLatexRows('\\begin{array}{l} a \\\\ b \\end{array}')).toEqual(['a', 'b']);
+  });
+
+  it('returns nothing for empty input', () => {
+    expect(splitLatexRows('')).toEqual([]);
+    expect(splitLatexRows(null)).toEqual([]);
+  });
+});
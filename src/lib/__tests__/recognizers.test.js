@@ -0,0 +1,210 @@
+/**
+ * Tests for recognition/recognizers.js — the pluggable recognition engines.
+ *
+ * Coverage:
+ *   - registry (listing, unknown ids fall back to MyScript, configured checks)
+ *   - recognizeStrokes (empty input, unconfigured engine)
+ *   - mock engine (deterministic lines with Y-bounds from the ink, Math LaTeX,
+ *     words linked to their strokes)
+ *   - local HTTP engine (request shape via the Electron bridge, lexicon, plain and
+ *     JIIX-style answers, word strokes / alternatives / confidence, Math LaTeX answers, HTTP / unreachable / bad JSON
+ *     errors, test())
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  DEFAULT_RECOGNIZER,
+  listRecognizers,
+  getRecognizer,
+  isRecognizerConfigured,
+  recognizeStrokes,
+  testRecognizer,
+  normalizeLocalResponse
+} from '../recognition/recognizers.js';
+
+const dot = (x, y, timestamp = 0) => ({ x, y, timestamp, f: 400 });
+const stroke = (...dots) => ({ dotArray: dots });
+
+const config = (overrides = {}) => ({
+  engine: 'mock',
+  myscript: { appKey: '', hmacKey: '' },
+  localHttp: { url: '' },
+  ...overrides
+});
+
+describe('registry', () => {
+  it('lists the engines with whether strokes stay local', () => {
+    expect(listRecognizers()).toEqual([
+      { id: 'myscript', label: 'MyScript Cloud', local: false },
+      { id: 'local-http', label: 'Local recognizer (HTTP)', local: true },
+      { id: 'mock', label: 'Mock (testing)', local: true }
+    ]);
+  });
+
+  it('falls back to the default engine for an unknown id', () => {
+    expect(getRecognizer('nope').id).toBe(DEFAULT_RECOGNIZER);
+  });
+
+  it('checks each engine for its own settings', () => {
+    expect(isRecognizerConfigured(config({ engine: 'myscript' }))).toBe(false);
+    expect(isRecognizerConfigured(config({ engine: 'myscript', myscript: { appKey: 'a', hmacKey: 'h' } }))).toBe(true);
+    expect(isRecognizerConfigured(config({ engine: 'local-http', localHttp: { url: 'ftp://x' } }))).toBe(false);
+    expect(isRecognizerConfigured(config({ engine: 'local-http', localHttp: { url: 'http://127.0.0.1:8765/r' } }))).toBe(true);
+    expect(isRecognizerConfigured(config())).toBe(true);
+  });
+});
+
+describe('recognizeStrokes', () => {
+  it('rejects an empty stroke list', async () => {
+    await expect(recognizeStrokes([], config())).rejects.toThrow('No strokes to transcribe');
+  });
+
+  it('refuses to run an engine that is not configured', async () => {
+    await expect(recognizeStrokes([stroke(dot(0, 0))], config({ engine: 'local-http' }))).rejects.toThrow(
+      'Local recognizer (HTTP) is not configured'
+    );
+  });
+});
+
+describe('mock engine', () => {
+  it('returns one line per band of ink, top to bottom, every time', async () => {
+    const strokes = [
+      stroke(dot(10, 40), dot(30, 44)),
+      stroke(dot(5, 10), dot(20, 14)),
+      stroke(dot(25, 12), dot(40, 16))
+    ];
+    const first = await recognizeStrokes(strokes, config());
+    const second = await recognizeStrokes(strokes, config());
+
+    expect(first.text).toBe('line-1\nline-2');
+    expect(first.lines.map((l) => l.yBounds)).toEqual([
+      { minY: 10, maxY: 16 },
+      { minY: 40, maxY: 44 }
+    ]);
+    expect(first.commands).toEqual([]);
+    expect(second).toEqual(first);
+  });
+
+  it('links each line\'s word to the line\'s strokes', async () => {
+    const result = await recognizeStrokes(
+      [{ ...stroke(dot(5, 10), dot(20, 14)), startTime: 1 }, { ...stroke(dot(25, 12), dot(40, 16)), startTime: 2 }],
+      config()
+    );
+    expect(result.lines[0].words[0].strokeIds).toEqual(['s1', 's2']);
+  });
+
+  it('adds LaTeX to each line for Math', async () => {
+    const result = await recognizeStrokes([stroke(dot(5, 10), dot(20, 14))], config(), { contentType: 'Math' });
+    expect(result.lines.map((l) => l.latex)).toEqual(['\\text{line-1}']);
+  });
+});
+
+describe('normalizeLocalResponse', () => {
+  it('accepts plain words with coordinates', () => {
+    expect(normalizeLocalResponse({ text: 'hi there', words: [{ text: 'hi', x: 1, y: 2, width: 3, height: 4 }, { text: 'there' }] })).toEqual({
+      text: 'hi there',
+      words: [{ label: 'hi', 'bounding-box': { x: 1, y: 2, width: 3, height: 4 } }, { label: 'there' }]
+    });
+  });
+
+  it('accepts JIIX-style answers and line lists', () => {
+    const box = { x: 0, y: 0, width: 1, height: 1 };
+    expect(normalizeLocalResponse({ label: 'a', words: [{ label: 'a', 'bounding-box': box }] }).words).toEqual([
+      { label: 'a', 'bounding-box': box }
+    ]);
+    expect(normalizeLocalResponse({ lines: ['one', { text: 'two' }] }).text).toBe('one\ntwo');
+  });
+
+  it('keeps word strokes, alternatives and confidence', () => {
+    const { words } = normalizeLocalResponse({
+      text: 'milk',
+      words: [{ text: 'milk', strokeIds: ['s1'], candidates: ['mild', 'mitk'], confidence: 0.4 }]
+    });
+    expect(words).toEqual([{ label: 'milk', strokeIds: ['s1'], candidates: ['mild', 'mitk'], confidence: 0.4 }]);
+  });
+
+  it('rejects answers without text', () => {
+    expect(() => normalizeLocalResponse(null)).toThrow('no result');
+    expect(() => normalizeLocalResponse({ words: [] })).toThrow('no text');
+  });
+});
+
+describe('local HTTP engine', () => {
+  const url = 'http://127.0.0.1:8765/recognize';
+  const localConfig = config({ engine: 'local-http', localHttp: { url } });
+
+  afterEach(() => {
+    delete window.electronAPI;
+  });
+
+  function bridge(reply) {
+    const recognizerHttpCall = vi.fn(async () => reply);
+    window.electronAPI = { recognizerHttpCall };
+    return recognizerHttpCall;
+  }
+
+  it('posts raw Ncode strokes and builds lines from the answer', async () => {
+    const call = bridge({
+      status: 200,
+      body: JSON.stringify({
+        text: 'Buy milk\nCall Sam',
+        words: [
+          { text: 'Buy', x: 5, y: 10, width: 8, height: 4 },
+          { text: 'milk', x: 15, y: 10, width: 10, height: 4 },
+          { text: 'Call', x: 5, y: 20, width: 8, height: 4 },
+          { text: 'Sam', x: 15, y: 20, width: 8, height: 4 }
+        ]
+      })
+    });
+
+    const result = await recognizeStrokes([stroke(dot(5, 10, 100), dot(25, 14, 150))], localConfig, { lang: 'de_DE' });
+
+    const [calledUrl, body] = call.mock.calls[0];
+    expect(calledUrl).toBe(url);
+    expect(JSON.parse(body)).toEqual({
+      lang: 'de_DE',
+      contentType: 'Text',
+      strokes: [{ x: [5, 25], y: [10, 14], t: [100, 150], p: [0.4, 0.4] }]
+    });
+    expect(result.lines.map((l) => [l.text, l.yBounds])).toEqual([
+      ['Buy milk', { minY: 10, maxY: 14 }],
+      ['Call Sam', { minY: 20, maxY: 24 }]
+    ]);
+    expect(result.raw.text).toBe('Buy milk\nCall Sam');
+  });
+
+  it('sends the correction lexicon when there is one', async () => {
+    const call = bridge({ status: 200, body: JSON.stringify({ text: 'ACME-42' }) });
+    await recognizeStrokes([stroke(dot(5, 10), dot(25, 14))], localConfig, { lexicon: ['ACME-42'] });
+    expect(JSON.parse(call.mock.calls[0][1]).lexicon).toEqual(['ACME-42']);
+  });
+
+  it('sends the content type and reads a LaTeX answer for Math', async () => {
+    const call = bridge({ status: 200, body: JSON.stringify({ latex: 'a^2 \\\\ b^2' }) });
+
+    const result = await recognizeStrokes([stroke(dot(5, 10), dot(25, 30))], localConfig, { contentType: 'Math' });
+
+    expect(JSON.parse(call.mock.calls[0][1]).contentType).toBe('Math');
+    expect(result.lines.map((l) => [l.latex, l.yBounds])).toEqual([
+      ['a^2', { minY: 10, maxY: 20 }],
+      ['b^2', { minY: 20, maxY: 30 }]
+    ]);
+  });
+
+  it('reports HTTP errors, an unreachable server and bad JSON', async () => {
+    const strokes = [stroke(dot(0, 0), dot(1, 1))];
+    bridge({ status: 500, body: 'model not loaded' });
+    await expect(recognizeStrokes(strokes, localConfig)).rejects.toThrow('Local recognizer error (500): model not loaded');
+    bridge({ status: 0, body: 'connect ECONNREFUSED' });
+    await expect(recognizeStrokes(strokes, localConfig)).rejects.toThrow('unreachable: connect ECONNREFUSED');
+    bridge({ status: 200, body: '<html>' });
+    await expect(recognizeStrokes(strokes, localConfig)).rejects.toThrow('invalid JSON');
+  });
+
+  it('test() reports success or the failure message', async () => {
+    bridge({ status: 200, body: '{"text":""}' });
+    await expect(testRecognizer(localConfig)).resolves.toEqual({ success: true });
+    bridge({ status: 404, body: 'not found' });
+    await expect(testRecognizer(localConfig)).resolves.toEqual({ success: false, error: 'Local recognizer error (404): not found' });
+  });
+});
@@ -4,7 +4,8 @@
  * Coverage:
  *   - recomputeParentIds (parent assignment by indentLevel)
  *   - saveTranscriptLines (verbatim line write, lineId scrub on deleted lines,
- *     timestamp bump, missing-page guard)
+ *     timestamp bump, word detail kept only while it matches the text,
+ *     missing-page guard)
  *
  * getPage / savePage are mocked so no Electron storage backend is needed.
  */
@@ -85,6 +86,21 @@ describe('saveTranscriptLines', () => {
     expect(doc.metadata.lastUpdated).not.toBe('old');
   });
 
+  it('keeps recognized words only while they still spell the line', async () => {
+    getPage.mockResolvedValue({ transcript: { lines: [] }, strokes: [] });
+    savePage.mockResolvedValue({ success: true });
+    const words = [{ text: 'Buy', strokeIds: ['s1'] }, { text: 'milk', candidates: ['mild'] }];
+
+    await saveTranscriptLines(3, 5, [
+      { id: 'L1', text: 'Buy milk', words },
+      { id: 'L2', text: 'Buy oat milk', words },
+    ]);
+
+    const [, , doc] = savePage.mock.calls[0];
+    expect(doc.transcript.lines[0].words).toEqual(words);
+    expect(doc.transcript.lines[1].words).toBeUndefined();
+  });
+
   it('throws and does not save when the page is missing', async () => {
     getPage.mockResolvedValue(null);
     await expect(saveTranscriptLines(1, 1, [])).rejects.toThrow(/not found/);
@@ -46,6 +46,15 @@ describe('metaToRecord', () => {
     expect(r).not.toHaveProperty('strokeData');
   });
 
+  it('carries sync-conflict copies through (empty by default)', () => {
+    expect(metaToRecord(meta()).conflictCopies).toEqual([]);
+    expect(metaToRecord(meta()).missingOriginal).toBe(false);
+    const copies = [{ fileName: 'P42 (conflicted copy).json', relPath: 'pages/B3017/P42 (conflicted copy).json', marker: '(conflicted copy)', mtime: '2026-05-28T14:22:01.000Z' }];
+    const r = metaToRecord(meta({ conflictCopies: copies, missingOriginal: true }));
+    expect(r.conflictCopies).toEqual(copies);
+    expect(r.missingOriginal).toBe(true);
+  });
+
   it('preserves letter-suffixed pages in pageId, suffix and pageName', () => {
     const r = metaToRecord(meta({ page: 151, pageId: '151b', suffix: 'b' }));
     expect(r.page).toBe(151);
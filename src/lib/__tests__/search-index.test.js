@@ -0,0 +1,220 @@
+/**
+ * Tests for search-index.js — the inverted index behind Search Transcripts.
+ *
+ * Coverage:
+ *   - tokenSpans / lineTokens (unicode words, in-word hyphens, property lines)
+ *   - foldToken / editDistance (look-alike folding, half-cost substitutions)
+ *   - indexPage / removePageFromIndex (re-index replaces, postings cleaned up)
+ *   - serializeSearchIndex / buildSearchIndex (saved pages reused while their
+ *     file is unchanged, changed / new pages re-tokenized, other versions ignored)
+ *   - parseSearchQuery (phrases, OR, NOT / -, filters, unknown fields as text)
+ *   - searchIndex (per-line hits with yBounds, phrase order, fuzzy and prefix
+ *     matching ranked below exact, strict exclusions, book / alias / date
+ *     filters, filter-only queries)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  tokenSpans,
+  lineTokens,
+  foldToken,
+  editDistance,
+  createSearchIndex,
+  indexPage,
+  removePageFromIndex,
+  buildSearchIndex,
+  serializeSearchIndex,
+  SEARCH_INDEX_VERSION,
+  parseSearchQuery,
+  searchIndex
+} from '../search-index.js';
+
+const line = (id, text, minY = null) => ({
+  id,
+  text,
+  indentLevel: 0,
+  yBounds: minY == null ? null : { minY, maxY: minY + 5 }
+});
+
+function buildIndex() {
+  const index = createSearchIndex();
+  indexPage(index, {
+    book: 3,
+    pageId: '12',
+    lastUpdated: '2026-01-05T10:00:00.000Z',
+    lines: [
+      line('a', 'Call back the dient tomorrow', 10),
+      line('b', 'Groceries: rnilk, eggs', 20)
+    ]
+  });
+  indexPage(index, {
+    book: 4,
+    pageId: '1b',
+    lastUpdated: '2026-02-05T10:00:00.000Z',
+    lines: [line('c', 'milk draft', 30)]
+  });
+  return index;
+}
+
+const summary = (results) => results.map((r) => `B${r.book}/P${r.pageId}`);
+
+describe('tokens', () => {
+  it('splits on non-word characters, keeps in-word hyphens and drops short words', () => {
+    expect(lineTokens('Order 5444-005, a Café!')).toEqual(['order', '5444-005', 'café']);
+  });
+
+  it('ignores LogSeq property lines', () => {
+    expect(lineTokens('tags:: work, home')).toEqual([]);
+  });
+
+  it('reports word offsets', () => {
+    expect(tokenSpans('Hi there')).toEqual([
+      { start: 0, end: 2, token: 'hi' },
+      { start: 3, end: 8, token: 'there' }
+    ]);
+  });
+});
+
+describe('foldToken / editDistance', () => {
+  it('folds look-alike characters and letter pairs together', () => {
+    expect(foldToken('c1ient')).toBe(foldToken('client'));
+    expect(foldToken('dient')).toBe(foldToken('client'));
+    expect(foldToken('rnilk')).toBe(foldToken('milk'));
+    expect(foldToken('vvork')).toBe(foldToken('work'));
+    expect(foldToken('5ale')).toBe(foldToken('sale'));
+  });
+
+  it('charges half for near look-alike substitutions', () => {
+    expect(editDistance('cat', 'cot')).toBe(0.5);
+    expect(editDistance('cat', 'cut')).toBe(1);
+    expect(editDistance('form', 'from')).toBe(1); // transposition
+    expect(editDistance('abc', 'abcdef', 2)).toBe(Infinity);
+  });
+});
+
+describe('indexPage / removePageFromIndex', () => {
+  it('replaces a page on re-index and drops unused terms', () => {
+    const index = buildIndex();
+    indexPage(index, { book: 3, pageId: '12', lines: [line('z', 'fresh text')] });
+    expect(index.postings.has('tomorrow')).toBe(false);
+    expect(index.postings.has('fresh')).toBe(true);
+    expect(index.postings.get('milk').size).toBe(1);
+
+    removePageFromIndex(index, 3, '12');
+    expect(index.pages.has('B3/P12')).toBe(false);
+    expect(index.postings.has('fresh')).toBe(false);
+    expect(index.folded.has('fresh')).toBe(false);
+  });
+});
+
+describe('buildSearchIndex / serializeSearchIndex', () => {
+  const pages = () => [
+    { book: 3, pageId: '12', stamp: 't1', lines: [line('a', 'milk and eggs', 10)] },
+    { book: 4, pageId: '1b', stamp: 't1', lines: [line('c', 'call back', 30)] }
+  ];
+
+  it('reuses saved pages whose file is unchanged and re-tokenizes the rest', () => {
+    const saved = JSON.parse(JSON.stringify(serializeSearchIndex(buildSearchIndex(pages()).index)));
+    expect(saved.version).toBe(SEARCH_INDEX_VERSION);
+
+    const now = pages();
+    now[1] = { ...now[1], stamp: 't2', lines: [line('c', 'call later', 30)] };
+    now.push({ book: 5, pageId: '2', stamp: 't1', lines: [line('d', 'milk', 5)] });
+    const { index, reused, reindexed } = buildSearchIndex(now, saved);
+
+    expect({ reused, reindexed }).toEqual({ reused: 1, reindexed: 2 });
+    expect(summary(searchIndex(index, 'milk'))).toEqual(['B3/P12', 'B5/P2']);
+    expect(searchIndex(index, 'eggs')[0].hits[0].lineId).toBe('a');
+    expect(searchIndex(index, '"call back"')).toEqual([]);
+    expect(summary(searchIndex(index, 'later'))).toEqual(['B4/P1b']);
+  });
+
+  it('re-tokenizes everything without stamps or from another index version', () => {
+    const saved = serializeSearchIndex(buildSearchIndex(pages()).index);
+    expect(buildSearchIndex(pages(), { ...saved, version: SEARCH_INDEX_VERSION + 1 }).reindexed).toBe(2);
+    expect(buildSearchIndex(pages().map((p) => ({ ...p, stamp: null })), saved).reindexed).toBe(2);
+    expect(buildSearchIndex(pages(), null).reused).toBe(0);
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('splits OR groups and routes exclusions', () => {
+    const q = parseSearchQuery('milk "call back" -draft OR NOT eggs tea');
+    expect(q.groups).toEqual([
+      {
+        include: [
+          { type: 'term', tokens: ['milk'] },
+          { type: 'phrase', tokens: ['call', 'back'] }
+        ],
+        exclude: [{ type: 'term', tokens: ['draft'] }]
+      },
+      { include: [{ type: 'term', tokens: ['tea'] }], exclude: [{ type: 'term', tokens: ['eggs'] }] }
+    ]);
+  });
+
+  it('collects filters and treats unknown fields as text', () => {
+    const q = parseSearchQuery('book:3 book:"Work Notes" after:2026-01-01 before:soon re:budget');
+    expect(q.filters).toEqual({ books: ['3', 'Work Notes'], after: '2026-01-01', before: null });
+    expect(q.groups[0].include).toEqual([{ type: 'phrase', tokens: ['re', 'budget'] }]);
+  });
+});
+
+describe('searchIndex', () => {
+  const index = buildIndex();
+
+  it('returns the exact line, with its yBounds, for each hit', () => {
+    const [result] = searchIndex(index, 'eggs');
+    expect(result).toMatchObject({ book: 3, pageId: '12', page: 12 });
+    expect(result.hits).toEqual([
+      { lineId: 'b', lineIndex: 1, text: 'Groceries: rnilk, eggs', indentLevel: 0, yBounds: { minY: 20, maxY: 25 }, terms: ['eggs'] }
+    ]);
+  });
+
+  it('returns nothing for an empty query', () => {
+    expect(searchIndex(index, '   ')).toEqual([]);
+  });
+
+  it('matches phrases only in order on one line', () => {
+    expect(summary(searchIndex(index, '"call back"'))).toEqual(['B3/P12']);
+    expect(searchIndex(index, '"back call"')).toEqual([]);
+    expect(searchIndex(index, '"tomorrow groceries"')).toEqual([]);
+  });
+
+  it('finds misrecognized words and ranks exact matches first', () => {
+    const results = searchIndex(index, 'milk');
+    expect(summary(results)).toEqual(['B4/P1b', 'B3/P12']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(results[1].hits[0].terms).toEqual(['rnilk']);
+    expect(summary(searchIndex(index, 'client'))).toEqual(['B3/P12']);
+    expect(summary(searchIndex(index, 'tomorow'))).toEqual(['B3/P12']);
+  });
+
+  it('matches a word being typed as a prefix', () => {
+    expect(searchIndex(index, 'groc')[0].hits[0].terms).toEqual(['groceries']);
+  });
+
+  it('requires every word (AND) unless OR is used', () => {
+    expect(summary(searchIndex(index, 'draft eggs'))).toEqual([]);
+    expect(summary(searchIndex(index, 'draft OR eggs')).sort()).toEqual(['B3/P12', 'B4/P1b']);
+  });
+
+  it('excludes pages only on an exact or look-alike match', () => {
+    expect(summary(searchIndex(index, 'milk -draft'))).toEqual(['B3/P12']);
+    expect(summary(searchIndex(index, 'milk NOT drafty'))).toEqual(['B4/P1b', 'B3/P12']);
+  });
+
+  it('filters by book number or alias and by date', () => {
+    const resolveBook = (name) => (name.toLowerCase() === 'work' ? [3] : []);
+    expect(summary(searchIndex(index, 'milk book:4'))).toEqual(['B4/P1b']);
+    expect(summary(searchIndex(index, 'milk book:Work', { resolveBook }))).toEqual(['B3/P12']);
+    expect(summary(searchIndex(index, 'milk book:Nope', { resolveBook }))).toEqual([]);
+    expect(summary(searchIndex(index, 'milk after:2026-02-01'))).toEqual(['B4/P1b']);
+    expect(summary(searchIndex(index, 'milk before:2026-02-01'))).toEqual(['B3/P12']);
+  });
+
+  it('lists every page passing a filter-only query, without hits', () => {
+    const results = searchIndex(index, 'book:3');
+    expect(summary(results)).toEqual(['B3/P12']);
+    expect(results[0].hits).toEqual([]);
+  });
+});
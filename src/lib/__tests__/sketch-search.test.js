@@ -0,0 +1,201 @@
+/**
+ * Tests for sketch-search.js — finding handwriting by stroke shape.
+ *
+ * Coverage:
+ *   - resamplePath / normalizeShape (even spacing, unit box, degenerate paths)
+ *   - shapeDistance (identical, warped, different shapes)
+ *   - prepareSketchQuery (empty / dot sketches rejected)
+ *   - matchSketchOnPage (scale/position invariance, multi-stroke symbols,
+ *     different shapes rejected, overlapping runs collapsed, writing order)
+ *   - searchPagesBySketch (ranking, progress, cancellation, unreadable pages)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SAMPLE_POINTS,
+  resamplePath,
+  normalizeShape,
+  shapeDistance,
+  prepareSketchQuery,
+  matchSketchOnPage,
+  searchPagesBySketch
+} from '../sketch-search.js';
+
+// ---------------------------------------------------------------------------
+// Synthetic ink: shapes as point lists, placed and scaled like pen strokes
+// ---------------------------------------------------------------------------
+
+let clock = 1000;
+let nextId = 0;
+
+function place(shape, x, y, size) {
+  return shape.map(([u, v]) => [x + u * size, y + v * size, clock++]);
+}
+
+const stroke = (points) => ({ id: `s${nextId++}`, points });
+
+// Unit-size shapes (0…1 box).
+const circle = Array.from({ length: 40 }, (_, i) => {
+  const a = (i / 39) * Math.PI * 2;
+  return [0.5 + 0.5 * Math.cos(a), 0.5 + 0.5 * Math.sin(a)];
+});
+const zigzag = [[0, 1], [0.25, 0], [0.5, 1], [0.75, 0], [1, 1]];
+const bar = [[0.5, 0], [0.5, 1]];
+const dash = [[0, 0.5], [1, 0.5]];
+
+function cross(x, y, size) {
+  return [stroke(place(dash, x, y, size)), stroke(place(bar, x, y, size))];
+}
+
+describe('resamplePath / normalizeShape', () => {
+  it('spaces points evenly along the path', () => {
+    const out = resamplePath([[0, 0], [3, 0], [10, 0]], 11);
+    expect(out).toHaveLength(11);
+    out.forEach(([x, y], i) => {
+      expect(x).toBeCloseTo(i);
+      expect(y).toBe(0);
+    });
+  });
+
+  it('repeats a single point for a zero-length path', () => {
+    expect(resamplePath([[2, 3], [2, 3]], 4)).toEqual([[2, 3], [2, 3], [2, 3], [2, 3]]);
+    expect(resamplePath([], 4)).toEqual([]);
+  });
+
+  it('centres on the bounding box and scales the longer side to 1', () => {
+    expect(normalizeShape([[10, 10], [30, 20]])).toEqual([[-0.5, -0.25], [0.5, 0.25]]);
+  });
+});
+
+describe('shapeDistance', () => {
+  const sig = (shape) => normalizeShape(resamplePath(shape));
+
+  it('is zero for the same shape at any scale or position', () => {
+    const a = sig(place(circle, 0, 0, 5));
+    const b = sig(place(circle, 300, 80, 120));
+    expect(a).toHaveLength(SAMPLE_POINTS);
+    expect(shapeDistance(a, b)).toBeCloseTo(0, 6);
+  });
+
+  it('tolerates uneven writing speed along the same shape', () => {
+    const slowStart = sig([[0, 1], [0.05, 0.8], [0.1, 0.6], [0.25, 0], [0.5, 1], [0.75, 0], [1, 1]]);
+    expect(shapeDistance(slowStart, sig(zigzag))).toBeLessThan(0.05);
+  });
+
+  it('scores different shapes far apart', () => {
+    expect(shapeDistance(sig(circle), sig(zigzag))).toBeGreaterThan(0.15);
+  });
+});
+
+describe('prepareSketchQuery', () => {
+  it('returns null when there is nothing to match', () => {
+    expect(prepareSketchQuery([])).toBeNull();
+    expect(prepareSketchQuery([{ points: [] }])).toBeNull();
+    expect(prepareSketchQuery([{ points: [[5, 5], [5, 5]] }])).toBeNull();
+  });
+
+  it('records the stroke count and a resampled signature', () => {
+    const q = prepareSketchQuery(cross(0, 0, 100));
+    expect(q.strokeCount).toBe(2);
+    expect(q.signature).toHaveLength(SAMPLE_POINTS);
+  });
+});
+
+describe('matchSketchOnPage', () => {
+  // A page with a small circle, a zigzag and a cross, written left to right.
+  const page = [
+    stroke(place(circle, 20, 20, 8)),
+    stroke(place(zigzag, 50, 20, 10)),
+    ...cross(80, 20, 8),
+    stroke(place(circle, 20, 60, 10))
+  ];
+
+  it('finds a mouse-drawn shape wherever it was written, at any size', () => {
+    const query = prepareSketchQuery([stroke(place(circle, 400, 300, 150))]);
+    const matches = matchSketchOnPage(query, page);
+    expect(matches).toHaveLength(2);
+    matches.forEach((m) => {
+      expect(m.bounds.minX).toBeCloseTo(20, 1);
+      expect(m.score).toBeGreaterThan(0.9);
+    });
+    expect(matches.map((m) => Math.round(m.bounds.minY))).toEqual(expect.arrayContaining([20, 60]));
+  });
+
+  it('matches a multi-stroke symbol and reports its stroke ids', () => {
+    const query = prepareSketchQuery(cross(0, 0, 200));
+    const [best] = matchSketchOnPage(query, page);
+    expect(best.bounds).toEqual({ minX: 80, minY: 20, maxX: 88, maxY: 28 });
+    expect(best.strokeIds).toEqual([page[2].id, page[3].id]);
+  });
+
+  it('rejects shapes that only share a bounding box', () => {
+    const query = prepareSketchQuery([stroke(place(zigzag, 0, 0, 100))]);
+    const matches = matchSketchOnPage(query, page);
+    expect(matches).toHaveLength(1);
+    expect(matches[0].bounds.minX).toBeCloseTo(50);
+  });
+
+  it('follows timestamps rather than storage order', () => {
+    const [dashStroke, barStroke] = cross(10, 10, 8);
+    const query = prepareSketchQuery(cross(0, 0, 100));
+    const matches = matchSketchOnPage(query, [barStroke, dashStroke]);
+    expect(matches).toHaveLength(1);
+  });
+
+  it('collapses overlapping runs into the best one', () => {
+    const traced = [stroke(place(circle, 10, 10, 8)), stroke(place(circle, 10.2, 10, 8))];
+    const query = prepareSketchQuery([stroke(place(circle, 0, 0, 100))]);
+    const matches = matchSketchOnPage(query, traced);
+    expect(matches).toHaveLength(1);
+    expect(matches[0].strokeIds).toHaveLength(1);
+  });
+
+  it('returns nothing without a query or strokes', () => {
+    expect(matchSketchOnPage(null, page)).toEqual([]);
+    expect(matchSketchOnPage(prepareSketchQuery(cross(0, 0, 10)), [])).toEqual([]);
+  });
+});
+
+describe('searchPagesBySketch', () => {
+  const docs = {
+    'B1/P1': { strokes: [stroke(place(zigzag, 10, 10, 10))] },
+    'B1/P2': { strokes: [stroke(place(circle, 10, 10, 10))] },
+    'B2/P3b': { strokes: [stroke(place([[0, 1], [0.3, 0.1], [0.5, 1], [0.75, 0], [1, 1]], 10, 10, 10))] }
+  };
+  const records = [
+    { book: 1, page: 1, pageId: '1' },
+    { book: 1, page: 2, pageId: '2' },
+    { book: 2, page: 3, pageId: '3b' },
+    { book: 2, page: 4, pageId: '4' }
+  ];
+  const loadPage = async (book, pageId) => {
+    if (pageId === '4') throw new Error('unreadable');
+    return docs[`B${book}/P${pageId}`];
+  };
+  const query = prepareSketchQuery([stroke(place(zigzag, 0, 0, 100))]);
+
+  it('ranks matching pages by their best match and skips the rest', async () => {
+    const progress = [];
+    const results = await searchPagesBySketch(query, records, {
+      loadPage,
+      onProgress: (done, total) => progress.push(`${done}/${total}`)
+    });
+    expect(results.map((r) => `B${r.book}/P${r.pageId}`)).toEqual(['B1/P1', 'B2/P3b']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(results[0].strokes).toBe(docs['B1/P1'].strokes);
+    expect(progress).toEqual(['1/4', '2/4', '3/4', '4/4']);
+  });
+
+  it('stops between pages when cancelled', async () => {
+    let loaded = 0;
+    const results = await searchPagesBySketch(query, records, {
+      loadPage: async (book, pageId) => {
+        loaded++;
+        return docs[`B${book}/P${pageId}`];
+      },
+      isCancelled: () => loaded >= 1
+    });
+    expect(loaded).toBe(1);
+    expect(results).toHaveLength(1);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for stroke-pressure.js — force → width helpers shared by the canvas
+ * renderer, the Book View SVG and SVG export.
+ *
+ * Coverage:
+ *   - pressureFactor (reference force, clamping, missing force)
+ *   - storedPointForce / storedStrokeHasPressure (v2.0 vs v2.1 points)
+ *   - dotsHavePressure (placeholder vs real force)
+ *   - pressureRuns (grouping, quantization, short strokes)
+ *   - v2.0 page → load → save → load keeps its points force-free
+ *
+ * The round trip mocks local-store.js; the loader and saver run for real.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('$lib/storage/local-store.js', () => ({
+  getPage: vi.fn(),
+  savePage: vi.fn(async () => ({ path: 'P2.json' })),
+}));
+
+import { get } from 'svelte/store';
+import { getPage, savePage } from '$lib/storage/local-store.js';
+import { importStrokesFromFolder } from '../storage/load-page.js';
+import { savePageToFolder } from '../storage/save-page.js';
+import { strokes, clearStrokes } from '$stores/strokes.js';
+import {
+  FORCE_REFERENCE,
+  MIN_PRESSURE_FACTOR,
+  MAX_PRESSURE_FACTOR,
+  pressureFactor,
+  storedPointForce,
+  storedStrokeHasPressure,
+  dotsHavePressure,
+  pressureRuns
+} from '../stroke-pressure.js';
+
+describe('pressureFactor', () => {
+  it('maps the reference force to 1', () => {
+    expect(pressureFactor(FORCE_REFERENCE)).toBe(1);
+    expect(pressureFactor(FORCE_REFERENCE / 2)).toBe(0.5);
+  });
+
+  it('clamps extreme forces', () => {
+    expect(pressureFactor(1)).toBe(MIN_PRESSURE_FACTOR);
+    expect(pressureFactor(100000)).toBe(MAX_PRESSURE_FACTOR);
+  });
+
+  it('treats missing or invalid force as the base width', () => {
+    expect(pressureFactor(undefined)).toBe(1);
+    expect(pressureFactor(null)).toBe(1);
+    expect(pressureFactor(0)).toBe(1);
+    expect(pressureFactor(NaN)).toBe(1);
+  });
+});
+
+describe('stored point force', () => {
+  it('reads the 4th point element', () => {
+    expect(storedPointForce([1, 2, 3, 400])).toBe(400);
+    expect(storedPointForce([1, 2, null, 400])).toBe(400);
+    expect(storedPointForce([1, 2, 3])).toBeNull();
+  });
+
+  it('detects strokes saved with pressure', () => {
+    expect(storedStrokeHasPressure({ points: [[0, 0, 1], [1, 1, 2]] })).toBe(false);
+    expect(storedStrokeHasPressure({ points: [[0, 0, 1, 300], [1, 1, 2, 310]] })).toBe(true);
+    expect(storedStrokeHasPressure({})).toBe(false);
+  });
+});
+
+describe('dotsHavePressure', () => {
+  it('ignores constant placeholder force', () => {
+    expect(dotsHavePressure([{ f: 100 }, { f: 100 }, { f: 100 }])).toBe(false);
+  });
+
+  it('accepts force that varies along the stroke', () => {
+    expect(dotsHavePressure([{ f: 100 }, { f: 240 }])).toBe(true);
+  });
+});
+
+describe('pressureRuns', () => {
+  it('returns nothing for fewer than 2 points', () => {
+    expect(pressureRuns(1, () => 1)).toEqual([]);
+  });
+
+  it('collapses uniform width into one run', () => {
+    expect(pressureRuns(4, () => 1)).toEqual([{ start: 0, end: 3, width: 1 }]);
+  });
+
+  it('starts a new run where the width changes, sharing the joining point', () => {
+    const widths = [null, 1, 1, 2, 2];
+    expect(pressureRuns(5, (i) => widths[i])).toEqual([
+      { start: 0, end: 2, width: 1 },
+      { start: 2, end: 4, width: 2 }
+    ]);
+  });
+
+  it('quantizes small jitter into the same run', () => {
+    const widths = [null, 1.01, 0.99, 1.02];
+    expect(pressureRuns(4, (i) => widths[i], 0.1)).toHaveLength(1);
+  });
+});
+
+describe('v2.0 round trip', () => {
+  const pageInfo = { section: 3, owner: 27, book: 1, page: 1 };
+  const legacyDoc = {
+    version: '2.0',
+    pageInfo,
+    metadata: { lastUpdated: '2025-01-01T00:00:00.000Z', totalStrokes: 1 },
+    transcript: { lastTranscribed: null, lines: [] },
+    strokes: [{ id: 's1000', startTime: 1000, endTime: 1002, lineId: null, points: [[1, 1, 1000], [2, 2, 1001], [3, 3, 1002]] }]
+  };
+
+  it('does not store a placeholder force when a pre-2.1 page is saved again', async () => {
+    clearStrokes();
+    await importStrokesFromFolder({ book: 1, page: 1, pageDoc: legacyDoc });
+    const loaded = get(strokes);
+    expect(loaded[0].dotArray.every(d => d.f === undefined)).toBe(true);
+
+    // Saved to a fresh page, so the loaded dots are what gets written
+    getPage.mockResolvedValue(null);
+    await savePageToFolder({ book: 1, page: 2, activeStrokes: loaded });
+    const [, , saved] = savePage.mock.calls[0];
+    expect(saved.strokes[0].points).toEqual(legacyDoc.strokes[0].points);
+    expect(storedStrokeHasPressure(saved.strokes[0])).toBe(false);
+
+    clearStrokes();
+    await importStrokesFromFolder({ book: 1, page: 2, pageDoc: saved });
+    expect(dotsHavePressure(get(strokes)[0].dotArray)).toBe(false);
+    expect(get(strokes)[0].dotArray.map(d => pressureFactor(d.f))).toEqual([1, 1, 1]);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for viewer/stroke-replay.js — the time-lapse replay clock — and
+ * page-tools.js's animated SVG export built on it.
+ *
+ * Coverage:
+ *   - buildReplayTimeline: writing order, point timing, idle gaps squeezed
+ *     (between strokes and within one), untimed strokes, pen-stroke dotArrays
+ *   - replayPointCount / replayStrokesAt: partial strokes cut at the pen
+ *   - replayWallTime, formatReplayTime
+ *   - pageToAnimatedSvg: delays follow the replay clock and the speed
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildReplayTimeline,
+  replayPointCount,
+  replayStrokesAt,
+  replayWallTime,
+  formatReplayTime
+} from '../viewer/stroke-replay.js';
+import { pageToAnimatedSvg } from '../storage/page-tools.js';
+
+const T = 1765403005000;
+const stroke = (id, start, pointTimes) => ({
+  id,
+  startTime: start,
+  endTime: start + pointTimes[pointTimes.length - 1],
+  points: pointTimes.map((t, i) => [i, 0, start + t])
+});
+
+describe('buildReplayTimeline', () => {
+  it('plays strokes in writing order on their own point times', () => {
+    const late = stroke('b', T + 1000, [0, 100]);
+    const early = stroke('a', T, [0, 50, 200]);
+    const timeline = buildReplayTimeline([late, early]);
+    expect(timeline.items.map(i => i.stroke.id)).toEqual(['a', 'b']);
+    expect(timeline.items[0].times).toEqual([0, 50, 200]);
+    expect(timeline.items[1].times).toEqual([1000, 1100]);
+    expect(timeline.duration).toBe(1100);
+    expect(timeline.skipped).toBe(0);
+  });
+
+  it('squeezes long idle gaps down to maxGap', () => {
+    const timeline = buildReplayTimeline(
+      [stroke('a', T, [0, 100]), stroke('b', T + 3600000, [0, 100]), stroke('c', T + 3600200, [0, 5000, 5100])],
+      { maxGap: 500 }
+    );
+    expect(timeline.items.map(i => i.start)).toEqual([0, 600, 800]);
+    expect(timeline.items[2].times).toEqual([800, 1300, 1400]);
+    expect(timeline.skipped).toBe(3600000 - 100 - 500 + 4500);
+  });
+
+  it('spreads missing point times over the stroke and slots in untimed strokes', () => {
+    const noPointTimes = { id: 'a', startTime: T, endTime: T + 300, points: [[0, 0], [1, 0], [2, 0], [3, 0]] };
+    const untimed = { id: 'x', points: [[0, 0], [1, 1]] };
+    const timeline = buildReplayTimeline([noPointTimes, untimed, stroke('b', T + 400, [0, 100])]);
+    expect(timeline.items.map(i => i.stroke.id)).toEqual(['a', 'x', 'b']);
+    expect(timeline.items[0].times).toEqual([0, 100, 200, 300]);
+    expect(timeline.items[1]).toMatchObject({ start: 300, end: 600, wallStart: null });
+    expect(timeline.items[2].start).toBe(700);
+  });
+
+  it('reads pen strokes from the editor', () => {
+    const pen = { startTime: T, endTime: T + 40, dotArray: [{ x: 0, y: 0, timestamp: T }, { x: 1, y: 1, timestamp: T + 40 }] };
+    expect(buildReplayTimeline([pen]).items[0].times).toEqual([0, 40]);
+  });
+});
+
+describe('replay frames', () => {
+  const a = stroke('a', T, [0, 100, 200]);
+  const b = stroke('b', T + 300, [0, 100]);
+  const timeline = buildReplayTimeline([a, b]);
+
+  it('cuts the stroke being written at the pen', () => {
+    expect(timeline.items.map(i => replayPointCount(i, 150))).toEqual([2, 0]);
+    const shown = replayStrokesAt(timeline, 350);
+    expect(shown[0]).toBe(a);
+    expect(shown[1].points).toEqual([[0, 0, T + 300]]);
+    expect(b.points).toHaveLength(2);
+    expect(replayStrokesAt(timeline, -1)).toEqual([]);
+  });
+
+  it('cuts pen strokes on their dotArray', () => {
+    const pen = { startTime: T, endTime: T + 40, dotArray: [{ x: 0, y: 0, timestamp: T }, { x: 1, y: 1, timestamp: T + 40 }] };
+    expect(replayStrokesAt(buildReplayTimeline([pen]), 10)[0].dotArray).toHaveLength(1);
+  });
+
+  it('tells when the writing on screen was done', () => {
+    expect(replayWallTime(timeline, 150)).toBe(T + 150);
+    expect(replayWallTime(timeline, 250)).toBe(T + 200);
+    expect(replayWallTime({ items: [], duration: 0, skipped: 0 }, 0)).toBeNull();
+  });
+
+  it('formats the clock', () => {
+    expect(formatReplayTime(65000)).toBe('1:05');
+    expect(formatReplayTime(3729000)).toBe('1:02:09');
+    expect(formatReplayTime(-5)).toBe('0:00');
+  });
+});
+
+describe('pageToAnimatedSvg', () => {
+  const doc = { strokes: [stroke('b', T + 3600000, [0, 500]), stroke('a', T, [0, 1000])] };
+
+  it('animates each stroke at its replay time', () => {
+    const svg = pageToAnimatedSvg(doc, { maxGap: 1500 });
+    expect(svg).toMatch(/^<svg [^>]*><style>/);
+    expect([...svg.matchAll(/animation-delay:([\d.]+)s;animation-duration:([\d.]+)s/g)].map(m => [m[1], m[2]]))
+      .toEqual([['0', '1'], ['2.5', '0.5']]);
+  });
+
+  it('runs faster at a higher speed', () => {
+    expect(pageToAnimatedSvg(doc, { speed: 4, maxGap: 1500 })).toContain('animation-delay:0.625s;animation-duration:0.125s');
+  });
+});
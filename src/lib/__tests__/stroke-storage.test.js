@@ -172,14 +172,20 @@ describe('convertFromStorageFormat', () => {
     expect(restored.dotArray[1].y).toBe(11);
   });
 
-  it('assigns default pressure of 512 to restored dots', () => {
+  it('leaves pressure unset on dots stored without force', () => {
     const stored = makeSimplified('s1000', 1000);
     const [restored] = convertFromStorageFormat([stored], PAGE_INFO);
     restored.dotArray.forEach(dot => {
-      expect(dot.f).toBe(512);
+      expect(dot.f).toBeUndefined();
     });
   });
 
+  it('restores stored force (v2.1)', () => {
+    const stored = { id: 's1000', startTime: 1000, endTime: 2000, points: [[5, 10, 1000, 320], [6, 11, null, 410]] };
+    const [restored] = convertFromStorageFormat([stored], PAGE_INFO);
+    expect(restored.dotArray.map(dot => dot.f)).toEqual([320, 410]);
+  });
+
   it('restores blockUuid from stored value', () => {
     const stored = makeSimplified('s1000', 1000, 'uuid-xyz');
     const [restored] = convertFromStorageFormat([stored], PAGE_INFO);
@@ -4,7 +4,7 @@
  *
  * Coverage:
  *   - isPropertyLine (property detection vs. normal text)
- *   - lineToMarkdown (tab indent, TODO/DONE markers)
+ *   - lineToMarkdown (tab indent, TODO/DONE markers, bullet-journal states)
  *   - linesToLogseqMarkdown (hierarchy, property stripping, blank lines, tasks)
  */
 
@@ -45,6 +45,13 @@ describe('lineToMarkdown', () => {
     expect(lineToMarkdown(line('do it', 0, false))).toBe('- TODO do it');
     expect(lineToMarkdown(line('did it', 1, true))).toBe('\t- DONE did it');
   });
+
+  it('maps bullet-journal states to LogSeq markers', () => {
+    expect(lineToMarkdown({ ...line('moved'), state: 'migrated' })).toBe('- LATER moved');
+    expect(lineToMarkdown({ ...line('later'), state: 'scheduled' })).toBe('- LATER later');
+    expect(lineToMarkdown({ ...line('dropped'), state: 'cancelled' })).toBe('- CANCELED dropped');
+    expect(lineToMarkdown({ ...line('party'), state: 'event' })).toBe('- party');
+  });
 });
 
 describe('linesToLogseqMarkdown', () => {
@@ -7,10 +7,11 @@
  *   - searchPages: empty query passthrough, partial token matching,
  *                  multi-token ranking, no-transcription pages excluded
  *   - highlightMatches: HTML escaping, <mark> injection, partial matching
+ *   - highlightTerms: marks only the index-matched words, escapes the rest
  */
 
 import { describe, it, expect } from 'vitest';
-import { tokenize, searchPages, highlightMatches } from '../transcript-search.js';
+import { tokenize, searchPages, highlightMatches, highlightTerms } from '../transcript-search.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -223,3 +224,15 @@ describe('highlightMatches', () => {
     expect(result).toBe('');
   });
 });
+
+describe('highlightTerms', () => {
+  it('marks only the words the index matched, case-insensitively', () => {
+    expect(highlightTerms('Call the dient <now>', ['dient'])).toBe('Call the <mark>dient</mark> &lt;now&gt;');
+    expect(highlightTerms('Milk and milkshake', ['milk'])).toBe('<mark>Milk</mark> and milkshake');
+  });
+
+  it('returns escaped text when nothing matched', () => {
+    expect(highlightTerms('a & b', [])).toBe('a &amp; b');
+    expect(highlightTerms('', ['x'])).toBe('');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for the per-word transcript helpers in recognition/transcript-structure.js.
+ *
+ * Coverage:
+ *   - toTranscriptWords (JIIX stroke items, local strokeIds, alternatives
+ *     without the label itself, confidence, unmatched and repeated words)
+ *   - hasCurrentWords (words match the text, stale after a hand edit)
+ *   - isLowConfidence (threshold, unscored words)
+ *   - correctTranscriptWord (text rebuilt, old text offered back, Math lines)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  LOW_CONFIDENCE,
+  toTranscriptWords,
+  hasCurrentWords,
+  isLowConfidence,
+  correctTranscriptWord
+} from '../recognition/transcript-structure.js';
+
+describe('toTranscriptWords', () => {
+  it('keeps each recognized word\'s strokes, alternatives and confidence', () => {
+    const words = toTranscriptWords('Buy milk', [
+      { label: 'Buy', items: [{ type: 'stroke', id: 's1' }, { type: 'glyph' }, { type: 'stroke', id: 's2' }], candidates: ['Buy', 'Bug'] },
+      { label: 'milk', strokeIds: ['s3'], candidates: ['mild'], confidence: 0.42 }
+    ]);
+    expect(words).toEqual([
+      { text: 'Buy', strokeIds: ['s1', 's2'], candidates: ['Bug'] },
+      { text: 'milk', strokeIds: ['s3'], candidates: ['mild'], confidence: 0.42 }
+    ]);
+  });
+
+  it('gives text the recognizer did not report as plain words, matching repeats in order', () => {
+    const words = toTranscriptWords('to do to', [
+      { label: 'to', strokeIds: ['s1'] },
+      { label: 'to', strokeIds: ['s9'] }
+    ]);
+    expect(words).toEqual([{ text: 'to', strokeIds: ['s1'] }, { text: 'do' }, { text: 'to', strokeIds: ['s9'] }]);
+  });
+});
+
+describe('hasCurrentWords / isLowConfidence', () => {
+  const words = [{ text: 'Buy' }, { text: 'milk', confidence: LOW_CONFIDENCE - 0.1 }];
+
+  it('accepts words only while they spell the line', () => {
+    expect(hasCurrentWords({ text: ' Buy  milk ', words })).toBe(true);
+    expect(hasCurrentWords({ text: 'Buy oat milk', words })).toBe(false);
+    expect(hasCurrentWords({ text: 'Buy milk' })).toBe(false);
+  });
+
+  it('flags scored words under the threshold only', () => {
+    expect(words.map(isLowConfidence)).toEqual([false, true]);
+    expect(isLowConfidence({ text: 'x', confidence: LOW_CONFIDENCE })).toBe(false);
+  });
+});
+
+describe('correctTranscriptWord', () => {
+  it('swaps in the alternative and offers the old text back', () => {
+    const line = {
+      id: 'L1',
+      text: 'Buy mild',
+      words: [{ text: 'Buy' }, { text: 'mild', strokeIds: ['s3'], candidates: ['milk', 'mile'], confidence: 0.3 }]
+    };
+    const corrected = correctTranscriptWord(line, 1, 'milk');
+    expect(corrected.text).toBe('Buy milk');
+    expect(corrected.words[1]).toEqual({ text: 'milk', strokeIds: ['s3'], candidates: ['mild', 'mile'] });
+    expect(line.text).toBe('Buy mild');
+  });
+
+  it('keeps a Math line\'s LaTeX in step', () => {
+    const corrected = correctTranscriptWord({ text: 'x^2', latex: 'x^2', words: [{ text: 'x^2', candidates: ['x^z'] }] }, 0, 'x^z');
+    expect(corrected.latex).toBe('x^z');
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests for the renderer side of the transcription queue
+ * (recognition/transcription-queue.js, stores/transcription-queue.js).
+ *
+ * Coverage:
+ *   - quotaLevel (no limit, below / at the warning ratio, used up)
+ *   - prepareQueuedRecognition / parseQueuedRecognition (MyScript and local
+ *     HTTP jobs, mock engine not queueable, error answers)
+ *   - enqueueTranscription (no queue outside Electron, job shape, identical
+ *     strokes not queued twice)
+ *   - startTranscriptionQueue (finished jobs filed as page transcriptions or
+ *     line updates and removed, an answer that can't be filed kept as a failed
+ *     job, keys and online flag pushed to main, usage warnings)
+ *
+ * window.transcriptionQueueAPI is faked; main's queue itself is not involved.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { get } from 'svelte/store';
+import {
+  quotaLevel,
+  transcriptionQueueState,
+  setTranscriptionQueueState,
+  pageTranscriptions,
+  clearTranscription,
+  myscriptAppKey,
+  myscriptHmacKey,
+  myscriptMonthlyLimit,
+  logMessages
+} from '$stores';
+import { prepareQueuedRecognition, parseQueuedRecognition } from '../recognition/recognizers.js';
+import { enqueueTranscription, startTranscriptionQueue } from '../recognition/transcription-queue.js';
+
+const dot = (x, y, timestamp = 0) => ({ x, y, timestamp, f: 400 });
+const stroke = (startTime, ...dots) => ({ startTime, dotArray: dots });
+
+const localConfig = {
+  engine: 'local-http',
+  myscript: { appKey: '', hmacKey: '' },
+  localHttp: { url: 'http://127.0.0.1:8765/recognize' }
+};
+const myscriptConfig = { ...localConfig, engine: 'myscript', myscript: { appKey: 'a', hmacKey: 'h' } };
+
+const ok = (result) => ({ ok: true, result });
+
+function fakeQueueAPI(overrides = {}) {
+  const listeners = [];
+  const api = {
+    getState: vi.fn(async () => ok({ jobs: [], usage: { month: '2026-10', myscript: 0 }, online: true })),
+    configure: vi.fn(async () => ok({ jobs: [], usage: { month: '2026-10', myscript: 0 }, online: true, myscriptReady: true })),
+    enqueue: vi.fn(async (job) => ok({ id: 'job-1', status: 'queued', ...job })),
+    getResult: vi.fn(),
+    remove: vi.fn(async () => ok(true)),
+    fail: vi.fn(async (id) => ok({ id, status: 'failed' })),
+    retry: vi.fn(async () => ok(true)),
+    setOnline: vi.fn(async () => ok({})),
+    onChanged: vi.fn((callback) => {
+      listeners.push(callback);
+      return () => listeners.splice(listeners.indexOf(callback), 1);
+    }),
+    emit: (state) => listeners.forEach((callback) => callback(state)),
+    ...overrides
+  };
+  window.transcriptionQueueAPI = api;
+  return api;
+}
+
+afterEach(() => {
+  delete window.transcriptionQueueAPI;
+});
+
+describe('quotaLevel', () => {
+  it('grades usage against the monthly allowance', () => {
+    expect(quotaLevel(10, 0)).toBe('ok');
+    expect(quotaLevel(1599, 2000)).toBe('ok');
+    expect(quotaLevel(1600, 2000)).toBe('warning');
+    expect(quotaLevel(2000, 2000)).toBe('exceeded');
+  });
+});
+
+describe('prepareQueuedRecognition / parseQueuedRecognition', () => {
+  const strokes = [stroke(1, dot(5, 10, 100), dot(25, 14, 150))];
+
+  it('prepares a MyScript job without the keys and parses its JIIX answer', () => {
+    const job = prepareQueuedRecognition(strokes, myscriptConfig, { lang: 'de_DE', contentType: 'Text' });
+    expect(job.engine).toBe('myscript');
+    expect(job.transport.kind).toBe('myscript');
+    expect(JSON.parse(job.transport.body).configuration.lang).toBe('de_DE');
+    expect(job.transport.body).not.toContain('"h"');
+
+    const result = parseQueuedRecognition(job, { status: 200, body: JSON.stringify({ label: 'hello', words: [] }) });
+    expect(result.text).toBe('hello');
+    expect(() => parseQueuedRecognition(job, { status: 429, body: 'slow down' })).toThrow('MyScript API error (429)');
+  });
+
+  it('prepares a local HTTP job with its URL', () => {
+    const job = prepareQueuedRecognition(strokes, localConfig, { contentType: 'Math' });
+    expect(job.transport).toMatchObject({ kind: 'http', url: 'http://127.0.0.1:8765/recognize' });
+    const result = parseQueuedRecognition(job, { status: 200, body: '{"latex":"x+1"}' });
+    expect(result.lines.map((l) => l.latex)).toEqual(['x+1']);
+  });
+
+  it('does not queue the mock engine, and refuses an unconfigured one', () => {
+    expect(prepareQueuedRecognition(strokes, { ...localConfig, engine: 'mock' })).toBeNull();
+    expect(() => prepareQueuedRecognition(strokes, { ...localConfig, localHttp: { url: '' } })).toThrow('not configured');
+  });
+});
+
+describe('enqueueTranscription', () => {
+  const strokes = [stroke(111, dot(0, 0), dot(4, 4)), stroke(222, dot(5, 5), dot(9, 9))];
+  const page = { pageKey: 'S0/O0/B3/P12', pageInfo: { section: 0, owner: 0, book: 3, page: 12 }, strokeCount: 5 };
+
+  beforeEach(() => setTranscriptionQueueState({ jobs: [] }));
+
+  it('returns null outside Electron', async () => {
+    expect(await enqueueTranscription(strokes, localConfig, {}, page)).toBeNull();
+  });
+
+  it('sends the prepared request with where the result belongs', async () => {
+    const api = fakeQueueAPI();
+    const job = await enqueueTranscription(strokes, localConfig, { lang: 'en_US' }, page);
+    expect(job.id).toBe('job-1');
+    expect(api.enqueue.mock.calls[0][0]).toMatchObject({
+      engine: 'local-http',
+      label: 'B3/P12',
+      meta: { pageKey: 'S0/O0/B3/P12', strokeCount: 5, strokeIds: ['111', '222'] }
+    });
+  });
+
+  it('does not queue the same strokes twice', async () => {
+    const api = fakeQueueAPI();
+    setTranscriptionQueueState({
+      jobs: [{ id: 'old', status: 'queued', meta: { pageKey: 'S0/O0/B3/P12', strokeIds: ['111', '222'] } }]
+    });
+    const job = await enqueueTranscription(strokes, localConfig, {}, page);
+    expect(job.id).toBe('old');
+    expect(api.enqueue).not.toHaveBeenCalled();
+  });
+});
+
+describe('startTranscriptionQueue', () => {
+  let stop = () => {};
+
+  beforeEach(() => {
+    clearTranscription();
+    logMessages.set([]);
+    myscriptMonthlyLimit.set(2000);
+  });
+
+  afterEach(() => stop());
+
+  it('files a finished job as the page transcription and removes it', async () => {
+    const api = fakeQueueAPI({
+      getResult: vi.fn(async () => ok({
+        id: 'j1',
+        engine: 'local-http',
+        label: 'B3/P12',
+        context: { contentType: 'Text', yBounds: { minY: 0, maxY: 10 } },
+        meta: { pageKey: 'S0/O0/B3/P12', pageInfo: { book: 3, page: 12 }, strokeCount: 4, strokeIds: ['111'] },
+        response: { status: 200, body: '{"text":"Buy milk"}' }
+      }))
+    });
+    stop = startTranscriptionQueue();
+
+    api.emit({ jobs: [{ id: 'j1', status: 'done' }], usage: { month: '2026-10', myscript: 0 }, online: true });
+    await vi.waitFor(() => expect(api.remove).toHaveBeenCalledWith('j1'));
+
+    const filed = get(pageTranscriptions).get('S0/O0/B3/P12');
+    expect(filed.text).toBe('Buy milk');
+    expect(filed.transcribedStrokeIds).toEqual(['111']);
+    expect(get(transcriptionQueueState).available).toBe(true);
+  });
+
+  it('files a finished line re-transcription as an update of that line', async () => {
+    const api = fakeQueueAPI({
+      getResult: vi.fn(async () => ok({
+        id: 'j2',
+        engine: 'local-http',
+        label: 'B3/P12',
+        context: { contentType: 'Text', yBounds: { minY: 0, maxY: 10 } },
+        meta: { pageKey: 'S0/O0/B3/P12', pageInfo: { book: 3, page: 12 }, strokeCount: 4, strokeIds: ['111', '333'], lineId: 'line-a' },
+        response: { status: 200, body: '{"text":"Buy milk and eggs"}' }
+      }))
+    });
+    stop = startTranscriptionQueue();
+
+    api.emit({ jobs: [{ id: 'j2', status: 'done' }], usage: { month: '2026-10', myscript: 0 }, online: true });
+    await vi.waitFor(() => expect(api.remove).toHaveBeenCalledWith('j2'));
+
+    const filed = get(pageTranscriptions).get('S0/O0/B3/P12');
+    expect(filed.lines).toEqual([]);
+    expect(filed.lineUpdates).toMatchObject([{ lineId: 'line-a', text: 'Buy milk and eggs', strokeIds: ['111', '333'] }]);
+  });
+
+  it('keeps a job whose answer cannot be filed instead of removing it', async () => {
+    const api = fakeQueueAPI({
+      getResult: vi.fn(async () => ok({
+        id: 'j3',
+        engine: 'myscript',
+        label: 'B3/P12',
+        context: { contentType: 'Text' },
+        meta: { pageKey: 'S0/O0/B3/P12', pageInfo: { book: 3, page: 12 }, strokeCount: 4, strokeIds: ['111'] },
+        response: { status: 200, body: '<html>not JIIX</html>' }
+      }))
+    });
+    stop = startTranscriptionQueue();
+
+    api.emit({ jobs: [{ id: 'j3', status: 'done' }], usage: { month: '2026-10', myscript: 0 }, online: true });
+    await vi.waitFor(() => expect(api.fail).toHaveBeenCalled());
+
+    expect(api.fail.mock.calls[0][0]).toBe('j3');
+    expect(api.fail.mock.calls[0][1]).toEqual(expect.any(String));
+    expect(api.remove).not.toHaveBeenCalled();
+    expect(get(pageTranscriptions).has('S0/O0/B3/P12')).toBe(false);
+    expect(get(logMessages)[0].message).toContain('kept in the queue to retry');
+  });
+
+  it('pushes the MyScript keys and the online flag to main', async () => {
+    const api = fakeQueueAPI();
+    myscriptAppKey.set(' app ');
+    myscriptHmacKey.set('hmac');
+    stop = startTranscriptionQueue();
+    await vi.waitFor(() => expect(api.setOnline).toHaveBeenCalledWith(true));
+    expect(api.configure).toHaveBeenLastCalledWith({ myscript: { appKey: 'app', hmacKey: 'hmac' } });
+  });
+
+  it('warns once as usage crosses each threshold', () => {
+    const api = fakeQueueAPI();
+    stop = startTranscriptionQueue();
+    const state = (myscript) => ({ jobs: [], usage: { month: '2026-10', myscript }, online: true });
+
+    api.emit(state(1700));
+    api.emit(state(1701));
+    api.emit(state(2000));
+
+    // logMessages is newest first
+    const warnings = get(logMessages).filter((m) => m.level === 'warning').map((m) => m.message);
+    expect(warnings).toEqual([
+      'MyScript usage: 2000 requests this month — over the 2000 allowance',
+      'MyScript usage: 1700 of 2000 requests this month'
+    ]);
+  });
+});
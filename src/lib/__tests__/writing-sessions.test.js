@@ -0,0 +1,116 @@
+/**
+ * Tests for writing-sessions.js — clustering strokes from all pages into
+ * writing sessions for the Timeline tab.
+ *
+ * Coverage:
+ *   - pageStrokeTimes: writing order, untimed strokes dropped, fallback ids
+ *   - detectWritingSessions: split on the gap, sessions spanning books,
+ *     per-page stroke ids, newest first
+ *   - groupSessionsByDay / localDayKey
+ *   - scanWritingActivity: unchanged pages come from the cache, removed pages
+ *     are dropped from it, unreadable pages are skipped
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  pageStrokeTimes,
+  scanWritingActivity,
+  detectWritingSessions,
+  groupSessionsByDay,
+  localDayKey
+} from '../writing-sessions.js';
+
+const MIN = 60 * 1000;
+const T = new Date(2026, 2, 10, 9, 0).getTime();
+const s = (id, start, length = 1000) => ({ id, startTime: start, endTime: start + length });
+
+describe('pageStrokeTimes', () => {
+  it('keeps timed strokes in writing order', () => {
+    const doc = { strokes: [s('b', T + 5000), { id: 'old', points: [] }, { startTime: T, points: [] }] };
+    expect(pageStrokeTimes(doc)).toEqual([
+      { id: `s${T}`, startTime: T, endTime: T },
+      { id: 'b', startTime: T + 5000, endTime: T + 6000 }
+    ]);
+    expect(pageStrokeTimes(null)).toEqual([]);
+  });
+});
+
+describe('detectWritingSessions', () => {
+  const activity = [
+    { book: 3, pageId: '12', lastUpdated: null, strokes: [s('a1', T), s('a2', T + 2 * MIN), s('a3', T + 60 * MIN)] },
+    { book: 7, pageId: '1', lastUpdated: null, strokes: [s('b1', T + 5 * MIN)] }
+  ];
+
+  it('splits on idle time and follows the writing across books', () => {
+    const sessions = detectWritingSessions(activity, { gap: 10 * MIN });
+    expect(sessions).toHaveLength(2);
+    const [later, first] = sessions;
+    expect(later.pages).toEqual([{ book: 3, pageId: '12', strokeIds: ['a3'], start: T + 60 * MIN, end: T + 60 * MIN + 1000 }]);
+    expect(first).toMatchObject({
+      id: `session-${T}`,
+      start: T,
+      end: T + 5 * MIN + 1000,
+      duration: 5 * MIN + 1000,
+      writingTime: 3000,
+      strokeCount: 3
+    });
+    expect(first.pages.map(p => [p.book, p.strokeIds])).toEqual([[3, ['a1', 'a2']], [7, ['b1']]]);
+  });
+
+  it('merges sessions when the gap is longer', () => {
+    expect(detectWritingSessions(activity, { gap: 60 * MIN })).toHaveLength(1);
+    expect(detectWritingSessions(activity, { gap: 2 * MIN })).toHaveLength(3);
+    expect(detectWritingSessions([])).toEqual([]);
+  });
+});
+
+describe('groupSessionsByDay', () => {
+  it('groups consecutive sessions by local start day', () => {
+    const day2 = new Date(2026, 2, 11, 8, 0).getTime();
+    const sessions = detectWritingSessions([
+      { book: 1, pageId: '1', lastUpdated: null, strokes: [s('x', T), s('y', T + 30 * MIN), s('z', day2)] }
+    ]);
+    const days = groupSessionsByDay(sessions);
+    expect(days.map(d => [d.day, d.sessions.length])).toEqual([['2026-03-11', 1], ['2026-03-10', 2]]);
+    expect(localDayKey(T)).toBe('2026-03-10');
+  });
+});
+
+describe('scanWritingActivity', () => {
+  const records = [
+    { book: 3, page: 12, pageId: '12', lastUpdated: '2026-03-10T10:00:00Z' },
+    { book: 7, page: 1, pageId: '1', lastUpdated: '2026-03-10T11:00:00Z' }
+  ];
+  const docs = { 'B3/P12': { strokes: [s('a', T)] }, 'B7/P1': { strokes: [s('b', T + MIN)] } };
+
+  it('reads only pages that changed since the last scan', async () => {
+    const reads = [];
+    const loadPage = async (book, pageId) => {
+      reads.push(`B${book}/P${pageId}`);
+      return docs[`B${book}/P${pageId}`];
+    };
+    const cache = new Map();
+    const progress = [];
+    await scanWritingActivity(records, { loadPage, cache, onProgress: (done, total) => progress.push([done, total]) });
+    expect(reads).toEqual(['B3/P12', 'B7/P1']);
+    expect(progress).toEqual([[1, 2], [2, 2]]);
+
+    reads.length = 0;
+    const changed = [{ ...records[0] }, { ...records[1], lastUpdated: '2026-03-10T12:00:00Z' }];
+    const activity = await scanWritingActivity(changed, { loadPage, cache });
+    expect(reads).toEqual(['B7/P1']);
+    expect(activity.map(p => p.strokes[0].id)).toEqual(['a', 'b']);
+
+    await scanWritingActivity([records[1]], { loadPage, cache });
+    expect([...cache.keys()]).toEqual(['B7/P1']);
+  });
+
+  it('skips pages that fail to load', async () => {
+    const loadPage = async (book) => {
+      if (book === 3) throw new Error('corrupt');
+      return docs['B7/P1'];
+    };
+    const activity = await scanWritingActivity(records, { loadPage });
+    expect(activity.map(p => p.book)).toEqual([7]);
+  });
+});
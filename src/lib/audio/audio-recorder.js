@@ -0,0 +1,143 @@
+/**
+ * Audio recorder — capture sound while writing, so the ink can be played back
+ * with what was said at the time.
+ *
+ * Recording goes through an audio source: `start()` begins capturing and
+ * `stop()` resolves with the recording as `{ blob, mimeType }`. The
+ * microphone source wraps getUserMedia + MediaRecorder; tests (and anything
+ * without a microphone) swap in another one with {@link setAudioSource} — the
+ * fake source here records silence of the right length.
+ *
+ * The recorder only knows wall-clock times; which pages a recording belongs
+ * to is decided from the strokes written meanwhile (storage/page-audio.js).
+ */
+
+/**
+ * @typedef {Object} AudioSource
+ * @property {() => Promise<void>} start
+ * @property {() => Promise<{blob: Blob, mimeType: string}>} stop
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {Blob} blob
+ * @property {string} mimeType
+ * @property {number} startTime - Unix ms when capture started
+ * @property {number} endTime   - Unix ms when it stopped
+ */
+
+/** Containers MediaRecorder is asked for, best first. */
+const PREFERRED_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+/**
+ * The default source: the system microphone.
+ * @param {{mediaDevices?: MediaDevices, Recorder?: typeof MediaRecorder}} [env]
+ * @returns {AudioSource}
+ */
+export function microphoneSource({
+  mediaDevices = globalThis.navigator?.mediaDevices,
+  Recorder = globalThis.MediaRecorder
+} = {}) {
+  let stream = null;
+  let recorder = null;
+  let chunks = [];
+
+  return {
+    async start() {
+      if (!mediaDevices?.getUserMedia || !Recorder) throw new Error('Audio recording is not supported here');
+      stream = await mediaDevices.getUserMedia({ audio: true });
+      const mimeType = PREFERRED_TYPES.find(type => !Recorder.isTypeSupported || Recorder.isTypeSupported(type));
+      recorder = new Recorder(stream, mimeType ? { mimeType } : undefined);
+      chunks = [];
+      recorder.ondataavailable = (e) => {
+        if (e.data && e.data.size > 0) chunks.push(e.data);
+      };
+      recorder.start(1000);
+    },
+    stop() {
+      return new Promise((resolve, reject) => {
+        if (!recorder) {
+          reject(new Error('Not recording'));
+          return;
+        }
+        recorder.onstop = () => {
+          for (const track of stream.getTracks()) track.stop();
+          const mimeType = (recorder.mimeType || chunks[0]?.type || 'audio/webm').split(';')[0];
+          resolve({ blob: new Blob(chunks, { type: mimeType }), mimeType });
+          recorder = null;
+          stream = null;
+        };
+        recorder.stop();
+      });
+    }
+  };
+}
+
+/**
+ * A source that records silence: a mono 16-bit WAV as long as the time
+ * between start() and stop().
+ * @param {{sampleRate?: number, now?: () => number}} [options]
+ * @returns {AudioSource}
+ */
+export function fakeAudioSource({ sampleRate = 8000, now = Date.now } = {}) {
+  let startedAt = null;
+  return {
+    async start() {
+      startedAt = now();
+    },
+    async stop() {
+      if (startedAt === null) throw new Error('Not recording');
+      const samples = Math.round(((now() - startedAt) / 1000) * sampleRate);
+      startedAt = null;
+      return { blob: new Blob([silentWav(samples, sampleRate)], { type: 'audio/wav' }), mimeType: 'audio/wav' };
+    }
+  };
+}
+
+function silentWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples * 2);
+  const view = new DataView(buffer);
+  const text = (offset, s) => [...s].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  text(0, 'RIFF');
+  view.setUint32(4, 36 + samples * 2, true);
+  text(8, 'WAVE');
+  text(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  text(36, 'data');
+  view.setUint32(40, samples * 2, true);
+  return buffer;
+}
+
+let sourceFactory = () => microphoneSource();
+
+/**
+ * Record from another source from now on (e.g. `() => fakeAudioSource()`).
+ * @param {(() => AudioSource)|null} factory - null goes back to the microphone
+ */
+export function setAudioSource(factory) {
+  sourceFactory = factory || (() => microphoneSource());
+}
+
+/**
+ * Start recording from the current source.
+ * @param {{now?: () => number}} [options]
+ * @returns {Promise<{startTime: number, stop: () => Promise<Recording>}>}
+ */
+export async function startRecording({ now = Date.now } = {}) {
+  const source = sourceFactory();
+  await source.start();
+  const startTime = now();
+  return {
+    startTime,
+    async stop() {
+      const { blob, mimeType } = await source.stop();
+      return { blob, mimeType, startTime, endTime: now() };
+    }
+  };
+}
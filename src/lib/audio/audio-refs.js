@@ -0,0 +1,75 @@
+/**
+ * Audio refs — the recordings a page points at, and finding the moment of a
+ * stroke in them.
+ *
+ * A recording lives in its book folder as `audio-{startTime}.{ext}` and each
+ * page written on while it ran lists it in `metadata.audio`:
+ *
+ *   { "file": "audio-1765403005000.webm", "startTime": 1765403005000,
+ *     "endTime": 1765403065000, "mimeType": "audio/webm" }
+ *
+ * Times are the same Unix ms as the strokes', so a stroke's startTime minus
+ * the recording's startTime is where to seek. Pure — no I/O, no stores.
+ */
+
+/**
+ * @typedef {Object} AudioRef
+ * @property {string} file       - file name in the book folder
+ * @property {number} startTime  - Unix ms
+ * @property {number} endTime    - Unix ms
+ * @property {string} mimeType
+ */
+
+const EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/wav': 'wav', 'audio/mp4': 'm4a' };
+
+/**
+ * File name for a recording (the pattern main accepts).
+ * @param {number} startTime
+ * @param {string} mimeType
+ * @returns {string} e.g. "audio-1765403005000.webm"
+ */
+export function audioFileName(startTime, mimeType) {
+  return `audio-${Math.round(startTime)}.${EXTENSIONS[String(mimeType).split(';')[0]] || 'webm'}`;
+}
+
+/**
+ * Was any of these strokes begun while the recording ran?
+ * @param {{startTime: number, endTime: number}} ref
+ * @param {Array<{startTime?: number}>} strokes
+ * @returns {boolean}
+ */
+export function recordingCoversStrokes(ref, strokes) {
+  return (strokes || []).some(s => Number.isFinite(s?.startTime) && s.startTime >= ref.startTime && s.startTime <= ref.endTime);
+}
+
+/**
+ * A page's audio refs with more added: one per file, in recording order.
+ * @param {AudioRef[]|undefined} refs
+ * @param {AudioRef[]} more
+ * @returns {AudioRef[]}
+ */
+export function mergeAudioRefs(refs, more) {
+  const byFile = new Map();
+  for (const ref of [...(refs || []), ...(more || [])]) {
+    if (ref?.file) byFile.set(ref.file, { file: ref.file, startTime: ref.startTime, endTime: ref.endTime, mimeType: ref.mimeType });
+  }
+  return [...byFile.values()].sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * The recording playing at a moment, and how far into it that is.
+ * @template {{startTime: number, endTime: number}} R
+ * @param {R[]} recordings
+ * @param {number} time - Unix ms
+ * @returns {{recording: R, offset: number}|null} offset in seconds
+ */
+export function findRecordingAt(recordings, time) {
+  if (!Number.isFinite(time)) return null;
+  let found = null;
+  for (const recording of recordings || []) {
+    if (time < recording.startTime || time > recording.endTime) continue;
+    // Overlapping recordings: the one started last is the closest take
+    if (!found || recording.startTime > found.startTime) found = recording;
+  }
+  return found ? { recording: found, offset: (time - found.startTime) / 1000 } : null;
+}
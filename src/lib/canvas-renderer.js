@@ -4,12 +4,18 @@
  * Zoom and pan are managed externally by Svelte stores
  */
 
+import { pressureFactor, pressureRuns, dotsHavePressure } from './stroke-pressure.js';
+import { penColor } from './pen-ids.js';
+
 export class CanvasRenderer {
   constructor(canvas) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.strokes = []; // Array of stroke paths for SVG export
-    this.currentStroke = null;
+    // Strokes being written live, one per pen (several pens can write at once)
+    this.liveStrokes = new Map(); // penId -> { dots, last, color, width }
+    // Colour unselected strokes by the pen that wrote them (lib/pen-ids.js)
+    this.colorByPen = false;
     this.scale = 2.371; // Ncode to mm conversion
     
     // Per-page scale factors (non-destructive display scaling)
@@ -234,7 +240,7 @@ export class CanvasRenderer {
     this.ctx.fillStyle = 'white';
     this.ctx.fillRect(0, 0, this.viewWidth || this.canvas.width, this.viewHeight || this.canvas.height);
     this.strokes = [];
-    this.currentStroke = null;
+    this.liveStrokes.clear();
     
     if (resetBounds) {
       this.bounds = {
@@ -398,8 +404,9 @@ export class CanvasRenderer {
   /**
    * Add a dot from the pen (real-time drawing)
    * @param {Object} dot - Dot object with x, y, f, dotType, pageInfo
+   * @param {string|null} [penId] - the pen it came from; each pen draws its own line
    */
-  addDot(dot) {
+  addDot(dot, penId = null) {
     // Update bounds (in Ncode coordinates)
     this.bounds.minX = Math.min(this.bounds.minX, dot.x);
     this.bounds.minY = Math.min(this.bounds.minY, dot.y);
@@ -408,41 +415,43 @@ export class CanvasRenderer {
     
     // Convert ncode coordinates to screen coordinates WITH pageInfo
     const screenDot = this.ncodeToScreen(dot, dot.pageInfo);
+    const key = penId || '';
+    const live = this.liveStrokes.get(key);
     
     switch (dot.dotType) {
       case 0: // Pen Down
-        this.ctx.beginPath();
-        this.ctx.moveTo(screenDot.x, screenDot.y);
-        this.currentStroke = {
+        this.liveStrokes.set(key, {
           dots: [{ x: dot.x, y: dot.y, f: dot.f }],
-          color: '#000000',
+          last: screenDot,
+          color: this.colorByPen ? penColor(penId) : '#000000',
           width: 2
-        };
+        });
         break;
         
       case 1: // Pen Move
-        if (this.currentStroke) {
+        if (live) {
+          // Each segment is its own path from this pen's previous dot, so
+          // pens writing at the same time don't join up
+          this.ctx.beginPath();
+          this.ctx.moveTo(live.last.x, live.last.y);
           this.ctx.lineTo(screenDot.x, screenDot.y);
-          this.ctx.strokeStyle = '#000000';
+          this.ctx.strokeStyle = live.color;
           this.ctx.lineWidth = Math.max(0.5, (dot.f / 500) * 2 * this.zoom);
           this.ctx.lineCap = 'round';
           this.ctx.lineJoin = 'round';
           this.ctx.stroke();
           
-          this.ctx.beginPath();
-          this.ctx.moveTo(screenDot.x, screenDot.y);
-          
-          this.currentStroke.dots.push({ x: dot.x, y: dot.y, f: dot.f });
+          live.last = screenDot;
+          live.dots.push({ x: dot.x, y: dot.y, f: dot.f });
         }
         break;
         
       case 2: // Pen Up
-        if (this.currentStroke) {
-          this.currentStroke.dots.push({ x: dot.x, y: dot.y, f: dot.f });
-          this.strokes.push(this.currentStroke);
-          this.currentStroke = null;
+        if (live) {
+          live.dots.push({ x: dot.x, y: dot.y, f: dot.f });
+          this.strokes.push({ dots: live.dots, color: live.color, width: live.width });
+          this.liveStrokes.delete(key);
         }
-        this.ctx.closePath();
         break;
         
       case 3: // Hover
@@ -451,6 +460,14 @@ export class CanvasRenderer {
     }
   }
   
+  /**
+   * Colour unselected strokes by pen instead of black
+   * @param {boolean} enabled
+   */
+  setColorByPen(enabled) {
+    this.colorByPen = !!enabled;
+  }
+  
   /**
    * Convert ncode coordinates to screen coordinates with zoom, pan, page offset, and page scale
    * @param {Object} dot - Dot with x, y coordinates
@@ -596,7 +613,8 @@ export class CanvasRenderer {
       this.ctx.setLineDash([5, 5]); // Always dashed for filtered strokes
     } else {
       // Normal text strokes are always solid
-      color = highlighted ? '#e94560' : '#000000'; // Red if selected, black if not
+      // Red if selected, else black (or the pen's colour when colouring by pen)
+      color = highlighted ? '#e94560' : this.colorByPen ? penColor(stroke.penId) : '#000000';
       baseWidth = highlighted ? 3 : 2;
       opacity = 1;
       this.ctx.setLineDash([]); // Solid line
@@ -607,21 +625,31 @@ export class CanvasRenderer {
     this.ctx.lineCap = 'round';
     this.ctx.lineJoin = 'round';
     
-    this.ctx.beginPath();
-    const firstDot = dots[0];
-    const firstScreen = this.ncodeToScreen(firstDot, pageInfo);
-    this.ctx.moveTo(firstScreen.x, firstScreen.y);
-    
-    for (let i = 1; i < dots.length; i++) {
-      const dot = dots[i];
-      const screenDot = this.ncodeToScreen(dot, pageInfo);
-      this.ctx.lineWidth = Math.max(0.5, ((dot.f || 500) / 500) * baseWidth * this.zoom);
-      this.ctx.lineTo(screenDot.x, screenDot.y);
-    }
-    
-    this.ctx.stroke();
+    const screenDots = dots.map(dot => this.ncodeToScreen(dot, pageInfo));
+    this.strokePressureRuns(dots, screenDots, baseWidth * this.zoom);
     this.ctx.setLineDash([]); // Reset to solid for next stroke
   }
+
+  /**
+   * Stroke a polyline with pressure-modulated width. Canvas paths have a single
+   * lineWidth, so consecutive segments of equal (quantized) width are batched
+   * into one path; a stroke with uniform force is still a single stroke() call.
+   * @param {Array} dots - Dots carrying force (`f`)
+   * @param {Array<{x:number,y:number}>} screenDots - Matching screen positions
+   * @param {number} baseWidth - Width in pixels at the reference force
+   */
+  strokePressureRuns(dots, screenDots, baseWidth) {
+    const widthAt = (i) => Math.max(0.5, pressureFactor(dots[i].f) * baseWidth);
+    for (const run of pressureRuns(dots.length, widthAt, 0.25)) {
+      this.ctx.lineWidth = run.width;
+      this.ctx.beginPath();
+      this.ctx.moveTo(screenDots[run.start].x, screenDots[run.start].y);
+      for (let i = run.start + 1; i <= run.end; i++) {
+        this.ctx.lineTo(screenDots[i].x, screenDots[i].y);
+      }
+      this.ctx.stroke();
+    }
+  }
   
   /**
    * Draw a pasted stroke with offset applied
@@ -645,29 +673,12 @@ export class CanvasRenderer {
     this.ctx.setLineDash([]);  // Solid line
     this.ctx.globalAlpha = 1;
     
-    this.ctx.beginPath();
-    
-    // Transform first dot with offset
-    const firstDot = { 
-      x: dots[0].x + offset.x, 
-      y: dots[0].y + offset.y,
-      f: dots[0].f 
-    };
-    const firstScreen = this.ncodeToScreenDirect(firstDot);
-    this.ctx.moveTo(firstScreen.x, firstScreen.y);
-    
-    for (let i = 1; i < dots.length; i++) {
-      const dot = {
-        x: dots[i].x + offset.x,
-        y: dots[i].y + offset.y,
-        f: dots[i].f
-      };
-      const screenDot = this.ncodeToScreenDirect(dot);
-      this.ctx.lineWidth = Math.max(0.5, ((dot.f || 500) / 500) * baseWidth * this.zoom);
-      this.ctx.lineTo(screenDot.x, screenDot.y);
-    }
-    
-    this.ctx.stroke();
+    // Transform dots with offset
+    const screenDots = dots.map(dot => this.ncodeToScreenDirect({
+      x: dot.x + offset.x,
+      y: dot.y + offset.y
+    }));
+    this.strokePressureRuns(dots, screenDots, baseWidth * this.zoom);
   }
   
   /**
@@ -1360,19 +1371,8 @@ export class CanvasRenderer {
     this.ctx.lineCap = 'round';
     this.ctx.lineJoin = 'round';
     
-    this.ctx.beginPath();
-    const firstDot = stroke.dots[0];
-    const firstScreen = this.ncodeToScreen(firstDot);
-    this.ctx.moveTo(firstScreen.x, firstScreen.y);
-    
-    for (let i = 1; i < stroke.dots.length; i++) {
-      const dot = stroke.dots[i];
-      const screenDot = this.ncodeToScreen(dot);
-      this.ctx.lineWidth = Math.max(0.5, (dot.f / 500) * baseWidth);
-      this.ctx.lineTo(screenDot.x, screenDot.y);
-    }
-    
-    this.ctx.stroke();
+    const screenDots = stroke.dots.map(dot => this.ncodeToScreen(dot));
+    this.strokePressureRuns(stroke.dots, screenDots, baseWidth);
   }
   
   /**
@@ -1402,9 +1402,10 @@ export class CanvasRenderer {
   }
   
   /**
-   * Export strokes as SVG
+   * Export strokes as SVG. Strokes with pen pressure are split into
+   * equal-width runs so the exported ink keeps its variable width.
    * @param {Array} strokes - Strokes to export (from store)
-   * @param {number} strokeWidth - SVG stroke width (default 0.5)
+   * @param {number} strokeWidth - SVG stroke width at the reference force (default 0.5)
    */
   exportSVG(strokes = [], strokeWidth = 0.5) {
     const allStrokes = strokes.length > 0 ? strokes : this.strokes;
@@ -1436,22 +1437,36 @@ export class CanvasRenderer {
       const dots = stroke.dotArray || stroke.dots || [];
       if (dots.length < 2) return;
 
-      let d = dots.map((dot, i) => {
-        const x = (dot.x - minX) * this.scale + padding;
-        const y = (dot.y - minY) * this.scale + padding;
-        return i === 0 ? `M ${x.toFixed(2)} ${y.toFixed(2)}` : `L ${x.toFixed(2)} ${y.toFixed(2)}`;
-      }).join(' ');
+      const coords = dots.map(dot => ({
+        x: ((dot.x - minX) * this.scale + padding).toFixed(2),
+        y: ((dot.y - minY) * this.scale + padding).toFixed(2)
+      }));
+
+      // One path per equal-width run. Strokes without real pressure (uniform or
+      // placeholder force) stay a single path at exactly `strokeWidth`.
+      const withPressure = dotsHavePressure(dots);
+      const runs = pressureRuns(
+        dots.length,
+        i => withPressure ? pressureFactor(dots[i].f) * strokeWidth : strokeWidth,
+        0.01
+      );
+      for (const run of runs) {
+        let d = '';
+        for (let i = run.start; i <= run.end; i++) {
+          d += `${i === run.start ? 'M' : ' L'} ${coords[i].x} ${coords[i].y}`;
+        }
 
-      paths += `  <path
+        paths += `  <path
     d="${d}"
     stroke="black"
-    stroke-width="${strokeWidth}"
+    stroke-width="${Number(run.width.toFixed(2))}"
     fill="none"
     stroke-linecap="round"
     stroke-linejoin="round"
     data-stroke-index="${index}"
     data-dot-count="${dots.length}"
   />\n`;
+      }
     });
 
     return `<?xml version="1.0" encoding="UTF-8"?>
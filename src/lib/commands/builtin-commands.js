@@ -0,0 +1,150 @@
+/**
+ * Built-in inline commands (registered by ./registry.js).
+ *
+ *   [page: Shopping]   route the line and its children to the named page
+ *   [tag: work, urgent] tag the line and its children
+ *   [date: 2026-10-19] date the line and its children (also 19.10.2026,
+ *                      10/19/2026, 19 Oct 2026, today, tomorrow, yesterday)
+ *   [sketch: name]     export the ink under the tag as an Excalidraw scene
+ *
+ * Their effects are recorded on the lines' `properties` ({ page, tags, date,
+ * sketch }) for publishers and exports to pick up.
+ */
+
+import { strokesToExcalidrawFile } from '../excalidraw-export.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function setProperty(lines, key, value) {
+  for (const line of lines) line.properties = { ...line.properties, [key]: value };
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+function fullYear(year) {
+  const n = parseInt(year, 10);
+  return year.length === 2 ? 2000 + n : n;
+}
+
+function monthIndex(name) {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Read a handwritten date as YYYY-MM-DD, or null.
+ * @param {string|null} value
+ * @param {number} [now] - epoch ms that "today" refers to
+ * @returns {string|null}
+ */
+export function parseCommandDate(value, now = Date.now()) {
+  const text = String(value || '').trim().toLowerCase();
+  const relative = { yesterday: -1, today: 0, tomorrow: 1 }[text];
+  if (relative !== undefined) {
+    const day = new Date(now);
+    day.setDate(day.getDate() + relative);
+    return isoDate(day.getFullYear(), day.getMonth() + 1, day.getDate());
+  }
+  let m;
+  if ((m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) return isoDate(+m[1], +m[2], +m[3]);
+  if ((m = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/))) return isoDate(fullYear(m[3]), +m[2], +m[1]);
+  if ((m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/))) return isoDate(fullYear(m[3]), +m[1], +m[2]);
+  if ((m = text.match(/^(\d{1,2})\s+([a-z]+)\.?,?\s+(\d{4})$/))) {
+    const month = monthIndex(m[2]);
+    return month ? isoDate(+m[3], month, +m[1]) : null;
+  }
+  if ((m = text.match(/^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/))) {
+    const month = monthIndex(m[1]);
+    return month ? isoDate(+m[3], month, +m[2]) : null;
+  }
+  return null;
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+}
+
+/**
+ * The ink a [sketch] tag covers: strokes linked to the lines under it, and
+ * unlinked strokes from the tag down to the next line that isn't under it.
+ * The tag's own handwriting is left out.
+ */
+function sketchStrokes(ctx) {
+  const { doc, lines, line, affected } = ctx;
+  const affectedIds = new Set(affected.filter(l => l !== line).map(l => l.id));
+  const lastIndex = lines.indexOf(affected[affected.length - 1]);
+  const next = lines.slice(lastIndex + 1).find(l => l.yBounds);
+  const top = line.yBounds ? line.yBounds.minY : null;
+  const bottom = next ? next.yBounds.minY : Infinity;
+
+  return (doc.strokes || []).filter(stroke => {
+    if (stroke.lineId === line.id) return false;
+    if (stroke.lineId) return affectedIds.has(stroke.lineId);
+    if (top === null || !stroke.points?.length) return false;
+    const ys = stroke.points.map(p => p[1]);
+    const centre = (Math.min(...ys) + Math.max(...ys)) / 2;
+    return centre >= top && centre < bottom;
+  });
+}
+
+/** @type {import('./registry.js').CommandDefinition[]} */
+export const BUILTIN_COMMANDS = [
+  {
+    name: 'page',
+    description: 'Route the line and its children to a named page',
+    parse: (value) => (value || '').replace(/\s+/g, ' ').trim(),
+    validate: (name) => (name ? null : 'needs a page name, e.g. [page: Shopping]'),
+    action(command, ctx) {
+      setProperty(ctx.affected, 'page', command.args);
+      return `${plural(ctx.affected.length, 'line')} routed to “${command.args}”`;
+    }
+  },
+  {
+    name: 'tag',
+    description: 'Tag the line and its children',
+    parse: (value) => [...new Set((value || '').split(',').map(tag => tag.trim().replace(/^#/, '')).filter(Boolean))],
+    validate: (tags) => (tags.length > 0 ? null : 'needs at least one tag, e.g. [tag: work]'),
+    action(command, ctx) {
+      for (const line of ctx.affected) {
+        line.properties = { ...line.properties, tags: [...new Set([...(line.properties?.tags || []), ...command.args])] };
+      }
+      return `${plural(ctx.affected.length, 'line')} tagged ${command.args.map(tag => `#${tag}`).join(' ')}`;
+    }
+  },
+  {
+    name: 'date',
+    description: 'Date the line and its children',
+    parse: (value, ctx) => parseCommandDate(value, ctx?.now),
+    validate: (date) => (date ? null : 'unrecognized date, e.g. [date: 2026-10-19]'),
+    action(command, ctx) {
+      setProperty(ctx.affected, 'date', command.args);
+      return `${plural(ctx.affected.length, 'line')} dated ${command.args}`;
+    }
+  },
+  {
+    name: 'sketch',
+    description: 'Export the ink under the tag as an Excalidraw drawing',
+    parse: (value) => (value ? slugify(value) : null),
+    async action(command, ctx) {
+      const strokes = sketchStrokes(ctx);
+      if (strokes.length === 0) throw new Error('no ink found under the tag');
+      if (!ctx.writeExport) return undefined;
+      const relPath = `exports/sketches/B${ctx.book}-P${ctx.page}-${command.args || ctx.line.id.slice(0, 8)}.excalidraw`;
+      const scene = strokesToExcalidrawFile(strokes.map(stroke => ({
+        startTime: stroke.startTime,
+        dotArray: stroke.points.map(([x, y]) => ({ x, y }))
+      })));
+      await ctx.writeExport(relPath, scene);
+      setProperty([ctx.line], 'sketch', relPath);
+      return `${plural(strokes.length, 'stroke')} exported to ${relPath}`;
+    }
+  }
+];
@@ -0,0 +1,225 @@
+/**
+ * Inline command registry — handwritten `[command: value]` tags.
+ *
+ * A line such as `[page: Shopping]` or `[sketch]` applies to itself and the
+ * lines indented under it. Each command is registered once with:
+ *
+ *   name                 lower-case word written in the brackets
+ *   description          shown next to detected commands
+ *   parse(value, ctx)    → args           (value is null for `[name]`)
+ *   validate(args, ctx)  → error string | null
+ *   action(command, ctx) → message | void (may be async; runs on save)
+ *
+ * {@link detectCommands} finds registered commands in a transcript's lines
+ * (recognition results and saved lines alike); unknown bracket words are
+ * left alone. {@link applyCommands} runs on every page save (see savePage in
+ * storage/local-store.js): it rebuilds each line's `properties` from the
+ * commands that cover it, so removing a tag from the text removes its effect.
+ * Actions must therefore be idempotent.
+ *
+ * The built-in commands live in ./builtin-commands.js. More can be added
+ * with {@link registerCommand} without touching the recognizers.
+ */
+
+import { log } from '$stores';
+import { BUILTIN_COMMANDS } from './builtin-commands.js';
+
+/**
+ * @typedef {Object} CommandDefinition
+ * @property {string} name
+ * @property {string} [description]
+ * @property {(value: string|null, ctx: Object) => any} [parse]
+ * @property {(args: any, ctx: Object) => string|null} [validate]
+ * @property {(command: DetectedCommand, ctx: CommandContext) => (string|void|Promise<string|void>)} [action]
+ */
+
+/**
+ * @typedef {Object} DetectedCommand
+ * @property {string} command        - registered name
+ * @property {string|null} value     - the raw text after the colon
+ * @property {any} args              - parse(value)
+ * @property {string|null} error     - validate(args), when the tag can't be used
+ * @property {number} lineIndex
+ * @property {number[]} affectedLines - the line and its descendants
+ */
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {number} book
+ * @property {number|string} page
+ * @property {import('../storage/page-doc.js').PageDoc} doc - the page being saved
+ * @property {Array} lines     - the doc's lines (actions set `properties` on them)
+ * @property {Object} line     - the line holding the tag
+ * @property {Array} affected  - that line and its descendants
+ * @property {(relPath: string, text: string) => Promise<Object>} [writeExport] -
+ *   write a file under the data folder's exports/
+ */
+
+const COMMAND_PATTERN = /\[(\w+)(?::\s*([^\]]+))?\]/g;
+
+/** @type {Map<string, CommandDefinition>} */
+const registry = new Map();
+
+/**
+ * Add a command. Names are case-insensitive; registering a name again
+ * replaces the earlier definition.
+ * @param {CommandDefinition} definition
+ * @returns {() => void} removes the command again
+ */
+export function registerCommand(definition) {
+  const name = String(definition?.name || '').toLowerCase();
+  if (!/^\w+$/.test(name)) {
+    throw new Error(`Invalid command name: ${definition?.name}`);
+  }
+  const entry = {
+    description: '',
+    parse: (value) => value,
+    validate: () => null,
+    action: null,
+    ...definition,
+    name
+  };
+  registry.set(name, entry);
+  return () => {
+    if (registry.get(name) === entry) registry.delete(name);
+  };
+}
+
+/** @param {string} name */
+export function unregisterCommand(name) {
+  registry.delete(String(name).toLowerCase());
+}
+
+/**
+ * @param {string} name
+ * @returns {CommandDefinition|null}
+ */
+export function getCommand(name) {
+  return registry.get(String(name).toLowerCase()) || null;
+}
+
+/** @returns {CommandDefinition[]} */
+export function listCommands() {
+  return [...registry.values()];
+}
+
+/** Indexes of a line and the lines indented under it. */
+function affectedLineIndexes(lines, index) {
+  const affected = [index];
+  const level = lines[index].indentLevel || 0;
+  for (let i = index + 1; i < lines.length; i++) {
+    if ((lines[i].indentLevel || 0) <= level) break;
+    affected.push(i);
+  }
+  return affected;
+}
+
+/**
+ * Find the registered commands written in a transcript.
+ * @param {Array<{text: string, indentLevel?: number}>} lines
+ * @param {Object} [ctx] - passed to parse/validate (e.g. `now` for relative dates)
+ * @returns {DetectedCommand[]}
+ */
+export function detectCommands(lines, ctx = {}) {
+  const commands = [];
+  (lines || []).forEach((line, lineIndex) => {
+    for (const match of String(line?.text || '').matchAll(COMMAND_PATTERN)) {
+      const definition = getCommand(match[1]);
+      if (!definition) continue;
+      const value = match[2] ? match[2].trim() : null;
+      let args = null;
+      let error = null;
+      try {
+        args = definition.parse(value, ctx);
+        error = definition.validate(args, ctx) || null;
+      } catch (err) {
+        error = err.message;
+      }
+      commands.push({
+        command: definition.name,
+        value,
+        args,
+        error,
+        lineIndex,
+        affectedLines: affectedLineIndexes(lines, lineIndex)
+      });
+    }
+  });
+  return commands;
+}
+
+/** When the line was written: its first stroke, else the page's last update. */
+function writtenAt(doc, line) {
+  let first = Infinity;
+  for (const stroke of doc.strokes || []) {
+    if (stroke.lineId === line.id && stroke.startTime < first) first = stroke.startTime;
+  }
+  if (first !== Infinity) return first;
+  const updated = Date.parse(doc.metadata?.lastUpdated);
+  return Number.isFinite(updated) ? updated : Date.now();
+}
+
+/**
+ * Run the actions of every valid command in a page about to be saved. Never
+ * throws: a failing action is logged and the page saves without its effect.
+ * @param {import('../storage/page-doc.js').PageDoc} doc
+ * @param {{book: number, page: number|string, writeExport?: Function}} options
+ * @returns {Promise<{doc: Object, results: Array<{command: string, lineId: string, message?: string, error?: string}>}>}
+ */
+export async function applyCommands(doc, { book, page, writeExport } = {}) {
+  const sourceLines = doc?.transcript?.lines || [];
+  // Properties are rebuilt from the tags on every save
+  const lines = sourceLines.map(({ properties, ...line }) => ({ ...line }));
+  const results = [];
+
+  lines.forEach((line, index) => {
+    for (const command of detectCommands([line], { now: writtenAt(doc, line) })) {
+      command.lineIndex = index;
+      command.affectedLines = affectedLineIndexes(lines, index);
+      results.push({ command, line });
+    }
+  });
+
+  const outcomes = [];
+  for (const { command, line } of results) {
+    const label = `B${book}/P${page} [${command.command}${command.value ? `: ${command.value}` : ''}]`;
+    if (command.error) {
+      outcomes.push({ command: command.command, lineId: line.id, error: command.error });
+      continue;
+    }
+    const definition = getCommand(command.command);
+    if (!definition?.action) continue;
+    try {
+      const message = await definition.action(command, {
+        book,
+        page,
+        doc,
+        lines,
+        line,
+        affected: command.affectedLines.map(i => lines[i]),
+        writeExport
+      });
+      outcomes.push({ command: command.command, lineId: line.id, ...(message ? { message } : {}) });
+    } catch (err) {
+      console.warn(`Command ${label} failed:`, err);
+      log(`${label} failed: ${err.message}`, 'warning');
+      outcomes.push({ command: command.command, lineId: line.id, error: err.message });
+    }
+  }
+
+  for (const line of lines) {
+    if (line.properties && Object.keys(line.properties).length === 0) delete line.properties;
+  }
+
+  // Tell the user about effects that are new with this save
+  const before = new Map(sourceLines.map(line => [line.id, JSON.stringify(line.properties || null)]));
+  const changed = lines.filter(line => before.get(line.id) !== JSON.stringify(line.properties || null));
+  if (changed.length > 0) {
+    const messages = outcomes.map(o => o.message || (o.error && `[${o.command}] ${o.error}`)).filter(Boolean);
+    log(`B${book}/P${page}: ${messages.length > 0 ? messages.join('; ') : 'command tags removed'}`, 'info');
+  }
+
+  return { doc: { ...doc, transcript: { ...doc.transcript, lines } }, results: outcomes };
+}
+
+for (const definition of BUILTIN_COMMANDS) registerCommand(definition);
@@ -122,3 +122,27 @@ export async function copyStrokesAsExcalidraw(strokes) {
 export function generateSketchMacro(pageName, bounds) {
   return `{{renderer :smartpen-sketch, ${pageName}, ${bounds.minX.toFixed(2)}, ${bounds.minY.toFixed(2)}, ${bounds.maxX.toFixed(2)}, ${bounds.maxY.toFixed(2)}}}`;
 }
+
+/**
+ * Build a standalone .excalidraw scene file from strokes. Element ids and
+ * seeds come from each stroke's start time, so exporting the same ink again
+ * produces the same file.
+ * @param {Array} strokes - Array of pen strokes with dotArray (and startTime)
+ * @returns {string} the scene as JSON text
+ */
+export function strokesToExcalidrawFile(strokes) {
+  const inked = (strokes || []).filter(stroke => (stroke.dotArray || []).length > 0);
+  const elements = strokesToExcalidrawElements(inked).map((el, i) => {
+    const startTime = Math.round(inked[i].startTime || i);
+    const seed = (startTime % 2147483646) + 1;
+    return { ...el, id: `s${startTime}`, seed, versionNonce: seed, updated: startTime };
+  });
+  return JSON.stringify({
+    type: 'excalidraw',
+    version: 2,
+    source: 'smartpen-logseq-bridge',
+    elements,
+    appState: { viewBackgroundColor: '#ffffff', gridSize: null },
+    files: {}
+  }, null, 2);
+}
@@ -1,10 +1,26 @@
 /**
  * MyScript Cloud API Integration
- * Handles handwriting recognition via MyScript's REST API
+ * Handles handwriting recognition via MyScript's REST API. Used by the
+ * MyScript engine in ./recognition/recognizers.js; the JIIX → lines step is
+ * shared with the other engines (./recognition/transcript-structure.js).
+ *
+ * `options.contentType` picks the recognizer: 'Text' (default) and 'Diagram'
+ * answer in JIIX, 'Math' answers in LaTeX, kept on each line as `latex`.
+ * `options.lexicon` adds words to the Text recognizer's lexicon.
  */
 
+import { buildTranscription, buildMathTranscription } from './recognition/transcript-structure.js';
+
 const MYSCRIPT_API_URL = 'https://cloud.myscript.com/api/v4.0/iink/batch';
 
+const JIIX_ACCEPT = 'application/json, application/vnd.myscript.jiix';
+const LATEX_ACCEPT = 'application/x-latex';
+
+// Padding (px at 96 DPI) around the ink in each request; JIIX coordinates
+// are millimetres in the same padded canvas.
+const REQUEST_PADDING_PX = 10;
+const PX_TO_MM = 25.4 / 96;
+
 /**
  * Check if running in Electron with the IPC bridge available
  */
@@ -17,10 +33,10 @@ function hasElectronBridge() {
 /**
  * Make MyScript API call via Electron main process (preserves header casing)
  */
-async function callViaElectron(appKey, hmacKey, body) {
+async function callViaElectron(appKey, hmacKey, body, accept = JIIX_ACCEPT) {
   console.log('[MyScript] Calling via Electron IPC bridge');
   console.log('[MyScript] appKey length:', appKey?.length, 'hmacKey length:', hmacKey?.length, 'body length:', body?.length);
-  const result = await window.electronAPI.myscriptApiCall(appKey, hmacKey, body);
+  const result = await window.electronAPI.myscriptApiCall(appKey, hmacKey, body, accept);
   console.log('[MyScript] IPC result:', { status: result.status, bodyLength: result.body?.length });
   return result;
 }
@@ -77,7 +93,7 @@ function convertStrokesToMyScript(strokes) {
   const MM_TO_PIXELS = DPI / 25.4;
   const NCODE_TO_PIXELS = NCODE_TO_MM * MM_TO_PIXELS;
   
-  const padding = 10; // pixels
+  const padding = REQUEST_PADDING_PX;
   
   // Convert strokes - filter out empty strokes
   const msStrokes = strokes
@@ -99,7 +115,9 @@ function convertStrokesToMyScript(strokes) {
         p.push((dot.f || 500) / 1000); // Normalize pressure 0-1
       });
       
-      return { x, y, t, p };
+      // The id comes back on each JIIX word's stroke items, linking words
+      // to the strokes they were written with (StoredStroke ids)
+      return stroke.startTime != null ? { id: `s${stroke.startTime}`, x, y, t, p } : { x, y, t, p };
     });
   
   // MyScript expects strokeGroups with strokes inside
@@ -117,22 +135,40 @@ function convertStrokesToMyScript(strokes) {
   };
 }
 
+/**
+ * Per-content-type part of the request configuration
+ */
+function contentConfiguration(contentType, lexicon) {
+  if (contentType === 'Math') {
+    return { math: { mimeTypes: ['application/x-latex'], solver: { enable: false } } };
+  }
+  if (contentType === 'Diagram') {
+    return { diagram: { mimeTypes: ['application/vnd.myscript.jiix'] } };
+  }
+  return {
+    text: {
+      guides: { enable: false },
+      mimeTypes: ['text/plain', 'application/vnd.myscript.jiix'],
+      // Words from the correction dictionary (recognition/corrections.js)
+      ...(lexicon?.length ? { configuration: { customLexicon: lexicon } } : {})
+    }
+  };
+}
+
 /**
  * Build MyScript API request
  */
 function buildRequest(strokes, options = {}) {
   const { strokeGroups, width, height } = convertStrokesToMyScript(strokes);
-  
+  const contentType = options.contentType || 'Text';
+
   return {
     xDPI: 96,
     yDPI: 96,
-    contentType: 'Text',
+    contentType,
     configuration: {
       lang: options.lang || 'en_US',
-      text: {
-        guides: { enable: false },
-        mimeTypes: ['text/plain', 'application/vnd.myscript.jiix']
-      },
+      ...contentConfiguration(contentType, options.lexicon),
       export: {
         jiix: {
           'bounding-box': true,
@@ -147,277 +183,67 @@ function buildRequest(strokes, options = {}) {
   };
 }
 
-/**
- * Normalize transcript for canonical comparison
- * Converts checkbox symbols to standard format
- */
-function normalizeTranscript(text) {
-  return text
-    .replace(/☐/g, '[ ]')     // Empty checkbox
-    .replace(/☑/g, '[x]')     // Checked (variant 1)
-    .replace(/☒/g, '[x]')     // Checked (variant 2)
-    .replace(/\s+/g, ' ')     // Normalize whitespace
-    .trim();
-}
-
 /**
  * Parse MyScript response and extract structured data.
  * Exported for unit testing.
  */
 export function parseMyScriptResponse(response) {
   console.log('MyScript response:', response);
-  
-  // MyScript returns the text with \n line breaks - TRUST THIS!
-  const text = response.label || '';
-  const words = response.words || [];
-  
-  console.log('Text:', text);
-  console.log('Words count:', words.length);
-  
-  // Filter words to only those with valid bounding boxes
-  const wordsWithBounds = words.filter(w => w && w['bounding-box'] && 
-    typeof w['bounding-box'].x === 'number' && 
-    typeof w['bounding-box'].y === 'number');
-  
-  console.log('Words with valid bounding boxes:', wordsWithBounds.length);
-  
-  // Split by MyScript's line breaks
-  const labelLines = text.split('\n').filter(l => l.trim());
-  console.log('Label lines:', labelLines);
-  
-  // Build lines with word data
-  const lines = [];
-  
-  // Try to match words to lines based on Y position (baseline).
-  // searchStart persists across lines so that repeated words (e.g. two lines
-  // both starting with "Line") consume distinct JIIX entries rather than
-  // always matching the first occurrence.
-  let searchStart = 0;
-  labelLines.forEach((lineText, lineIdx) => {
-    // Find words that match this line's text
-    const lineWords = [];
-    const lineTextWords = lineText.split(/\s+/).filter(w => w.length > 0);
-
-    // Try to find matching words in the words array (only those with bounding boxes)
-    for (const textWord of lineTextWords) {
-      for (let i = searchStart; i < wordsWithBounds.length; i++) {
-        const word = wordsWithBounds[i];
-        if (word && word.label && word.label.toLowerCase() === textWord.toLowerCase()) {
-          lineWords.push(word);
-          searchStart = i + 1;
-          break;
-        }
-      }
-    }
-    
-    // Calculate line position
-    let lineX = 0;
-    let lineY = 0;
-    let minY = 0;
-    let maxY = 0;
-
-    if (lineWords.length > 0) {
-      // Use actual word positions - all words in lineWords have valid bounding boxes
-      const leftmostWord = lineWords.reduce((left, word) => {
-        if (!left) return word;
-        return word['bounding-box'].x < left['bounding-box'].x ? word : left;
-      }, null);
-
-      if (leftmostWord && leftmostWord['bounding-box']) {
-        lineX = leftmostWord['bounding-box'].x;
-        lineY = leftmostWord['bounding-box'].y;
-      }
-
-      // Calculate Y-bounds from word bounding boxes
-      minY = lineY;
-      maxY = lineY;
-      lineWords.forEach(word => {
-        if (word && word['bounding-box']) {
-          const bbox = word['bounding-box'];
-          const wordMinY = bbox.y;
-          const wordMaxY = bbox.y + (bbox.height || 0);
-          if (wordMinY < minY) minY = wordMinY;
-          if (wordMaxY > maxY) maxY = wordMaxY;
-        }
-      });
-    } else if (wordsWithBounds.length > 0) {
-      // No word matches for this line — mark with zero bounds for later interpolation
-      lineX = Math.min(...wordsWithBounds.map(w => w['bounding-box'].x));
-      // minY = maxY = 0 (interpolation pass below will fix these)
-    }
-
-    lines.push({
-      text: lineText,
-      canonical: normalizeTranscript(lineText),
-      words: lineWords,
-      x: lineX,
-      baseline: lineY,
-      yBounds: { minY, maxY },
-      mergedLineCount: 1,
-      blockUuid: null,
-      syncStatus: 'unsaved'
-    });
-  });
-
-  // Interpolate Y-bounds for lines that failed word matching (yBounds = 0-0).
-  // Uses nearest neighboring lines that did get valid word-match bounds.
-  for (let i = 0; i < lines.length; i++) {
-    const b = lines[i].yBounds;
-    if (b.minY !== 0 || b.maxY !== 0) continue; // already has valid bounds
-
-    // Find nearest predecessor and successor with valid bounds
-    let prev = null;
-    for (let j = i - 1; j >= 0; j--) {
-      if (lines[j].yBounds.minY !== 0 || lines[j].yBounds.maxY !== 0) {
-        prev = { idx: j, bounds: lines[j].yBounds };
-        break;
-      }
-    }
-    let next = null;
-    for (let j = i + 1; j < lines.length; j++) {
-      if (lines[j].yBounds.minY !== 0 || lines[j].yBounds.maxY !== 0) {
-        next = { idx: j, bounds: lines[j].yBounds };
-        break;
-      }
-    }
+  return {
+    ...buildTranscription(response.label, response.words),
+    raw: response
+  };
+}
 
-    if (prev && next) {
-      const span = next.idx - prev.idx;
-      const t = (i - prev.idx) / span;
-      const avgHeight = ((prev.bounds.maxY - prev.bounds.minY) + (next.bounds.maxY - next.bounds.minY)) / 2;
-      const estMinY = prev.bounds.maxY + t * (next.bounds.minY - prev.bounds.maxY);
-      lines[i].yBounds = { minY: estMinY, maxY: estMinY + avgHeight };
-    } else if (prev) {
-      const lineHeight = prev.bounds.maxY - prev.bounds.minY;
-      const estMinY = prev.bounds.maxY + (i - prev.idx) * lineHeight;
-      lines[i].yBounds = { minY: estMinY, maxY: estMinY + lineHeight };
-    } else if (next) {
-      const lineHeight = next.bounds.maxY - next.bounds.minY;
-      const estMaxY = next.bounds.minY - (next.idx - i) * lineHeight;
-      lines[i].yBounds = { minY: estMaxY - lineHeight, maxY: estMaxY };
-    }
-    // If no valid neighbors at all, bounds stay 0-0 (line will be excluded by filter)
-    if (lines[i].yBounds.minY !== 0 || lines[i].yBounds.maxY !== 0) {
-      console.log(`Interpolated Y-bounds for line ${i} ("${lines[i].text.substring(0, 30)}..."): ${lines[i].yBounds.minY.toFixed(1)}-${lines[i].yBounds.maxY.toFixed(1)}`);
+/**
+ * Collect the text of a Diagram JIIX answer: Text elements and labelled
+ * shapes, top to bottom, as (text, words) for buildTranscription. Elements
+ * without word boxes get one word per label word, placed at the element.
+ * Exported for unit testing.
+ */
+export function parseDiagramResponse(response) {
+  const items = [];
+  const visit = (element) => {
+    if (!element || typeof element !== 'object') return;
+    const label = typeof element.label === 'string' ? element.label.trim() : '';
+    const box = element['bounding-box'];
+    if (label && box) items.push({ label, box, words: element.words });
+    for (const child of element.elements || element.children || []) visit(child);
+  };
+  visit(response);
+  items.sort((a, b) => a.box.y - b.box.y || a.box.x - b.box.x);
+
+  const words = [];
+  for (const item of items) {
+    const boxed = (item.words || []).filter(w => w && w.label && w.label.trim() && w['bounding-box']);
+    if (boxed.length > 0) {
+      words.push(...boxed);
+    } else {
+      for (const label of item.label.split(/\s+/)) words.push({ label, 'bounding-box': item.box });
     }
   }
-
-  console.log('Parsed lines:', lines);
-  
-  // Calculate indentation
-  if (lines.length > 0) {
-    // Get all unique X positions and sort them
-    const xPositions = [...new Set(lines.map(l => l.x))].sort((a, b) => a - b);
-    const baseX = xPositions[0] || 0;
-    
-    // Calculate indent unit from word heights (using pre-filtered wordsWithBounds)
-    const wordHeights = wordsWithBounds
-      .map(w => w['bounding-box'].height)
-      .filter(h => typeof h === 'number' && h > 0);
-    const medianHeight = wordHeights.length > 0 
-      ? wordHeights.sort((a, b) => a - b)[Math.floor(wordHeights.length / 2)]
-      : 20;
-    // Ensure indent unit is reasonable (minimum 5 pixels to avoid division issues)
-    const indentUnit = Math.max(medianHeight * 0.75, 5);
-    
-    console.log('Base X:', baseX, 'Indent unit:', indentUnit);
-    console.log('X positions:', xPositions);
-    
-    // Cluster X positions into indent levels
-    // Group positions that are within indentUnit/2 of each other
-    const indentLevels = [];
-    xPositions.forEach(x => {
-      const indentPixels = x - baseX;
-      const level = Math.round(indentPixels / indentUnit);
-      
-      // Find or create indent level
-      let existingLevel = indentLevels.find(l => Math.abs(l.level - level) < 0.5);
-      if (!existingLevel) {
-        existingLevel = { level, xPositions: [] };
-        indentLevels.push(existingLevel);
-      }
-      existingLevel.xPositions.push(x);
-    });
-    
-    // Sort by level and calculate average X for each level
-    indentLevels.sort((a, b) => a.level - b.level);
-    const levelMap = new Map();
-    indentLevels.forEach((levelData, idx) => {
-      levelData.xPositions.forEach(x => {
-        levelMap.set(x, idx);
-      });
-    });
-    
-    console.log('Indent levels:', indentLevels);
-    console.log('Level map:', levelMap);
-    
-    lines.forEach(line => {
-      line.indentLevel = levelMap.get(line.x) || 0;
-      console.log(`Line "${line.text}" - X: ${line.x}, Level: ${line.indentLevel}`);
-    });
-    
-    // Build hierarchy
-    const stack = [{ indent: -1, index: -1 }];
-    lines.forEach((line, index) => {
-      line.parent = null;
-      line.children = [];
-      
-      // Pop until we find a parent with lower indent
-      while (stack.length > 1 && stack[stack.length - 1].indent >= line.indentLevel) {
-        stack.pop();
-      }
-      
-      const parent = stack[stack.length - 1];
-      if (parent.index >= 0) {
-        line.parent = parent.index;
-        lines[parent.index].children.push(index);
-      }
-      
-      stack.push({ indent: line.indentLevel, index });
-    });
-  }
-  
-  // Detect commands like [page: Title] or [sketch]
-  const commands = [];
-  const commandPattern = /\[(\w+)(?::\s*([^\]]+))?\]/g;
-  
-  lines.forEach((line, lineIndex) => {
-    let match;
-    while ((match = commandPattern.exec(line.text)) !== null) {
-      const command = match[1].toLowerCase();
-      const value = match[2] ? match[2].trim() : null;
-      
-      // Find all descendant lines
-      const affectedLines = [lineIndex];
-      const findChildren = (idx) => {
-        lines[idx].children.forEach(childIdx => {
-          affectedLines.push(childIdx);
-          findChildren(childIdx);
-        });
-      };
-      findChildren(lineIndex);
-      
-      commands.push({
-        command,
-        value,
-        lineIndex,
-        affectedLines
-      });
-    }
-  });
-  
-  console.log('Final lines:', lines);
-  console.log('Commands:', commands);
-  
   return {
-    text,
-    lines,
-    words,
-    commands,
+    ...buildTranscription(items.map(item => item.label).join('\n'), words),
     raw: response
   };
 }
 
+/**
+ * Build the Math result from MyScript's LaTeX answer. Rows are placed within
+ * the ink's extent in the request canvas (millimetres, like JIIX boxes).
+ * Exported for unit testing.
+ */
+export function parseMathResponse(latex, requestHeight) {
+  const yBounds = {
+    minY: REQUEST_PADDING_PX * PX_TO_MM,
+    maxY: Math.max(REQUEST_PADDING_PX, requestHeight - REQUEST_PADDING_PX) * PX_TO_MM
+  };
+  return {
+    ...buildMathTranscription(latex, yBounds),
+    raw: { latex }
+  };
+}
+
 /**
  * Test MyScript credentials
  */
@@ -467,7 +293,7 @@ export async function testMyScriptCredentials(appKey, hmacKey) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Accept': 'application/json, application/vnd.myscript.jiix',
+        'Accept': JIIX_ACCEPT,
         'applicationKey': appKey,
         'hmac': signature
       },
@@ -492,6 +318,38 @@ export async function testMyScriptCredentials(appKey, hmacKey) {
   }
 }
 
+/**
+ * Build the request for a set of strokes without sending it — the
+ * transcription queue (./recognition/transcription-queue.js) sends it later
+ * from the main process. `context` is what parseMyScriptBody needs back.
+ * @returns {{message: string, accept: string, context: {contentType: string, height: number}}}
+ */
+export function prepareMyScriptRequest(strokes, options = {}) {
+  if (!strokes || strokes.length === 0) {
+    throw new Error('No strokes to transcribe');
+  }
+  // Note: Decorative stroke filtering is now user-controlled via deselection
+  const requestBody = buildRequest(strokes, options);
+  return {
+    message: JSON.stringify(requestBody),
+    accept: requestBody.contentType === 'Math' ? LATEX_ACCEPT : JIIX_ACCEPT,
+    context: { contentType: requestBody.contentType, height: requestBody.height }
+  };
+}
+
+/**
+ * Turn a successful response body into the structured result.
+ * @param {string} body - LaTeX for Math, JIIX JSON otherwise
+ * @param {{contentType: string, height: number}} context - from prepareMyScriptRequest
+ */
+export function parseMyScriptBody(body, context) {
+  if (context.contentType === 'Math') {
+    return parseMathResponse(body, context.height);
+  }
+  const data = JSON.parse(body);
+  return context.contentType === 'Diagram' ? parseDiagramResponse(data) : parseMyScriptResponse(data);
+}
+
 /**
  * Transcribe strokes to text
  */
@@ -505,20 +363,17 @@ export async function transcribeStrokes(strokes, appKey, hmacKey, options = {})
       throw new Error('MyScript API credentials not configured');
     }
     
-    // Build request with strokes
-    // Note: Decorative stroke filtering is now user-controlled via deselection
-    const requestBody = buildRequest(strokes, options);
-    const message = JSON.stringify(requestBody);
+    const { message, accept, context } = prepareMyScriptRequest(strokes, options);
 
-    let data;
+    let body;
 
     // Use Electron IPC bridge if available (preserves header casing)
     if (hasElectronBridge()) {
-      const result = await callViaElectron(appKey, hmacKey, message);
+      const result = await callViaElectron(appKey, hmacKey, message, accept);
       if (result.status < 200 || result.status >= 300) {
         throw new Error(`MyScript API error (${result.status}): ${result.body}`);
       }
-      data = JSON.parse(result.body);
+      body = result.body;
     } else {
       // Browser fallback
       const signature = await generateSignature(appKey, hmacKey, message);
@@ -527,7 +382,7 @@ export async function transcribeStrokes(strokes, appKey, hmacKey, options = {})
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Accept': 'application/json, application/vnd.myscript.jiix',
+          'Accept': accept,
           'applicationKey': appKey,
           'hmac': signature
         },
@@ -539,11 +394,11 @@ export async function transcribeStrokes(strokes, appKey, hmacKey, options = {})
         throw new Error(`MyScript API error (${response.status}): ${errorText}`);
       }
 
-      data = await response.json();
+      body = await response.text();
     }
-    
+
     // Parse and return structured result
-    return parseMyScriptResponse(data);
+    return parseMyScriptBody(body, context);
     
   } catch (error) {
     console.error('MyScript transcription error:', error);
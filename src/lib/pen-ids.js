@@ -0,0 +1,96 @@
+/**
+ * Pen identity — which pen wrote a stroke, for telling several pens apart.
+ *
+ * A stroke's `penId` is the MAC address of the pen that wrote it, lower-case
+ * with colons ("9c:7b:d2:01:4f:3a"). pen-sdk.js sets it on live and offline
+ * strokes and it is saved with each StoredStroke; strokes written before it
+ * existed, or imported from elsewhere, have none and go under NO_PEN.
+ *
+ * Colours are derived from the id, so a pen keeps its colour across sessions
+ * and machines without any settings. Pure — no stores.
+ */
+
+/** Filter key for strokes that don't say which pen wrote them. */
+export const NO_PEN = 'none';
+
+/** Stroke colours for colour-by-pen (dark enough to read on white paper). */
+export const PEN_COLORS = [
+  '#1f5fbf', // Blue
+  '#c0392b', // Red
+  '#1e8449', // Green
+  '#8e44ad', // Purple
+  '#d35400', // Orange
+  '#117a8b', // Teal
+  '#a93279', // Magenta
+  '#7d6608', // Olive
+];
+
+/**
+ * Normalize a MAC address as reported by the SDK.
+ * @param {string|null|undefined} mac
+ * @returns {string|null} "aa:bb:cc:dd:ee:ff", or null when there is none
+ */
+export function normalizePenId(mac) {
+  if (typeof mac !== 'string') return null;
+  const hex = mac.replace(/[^0-9a-f]/gi, '').toLowerCase();
+  if (hex.length === 0) return null;
+  return hex.match(/.{1,2}/g).join(':');
+}
+
+/**
+ * The filter key of a stroke's pen.
+ * @param {{penId?: string|null}} stroke
+ * @returns {string} the penId, or NO_PEN
+ */
+export function penKey(stroke) {
+  return stroke?.penId || NO_PEN;
+}
+
+/**
+ * The colour a pen's strokes are drawn in when colouring by pen.
+ * @param {string|null|undefined} penId
+ * @returns {string} CSS colour; black for NO_PEN
+ */
+export function penColor(penId) {
+  if (!penId || penId === NO_PEN) return '#000000';
+  let hash = 0;
+  for (let i = 0; i < penId.length; i++) {
+    hash = penId.charCodeAt(i) + ((hash << 5) - hash);
+  }
+  return PEN_COLORS[Math.abs(hash) % PEN_COLORS.length];
+}
+
+/**
+ * Short label for a pen: the model name when known, else the end of its MAC.
+ * @param {string} key - penId or NO_PEN
+ * @param {string} [model]
+ * @returns {string} e.g. "Pen 4f:3a", "LAMY safari 4f:3a", "Unknown pen"
+ */
+export function penLabel(key, model = '') {
+  if (!key || key === NO_PEN) return 'Unknown pen';
+  return `${model || 'Pen'} ${key.slice(-5)}`;
+}
+
+/**
+ * The pens that wrote these strokes, in the order they first appear.
+ * @param {Array<{penId?: string|null}>} strokes
+ * @returns {Array<{key: string, count: number}>}
+ */
+export function strokePens(strokes) {
+  const counts = new Map();
+  for (const stroke of strokes || []) {
+    const key = penKey(stroke);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()].map(([key, count]) => ({ key, count }));
+}
+
+/**
+ * Is a stroke shown under the pen filter?
+ * @param {{penId?: string|null}} stroke
+ * @param {Set<string>} hiddenPens - pen keys switched off
+ * @returns {boolean}
+ */
+export function isPenVisible(stroke, hiddenPens) {
+  return !hiddenPens || hiddenPens.size === 0 || !hiddenPens.has(penKey(stroke));
+}
@@ -1,8 +1,14 @@
 /**
  * Pen SDK Wrapper for Svelte
  * Wraps the web_pen_sdk and updates Svelte stores
+ *
+ * Several pens can be connected at once: each keeps its own stroke buffer
+ * (keyed by pen id, the normalized MAC address — lib/pen-ids.js) and every
+ * stroke it writes carries that `penId`. Commands that address one pen
+ * (offline fetch, pen memory, password) go to the active pen in stores/pen.js.
  */
 
+import { get } from 'svelte/store';
 import { PenHelper, PenMessageType } from 'web_pen_sdk';
 import { 
   addStroke, 
@@ -18,13 +24,17 @@ import {
   setPenInfo, 
   setPenController,
   penController,
+  connectedPens,
+  updateConnectedPen,
+  removeConnectedPen,
   updateTransferProgress,
   resetTransferProgress
 } from '$stores/pen.js';
 import { log, openBookSelectionDialog, setBluetoothStatus } from '$stores/ui.js';
+import { normalizePenId, penLabel } from './pen-ids.js';
 
-// Local state for tracking current stroke
-let currentStrokeData = null;
+// Strokes being written, one per pen: penId -> stroke
+const currentStrokes = new Map();
 let canvasRenderer = null;
 
 // ===== DELETION MODE STATE =====
@@ -40,7 +50,7 @@ let deletionBooks = [];  // Track which books are being deleted
 export function initializePenSDK() {
   // Dot callback - receives individual dots as you write
   PenHelper.dotCallback = async (mac, dot) => {
-    processDot(dot);
+    processDot(mac, dot);
   };
 
   // Message callback - pen events
@@ -73,6 +83,23 @@ let connectionAborted = false;
 // Reference to the BluetoothDevice mid-connection, so we can force-disconnect on timeout
 let connectingDevice = null;
 
+/**
+ * Is this one of the pens already connected (as opposed to one mid-connection)?
+ * @param {string} mac
+ */
+function isConnectedPen(mac) {
+  const id = normalizePenId(mac);
+  return id !== null && get(connectedPens).has(id);
+}
+
+/**
+ * The SDK controller of a pen.
+ * @param {string} mac
+ */
+function controllerFor(mac) {
+  return (PenHelper.pens || []).find(c => c.info?.MacAddress === mac) || null;
+}
+
 /**
  * Forcibly disconnect any in-progress GATT connection attempts.
  * Called after a timeout to prevent the SDK's async GATT operations
@@ -91,10 +118,12 @@ function abortPendingConnection() {
     connectingDevice = null;
   }
 
-  // Disconnect any fully-connected pens the SDK tracks
+  // Disconnect any pens the SDK tracks that didn't finish connecting — the
+  // pens already connected stay
   try {
     if (PenHelper.pens && PenHelper.pens.length > 0) {
       PenHelper.pens.forEach(controller => {
+        if (isConnectedPen(controller?.info?.MacAddress)) return;
         try {
           PenHelper.disconnect(controller);
         } catch (e) {
@@ -207,7 +236,7 @@ export async function connectPen(timeoutMs = 60000) {
 
     // Abort in-progress GATT operations and clear SDK connecting queue
     abortPendingConnection();
-    setPenConnected(false);
+    if (get(connectedPens).size === 0) setPenConnected(false);
     throw error;
   } finally {
     connectionResolve = null;
@@ -216,22 +245,32 @@ export async function connectPen(timeoutMs = 60000) {
 }
 
 /**
- * Disconnect from the pen
+ * Disconnect one pen, or every connected pen
+ * @param {string|null} [penId] - a pen from connectedPens; all pens when omitted
  */
-export async function disconnectPen() {
-  let controller;
-  const unsubscribe = penController.subscribe(c => controller = c);
-  unsubscribe();
+export async function disconnectPen(penId = null) {
+  const pens = get(connectedPens);
+  const controllers = penId
+    ? [pens.get(penId)?.controller].filter(Boolean)
+    : [...pens.values()].map(p => p.controller).filter(Boolean);
+  if (controllers.length === 0 && !penId) {
+    const controller = get(penController);
+    if (controller) controllers.push(controller);
+  }
+  if (controllers.length === 0) return;
 
-  if (controller) {
-    try {
-      PenHelper.disconnect(controller);
+  try {
+    controllers.forEach(controller => PenHelper.disconnect(controller));
+    if (penId) {
+      // PEN_DISCONNECTED takes it out of connectedPens
+      log(`Disconnecting ${penLabel(penId)}`, 'info');
+    } else {
       setPenConnected(false);
-      log('Disconnected from pen', 'info');
-    } catch (error) {
-      log(`Disconnect error: ${error.message}`, 'error');
-      throw error;
+      log(controllers.length > 1 ? `Disconnected ${controllers.length} pens` : 'Disconnected from pen', 'info');
     }
+  } catch (error) {
+    log(`Disconnect error: ${error.message}`, 'error');
+    throw error;
   }
 }
 
@@ -302,8 +341,13 @@ export async function fetchOfflineData() {
 
 /**
  * Process individual dots from pen
+ * @param {string} mac - the pen that sent it; each pen builds its own stroke
+ * @param {Object} dot
  */
-function processDot(dot) {
+function processDot(mac, dot) {
+  const penId = normalizePenId(mac);
+  let currentStrokeData = currentStrokes.get(penId) || null;
+
   // The SDK sends {x: -1, y: -1, f: 0} on pen-down before it has resolved
   // the actual position, and the pageInfo at that moment is stale (from the
   // last page used). Skip these invalid placeholder dots entirely.
@@ -317,8 +361,10 @@ function processDot(dot) {
       currentStrokeData = {
         pageInfo: isInvalidDot ? null : { ...dot.pageInfo },
         startTime: dot.timeStamp,
+        penId,
         dotArray: isInvalidDot ? [] : [{ x: dot.x, y: dot.y, f: dot.f, timestamp: dot.timeStamp }]
       };
+      currentStrokes.set(penId, currentStrokeData);
       break;
 
     case 1: // Pen move - add to current stroke
@@ -344,7 +390,7 @@ function processDot(dot) {
         if (currentStrokeData.pageInfo && currentStrokeData.dotArray.length > 0) {
           addStroke(currentStrokeData);
         }
-        currentStrokeData = null;
+        currentStrokes.delete(penId);
       }
       break;
   }
@@ -353,7 +399,7 @@ function processDot(dot) {
   if (!isInvalidDot) {
     currentPageInfo.set(dot.pageInfo);
     if (canvasRenderer) {
-      canvasRenderer.addDot(dot);
+      canvasRenderer.addDot(dot, penId);
     }
   }
 }
@@ -397,11 +443,11 @@ function processMessage(mac, type, args) {
       break;
       
     case PenMessageType.PEN_DISCONNECTED:
-      handleDisconnected();
+      handleDisconnected(mac);
       break;
       
     case PenMessageType.PEN_PASSWORD_REQUEST:
-      handlePasswordRequest(args);
+      handlePasswordRequest(mac, args);
       break;
       
     case PenMessageType.OFFLINE_DATA_NOTE_LIST:
@@ -430,7 +476,7 @@ function processMessage(mac, type, args) {
       console.log('%c✅ OFFLINE_DATA_SEND_SUCCESS - Processing data...', 'background: #2196F3; color: white; padding: 2px 6px; border-radius: 3px; font-weight: bold;');
       // handleOfflineDataReceived returns false on book ID mismatch — in that case
       // we leave the resolver live so the correct book's data can still resolve it.
-      if (handleOfflineDataReceived(args) && offlineTransferResolver) {
+      if (handleOfflineDataReceived(mac, args) && offlineTransferResolver) {
         // Resolve immediately — SDK has confirmed successful delivery of all data.
         // Clear resolver BEFORE calling to prevent retransmitted BLE events from
         // resolving the NEXT book's promise once the loop advances.
@@ -482,34 +528,47 @@ function handleConnectionSuccess(mac) {
   connectingDevice = null; // Clear — connection succeeded, no need to force-disconnect
   if (connectionAborted) {
     console.warn('Ignoring late connection success — connection was aborted after timeout');
-    setPenConnected(false);
+    if (get(connectedPens).size === 0) setPenConnected(false);
     return;
   }
   // Signal connectPen() that the full handshake is complete
   if (connectionResolve) {
     connectionResolve();
   }
+  const penId = normalizePenId(mac);
+  if (penId) updateConnectedPen(penId, { controller: controllerFor(mac) }, { activate: true });
   setPenConnected(true);
-  log('Pen connected!', 'success');
+  const count = get(connectedPens).size;
+  log(count > 1 ? `Pen connected! (${count} pens)` : 'Pen connected!', 'success');
+}
+
+// A timed-out connection attempt is ignored from here on; pens already
+// connected keep reporting.
+function isAbortedPen(mac) {
+  return connectionAborted && !isConnectedPen(mac);
 }
 
 function handleSettingInfo(mac, args) {
-  if (connectionAborted) return;
-  const controller = PenHelper.pens.find(c => c.info.MacAddress === mac);
-  setPenController(controller);
-  setPenInfo(args);
+  if (isAbortedPen(mac)) return;
+  const penId = normalizePenId(mac);
+  if (penId) {
+    updateConnectedPen(penId, { controller: controllerFor(mac), info: args });
+  } else {
+    setPenController(controllerFor(mac));
+    setPenInfo(args);
+  }
   log(`Pen settings received: Battery ${args.Battery}%`, 'info');
 }
 
 async function handleAuthorized(mac) {
-  if (connectionAborted) return;
-  setPenAuthorized(true);
+  if (isAbortedPen(mac)) return;
+  const penId = normalizePenId(mac);
+  if (penId) updateConnectedPen(penId, { authorized: true });
+  else setPenAuthorized(true);
   log('Pen authorized successfully', 'success');
   
   // Request real-time data for all papers
-  let controller;
-  const unsubscribe = penController.subscribe(c => controller = c);
-  unsubscribe();
+  const controller = controllerFor(mac) || get(penController);
   
   if (controller) {
     // GATT operations must be serialized - add delays between commands
@@ -527,23 +586,31 @@ async function handleAuthorized(mac) {
   }
 }
 
-function handleDisconnected() {
-  // If a connection attempt is in progress, a disconnect means it failed
-  if (connectionReject) {
+function handleDisconnected(mac) {
+  const penId = normalizePenId(mac);
+  currentStrokes.delete(penId);
+  const wasConnected = isConnectedPen(mac);
+  // If a connection attempt is in progress, a disconnect of the pen being
+  // connected means it failed
+  if (connectionReject && !wasConnected) {
     connectionReject(new Error('Pen disconnected during connection attempt'));
   }
+  const remaining = wasConnected ? removeConnectedPen(penId) : get(connectedPens).size;
+  if (remaining > 0) {
+    log(`${penLabel(penId)} disconnected (${remaining} still connected)`, 'warning');
+    return;
+  }
   setPenConnected(false);
   log('Pen disconnected', 'warning');
 }
 
-function handlePasswordRequest(args) {
+function handlePasswordRequest(mac, args) {
+  const several = get(connectedPens).size > 1 || (get(connectedPens).size === 1 && !isConnectedPen(mac));
   const password = prompt(
-    `Enter pen password (4 digits)\nAttempts: ${args.RetryCount}/10\n⚠️ Data will be reset after 10 failed attempts`
+    `Enter pen password (4 digits)${several ? ` for ${penLabel(normalizePenId(mac))}` : ''}\nAttempts: ${args.RetryCount}/10\n⚠️ Data will be reset after 10 failed attempts`
   );
   
-  let controller;
-  const unsubscribe = penController.subscribe(c => controller = c);
-  unsubscribe();
+  const controller = controllerFor(mac) || get(penController);
   
   if (password && password.length === 4 && controller) {
     controller.InputPassword(password);
@@ -1006,8 +1073,9 @@ async function handleOfflineNoteList(noteList) {
   console.log('%c===== END OFFLINE NOTE LIST PROCESSING =====', 'background: #222; color: #bada55; font-size: 14px; padding: 4px;');
 }
 
-function handleOfflineDataReceived(data) {
+function handleOfflineDataReceived(mac, data) {
   const receiveTime = Date.now();
+  const penId = normalizePenId(mac);
   
   // ========================================
   // DELETION MODE CHECK - PROCESS BUT DON'T STORE
@@ -1104,6 +1172,7 @@ function handleOfflineDataReceived(data) {
           f: d.f,
           timestamp: d.timeStamp
         })),
+        penId,
         _raw: stroke
       };
       
@@ -1112,7 +1181,7 @@ function handleOfflineDataReceived(data) {
       // Skip canvas rendering during batch mode - will update once at the end
       // Only render in real-time mode
       if (canvasRenderer && !pendingOfflineTransfer) {
-        stroke.Dots.forEach(dot => canvasRenderer.addDot(dot));
+        stroke.Dots.forEach(dot => canvasRenderer.addDot(dot, penId));
       }
     } else {
       skippedCount++;
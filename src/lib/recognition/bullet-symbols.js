@@ -0,0 +1,367 @@
+/**
+ * Bullet-journal symbols — find the hand-drawn bullet in front of each
+ * transcript line and turn it into the line's task state.
+ *
+ *   ☐ checkbox / • dot   → todo      ○ circle → event      – dash → note
+ *
+ * Marks drawn on or next to a checkbox, dot or circle change the state:
+ *   an X or a tick → done, a single stroke through it → cancelled,
+ *   a `>` → migrated, a `<` → scheduled.
+ *
+ * classifyBulletSymbols runs on every page save (see savePage in
+ * storage/local-store.js) while "Detect bullet-journal symbols" is on. Per
+ * line it records what it saw on `line.bullet` ({ symbol, state, strokeIds,
+ * confidence }, drawn as an overlay in the Book View) and sets `line.state`,
+ * with `checked` following for TODO/DONE. A state the user picks by hand is
+ * marked `stateSource: 'manual'` and is never overwritten; it also follows
+ * the symbol's strokes onto a new line when the page is re-transcribed.
+ *
+ * Only single-stroke symbols are recognized (the same per-stroke approach
+ * as ../stroke-filter.js). Geometry follows docs/bullet-journal-spec.md.
+ */
+
+import { config as filterConfig } from '../stroke-filter.js';
+
+const NCODE_TO_MM = filterConfig.NCODE_TO_MM;
+
+// Symbol size and shape (mm)
+const SYMBOL_MIN_MM = 1.8;        // boxes and circles at least this big
+const SYMBOL_MAX_MM = 8.0;        // ... and no bigger than this
+const DOT_MAX_MM = 1.5;           // a dot fits in this square
+const DASH_MAX_HEIGHT_MM = 1.5;   // a dash is flat
+const CLOSURE_FRACTION = 0.35;    // start/end gap, as a fraction of the size
+const CLOSURE_MIN_MM = 1.5;
+const BOX_PATH_RATIO_MIN = 0.88;  // path / 2(w+h): square 1.0, circle ~0.79
+const BOX_PERIM_FRACTION = 0.8;   // dots within 15% of the size of an edge
+const CIRCLE_RADIUS_CV_MAX = 0.22; // radius spread / mean radius
+const STRAIGHT_MIN = 0.9;          // chord / path for a straight stroke
+
+// Placement (mm)
+const BAND_TOLERANCE_MM = 1.5;    // symbol centre within the line's Y band ± this
+const MARK_MARGIN_MM = 1.0;       // marks reach this far past the symbol
+const DOT_MARK_REACH_MM = 2.5;    // a dot's X / chevron is much bigger than the dot
+const ARROW_REACH_MM = 4.0;       // a `>` written just right of the symbol
+const TEXT_GAP_MIN_MM = 0.8;      // text starts at least this far right of the symbol
+const TEXT_GAP_MAX_MM = 15.0;     // ... and no further than this
+const LEADING_STROKES = 3;        // how many of a line's leftmost strokes may be its symbol
+
+/** Line states, in the order the transcript editor cycles through them. */
+export const BULLET_STATES = ['todo', 'done', 'migrated', 'scheduled', 'cancelled', 'event', 'note'];
+
+/** How each state is shown in the transcript. */
+export const STATE_MARKERS = {
+  todo: '☐',
+  done: '☑',
+  migrated: '→',
+  scheduled: '←',
+  cancelled: '✕',
+  event: '○',
+  note: '–'
+};
+
+const BASE_STATE = { checkbox: 'todo', dot: 'todo', circle: 'event', dash: 'note' };
+
+/* -----------------------------------------------------------------
+ *  Line state helpers
+ * ----------------------------------------------------------------- */
+
+/**
+ * A line's state, reading `checked` for lines saved before states existed.
+ * @param {{state?: string|null, checked?: boolean|null}} line
+ * @returns {string|null}
+ */
+export function lineState(line) {
+  if (line?.state) return line.state;
+  if (line?.checked === false) return 'todo';
+  if (line?.checked === true) return 'done';
+  return null;
+}
+
+/**
+ * `checked` as it follows from a state: TODO is false, DONE true, else null.
+ * @param {string|null} state
+ * @returns {boolean|null}
+ */
+export function stateToChecked(state) {
+  if (state === 'todo') return false;
+  if (state === 'done') return true;
+  return null;
+}
+
+/**
+ * Set a line's state by hand. The detector leaves it alone from then on.
+ * @param {Object} line
+ * @param {string|null} state - one of BULLET_STATES, or null for none
+ * @returns {Object} a new line
+ */
+export function withManualState(line, state) {
+  const { state: _previous, ...rest } = line;
+  return {
+    ...rest,
+    ...(state ? { state } : {}),
+    checked: stateToChecked(state),
+    stateSource: 'manual'
+  };
+}
+
+/**
+ * Keep a line's bullet fields across an edit made by an editor that only
+ * knows `checked` (TranscriptionEditorModal). Toggling the checkbox there
+ * counts as setting the state by hand.
+ * @param {Object} line - the edited line
+ * @param {Object|undefined} previous - the same line before the edit
+ * @returns {Object}
+ */
+export function carryBulletState(line, previous) {
+  if (!previous) return line;
+  if ((line.checked ?? null) !== (previous.checked ?? null)) {
+    return withManualState({ ...line, ...(previous.bullet ? { bullet: previous.bullet } : {}) }, stateFromChecked(line.checked));
+  }
+  const carried = { ...line };
+  for (const key of ['state', 'stateSource', 'bullet']) {
+    if (previous[key] !== undefined) carried[key] = previous[key];
+  }
+  return carried;
+}
+
+function stateFromChecked(checked) {
+  if (checked === false) return 'todo';
+  if (checked === true) return 'done';
+  return null;
+}
+
+/* -----------------------------------------------------------------
+ *  Stroke geometry (StoredStroke points, measured in mm)
+ * ----------------------------------------------------------------- */
+
+function measure(stroke) {
+  const points = (stroke.points || []).map(p => [p[0] * NCODE_TO_MM, p[1] * NCODE_TO_MM]);
+  if (points.length === 0) return null;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity, path = 0;
+  points.forEach(([x, y], i) => {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+    if (i > 0) path += Math.hypot(x - points[i - 1][0], y - points[i - 1][1]);
+  });
+  const first = points[0];
+  const last = points[points.length - 1];
+  return {
+    id: stroke.id,
+    lineId: stroke.lineId || null,
+    points,
+    minX, minY, maxX, maxY,
+    width: maxX - minX,
+    height: maxY - minY,
+    cx: (minX + maxX) / 2,
+    cy: (minY + maxY) / 2,
+    path,
+    chord: Math.hypot(last[0] - first[0], last[1] - first[1])
+  };
+}
+
+function isClosed(shape) {
+  return shape.chord <= Math.max(CLOSURE_MIN_MM, CLOSURE_FRACTION * Math.max(shape.width, shape.height));
+}
+
+function nearEdgeFraction(shape) {
+  const tol = 0.15 * Math.max(shape.width, shape.height);
+  const near = shape.points.filter(([x, y]) =>
+    x <= shape.minX + tol || x >= shape.maxX - tol || y <= shape.minY + tol || y >= shape.maxY - tol
+  ).length;
+  return near / shape.points.length;
+}
+
+function radiusSpread(shape) {
+  const radii = shape.points.map(([x, y]) => Math.hypot(x - shape.cx, y - shape.cy));
+  const mean = radii.reduce((a, b) => a + b, 0) / radii.length;
+  if (mean === 0) return Infinity;
+  const variance = radii.reduce((sum, r) => sum + (r - mean) ** 2, 0) / radii.length;
+  return Math.sqrt(variance) / mean;
+}
+
+/**
+ * What bullet a single stroke draws, if any.
+ * @param {Object} shape - from measure()
+ * @returns {{symbol: string, confidence: number}|null}
+ */
+function classifySymbol(shape) {
+  const { width, height } = shape;
+  if (width <= DOT_MAX_MM && height <= DOT_MAX_MM) {
+    return { symbol: 'dot', confidence: 0.7 };
+  }
+
+  const big = Math.max(width, height);
+  const small = Math.min(width, height);
+  if (big > SYMBOL_MAX_MM) return null;
+
+  if (small >= SYMBOL_MIN_MM && big / small <= 2 && isClosed(shape)) {
+    const pathRatio = shape.path / (2 * (width + height));
+    if (pathRatio >= BOX_PATH_RATIO_MIN && nearEdgeFraction(shape) >= BOX_PERIM_FRACTION) {
+      return { symbol: 'checkbox', confidence: round2(0.6 + 0.4 * Math.min(1, small / big)) };
+    }
+    const spread = radiusSpread(shape);
+    if (pathRatio < BOX_PATH_RATIO_MIN && spread <= CIRCLE_RADIUS_CV_MAX) {
+      return { symbol: 'circle', confidence: round2(0.6 + 0.4 * (1 - spread / CIRCLE_RADIUS_CV_MAX)) };
+    }
+    return null;
+  }
+
+  if (width >= SYMBOL_MIN_MM && height <= DASH_MAX_HEIGHT_MM && height / width <= 0.35 && shape.chord / shape.path >= STRAIGHT_MIN) {
+    return { symbol: 'dash', confidence: round2(0.6 + 0.4 * (1 - height / DASH_MAX_HEIGHT_MM)) };
+  }
+  return null;
+}
+
+/**
+ * What a mark drawn over or beside a symbol is: a chevron pointing
+ * 'right' or 'left', a straight 'line', or a 'tick' (anything bent).
+ */
+function classifyMark(shape) {
+  const first = shape.points[0];
+  const last = shape.points[shape.points.length - 1];
+  const chevron = (tipX, pointsRight) => {
+    const tip = shape.points.find(([x]) => x === tipX);
+    const inner = tip !== first && tip !== last;
+    const depth = pointsRight ? tipX - Math.max(first[0], last[0]) : Math.min(first[0], last[0]) - tipX;
+    const straddles = (first[1] - tip[1]) * (last[1] - tip[1]) < 0;
+    return inner && straddles && depth >= 0.4 * shape.width;
+  };
+  if (shape.width > 0 && chevron(shape.maxX, true)) return 'right';
+  if (shape.width > 0 && chevron(shape.minX, false)) return 'left';
+  return shape.path > 0 && shape.chord / shape.path >= STRAIGHT_MIN ? 'line' : 'tick';
+}
+
+function stateFromMarks(symbol, marks) {
+  if (symbol === 'dash' || marks.length === 0) return BASE_STATE[symbol];
+  const kinds = marks.map(classifyMark);
+  if (kinds.includes('right')) return 'migrated';
+  if (kinds.includes('left')) return 'scheduled';
+  if (kinds.includes('tick') || kinds.filter(k => k === 'line').length >= 2) return 'done';
+  return 'cancelled';
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/* -----------------------------------------------------------------
+ *  Matching symbols to lines
+ * ----------------------------------------------------------------- */
+
+function overlaps(shape, box) {
+  return shape.minX <= box.maxX && shape.maxX >= box.minX && shape.minY <= box.maxY && shape.maxY >= box.minY;
+}
+
+/**
+ * Read `candidate` as the bullet of a line whose other strokes are `others`:
+ * it must draw a symbol, and every other stroke must be a mark on it or text
+ * starting after a gap.
+ */
+function readBullet(candidate, others) {
+  const found = classifySymbol(candidate);
+  if (!found) return null;
+
+  // Marks: strokes across the symbol's centre that stay within reach of it,
+  // and a chevron written just after it
+  const reach = Math.max(candidate.width / 2, candidate.height / 2, found.symbol === 'dot' ? DOT_MARK_REACH_MM : 0) + MARK_MARGIN_MM;
+  const over = { minX: candidate.cx - reach, maxX: candidate.cx + reach, minY: candidate.cy - reach, maxY: candidate.cy + reach };
+  const centre = { minX: candidate.cx - 0.5, maxX: candidate.cx + 0.5, minY: candidate.cy - 0.5, maxY: candidate.cy + 0.5 };
+  const beside = { minX: candidate.maxX, maxX: candidate.maxX + ARROW_REACH_MM, minY: over.minY, maxY: over.maxY };
+  const within = (s, box) => s.minX >= box.minX && s.maxX <= box.maxX && s.minY >= box.minY && s.maxY <= box.maxY;
+  const marks = found.symbol === 'dash' ? [] : others.filter(s =>
+    (within(s, over) && overlaps(s, centre)) ||
+    (within(s, beside) && ['right', 'left'].includes(classifyMark(s)))
+  );
+
+  const text = others.filter(s => !marks.includes(s));
+  if (text.length === 0) return null;
+  const symbolRight = Math.max(candidate.maxX, ...marks.map(m => m.maxX));
+  const gap = Math.min(...text.map(s => s.minX)) - symbolRight;
+  if (gap < TEXT_GAP_MIN_MM || gap > TEXT_GAP_MAX_MM) return null;
+
+  return {
+    symbol: found.symbol,
+    state: stateFromMarks(found.symbol, marks),
+    strokeIds: [candidate.id, ...marks.map(m => m.id)],
+    confidence: found.confidence
+  };
+}
+
+/**
+ * The bullet in front of one line. The symbol is one of the line's leftmost
+ * strokes (a mark drawn over it may start further left).
+ * @param {Object} line
+ * @param {Object[]} shapes - every stroke on the page, measured
+ * @returns {{symbol: string, state: string, strokeIds: string[], confidence: number}|null}
+ */
+function detectLineBullet(line, shapes) {
+  if (!line.yBounds) return null;
+  const top = line.yBounds.minY * NCODE_TO_MM - BAND_TOLERANCE_MM;
+  const bottom = line.yBounds.maxY * NCODE_TO_MM + BAND_TOLERANCE_MM;
+  const own = shapes
+    .filter(s => s.lineId === line.id || (!s.lineId && s.cy >= top && s.cy <= bottom))
+    .sort((a, b) => a.minX - b.minX);
+  if (own.length < 2) return null;
+
+  for (const candidate of own.slice(0, LEADING_STROKES)) {
+    const bullet = readBullet(candidate, own.filter(s => s !== candidate));
+    if (bullet) return bullet;
+  }
+  return null;
+}
+
+/** Drop a leading recognized word that was written with the symbol's strokes only. */
+function withoutSymbolWord(line, strokeIds) {
+  const first = line.words?.[0];
+  if (!first?.strokeIds?.length || line.words.length < 2) return line;
+  if (!first.strokeIds.every(id => strokeIds.includes(id))) return line;
+  const words = line.words.slice(1);
+  return { ...line, text: words.map(w => w.text).join(' '), words };
+}
+
+/**
+ * Detect the bullet symbol of every line of a page and set the lines' state.
+ * Pure: returns a new doc.
+ * @param {import('../storage/page-doc.js').PageDoc} doc
+ * @returns {{doc: import('../storage/page-doc.js').PageDoc, detected: number}}
+ */
+export function classifyBulletSymbols(doc) {
+  const lines = doc?.transcript?.lines || [];
+  if (lines.length === 0) return { doc, detected: 0 };
+  const shapes = (doc.strokes || []).map(measure).filter(Boolean);
+
+  // States set by hand, by the strokes of the symbol they were set on
+  const manualByStroke = new Map();
+  for (const line of lines) {
+    if (line.stateSource !== 'manual' || !line.bullet) continue;
+    for (const id of line.bullet.strokeIds || []) manualByStroke.set(id, line.state ?? null);
+  }
+
+  let detected = 0;
+  const next = lines.map(line => {
+    const bullet = detectLineBullet(line, shapes);
+    if (!bullet) {
+      // Forget a detection whose ink is gone; keep states set by hand
+      if (!line.bullet) return line;
+      const { bullet: _gone, ...rest } = line;
+      if (rest.stateSource === 'manual') return rest;
+      const { state: _state, ...cleared } = rest;
+      return { ...cleared, checked: null };
+    }
+
+    detected++;
+    let out = withoutSymbolWord({ ...line, bullet }, bullet.strokeIds);
+    if (out.stateSource === 'manual') return out;
+
+    const manual = bullet.strokeIds.find(id => manualByStroke.has(id));
+    if (manual !== undefined) return withManualState(out, manualByStroke.get(manual));
+
+    out = { ...out, state: bullet.state, checked: stateToChecked(bullet.state) };
+    delete out.stateSource;
+    return out;
+  });
+
+  return { doc: { ...doc, transcript: { ...doc.transcript, lines: next } }, detected };
+}
@@ -0,0 +1,256 @@
+/**
+ * Correction dictionary — learn from transcript edits, feed them back.
+ *
+ * When a recognized line is corrected by hand (TranscriptPane,
+ * TranscriptionEditorModal), {@link diffCorrections} compares the edit with
+ * the recognizer's text word by word and keeps the short replacements
+ * ("Acme 42" → "ACME-42", "Sarn" → "Sam"). {@link learnCorrections} counts
+ * them in pages/_corrections.json, one dictionary per data folder.
+ *
+ * Enabled entries come back in two ways:
+ *   - {@link correctionLexicon}: the corrected spellings, sent with each
+ *     recognition request so the recognizer knows the words.
+ *   - {@link applyCorrectionsToResult}: a whole-word substitution pass over
+ *     every new result, before it is filed for the page.
+ * Entries are reviewed (disabled, removed) in Settings.
+ */
+
+import { get } from 'svelte/store';
+import { log, dataFolderReady, activeCorrections, setCorrectionDictionary } from '$stores';
+import { recordCorrections } from '../storage/local-store.js';
+
+/** Longest replacement, in words on either side, that counts as a correction. */
+export const MAX_CORRECTION_WORDS = 3;
+
+// Lines longer than this (in words) are not diffed
+const MAX_DIFF_WORDS = 200;
+
+// Leading/trailing punctuation around a word or phrase
+const EDGES = /^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/su;
+
+function tokenize(text) {
+  return String(text || '').trim().split(/\s+/).filter(Boolean);
+}
+
+/** Split a word or phrase into its punctuation and its core. */
+function splitEdges(text) {
+  const [, lead, core, trail] = String(text).match(EDGES);
+  return { lead, core, trail };
+}
+
+/**
+ * Word-level replacements between the recognizer's text and the corrected
+ * text. Only replacements of up to {@link MAX_CORRECTION_WORDS} words on each
+ * side count — insertions, deletions, punctuation-only changes and rewrites
+ * of whole lines say nothing about misrecognition.
+ * @param {string} original - what the recognizer wrote
+ * @param {string} edited   - what the line says now
+ * @returns {Array<{from: string, to: string}>}
+ */
+export function diffCorrections(original, edited) {
+  const a = tokenize(original);
+  const b = tokenize(edited);
+  if (a.length === 0 || b.length === 0 || a.length > MAX_DIFF_WORDS || b.length > MAX_DIFF_WORDS) return [];
+
+  // Longest common subsequence of words, from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    if (removed.length > 0 && added.length > 0 && removed.length <= MAX_CORRECTION_WORDS && added.length <= MAX_CORRECTION_WORDS) {
+      const from = splitEdges(removed.join(' ')).core;
+      const to = splitEdges(added.join(' ')).core;
+      if (from && to && from !== to && !pairs.some(p => p.from === from && p.to === to)) {
+        pairs.push({ from, to });
+      }
+    }
+    removed = [];
+    added = [];
+  };
+
+  let i = 0, j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      added.push(b[j++]);
+    } else {
+      removed.push(a[i++]);
+    }
+  }
+  flush();
+  return pairs;
+}
+
+/**
+ * Corrections made in the Transcribe editor: lines straight from the
+ * recognizer whose text was changed. A merged line is compared with its
+ * source lines joined.
+ * @param {Array} originalLines - the lines the editor opened with
+ * @param {Array} editedLines   - its lines on save (with originalIndex / sourceLines)
+ * @returns {Array<{from: string, to: string}>}
+ */
+export function editorCorrections(originalLines, editedLines) {
+  const recognized = (line) => line && !line.blockUuid && (line.syncStatus === 'new' || line.syncStatus === 'unsaved');
+  const pairs = [];
+  for (const line of editedLines || []) {
+    if (!line.userModified) continue;
+    const sources = (line.sourceLines || [line.originalIndex]).map(index => originalLines[index]);
+    if (sources.length === 0 || !sources.every(recognized)) continue;
+    const original = sources.map(source => source.text).join(' ');
+    for (const pair of diffCorrections(original, line.text)) {
+      if (!pairs.some(p => p.from === pair.from && p.to === pair.to)) pairs.push(pair);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Substitute dictionary entries in a text, whole words only. Longer phrases
+ * go first; for the same phrase the most frequent correction wins.
+ * @param {string} text
+ * @param {Array<{from: string, to: string, count?: number}>} entries - enabled entries
+ * @returns {{text: string, applied: Array<{from: string, to: string}>}}
+ */
+export function applyCorrections(text, entries) {
+  const source = String(text || '');
+  const candidates = (entries || [])
+    .map(entry => ({ ...entry, size: tokenize(entry.from).length }))
+    .filter(entry => entry.size > 0 && entry.size <= MAX_CORRECTION_WORDS && entry.to)
+    .sort((x, y) => y.size - x.size || (y.count || 0) - (x.count || 0));
+  if (candidates.length === 0 || !source.trim()) return { text: source, applied: [] };
+
+  const applied = [];
+  const out = source.split('\n').map(row => {
+    // [word, space, word, space, …] with the original spacing
+    const parts = row.split(/(\s+)/);
+    const result = [];
+    let k = 0;
+    while (k < parts.length) {
+      if (k % 2 === 1 || parts[k] === '') {
+        result.push(parts[k++]);
+        continue;
+      }
+      let replaced = false;
+      for (const entry of candidates) {
+        const end = k + (entry.size - 1) * 2;
+        if (end >= parts.length) continue;
+        const phrase = parts.slice(k, end + 1).filter((_, n) => n % 2 === 0).join(' ');
+        const { lead, core, trail } = splitEdges(phrase);
+        if (core !== entry.from) continue;
+        result.push(`${lead}${entry.to}${trail}`);
+        applied.push({ from: entry.from, to: entry.to });
+        k = end + 1;
+        replaced = true;
+        break;
+      }
+      if (!replaced) result.push(parts[k++]);
+    }
+    return result.join('');
+  });
+  return { text: out.join('\n'), applied };
+}
+
+/**
+ * Run the substitution pass over a recognition result. Each text line is
+ * corrected; a corrected single word keeps its strokes, with the
+ * recognizer's spelling as an alternative. Math lines (LaTeX) are left alone.
+ * @param {{text?: string, lines?: Array}} result - from recognizeStrokes / parseQueuedRecognition
+ * @param {Array} entries - enabled dictionary entries
+ * @returns {Object} the result, with `correctionsApplied` when anything changed
+ */
+export function applyCorrectionsToResult(result, entries) {
+  if (!result || !entries || entries.length === 0) return result;
+  let applied = [];
+  const lines = (result.lines || []).map(line => {
+    if (typeof line.latex === 'string' || typeof line.text !== 'string') return line;
+    const corrected = applyCorrections(line.text, entries);
+    if (corrected.applied.length === 0) return line;
+    applied = applied.concat(corrected.applied);
+    const next = { ...line, text: corrected.text };
+    if (Array.isArray(line.words)) {
+      const words = line.words.map(word => ({ ...word }));
+      for (const { from, to } of corrected.applied) {
+        if (/\s/.test(from) || /\s/.test(to)) continue;
+        const word = words.find(w => typeof w.label === 'string' && splitEdges(w.label).core === from);
+        if (!word) continue;
+        word.label = word.label.replace(from, to);
+        word.candidates = [from, ...(word.candidates || []).filter(c => c !== from && c !== to)];
+        delete word.confidence;
+      }
+      next.words = words;
+    }
+    return next;
+  });
+  const text = applyCorrections(result.text, entries);
+  if (lines.length === 0) applied = text.applied;
+  if (applied.length === 0) return result;
+  return { ...result, lines, text: text.text, correctionsApplied: applied };
+}
+
+/**
+ * Words to add to the recognizer's lexicon: the corrected spellings.
+ * @param {Array<{to: string}>} entries - enabled dictionary entries
+ * @returns {string[]}
+ */
+export function correctionLexicon(entries) {
+  const words = new Set();
+  for (const entry of entries || []) {
+    for (const token of tokenize(entry.to)) {
+      const { core } = splitEdges(token);
+      if (core) words.add(core);
+    }
+  }
+  return [...words];
+}
+
+/**
+ * The recognition options for a request, with the dictionary's lexicon.
+ * @param {{lang?: string, contentType?: string}} options
+ * @returns {{lang?: string, contentType?: string, lexicon?: string[]}}
+ */
+export function withCorrectionLexicon(options) {
+  const lexicon = correctionLexicon(get(activeCorrections));
+  return lexicon.length > 0 ? { ...options, lexicon } : options;
+}
+
+/**
+ * Correct a new result with the dictionary's enabled entries and log what changed.
+ * @param {Object} result
+ * @param {string} label - e.g. "B3/P12", for the log
+ * @returns {Object}
+ */
+export function correctRecognitionResult(result, label) {
+  const corrected = applyCorrectionsToResult(result, get(activeCorrections));
+  const count = corrected?.correctionsApplied?.length || 0;
+  if (count > 0) {
+    log(`${label}: ${count} word${count === 1 ? '' : 's'} corrected from your dictionary`, 'info');
+  }
+  return corrected;
+}
+
+/**
+ * Count corrections in the data folder's dictionary. Never throws: the edit
+ * itself is already saved.
+ * @param {Array<{from: string, to: string}>} pairs
+ */
+export async function learnCorrections(pairs) {
+  if (!pairs || pairs.length === 0 || !get(dataFolderReady)) return;
+  try {
+    setCorrectionDictionary(await recordCorrections(pairs));
+    const shown = pairs.slice(0, 3).map(p => `“${p.from}” → “${p.to}”`).join(', ');
+    log(`Learned ${pairs.length} correction${pairs.length === 1 ? '' : 's'}: ${shown}${pairs.length > 3 ? ', …' : ''}`, 'info');
+  } catch (err) {
+    console.warn('Recording corrections failed:', err);
+    log(`Could not update the correction dictionary: ${err.message}`, 'warning');
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Incremental transcription — send only what changed on a page.
+ *
+ * Transcribed strokes carry the id of their transcript line (`blockUuid` in
+ * memory, `lineId` on disk). {@link planIncrementalTranscription} sorts a
+ * page's untranscribed strokes into:
+ *   - extensions: strokes whose vertical centre falls inside an existing
+ *     line's ink band (a word added to the end of a line, a dotted i). The
+ *     line's strokes are re-recognized together and its text is replaced in
+ *     place, keeping its id.
+ *   - fresh strokes: everything else, recognized on their own. The resulting
+ *     lines are inserted by position among the existing ones when saved.
+ *
+ * Each request's result is filed with {@link fileTranscriptionResult}: fresh
+ * lines as the page's transcription, re-recognized lines as `lineUpdates`
+ * on it. savePageToFolder applies both (see mergeTranscript in
+ * storage/save-page.js).
+ */
+
+import { setPageTranscription, setPageLineUpdate } from '$stores';
+import { toTranscriptWords } from './transcript-structure.js';
+import { correctRecognitionResult } from './corrections.js';
+
+/**
+ * @typedef {Object} LineExtension
+ * @property {string} lineId     - the transcript line being extended
+ * @property {Array} strokes     - the line's strokes plus the new ones, in writing order
+ * @property {Array} newStrokes  - just the new ones
+ */
+
+/**
+ * @typedef {Object} LineUpdate
+ * @property {string} lineId
+ * @property {string} text
+ * @property {string} [latex]
+ * @property {Array} [words] - per-word strokes and alternatives (see toTranscriptWords)
+ * @property {{minY: number, maxY: number}|null} yBounds
+ */
+
+function strokeYBounds(stroke) {
+  let minY = Infinity, maxY = -Infinity;
+  for (const dot of stroke.dotArray || []) {
+    if (dot.y < minY) minY = dot.y;
+    if (dot.y > maxY) maxY = dot.y;
+  }
+  return minY === Infinity ? null : { minY, maxY };
+}
+
+/**
+ * Split a page's untranscribed strokes into line extensions and fresh strokes.
+ * @param {Array} newStrokes - pen strokes without a blockUuid
+ * @param {Array} linkedStrokes - the page's strokes that already belong to a line
+ * @returns {{fresh: Array, extensions: LineExtension[]}}
+ */
+export function planIncrementalTranscription(newStrokes, linkedStrokes = []) {
+  // Ink band of every existing line
+  const bands = new Map();
+  for (const stroke of linkedStrokes) {
+    const bounds = stroke.blockUuid ? strokeYBounds(stroke) : null;
+    if (!bounds) continue;
+    const band = bands.get(stroke.blockUuid);
+    if (!band) {
+      bands.set(stroke.blockUuid, { ...bounds, strokes: [stroke], newStrokes: [] });
+    } else {
+      band.minY = Math.min(band.minY, bounds.minY);
+      band.maxY = Math.max(band.maxY, bounds.maxY);
+      band.strokes.push(stroke);
+    }
+  }
+
+  const fresh = [];
+  for (const stroke of newStrokes) {
+    const bounds = strokeYBounds(stroke);
+    if (!bounds) {
+      fresh.push(stroke);
+      continue;
+    }
+    const centre = (bounds.minY + bounds.maxY) / 2;
+    let best = null;
+    let bestDistance = Infinity;
+    for (const band of bands.values()) {
+      if (centre < band.minY || centre > band.maxY) continue;
+      // Overlapping bands (a tall line, a descender): nearest band centre wins
+      const distance = Math.abs(centre - (band.minY + band.maxY) / 2);
+      if (distance < bestDistance) {
+        best = band;
+        bestDistance = distance;
+      }
+    }
+    if (best) best.newStrokes.push(stroke);
+    else fresh.push(stroke);
+  }
+
+  const extensions = [];
+  for (const [lineId, band] of bands) {
+    if (band.newStrokes.length === 0) continue;
+    const strokes = [...band.strokes, ...band.newStrokes].sort((a, b) => (a.startTime || 0) - (b.startTime || 0));
+    extensions.push({ lineId, strokes, newStrokes: band.newStrokes });
+  }
+  return { fresh, extensions };
+}
+
+/**
+ * Collapse the recognition of one line's strokes into a single line update.
+ * The recognizer may still break it in two (a superscript, a second row of
+ * an equation); the pieces are joined, and the Y-bounds cover them all.
+ * @param {string} lineId
+ * @param {{text?: string, lines?: Array}} result
+ * @returns {LineUpdate}
+ */
+export function lineUpdateFromResult(lineId, result) {
+  const lines = result?.lines || [];
+  const pieces = lines.length > 0 ? lines.map(line => line.text) : String(result?.text || '').split('\n');
+  const update = {
+    lineId,
+    text: pieces.map(piece => (piece || '').trim()).filter(Boolean).join(' '),
+    yBounds: null
+  };
+  const latex = lines.map(line => line.latex).filter(value => typeof value === 'string');
+  if (latex.length > 0) update.latex = latex.join(' ');
+  const words = lines.flatMap(line => toTranscriptWords((line.text || '').trim(), line.words));
+  if (words.some(w => w.strokeIds || w.candidates || w.confidence !== undefined)) update.words = words;
+  for (const line of lines) {
+    if (!line.yBounds) continue;
+    update.yBounds = update.yBounds
+      ? { minY: Math.min(update.yBounds.minY, line.yBounds.minY), maxY: Math.max(update.yBounds.maxY, line.yBounds.maxY) }
+      : { minY: line.yBounds.minY, maxY: line.yBounds.maxY };
+  }
+  return update;
+}
+
+/**
+ * File one recognition result for a page: new lines, or — when the request
+ * re-recognized an existing line — an in-place update of that line. The
+ * correction dictionary's substitutions are applied first.
+ * @param {{pageKey: string, pageInfo: Object, strokeCount: number, lineId?: string|null}} page
+ * @param {Object} result - from recognizeStrokes / parseQueuedRecognition
+ * @param {Array<{startTime: number}>} strokes - the strokes that were sent
+ */
+export function fileTranscriptionResult(page, result, strokes) {
+  const { pageKey, pageInfo, strokeCount, lineId = null } = page;
+  const corrected = correctRecognitionResult(result, `B${pageInfo?.book}/P${pageInfo?.page}`);
+  if (lineId) {
+    setPageLineUpdate(pageKey, lineUpdateFromResult(lineId, corrected), pageInfo, strokeCount, strokes);
+  } else {
+    setPageTranscription(pageKey, corrected, pageInfo, strokeCount, strokes);
+  }
+}
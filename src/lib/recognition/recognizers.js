@@ -0,0 +1,368 @@
+/**
+ * Handwriting recognizers — the engines behind "Transcribe".
+ *
+ * Callers hand strokes to {@link recognizeStrokes} with the current settings
+ * (`getRecognitionConfig()` in stores/settings.js) and get back the same
+ * structured result whichever engine is selected:
+ *
+ *   { text, lines, words, commands, raw? }     // see ./transcript-structure.js
+ *
+ * Every engine implements the same shape:
+ *
+ *   id            settings value
+ *   label         shown in the engine picker
+ *   local         true when strokes never leave this machine
+ *   isConfigured(config) → boolean
+ *   recognize(strokes, config, options) → Promise<result>
+ *   test(config) → Promise<{ success, error? }>
+ *
+ * Engines that talk to a server can also run through the persistent
+ * transcription queue (./transcription-queue.js); they set `queueable` and
+ * split `recognize` into its two halves:
+ *
+ *   prepare(strokes, config, options) → { transport, context }
+ *     transport is what the main process sends:
+ *       { kind: 'myscript', body, accept }   (keys are added by main)
+ *       { kind: 'http', url, body }
+ *   parse({ status, body }, context) → result   (throws on an error answer)
+ *
+ * Strokes are the pen SDK's capture strokes (`{ dotArray: [{x, y, timestamp, f}] }`,
+ * Ncode units). `config` is `{ engine, myscript: {appKey, hmacKey}, localHttp: {url} }`;
+ * `options` is `{ lang, contentType, lexicon? }` — a recognition language such as
+ * 'en_US', 'Text' | 'Math' | 'Diagram' (see stores/recognition-settings.js)
+ * and extra words to recognize (see ./corrections.js).
+ * Math results carry the LaTeX source on each line as `latex`.
+ */
+
+import {
+  transcribeStrokes,
+  testMyScriptCredentials,
+  prepareMyScriptRequest,
+  parseMyScriptBody
+} from '../myscript-api.js';
+import { buildTranscription, buildMathTranscription } from './transcript-structure.js';
+
+// ---------------------------------------------------------------------------
+// MyScript Cloud (JIIX)
+// ---------------------------------------------------------------------------
+
+const myscriptRecognizer = {
+  id: 'myscript',
+  label: 'MyScript Cloud',
+  local: false,
+  isConfigured(config) {
+    const { appKey, hmacKey } = config?.myscript || {};
+    return !!(appKey && hmacKey);
+  },
+  queueable: true,
+  recognize(strokes, config, options = {}) {
+    const { appKey, hmacKey } = config.myscript || {};
+    return transcribeStrokes(strokes, appKey, hmacKey, options);
+  },
+  prepare(strokes, _config, options = {}) {
+    const { message, accept, context } = prepareMyScriptRequest(strokes, options);
+    return { transport: { kind: 'myscript', body: message, accept }, context };
+  },
+  parse(response, context) {
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`MyScript API error (${response.status}): ${response.body}`);
+    }
+    return parseMyScriptBody(response.body, context);
+  },
+  test(config) {
+    const { appKey, hmacKey } = config.myscript || {};
+    return testMyScriptCredentials(appKey, hmacKey);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Local HTTP (self-hosted OCR / HTR server)
+// ---------------------------------------------------------------------------
+//
+// Request:  POST <url>  { lang, contentType, lexicon?, strokes: [{ id?, x: [], y: [], t: [], p: [] }] }
+//           x/y are raw Ncode units, t is epoch ms, p is force 0–1; id is
+//           the stroke's "s{startTime}" id. lexicon lists extra words to
+//           expect (the user's correction dictionary).
+// Response: { text: "line one\nline two",
+//             words?: [{ text, x, y, width, height,            // same Ncode space
+//                        strokeIds?, candidates?, confidence? }] }
+//           or, for Math, { latex: "..." } (rows split on \\)
+// JIIX-style answers (`label`, words with `label` + `bounding-box`) are
+// accepted too, so a MyScript-compatible server works unchanged.
+
+function toRecognizerStrokes(strokes) {
+  return (strokes || [])
+    .filter(stroke => stroke.dotArray && stroke.dotArray.length > 0)
+    .map(stroke => ({
+      ...(stroke.startTime != null ? { id: `s${stroke.startTime}` } : {}),
+      x: stroke.dotArray.map(dot => dot.x),
+      y: stroke.dotArray.map(dot => dot.y),
+      t: stroke.dotArray.map(dot => dot.timestamp || 0),
+      p: stroke.dotArray.map(dot => (dot.f || 500) / 1000)
+    }));
+}
+
+/**
+ * Reduce a local recognizer's JSON answer to the shared (text, words) pair.
+ * Exported for unit testing.
+ * @param {Object} data
+ * @returns {{text: string, words: Array}}
+ */
+export function normalizeLocalResponse(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Local recognizer returned no result');
+  }
+  let text = data.text ?? data.label;
+  if (typeof text !== 'string' && Array.isArray(data.lines)) {
+    text = data.lines.map(line => (typeof line === 'string' ? line : line.text || '')).join('\n');
+  }
+  if (typeof text !== 'string') {
+    throw new Error('Local recognizer result has no text');
+  }
+  const words = (Array.isArray(data.words) ? data.words : []).map(word => {
+    const out = { label: word.label ?? word.text ?? '' };
+    if (word['bounding-box']) {
+      out['bounding-box'] = word['bounding-box'];
+    } else if (typeof word.x === 'number' && typeof word.y === 'number') {
+      out['bounding-box'] = { x: word.x, y: word.y, width: word.width || 0, height: word.height || 0 };
+    }
+    // Word detail kept in the transcript (see toTranscriptWords)
+    if (Array.isArray(word.strokeIds)) out.strokeIds = word.strokeIds;
+    else if (Array.isArray(word.items)) out.items = word.items;
+    if (Array.isArray(word.candidates)) out.candidates = word.candidates;
+    if (typeof word.confidence === 'number') out.confidence = word.confidence;
+    return out;
+  });
+  return { text, words };
+}
+
+async function postToLocalRecognizer(url, body) {
+  if (typeof window !== 'undefined' && window.electronAPI && window.electronAPI.recognizerHttpCall) {
+    return window.electronAPI.recognizerHttpCall(url, body);
+  }
+  // Browser fallback: needs the server to allow CORS.
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body
+  });
+  return { status: response.status, body: await response.text() };
+}
+
+const localHttpRecognizer = {
+  id: 'local-http',
+  label: 'Local recognizer (HTTP)',
+  local: true,
+  isConfigured(config) {
+    return /^https?:\/\/\S+$/i.test((config?.localHttp?.url || '').trim());
+  },
+  queueable: true,
+  async recognize(strokes, config, options = {}) {
+    const { transport, context } = localHttpRecognizer.prepare(strokes, config, options);
+    const result = await postToLocalRecognizer(transport.url, transport.body);
+    return localHttpRecognizer.parse(result, context);
+  },
+  prepare(strokes, config, options = {}) {
+    const recognizerStrokes = toRecognizerStrokes(strokes);
+    if (recognizerStrokes.length === 0) {
+      throw new Error('No strokes to transcribe');
+    }
+    const contentType = options.contentType || 'Text';
+    const body = JSON.stringify({
+      lang: options.lang || 'en_US',
+      contentType,
+      ...(options.lexicon?.length ? { lexicon: options.lexicon } : {}),
+      strokes: recognizerStrokes
+    });
+    const ys = recognizerStrokes.flatMap(stroke => stroke.y);
+    return {
+      transport: { kind: 'http', url: config.localHttp.url.trim(), body },
+      context: { contentType, yBounds: { minY: Math.min(...ys), maxY: Math.max(...ys) } }
+    };
+  },
+  parse(response, context) {
+    if (response.status === 0) {
+      throw new Error(`Local recognizer unreachable: ${response.body}`);
+    }
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Local recognizer error (${response.status}): ${response.body}`);
+    }
+    let data;
+    try {
+      data = JSON.parse(response.body);
+    } catch {
+      throw new Error('Local recognizer returned invalid JSON');
+    }
+    if (context.contentType === 'Math' && typeof data?.latex === 'string') {
+      return { ...buildMathTranscription(data.latex, context.yBounds), raw: data };
+    }
+    const { text, words } = normalizeLocalResponse(data);
+    return { ...buildTranscription(text, words), raw: data };
+  },
+  async test(config) {
+    try {
+      await localHttpRecognizer.recognize(
+        [{ dotArray: [{ x: 10, y: 10, timestamp: 0 }, { x: 20, y: 10, timestamp: 100 }, { x: 30, y: 10, timestamp: 200 }] }],
+        config
+      );
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Mock (deterministic, offline)
+// ---------------------------------------------------------------------------
+//
+// Groups strokes into lines by vertical overlap and names them "line-1",
+// "line-2", … top to bottom, each as one word spanning the line's ink and
+// linked to the line's strokes. Same strokes in, same result out — for tests
+// and for trying the transcription flow without any recognizer. For Math each line also gets `\text{line-N}`
+// as its LaTeX.
+
+function strokeBox(stroke) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const dot of stroke.dotArray) {
+    if (dot.x < minX) minX = dot.x;
+    if (dot.y < minY) minY = dot.y;
+    if (dot.x > maxX) maxX = dot.x;
+    if (dot.y > maxY) maxY = dot.y;
+  }
+  return { minX, minY, maxX, maxY, strokeIds: stroke.startTime != null ? [`s${stroke.startTime}`] : [] };
+}
+
+const mockRecognizer = {
+  id: 'mock',
+  label: 'Mock (testing)',
+  local: true,
+  isConfigured() {
+    return true;
+  },
+  async recognize(strokes, _config, options = {}) {
+    const boxes = (strokes || [])
+      .filter(stroke => stroke.dotArray && stroke.dotArray.length > 0)
+      .map(strokeBox)
+      .sort((a, b) => a.minY - b.minY || a.minX - b.minX);
+    if (boxes.length === 0) {
+      throw new Error('No strokes to transcribe');
+    }
+    const groups = [];
+    for (const box of boxes) {
+      const last = groups[groups.length - 1];
+      if (last && box.minY <= last.maxY) {
+        last.minX = Math.min(last.minX, box.minX);
+        last.maxX = Math.max(last.maxX, box.maxX);
+        last.maxY = Math.max(last.maxY, box.maxY);
+        last.strokeIds.push(...box.strokeIds);
+      } else {
+        groups.push({ ...box, strokeIds: [...box.strokeIds] });
+      }
+    }
+    const words = groups.map((g, i) => ({
+      label: `line-${i + 1}`,
+      'bounding-box': { x: g.minX, y: g.minY, width: g.maxX - g.minX, height: g.maxY - g.minY },
+      strokeIds: g.strokeIds
+    }));
+    const text = words.map(w => w.label).join('\n');
+    const result = buildTranscription(text, words);
+    if (options.contentType === 'Math') {
+      result.lines.forEach(line => { line.latex = `\\text{${line.text}}`; });
+    }
+    return result;
+  },
+  async test() {
+    return { success: true };
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+const RECOGNIZERS = [myscriptRecognizer, localHttpRecognizer, mockRecognizer];
+
+/** Engine used when the setting is missing or unknown. */
+export const DEFAULT_RECOGNIZER = 'myscript';
+
+/**
+ * All engines, in picker order.
+ * @returns {Array<{id: string, label: string, local: boolean}>}
+ */
+export function listRecognizers() {
+  return RECOGNIZERS.map(({ id, label, local }) => ({ id, label, local }));
+}
+
+/**
+ * Look up an engine by id, falling back to the default.
+ * @param {string} id
+ */
+export function getRecognizer(id) {
+  return RECOGNIZERS.find(r => r.id === id) || RECOGNIZERS.find(r => r.id === DEFAULT_RECOGNIZER);
+}
+
+/**
+ * Whether the selected engine has what it needs (keys, URL) to run.
+ * @param {Object} config - from getRecognitionConfig()
+ * @returns {boolean}
+ */
+export function isRecognizerConfigured(config) {
+  return getRecognizer(config?.engine).isConfigured(config);
+}
+
+/**
+ * Recognize strokes with the selected engine.
+ * @param {Array} strokes - pen SDK strokes
+ * @param {Object} config - from getRecognitionConfig()
+ * @param {{lang?: string, contentType?: string, lexicon?: string[]}} [options]
+ * @returns {Promise<{text: string, lines: Array, words: Array, commands: Array, raw?: Object}>}
+ */
+export async function recognizeStrokes(strokes, config, options = {}) {
+  if (!strokes || strokes.length === 0) {
+    throw new Error('No strokes to transcribe');
+  }
+  const recognizer = getRecognizer(config?.engine);
+  if (!recognizer.isConfigured(config)) {
+    throw new Error(`${recognizer.label} is not configured`);
+  }
+  return recognizer.recognize(strokes, config, options);
+}
+
+/**
+ * Build a queue job for the selected engine, or null when it can't be queued
+ * (the mock engine answers instantly, so there is nothing to wait for).
+ * @param {Array} strokes - pen SDK strokes
+ * @param {Object} config - from getRecognitionConfig()
+ * @param {{lang?: string, contentType?: string, lexicon?: string[]}} [options]
+ * @returns {{engine: string, transport: Object, context: Object}|null}
+ */
+export function prepareQueuedRecognition(strokes, config, options = {}) {
+  if (!strokes || strokes.length === 0) {
+    throw new Error('No strokes to transcribe');
+  }
+  const recognizer = getRecognizer(config?.engine);
+  if (!recognizer.queueable) return null;
+  if (!recognizer.isConfigured(config)) {
+    throw new Error(`${recognizer.label} is not configured`);
+  }
+  return { engine: recognizer.id, ...recognizer.prepare(strokes, config, options) };
+}
+
+/**
+ * Turn a queued job's answer into the structured result.
+ * @param {{engine: string, context: Object}} job
+ * @param {{status: number, body: string}} response
+ */
+export function parseQueuedRecognition(job, response) {
+  return getRecognizer(job.engine).parse(response, job.context);
+}
+
+/**
+ * Check the selected engine's configuration with a tiny request.
+ * @param {Object} config - from getRecognitionConfig()
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export function testRecognizer(config) {
+  return getRecognizer(config?.engine).test(config);
+}
@@ -0,0 +1,404 @@
+/**
+ * Transcript structure — turn a recognizer's raw output into the lines,
+ * indentation hierarchy and commands the rest of the app works with.
+ *
+ * Every recognition engine (see ./recognizers.js) reduces its response to
+ * the same two inputs:
+ *   - `text`: the recognized text, one handwritten line per `\n`
+ *   - `words`: JIIX-shaped words, `{ label, 'bounding-box': { x, y, width, height } }`,
+ *     in reading order. Words without a bounding box are counted but not placed.
+ *
+ * Lines take their position (x, baseline, yBounds) from the words matched to
+ * them; lines with no matched words get Y-bounds interpolated from their
+ * neighbours. Indent levels come from clustering line X positions, and
+ * registered `[command: value]` tags are collected with the lines they cover
+ * (see ../commands/registry.js).
+ *
+ * Math recognitions return LaTeX instead of words; buildMathTranscription
+ * makes one line per LaTeX row and keeps the source on `line.latex`.
+ *
+ * toTranscriptWords reduces a line's words to what the PageDoc keeps per
+ * word: the strokes behind it, the recognizer's alternatives and confidence.
+ */
+
+import { detectCommands } from '../commands/registry.js';
+
+/**
+ * Normalize transcript for canonical comparison
+ * Converts checkbox symbols to standard format
+ */
+function normalizeTranscript(text) {
+  return text
+    .replace(/☐/g, '[ ]')     // Empty checkbox
+    .replace(/☑/g, '[x]')     // Checked (variant 1)
+    .replace(/☒/g, '[x]')     // Checked (variant 2)
+    .replace(/\s+/g, ' ')     // Normalize whitespace
+    .trim();
+}
+
+/**
+ * Build the structured transcription from recognized text and words.
+ * @param {string} text
+ * @param {Array<{label: string, 'bounding-box'?: {x:number, y:number, width?:number, height?:number}}>} words
+ * @returns {{text: string, lines: Array, words: Array, commands: Array}}
+ */
+export function buildTranscription(text, words) {
+  // The recognizer's text carries its \n line breaks - TRUST THIS!
+  text = text || '';
+  words = words || [];
+  
+  console.log('Text:', text);
+  console.log('Words count:', words.length);
+  
+  // Filter words to only those with valid bounding boxes
+  const wordsWithBounds = words.filter(w => w && w['bounding-box'] && 
+    typeof w['bounding-box'].x === 'number' && 
+    typeof w['bounding-box'].y === 'number');
+  
+  console.log('Words with valid bounding boxes:', wordsWithBounds.length);
+  
+  // Split by the recognizer's line breaks
+  const labelLines = text.split('\n').filter(l => l.trim());
+  console.log('Label lines:', labelLines);
+  
+  // Build lines with word data
+  const lines = [];
+  
+  // Try to match words to lines based on Y position (baseline).
+  // searchStart persists across lines so that repeated words (e.g. two lines
+  // both starting with "Line") consume distinct JIIX entries rather than
+  // always matching the first occurrence.
+  let searchStart = 0;
+  labelLines.forEach((lineText, lineIdx) => {
+    // Find words that match this line's text
+    const lineWords = [];
+    const lineTextWords = lineText.split(/\s+/).filter(w => w.length > 0);
+
+    // Try to find matching words in the words array (only those with bounding boxes)
+    for (const textWord of lineTextWords) {
+      for (let i = searchStart; i < wordsWithBounds.length; i++) {
+        const word = wordsWithBounds[i];
+        if (word && word.label && word.label.toLowerCase() === textWord.toLowerCase()) {
+          lineWords.push(word);
+          searchStart = i + 1;
+          break;
+        }
+      }
+    }
+    
+    // Calculate line position
+    let lineX = 0;
+    let lineY = 0;
+    let minY = 0;
+    let maxY = 0;
+
+    if (lineWords.length > 0) {
+      // Use actual word positions - all words in lineWords have valid bounding boxes
+      const leftmostWord = lineWords.reduce((left, word) => {
+        if (!left) return word;
+        return word['bounding-box'].x < left['bounding-box'].x ? word : left;
+      }, null);
+
+      if (leftmostWord && leftmostWord['bounding-box']) {
+        lineX = leftmostWord['bounding-box'].x;
+        lineY = leftmostWord['bounding-box'].y;
+      }
+
+      // Calculate Y-bounds from word bounding boxes
+      minY = lineY;
+      maxY = lineY;
+      lineWords.forEach(word => {
+        if (word && word['bounding-box']) {
+          const bbox = word['bounding-box'];
+          const wordMinY = bbox.y;
+          const wordMaxY = bbox.y + (bbox.height || 0);
+          if (wordMinY < minY) minY = wordMinY;
+          if (wordMaxY > maxY) maxY = wordMaxY;
+        }
+      });
+    } else if (wordsWithBounds.length > 0) {
+      // No word matches for this line — mark with zero bounds for later interpolation
+      lineX = Math.min(...wordsWithBounds.map(w => w['bounding-box'].x));
+      // minY = maxY = 0 (interpolation pass below will fix these)
+    }
+
+    lines.push({
+      text: lineText,
+      canonical: normalizeTranscript(lineText),
+      words: lineWords,
+      x: lineX,
+      baseline: lineY,
+      yBounds: { minY, maxY },
+      mergedLineCount: 1,
+      blockUuid: null,
+      syncStatus: 'unsaved'
+    });
+  });
+
+  // Interpolate Y-bounds for lines that failed word matching (yBounds = 0-0).
+  // Uses nearest neighboring lines that did get valid word-match bounds.
+  for (let i = 0; i < lines.length; i++) {
+    const b = lines[i].yBounds;
+    if (b.minY !== 0 || b.maxY !== 0) continue; // already has valid bounds
+
+    // Find nearest predecessor and successor with valid bounds
+    let prev = null;
+    for (let j = i - 1; j >= 0; j--) {
+      if (lines[j].yBounds.minY !== 0 || lines[j].yBounds.maxY !== 0) {
+        prev = { idx: j, bounds: lines[j].yBounds };
+        break;
+      }
+    }
+    let next = null;
+    for (let j = i + 1; j < lines.length; j++) {
+      if (lines[j].yBounds.minY !== 0 || lines[j].yBounds.maxY !== 0) {
+        next = { idx: j, bounds: lines[j].yBounds };
+        break;
+      }
+    }
+
+    if (prev && next) {
+      const span = next.idx - prev.idx;
+      const t = (i - prev.idx) / span;
+      const avgHeight = ((prev.bounds.maxY - prev.bounds.minY) + (next.bounds.maxY - next.bounds.minY)) / 2;
+      const estMinY = prev.bounds.maxY + t * (next.bounds.minY - prev.bounds.maxY);
+      lines[i].yBounds = { minY: estMinY, maxY: estMinY + avgHeight };
+    } else if (prev) {
+      const lineHeight = prev.bounds.maxY - prev.bounds.minY;
+      const estMinY = prev.bounds.maxY + (i - prev.idx) * lineHeight;
+      lines[i].yBounds = { minY: estMinY, maxY: estMinY + lineHeight };
+    } else if (next) {
+      const lineHeight = next.bounds.maxY - next.bounds.minY;
+      const estMaxY = next.bounds.minY - (next.idx - i) * lineHeight;
+      lines[i].yBounds = { minY: estMaxY - lineHeight, maxY: estMaxY };
+    }
+    // If no valid neighbors at all, bounds stay 0-0 (line will be excluded by filter)
+    if (lines[i].yBounds.minY !== 0 || lines[i].yBounds.maxY !== 0) {
+      console.log(`Interpolated Y-bounds for line ${i} ("${lines[i].text.substring(0, 30)}..."): ${lines[i].yBounds.minY.toFixed(1)}-${lines[i].yBounds.maxY.toFixed(1)}`);
+    }
+  }
+
+  console.log('Parsed lines:', lines);
+  
+  // Calculate indentation
+  if (lines.length > 0) {
+    // Get all unique X positions and sort them
+    const xPositions = [...new Set(lines.map(l => l.x))].sort((a, b) => a - b);
+    const baseX = xPositions[0] || 0;
+    
+    // Calculate indent unit from word heights (using pre-filtered wordsWithBounds)
+    const wordHeights = wordsWithBounds
+      .map(w => w['bounding-box'].height)
+      .filter(h => typeof h === 'number' && h > 0);
+    const medianHeight = wordHeights.length > 0 
+      ? wordHeights.sort((a, b) => a - b)[Math.floor(wordHeights.length / 2)]
+      : 20;
+    // Ensure indent unit is reasonable (minimum 5 pixels to avoid division issues)
+    const indentUnit = Math.max(medianHeight * 0.75, 5);
+    
+    console.log('Base X:', baseX, 'Indent unit:', indentUnit);
+    console.log('X positions:', xPositions);
+    
+    // Cluster X positions into indent levels
+    // Group positions that are within indentUnit/2 of each other
+    const indentLevels = [];
+    xPositions.forEach(x => {
+      const indentPixels = x - baseX;
+      const level = Math.round(indentPixels / indentUnit);
+      
+      // Find or create indent level
+      let existingLevel = indentLevels.find(l => Math.abs(l.level - level) < 0.5);
+      if (!existingLevel) {
+        existingLevel = { level, xPositions: [] };
+        indentLevels.push(existingLevel);
+      }
+      existingLevel.xPositions.push(x);
+    });
+    
+    // Sort by level and calculate average X for each level
+    indentLevels.sort((a, b) => a.level - b.level);
+    const levelMap = new Map();
+    indentLevels.forEach((levelData, idx) => {
+      levelData.xPositions.forEach(x => {
+        levelMap.set(x, idx);
+      });
+    });
+    
+    console.log('Indent levels:', indentLevels);
+    console.log('Level map:', levelMap);
+    
+    lines.forEach(line => {
+      line.indentLevel = levelMap.get(line.x) || 0;
+      console.log(`Line "${line.text}" - X: ${line.x}, Level: ${line.indentLevel}`);
+    });
+    
+    // Build hierarchy
+    const stack = [{ indent: -1, index: -1 }];
+    lines.forEach((line, index) => {
+      line.parent = null;
+      line.children = [];
+      
+      // Pop until we find a parent with lower indent
+      while (stack.length > 1 && stack[stack.length - 1].indent >= line.indentLevel) {
+        stack.pop();
+      }
+      
+      const parent = stack[stack.length - 1];
+      if (parent.index >= 0) {
+        line.parent = parent.index;
+        lines[parent.index].children.push(index);
+      }
+      
+      stack.push({ indent: line.indentLevel, index });
+    });
+  }
+  
+  // Registered [command: value] tags and the lines they cover (see lib/commands/registry.js)
+  const commands = detectCommands(lines);
+  
+  console.log('Final lines:', lines);
+  console.log('Commands:', commands);
+  
+  return {
+    text,
+    lines,
+    words,
+    commands
+  };
+}
+
+/**
+ * Split recognized LaTeX into one row per handwritten line: a multi-line
+ * answer comes back as an align/array/aligned environment with `\\` breaks.
+ * @param {string} latex
+ * @returns {string[]}
+ */
+export function splitLatexRows(latex) {
+  let body = (latex || '').trim();
+  const env = body.match(/^\\begin\{(align\*?|aligned|array|gathered|gather\*?|split)\}(?:\{[^}]*\})?([\s\S]*)\\end\{\1\}$/);
+  if (env) body = env[2];
+  return body
+    .split(/\\\\/)
+    .map(row => row.replace(/&/g, '').trim())
+    .filter(row => row.length > 0);
+}
+
+/**
+ * Build the structured transcription for a Math recognition. Each LaTeX row
+ * becomes a line whose `text` and `latex` are the row's source; rows share
+ * the ink's vertical extent evenly, since the LaTeX export carries no
+ * positions.
+ * @param {string} latex
+ * @param {{minY: number, maxY: number}} yBounds - extent of the ink in the recognizer's space
+ * @returns {{text: string, lines: Array, words: Array, commands: Array}}
+ */
+export function buildMathTranscription(latex, yBounds) {
+  const rows = splitLatexRows(latex);
+  const { minY = 0, maxY = 0 } = yBounds || {};
+  const rowHeight = rows.length > 0 ? (maxY - minY) / rows.length : 0;
+
+  const lines = rows.map((row, i) => ({
+    text: row,
+    latex: row,
+    canonical: normalizeTranscript(row),
+    words: [],
+    x: 0,
+    baseline: minY + rowHeight * (i + 1),
+    yBounds: { minY: minY + rowHeight * i, maxY: minY + rowHeight * (i + 1) },
+    mergedLineCount: 1,
+    blockUuid: null,
+    syncStatus: 'unsaved',
+    indentLevel: 0,
+    parent: null,
+    children: []
+  }));
+
+  return {
+    text: rows.join('\n'),
+    lines,
+    words: [],
+    commands: []
+  };
+}
+
+/** Words scored below this are marked for review in the transcript. */
+export const LOW_CONFIDENCE = 0.6;
+
+/**
+ * Stroke ids behind a recognized word: JIIX lists the word's ink as `items`
+ * of type "stroke" carrying the id each stroke was sent with (`s{startTime}`,
+ * the StoredStroke id); local recognizers may answer with `strokeIds`.
+ */
+function wordStrokeIds(word) {
+  if (Array.isArray(word.strokeIds)) return word.strokeIds.map(String);
+  return (word.items || [])
+    .filter(item => item && item.type === 'stroke' && item.id != null)
+    .map(item => String(item.id));
+}
+
+/**
+ * The persisted form of a line's words: one entry per word of the line's
+ * text, in order, so `words.map(w => w.text).join(' ')` is the line. Each
+ * recognized word keeps the strokes it was written with, the recognizer's
+ * alternatives and its confidence (0–1) when the recognizer gives one —
+ * MyScript's JIIX has candidates but no score. Words the recognizer didn't
+ * report (or text without words) are plain `{ text }`.
+ * @param {string} lineText
+ * @param {Array} recognizedWords - JIIX-shaped words matched to the line
+ * @returns {import('../storage/page-doc.js').TranscriptWord[]}
+ */
+export function toTranscriptWords(lineText, recognizedWords) {
+  const pool = (recognizedWords || []).filter(w => w && typeof w.label === 'string');
+  let cursor = 0;
+  return (lineText || '').split(/\s+/).filter(Boolean).map(token => {
+    const index = pool.findIndex((w, i) => i >= cursor && w.label.toLowerCase() === token.toLowerCase());
+    if (index === -1) return { text: token };
+    cursor = index + 1;
+    const word = pool[index];
+    const out = { text: token };
+    const strokeIds = wordStrokeIds(word);
+    if (strokeIds.length > 0) out.strokeIds = strokeIds;
+    const candidates = [...new Set((word.candidates || []).filter(c => typeof c === 'string' && c.trim() && c !== token))];
+    if (candidates.length > 0) out.candidates = candidates;
+    if (typeof word.confidence === 'number' && isFinite(word.confidence)) out.confidence = word.confidence;
+    return out;
+  });
+}
+
+/**
+ * Whether a line's stored words still describe its text (a hand edit of the
+ * text makes them stale).
+ * @param {{text?: string, words?: Array}} line
+ */
+export function hasCurrentWords(line) {
+  return Array.isArray(line?.words) && line.words.length > 0 &&
+    line.words.map(w => w.text).join(' ') === (line.text || '').trim().split(/\s+/).filter(Boolean).join(' ');
+}
+
+/** @param {{confidence?: number}} word */
+export function isLowConfidence(word) {
+  return typeof word?.confidence === 'number' && word.confidence < LOW_CONFIDENCE;
+}
+
+/**
+ * Replace one word of a line with one of its alternatives. The word keeps its
+ * strokes; the replaced text becomes an alternative and the confidence goes,
+ * since the word is now the user's choice.
+ * @param {Object} line - transcript line with current `words`
+ * @param {number} index
+ * @param {string} replacement
+ * @returns {Object} the corrected line
+ */
+export function correctTranscriptWord(line, index, replacement) {
+  const words = line.words.map((word, i) => {
+    if (i !== index) return word;
+    const { confidence, ...rest } = word;
+    const candidates = [word.text, ...(word.candidates || []).filter(c => c !== replacement)];
+    return { ...rest, text: replacement, candidates };
+  });
+  const text = words.map(w => w.text).join(' ');
+  const corrected = { ...line, text, words };
+  // A Math line's text is its LaTeX
+  if (typeof line.latex === 'string') corrected.latex = text;
+  return corrected;
+}
@@ -0,0 +1,209 @@
+/**
+ * Transcription queue — renderer side of main's persistent recognition queue.
+ *
+ * "Transcribe" hands each page to {@link enqueueTranscription} rather than
+ * waiting on the recognizer. The request is prepared here (the same body the
+ * engine would send itself) and main sends it: it retries through outages
+ * and rate limits, spaces requests and counts MyScript usage per month (see
+ * "Transcription queue" in electron/main.cjs). {@link startTranscriptionQueue}
+ * parses each finished answer, files it as the page's transcription and
+ * removes the job — including jobs queued while offline or before a restart.
+ * An answer that can't be parsed or filed stays queued as a failed job with
+ * its raw response, to be retried (without a new request) or inspected.
+ *
+ * Outside Electron there is no queue: enqueueTranscription returns null and
+ * callers recognize directly.
+ */
+
+import { get } from 'svelte/store';
+import {
+  log,
+  myscriptAppKey,
+  myscriptHmacKey,
+  myscriptMonthlyLimit,
+  getMyScriptCredentials,
+  transcriptionQueueState,
+  setTranscriptionQueueState,
+  quotaLevel
+} from '$stores';
+import { prepareQueuedRecognition, parseQueuedRecognition } from './recognizers.js';
+import { fileTranscriptionResult } from './incremental-transcription.js';
+
+function getQueueAPI() {
+  return (typeof window !== 'undefined' && window.transcriptionQueueAPI) || null;
+}
+
+/**
+ * Unwrap the { ok, result } | { ok: false, error } envelope used by the IPC layer.
+ */
+function unwrap(response, action) {
+  if (!response) throw new Error(`transcription queue: empty response from ${action}`);
+  if (response.ok === false) throw new Error(response.error || `transcription queue: ${action} failed`);
+  return response.result;
+}
+
+/** Whether recognition can go through main's queue (Electron only). */
+export function isTranscriptionQueueAvailable() {
+  return !!getQueueAPI();
+}
+
+/**
+ * Queue one page's strokes for recognition.
+ * @param {Array} strokes - pen SDK strokes still to transcribe
+ * @param {Object} config - from getRecognitionConfig()
+ * @param {{lang?: string, contentType?: string}} options
+ * @param {{pageKey: string, pageInfo: Object, strokeCount: number, lineId?: string|null}} page -
+ *   where the result goes; `lineId` when the strokes re-transcribe an existing line
+ * @returns {Promise<Object|null>} the job (an existing one if these strokes are
+ *   already queued), or null when the engine or environment has no queue
+ */
+export async function enqueueTranscription(strokes, config, options, page) {
+  const api = getQueueAPI();
+  if (!api) return null;
+  const prepared = prepareQueuedRecognition(strokes, config, options);
+  if (!prepared) return null;
+
+  const strokeIds = strokes.map(stroke => String(stroke.startTime));
+  const lineId = page.lineId || null;
+  const existing = get(transcriptionQueueState).jobs.find(job =>
+    job.status !== 'failed' &&
+    job.meta?.pageKey === page.pageKey &&
+    (job.meta.lineId || null) === lineId &&
+    job.meta.strokeIds?.join(',') === strokeIds.join(',')
+  );
+  if (existing) return existing;
+
+  const { book, page: pageNum } = page.pageInfo;
+  const res = await api.enqueue({
+    ...prepared,
+    label: `B${book}/P${pageNum}`,
+    meta: { pageKey: page.pageKey, pageInfo: page.pageInfo, strokeCount: page.strokeCount, strokeIds, lineId }
+  });
+  return unwrap(res, 'enqueue');
+}
+
+/**
+ * Send failed (or backing-off) jobs again now.
+ * @param {string|null} [id] - one job, or all when omitted
+ */
+export async function retryTranscriptionJobs(id = null) {
+  const api = getQueueAPI();
+  if (!api) return;
+  unwrap(await api.retry(id), 'retry');
+}
+
+/**
+ * The raw answer kept with a job, e.g. one that could not be filed.
+ * @param {string} id
+ * @returns {Promise<{status: number, body: string}|null>}
+ */
+export async function getTranscriptionJobAnswer(id) {
+  const api = getQueueAPI();
+  if (!api) return null;
+  return unwrap(await api.getResult(id), 'getResult').response;
+}
+
+/**
+ * Drop a job, whatever its state.
+ * @param {string} id
+ */
+export async function removeTranscriptionJob(id) {
+  const api = getQueueAPI();
+  if (!api) return;
+  unwrap(await api.remove(id), 'remove');
+}
+
+/**
+ * Follow main's queue: mirror its state into the store, apply finished jobs,
+ * keep main's MyScript keys and online flag current, and warn as the month's
+ * usage crosses the allowance thresholds. Call once at startup; returns a
+ * stop function. A no-op outside Electron.
+ * @returns {() => void}
+ */
+export function startTranscriptionQueue() {
+  const api = getQueueAPI();
+  if (!api) return () => {};
+
+  const applying = new Set();
+  let lastQuotaLevel = 'ok';
+
+  async function applyResult(id) {
+    applying.add(id);
+    try {
+      const job = unwrap(await api.getResult(id), 'getResult');
+      try {
+        const result = parseQueuedRecognition(job, job.response);
+        const { strokeIds, ...page } = job.meta;
+        // Filing only reads the transcribed strokes' startTime
+        fileTranscriptionResult(page, result, strokeIds.map(startTime => ({ startTime })));
+        log(`✓ ${job.label}: ${result.text?.length || 0} characters, ${result.lines?.length || 0} lines`, 'success');
+      } catch (err) {
+        // Keep the answer: retrying files it again without another request
+        log(`✗ Could not read the transcription of ${job.label}: ${err.message} — kept in the queue to retry`, 'error');
+        unwrap(await api.fail(id, err.message), 'fail');
+        return;
+      }
+      unwrap(await api.remove(id), 'remove');
+    } catch (err) {
+      console.warn('Applying a queued transcription failed:', err);
+    } finally {
+      applying.delete(id);
+    }
+  }
+
+  function warnOnQuota(usage) {
+    const limit = get(myscriptMonthlyLimit);
+    const level = quotaLevel(usage.myscript, limit);
+    if (level !== lastQuotaLevel && level !== 'ok') {
+      log(
+        level === 'exceeded'
+          ? `MyScript usage: ${usage.myscript} requests this month — over the ${limit} allowance`
+          : `MyScript usage: ${usage.myscript} of ${limit} requests this month`,
+        'warning'
+      );
+    }
+    lastQuotaLevel = level;
+  }
+
+  function handleState(state) {
+    setTranscriptionQueueState(state);
+    warnOnQuota(state.usage);
+    for (const job of state.jobs) {
+      if (job.status === 'done' && !applying.has(job.id)) applyResult(job.id);
+    }
+  }
+
+  function reportError(action) {
+    return (err) => {
+      console.warn(`Transcription queue ${action} failed:`, err);
+      log(`Transcription queue unavailable: ${err.message}`, 'warning');
+    };
+  }
+
+  const offChanged = api.onChanged(handleState);
+
+  function syncKeys() {
+    api.configure({ myscript: getMyScriptCredentials() })
+      .then((res) => handleState(unwrap(res, 'configure')))
+      .catch(reportError('configure'));
+  }
+  const offAppKey = myscriptAppKey.subscribe(syncKeys);
+  const offHmacKey = myscriptHmacKey.subscribe(syncKeys);
+
+  function syncOnline() {
+    api.setOnline(navigator.onLine)
+      .then((res) => unwrap(res, 'setOnline'))
+      .catch(reportError('setOnline'));
+  }
+  window.addEventListener('online', syncOnline);
+  window.addEventListener('offline', syncOnline);
+  syncOnline();
+
+  return () => {
+    offChanged();
+    offAppKey();
+    offHmacKey();
+    window.removeEventListener('online', syncOnline);
+    window.removeEventListener('offline', syncOnline);
+  };
+}
@@ -0,0 +1,594 @@
+/**
+ * Search Index — an inverted index over transcript lines.
+ *
+ * transcript-search.js re-tokenized every page's text on every keystroke and
+ * scored a page by how many query tokens partially matched it. This index is
+ * built by each folder scan (from the PageMeta the scan already reads) and
+ * patched one page at a time on save, so a query only walks the vocabulary
+ * and the postings of the terms it matches. Postings are kept per line, so
+ * every hit names the exact transcript line (id + yBounds) it came from.
+ *
+ * The index persists between runs (serializeSearchIndex → the data folder's
+ * _search-index.json): buildSearchIndex reuses a saved page whose file
+ * modification time is unchanged and only re-tokenizes the rest.
+ *
+ * Query syntax:
+ *   milk eggs            both words, anywhere on the page (implicit AND)
+ *   "call back"          phrase: consecutive words on one line
+ *   milk OR eggs         either side; OR binds looser than AND (also `|`)
+ *   -draft, NOT draft    leave out pages containing the word / phrase
+ *   book:3, book:Work    only that book (number, or alias via resolveBook)
+ *   after:2026-01-01     saved on/after that (local) day; before: likewise
+ *
+ * Matching allows for MyScript misrecognitions: look-alike characters and
+ * letter pairs are folded together (0/o, 1/l/i, 5/s, rn/m, cl/d, vv/w …),
+ * words of four or more letters may be one edit off (two from seven letters,
+ * a look-alike substitution counting half), and any word also matches as a
+ * prefix so results narrow while typing. Exact matches rank highest.
+ * Exclusions only drop pages with an exact or look-alike match.
+ *
+ * Pure (no I/O, no stores) so it can be unit-tested; the session's index
+ * lives in stores/search-index.js.
+ */
+
+/**
+ * @typedef {Object} IndexedLine
+ * @property {string|null} id
+ * @property {string} text
+ * @property {number} indentLevel
+ * @property {{minY:number, maxY:number}|null} yBounds
+ * @property {string[]} tokens - normalized, in reading order (for phrases)
+ */
+
+/**
+ * @typedef {Object} IndexedPage
+ * @property {number} book
+ * @property {string} pageId
+ * @property {number} page
+ * @property {string|null} lastUpdated
+ * @property {string|null} stamp - the page file's mtime when indexed; null if unknown
+ * @property {IndexedLine[]} lines
+ */
+
+/**
+ * @typedef {Object} SavedSearchIndex - the persisted form of a SearchIndex
+ * @property {number} version - SEARCH_INDEX_VERSION it was written with
+ * @property {IndexedPage[]} pages
+ */
+
+/**
+ * @typedef {Object} SearchIndex
+ * @property {Map<string, IndexedPage>} pages            - "B{book}/P{pageId}" → page
+ * @property {Map<string, Map<string, Set<number>>>} postings - term → pageKey → line indexes
+ * @property {Map<string, string>} folded                 - term → foldToken(term), kept with postings
+ */
+
+/**
+ * @typedef {Object} SearchHit
+ * @property {string|null} lineId
+ * @property {number} lineIndex
+ * @property {string} text
+ * @property {number} indentLevel
+ * @property {{minY:number, maxY:number}|null} yBounds
+ * @property {string[]} terms - indexed terms on this line that matched (for highlighting)
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {number} book
+ * @property {string} pageId
+ * @property {number} page
+ * @property {string|null} lastUpdated
+ * @property {number} score
+ * @property {SearchHit[]} hits - in line order; empty for a filter-only query
+ */
+
+const MIN_TOKEN_LENGTH = 2;
+
+/**
+ * Bump when tokenizing changes, so indexes saved by an older build are
+ * rebuilt instead of reused.
+ */
+export const SEARCH_INDEX_VERSION = 1;
+
+// Word characters in any script, plus in-word hyphens ("5444-005").
+const WORD_RE = /[\p{L}\p{N}_]+(?:-[\p{L}\p{N}_]+)*/gu;
+
+// LogSeq property lines ("tags:: x") are metadata, not handwriting.
+const PROPERTY_LINE_RE = /^\s*[a-z-]+::/i;
+
+/**
+ * Letter pairs MyScript reads as one letter, and vice versa. Applied after
+ * FOLD_CHARS, so "vv" is spelled "uu" here.
+ */
+const FOLD_SEQUENCES = [
+  [/rn/g, 'm'],
+  [/cl/g, 'd'],
+  [/uu/g, 'w']
+];
+
+/** Look-alike characters folded onto one representative. */
+const FOLD_CHARS = { 0: 'o', 1: 'l', i: 'l', 5: 's', 2: 'z', 9: 'g', q: 'g', v: 'u' };
+
+/** Substitutions that cost half an edit: shapes that blur in quick handwriting. */
+const NEAR_PAIRS = new Set(['ao', 'oa', 'ce', 'ec', 'hn', 'nh', 'nu', 'un', 'ae', 'ea']);
+
+const WEIGHT_EXACT = 1;
+const WEIGHT_FOLDED = 0.9;
+const WEIGHT_PREFIX = 0.75;
+const WEIGHT_FUZZY = 0.6;
+const PHRASE_BONUS = 1.5;
+
+const FILTER_FIELDS = new Set(['book', 'after', 'before']);
+
+/* ============================================================
+ *  Tokens
+ * ============================================================ */
+
+/**
+ * Word spans of a line, with their normalized tokens. Shared by indexing and
+ * highlighting so both agree on what a "word" is.
+ * @param {string} text
+ * @returns {Array<{start:number, end:number, token:string}>}
+ */
+export function tokenSpans(text) {
+  const spans = [];
+  if (!text || PROPERTY_LINE_RE.test(text)) return spans;
+  for (const m of text.matchAll(WORD_RE)) {
+    const token = m[0].toLowerCase();
+    if (token.length < MIN_TOKEN_LENGTH) continue;
+    spans.push({ start: m.index, end: m.index + m[0].length, token });
+  }
+  return spans;
+}
+
+/** Normalized tokens of a line, in order (duplicates kept for phrase positions). */
+export function lineTokens(text) {
+  return tokenSpans(text).map(s => s.token);
+}
+
+/**
+ * Collapse look-alike characters so common misrecognitions compare equal
+ * ("c1ient" / "dient" / "client" all fold to "dlent").
+ * @param {string} token - already normalized
+ */
+export function foldToken(token) {
+  let folded = '';
+  for (const ch of token) folded += FOLD_CHARS[ch] || ch;
+  for (const [re, to] of FOLD_SEQUENCES) folded = folded.replace(re, to);
+  return folded;
+}
+
+/** Edits allowed between a query word and an indexed word of this length. */
+function maxEdits(length) {
+  if (length >= 7) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Damerau-Levenshtein distance where near-look-alike substitutions cost 0.5.
+ * Gives up (returns Infinity) once every path exceeds `limit`.
+ */
+export function editDistance(a, b, limit = Infinity) {
+  if (Math.abs(a.length - b.length) > limit) return Infinity;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const ca = a[i - 1];
+      const cb = b[j - 1];
+      const sub = ca === cb ? 0 : NEAR_PAIRS.has(ca + cb) ? 0.5 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + sub);
+      if (prevPrev && i > 1 && j > 1 && ca === b[j - 2] && a[i - 2] === cb) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > limit) return Infinity;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/* ============================================================
+ *  Building
+ * ============================================================ */
+
+export function pageKeyOf(book, pageId) {
+  return `B${book}/P${pageId}`;
+}
+
+/** @returns {SearchIndex} */
+export function createSearchIndex() {
+  return { pages: new Map(), postings: new Map(), folded: new Map() };
+}
+
+/**
+ * Remove a page's postings. No-op for a page that isn't indexed.
+ * @param {SearchIndex} index
+ */
+export function removePageFromIndex(index, book, pageId) {
+  const key = pageKeyOf(book, pageId);
+  const entry = index.pages.get(key);
+  if (!entry) return;
+  for (const line of entry.lines) {
+    for (const token of line.tokens) {
+      const byPage = index.postings.get(token);
+      if (!byPage) continue;
+      byPage.delete(key);
+      if (byPage.size === 0) {
+        index.postings.delete(token);
+        index.folded.delete(token);
+      }
+    }
+  }
+  index.pages.delete(key);
+}
+
+/**
+ * (Re-)index one page, replacing whatever was indexed for it before.
+ * @param {SearchIndex} index
+ * @param {{book:number, pageId:string|number, page?:number, lastUpdated?:string|null,
+ *          stamp?:string|null,
+ *          lines: Array<{id?:string|null, text?:string, indentLevel?:number, yBounds?:Object|null}>}} page
+ */
+export function indexPage(index, { book, pageId, page, lastUpdated = null, stamp = null, lines }) {
+  const id = String(pageId);
+  removePageFromIndex(index, book, id);
+  addIndexedPage(index, {
+    book,
+    pageId: id,
+    page: page ?? parseInt(id, 10),
+    lastUpdated,
+    stamp,
+    lines: (lines || []).map(l => ({
+      id: l.id ?? null,
+      text: l.text || '',
+      indentLevel: l.indentLevel || 0,
+      yBounds: l.yBounds ?? null,
+      tokens: lineTokens(l.text || '')
+    }))
+  });
+}
+
+/**
+ * Build an index over a folder's pages, reusing the entries of a saved index
+ * whose page file is unchanged (same stamp) instead of re-tokenizing them.
+ * A saved index from another SEARCH_INDEX_VERSION is ignored.
+ * @param {Array<Parameters<typeof indexPage>[1]>} pages
+ * @param {SavedSearchIndex|null} [saved]
+ * @returns {{index: SearchIndex, reused: number, reindexed: number}}
+ */
+export function buildSearchIndex(pages, saved = null) {
+  const index = createSearchIndex();
+  const previous = new Map();
+  if (saved && saved.version === SEARCH_INDEX_VERSION && Array.isArray(saved.pages)) {
+    for (const entry of saved.pages) {
+      if (entry && entry.stamp && Array.isArray(entry.lines) && entry.lines.every(l => Array.isArray(l?.tokens))) {
+        previous.set(pageKeyOf(entry.book, entry.pageId), entry);
+      }
+    }
+  }
+
+  let reused = 0;
+  let reindexed = 0;
+  for (const page of pages || []) {
+    const id = String(page.pageId);
+    const entry = previous.get(pageKeyOf(page.book, id));
+    if (entry && page.stamp && entry.stamp === page.stamp) {
+      removePageFromIndex(index, page.book, id);
+      addIndexedPage(index, { ...entry, pageId: id, lastUpdated: page.lastUpdated ?? entry.lastUpdated });
+      reused++;
+    } else {
+      indexPage(index, page);
+      reindexed++;
+    }
+  }
+  return { index, reused, reindexed };
+}
+
+/**
+ * The persisted form of an index (plain JSON; postings are rebuilt on load).
+ * @param {SearchIndex} index
+ * @returns {SavedSearchIndex}
+ */
+export function serializeSearchIndex(index) {
+  return { version: SEARCH_INDEX_VERSION, pages: [...index.pages.values()] };
+}
+
+/** Add an already-tokenized page and its postings. */
+function addIndexedPage(index, entry) {
+  const key = pageKeyOf(entry.book, entry.pageId);
+  const indexed = entry.lines;
+  index.pages.set(key, entry);
+
+  indexed.forEach((line, lineIndex) => {
+    for (const token of line.tokens) {
+      let byPage = index.postings.get(token);
+      if (!byPage) {
+        index.postings.set(token, (byPage = new Map()));
+        index.folded.set(token, foldToken(token));
+      }
+      let lineSet = byPage.get(key);
+      if (!lineSet) byPage.set(key, (lineSet = new Set()));
+      lineSet.add(lineIndex);
+    }
+  });
+}
+
+/* ============================================================
+ *  Query parsing
+ * ============================================================ */
+
+/**
+ * @typedef {Object} QueryClause
+ * @property {'term'|'phrase'} type
+ * @property {string[]} tokens
+ */
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {Array<{include: QueryClause[], exclude: QueryClause[]}>} groups - OR'd together
+ * @property {{books: string[], after: string|null, before: string|null}} filters
+ */
+
+// -? then either field:"quoted", "quoted", or a bare run of non-space.
+const QUERY_PART_RE = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+
+/**
+ * Parse the query syntax described in the module header. Filters apply to
+ * the whole query wherever they appear.
+ * @param {string} query
+ * @returns {ParsedQuery}
+ */
+export function parseSearchQuery(query) {
+  const filters = { books: [], after: null, before: null };
+  const groups = [{ include: [], exclude: [] }];
+  let negateNext = false;
+
+  for (const m of String(query || '').matchAll(QUERY_PART_RE)) {
+    const [raw, minus, rawField, quoted, bare] = m;
+    const field = rawField && rawField.toLowerCase();
+
+    if (field && FILTER_FIELDS.has(field)) {
+      const value = (quoted ?? bare ?? '').trim();
+      if (!value) continue;
+      if (field === 'book') filters.books.push(value);
+      else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) filters[field] = value;
+      continue;
+    }
+
+    if (quoted == null && !minus && !field) {
+      if (bare === 'OR' || bare === '|') {
+        groups.push({ include: [], exclude: [] });
+        negateNext = false;
+        continue;
+      }
+      if (bare === 'AND') continue;
+      if (bare === 'NOT') {
+        negateNext = true;
+        continue;
+      }
+    }
+
+    // An unknown "field:" is just text ("re: budget", "10:30").
+    const text = quoted != null ? quoted : raw.slice(minus.length);
+    const tokens = lineTokens(text);
+    const negate = !!minus || negateNext;
+    negateNext = false;
+    if (tokens.length === 0) continue;
+
+    const clause = { type: quoted != null || tokens.length > 1 ? 'phrase' : 'term', tokens };
+    const group = groups[groups.length - 1];
+    (negate ? group.exclude : group.include).push(clause);
+  }
+
+  return {
+    groups: groups.filter(g => g.include.length || g.exclude.length),
+    filters
+  };
+}
+
+/* ============================================================
+ *  Searching
+ * ============================================================ */
+
+/**
+ * Indexed terms a query word matches, with a weight per term. `strict` (used
+ * for exclusions, where a near miss shouldn't hide a page) allows only exact
+ * and look-alike-folded matches.
+ * @returns {Map<string, number>}
+ */
+function matchingTerms(index, word, cache, strict) {
+  const cacheKey = `${strict ? '!' : ''}${word}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+  const matches = new Map();
+  const folded = foldToken(word);
+  const limit = strict ? 0 : maxEdits(word.length);
+
+  for (const [term, termFolded] of index.folded) {
+    let weight = 0;
+    if (term === word) weight = WEIGHT_EXACT;
+    else if (termFolded === folded) weight = WEIGHT_FOLDED;
+    else if (strict) continue;
+    else if (term.startsWith(word)) weight = WEIGHT_PREFIX;
+    else if (limit > 0) {
+      const d = editDistance(folded, termFolded, limit);
+      if (d <= limit) weight = WEIGHT_FUZZY - 0.1 * d;
+    }
+    if (weight > 0) matches.set(term, weight);
+  }
+  cache.set(cacheKey, matches);
+  return matches;
+}
+
+/**
+ * Where a clause matches, across the whole index.
+ * @returns {Map<string, {weight:number, lines: Map<number, Set<string>>}>} pageKey → match
+ */
+function evaluateClause(index, clause, cache, strict) {
+  const perWord = clause.tokens.map(w => matchingTerms(index, w, cache, strict));
+  const out = new Map();
+
+  if (clause.type === 'term') {
+    for (const [term, weight] of perWord[0]) {
+      for (const [key, lineSet] of index.postings.get(term)) {
+        let match = out.get(key);
+        if (!match) out.set(key, (match = { weight: 0, lines: new Map() }));
+        match.weight = Math.max(match.weight, weight);
+        for (const i of lineSet) {
+          if (!match.lines.has(i)) match.lines.set(i, new Set());
+          match.lines.get(i).add(term);
+        }
+      }
+    }
+    return out;
+  }
+
+  // Phrase: only pages where every word matches somewhere are candidates;
+  // then look for the words in order on a single line.
+  let candidates = null;
+  for (const terms of perWord) {
+    const pages = new Set();
+    for (const term of terms.keys()) {
+      for (const key of index.postings.get(term).keys()) pages.add(key);
+    }
+    candidates = candidates ? new Set([...candidates].filter(k => pages.has(k))) : pages;
+    if (candidates.size === 0) return out;
+  }
+
+  for (const key of candidates) {
+    const entry = index.pages.get(key);
+    entry.lines.forEach((line, lineIndex) => {
+      const toks = line.tokens;
+      for (let start = 0; start + perWord.length <= toks.length; start++) {
+        let sum = 0;
+        let ok = true;
+        for (let k = 0; k < perWord.length && ok; k++) {
+          const w = perWord[k].get(toks[start + k]);
+          if (w == null) ok = false;
+          else sum += w;
+        }
+        if (!ok) continue;
+        let match = out.get(key);
+        if (!match) out.set(key, (match = { weight: 0, lines: new Map() }));
+        match.weight = Math.max(match.weight, (sum / perWord.length) * PHRASE_BONUS);
+        if (!match.lines.has(lineIndex)) match.lines.set(lineIndex, new Set());
+        for (let k = 0; k < perWord.length; k++) match.lines.get(lineIndex).add(toks[start + k]);
+      }
+    });
+  }
+  return out;
+}
+
+/** Local midnight of a YYYY-MM-DD day, in ms. */
+function dayStart(day) {
+  return new Date(`${day}T00:00:00`).getTime();
+}
+
+function passesFilters(entry, filters, bookSet) {
+  if (bookSet && !bookSet.has(entry.book)) return false;
+  if (filters.after || filters.before) {
+    const t = Date.parse(entry.lastUpdated || '');
+    if (!Number.isFinite(t)) return false;
+    if (filters.after && t < dayStart(filters.after)) return false;
+    if (filters.before && t >= dayStart(filters.before)) return false;
+  }
+  return true;
+}
+
+/**
+ * Run a query against the index.
+ * @param {SearchIndex} index
+ * @param {string} query
+ * @param {{resolveBook?: (name: string) => number[]}} [options]
+ *   resolveBook maps a non-numeric book:… value (an alias) to book ids.
+ * @returns {SearchResult[]} best first; [] for an empty query
+ */
+export function searchIndex(index, query, { resolveBook = () => [] } = {}) {
+  const { groups, filters } = parseSearchQuery(query);
+  const hasFilters = filters.books.length > 0 || filters.after || filters.before;
+  if (groups.length === 0 && !hasFilters) return [];
+
+  let bookSet = null;
+  if (filters.books.length) {
+    bookSet = new Set();
+    for (const value of filters.books) {
+      if (/^\d+$/.test(value)) bookSet.add(Number(value));
+      else for (const id of resolveBook(value) || []) bookSet.add(Number(id));
+    }
+  }
+
+  const cache = new Map();
+  const clauseCache = new Map();
+  const evaluate = (clause, strict = false) => {
+    const k = `${strict ? '!' : ''}${clause.type}:${clause.tokens.join(' ')}`;
+    if (!clauseCache.has(k)) clauseCache.set(k, evaluateClause(index, clause, cache, strict));
+    return clauseCache.get(k);
+  };
+
+  /** @type {Map<string, {score:number, lines: Map<number, Set<string>>}>} */
+  const matched = new Map();
+  const effectiveGroups = groups.length ? groups : [{ include: [], exclude: [] }];
+
+  for (const group of effectiveGroups) {
+    const includes = group.include.map(evaluate);
+    const excludes = group.exclude.map(c => evaluate(c, true));
+
+    let keys;
+    if (includes.length) {
+      keys = [...includes[0].keys()].filter(k => includes.every(m => m.has(k)));
+    } else {
+      keys = [...index.pages.keys()];
+    }
+
+    for (const key of keys) {
+      if (excludes.some(m => m.has(key))) continue;
+      if (!passesFilters(index.pages.get(key), filters, bookSet)) continue;
+
+      const score = includes.reduce((sum, m) => sum + m.get(key).weight, 0);
+      let result = matched.get(key);
+      if (!result) matched.set(key, (result = { score: 0, lines: new Map() }));
+      result.score = Math.max(result.score, score);
+      for (const m of includes) {
+        for (const [i, terms] of m.get(key).lines) {
+          if (!result.lines.has(i)) result.lines.set(i, new Set());
+          for (const t of terms) result.lines.get(i).add(t);
+        }
+      }
+    }
+  }
+
+  const results = [];
+  for (const [key, { score, lines }] of matched) {
+    const entry = index.pages.get(key);
+    const hits = [...lines.keys()].sort((a, b) => a - b).map(i => {
+      const line = entry.lines[i];
+      return {
+        lineId: line.id,
+        lineIndex: i,
+        text: line.text,
+        indentLevel: line.indentLevel,
+        yBounds: line.yBounds,
+        terms: [...lines.get(i)]
+      };
+    });
+    results.push({
+      book: entry.book,
+      pageId: entry.pageId,
+      page: entry.page,
+      lastUpdated: entry.lastUpdated,
+      score,
+      hits
+    });
+  }
+
+  return results.sort((a, b) =>
+    (b.score - a.score) || String(b.lastUpdated || '').localeCompare(String(a.lastUpdated || ''))
+  );
+}
@@ -0,0 +1,345 @@
+/**
+ * Sketch search — find handwriting by shape rather than by transcript text.
+ *
+ * Pages with no (or a poor) MyScript transcription — sketches, abbreviations,
+ * other languages — are invisible to the full-text index. Here the user draws
+ * the word or symbol instead, and every page's stored strokes are compared
+ * against it:
+ *
+ *   1. Candidates. The page's strokes, in writing order, are grouped into runs
+ *      of k-1 … k+1 consecutive strokes (k = strokes in the sketch; the same
+ *      word is rarely written with exactly the same pen lifts). A run must be
+ *      spatially compact — every stroke touching the growing group — and no
+ *      bigger than a word or symbol.
+ *   2. Cheap gates. Aspect ratio and ink density (path length per diagonal)
+ *      must be within a factor of the sketch's, which rejects most runs
+ *      before any real comparison.
+ *   3. Shape distance. Both paths (strokes joined by their pen-up jumps) are
+ *      resampled to N equidistant points, centred and scaled to a unit box,
+ *      and compared with band-limited dynamic time warping. The result is the
+ *      mean point distance along the warp path, in units of the shape's size.
+ *
+ * Overlapping matches on a page are collapsed to the best one. Everything is
+ * scale- and position-invariant, so a sketch drawn with the mouse in screen
+ * pixels matches ink stored in Ncode mm.
+ */
+
+/** Resampled points per shape. */
+export const SAMPLE_POINTS = 48;
+
+/** Default acceptance threshold for {@link shapeDistance} (unit-box units). */
+export const MAX_SHAPE_DISTANCE = 0.12;
+
+const BAND = Math.round(SAMPLE_POINTS * 0.15);
+const MAX_REGION_MM = 60; // a word or symbol, not a paragraph
+const JOIN_GAP_MM = 6; // how far a stroke may sit from its group and still join
+const ASPECT_TOLERANCE = Math.log(2.5);
+const DENSITY_TOLERANCE = Math.log(2);
+const MAX_MATCHES_PER_PAGE = 5;
+const MAX_QUERY_STROKES = 12;
+
+/**
+ * @typedef {Object} SketchQuery
+ * @property {number} strokeCount
+ * @property {number} aspect - log(width / height)
+ * @property {number} density - log(path length / diagonal)
+ * @property {number[][]} signature - SAMPLE_POINTS normalised [x, y] points
+ */
+
+/**
+ * @typedef {Object} SketchMatch
+ * @property {{minX:number,minY:number,maxX:number,maxY:number}} bounds - Ncode mm
+ * @property {string[]} strokeIds
+ * @property {number} distance - shape distance (lower is closer)
+ * @property {number} score - 0…1, 1 = identical shape
+ */
+
+function boundsOf(strokes) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const stroke of strokes) {
+    for (const p of stroke.points) {
+      if (p[0] < minX) minX = p[0];
+      if (p[1] < minY) minY = p[1];
+      if (p[0] > maxX) maxX = p[0];
+      if (p[1] > maxY) maxY = p[1];
+    }
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+function union(a, b) {
+  return {
+    minX: Math.min(a.minX, b.minX),
+    minY: Math.min(a.minY, b.minY),
+    maxX: Math.max(a.maxX, b.maxX),
+    maxY: Math.max(a.maxY, b.maxY)
+  };
+}
+
+function gapBetween(a, b) {
+  const dx = Math.max(0, a.minX - b.maxX, b.minX - a.maxX);
+  const dy = Math.max(0, a.minY - b.maxY, b.minY - a.maxY);
+  return Math.hypot(dx, dy);
+}
+
+/** Concatenate strokes into one polyline; pen-up jumps become straight segments. */
+function joinedPath(strokes) {
+  const path = [];
+  for (const stroke of strokes) {
+    for (const p of stroke.points) path.push([p[0], p[1]]);
+  }
+  return path;
+}
+
+function pathLength(path) {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += Math.hypot(path[i][0] - path[i - 1][0], path[i][1] - path[i - 1][1]);
+  }
+  return length;
+}
+
+/**
+ * Resample a polyline to `n` points spaced evenly along its length.
+ * @param {number[][]} path - [x, y, …] points
+ * @param {number} [n]
+ * @returns {number[][]} [x, y] points
+ */
+export function resamplePath(path, n = SAMPLE_POINTS) {
+  if (!path || path.length === 0) return [];
+  const total = pathLength(path);
+  if (path.length === 1 || total === 0) {
+    return Array.from({ length: n }, () => [path[0][0], path[0][1]]);
+  }
+  const step = total / (n - 1);
+  const out = [[path[0][0], path[0][1]]];
+  let prev = [path[0][0], path[0][1]];
+  let carried = 0;
+  for (let i = 1; i < path.length && out.length < n; i++) {
+    let next = [path[i][0], path[i][1]];
+    let seg = Math.hypot(next[0] - prev[0], next[1] - prev[1]);
+    while (carried + seg >= step && out.length < n) {
+      const t = (step - carried) / seg;
+      const point = [prev[0] + t * (next[0] - prev[0]), prev[1] + t * (next[1] - prev[1])];
+      out.push(point);
+      prev = point;
+      seg = Math.hypot(next[0] - prev[0], next[1] - prev[1]);
+      carried = 0;
+    }
+    carried += seg;
+    prev = next;
+  }
+  // Float drift can leave the last sample short.
+  const last = path[path.length - 1];
+  while (out.length < n) out.push([last[0], last[1]]);
+  return out;
+}
+
+/**
+ * Centre a point list on its bounding box and scale its longer side to 1,
+ * preserving aspect ratio.
+ * @param {number[][]} points
+ * @returns {number[][]}
+ */
+export function normalizeShape(points) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const [x, y] of points) {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+  const size = Math.max(maxX - minX, maxY - minY) || 1;
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+  return points.map(([x, y]) => [(x - cx) / size, (y - cy) / size]);
+}
+
+/**
+ * Band-limited dynamic time warping between two equal-length point lists,
+ * returned as the mean point distance along the best warp path.
+ * @param {number[][]} a
+ * @param {number[][]} b
+ * @param {number} [band] - max index offset between matched points
+ * @returns {number}
+ */
+export function shapeDistance(a, b, band = BAND) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) return Infinity;
+  const w = Math.max(band, Math.abs(n - m));
+  let prev = new Float64Array(m + 1).fill(Infinity);
+  let curr = new Float64Array(m + 1).fill(Infinity);
+  prev[0] = 0;
+  for (let i = 1; i <= n; i++) {
+    curr.fill(Infinity);
+    const from = Math.max(1, i - w);
+    const to = Math.min(m, i + w);
+    for (let j = from; j <= to; j++) {
+      const cost = Math.hypot(a[i - 1][0] - b[j - 1][0], a[i - 1][1] - b[j - 1][1]);
+      curr[j] = cost + Math.min(prev[j], curr[j - 1], prev[j - 1]);
+    }
+    [prev, curr] = [curr, prev];
+  }
+  return prev[m] / Math.max(n, m);
+}
+
+function describeShape(strokes) {
+  const b = boundsOf(strokes);
+  const width = b.maxX - b.minX;
+  const height = b.maxY - b.minY;
+  const path = joinedPath(strokes);
+  const diagonal = Math.hypot(width, height) || 1;
+  const size = Math.max(width, height) || 1;
+  return {
+    bounds: b,
+    // Floor the short side so a dash or a vertical bar has a finite aspect.
+    aspect: Math.log(Math.max(width, size * 0.05) / Math.max(height, size * 0.05)),
+    density: Math.log((pathLength(path) || 1) / diagonal),
+    path
+  };
+}
+
+function usableStrokes(strokes) {
+  return (strokes || []).filter((s) => s && Array.isArray(s.points) && s.points.length > 0);
+}
+
+/**
+ * Prepare a drawn sketch for matching. Returns null when there is nothing to
+ * match (no ink, or a single dot).
+ * @param {Array<{points: number[][]}>} strokes - any coordinate space
+ * @returns {SketchQuery|null}
+ */
+export function prepareSketchQuery(strokes) {
+  const usable = usableStrokes(strokes).slice(0, MAX_QUERY_STROKES);
+  if (usable.length === 0) return null;
+  const shape = describeShape(usable);
+  if (pathLength(shape.path) === 0) return null;
+  return {
+    strokeCount: usable.length,
+    aspect: shape.aspect,
+    density: shape.density,
+    signature: normalizeShape(resamplePath(shape.path))
+  };
+}
+
+function firstTimestamp(stroke) {
+  const t = stroke.points[0][2];
+  return typeof t === 'number' ? t : null;
+}
+
+/** Writing order: by first-point timestamp where every stroke has one, else as stored. */
+function inWritingOrder(strokes) {
+  if (!strokes.every((s) => firstTimestamp(s) != null)) return strokes;
+  return [...strokes].sort((a, b) => firstTimestamp(a) - firstTimestamp(b));
+}
+
+function overlaps(a, b) {
+  const w = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+  const h = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+  if (w <= 0 || h <= 0) return false;
+  const inter = w * h;
+  const areaA = Math.max((a.maxX - a.minX) * (a.maxY - a.minY), 1e-6);
+  const areaB = Math.max((b.maxX - b.minX) * (b.maxY - b.minY), 1e-6);
+  return inter / Math.min(areaA, areaB) > 0.5;
+}
+
+/**
+ * Find the places on one page whose ink matches the sketch.
+ * @param {SketchQuery} query - from {@link prepareSketchQuery}
+ * @param {Array<{id?: string, points: number[][]}>} strokes - PageDoc strokes (Ncode mm)
+ * @param {{maxDistance?: number}} [options]
+ * @returns {SketchMatch[]} best first, non-overlapping, at most a handful
+ */
+export function matchSketchOnPage(query, strokes, { maxDistance = MAX_SHAPE_DISTANCE } = {}) {
+  if (!query) return [];
+  const ordered = inWritingOrder(usableStrokes(strokes));
+  const minCount = Math.max(1, query.strokeCount - 1);
+  const maxCount = query.strokeCount + 1;
+  const found = [];
+
+  for (let start = 0; start < ordered.length; start++) {
+    let groupBounds = null;
+    for (let count = 1; count <= maxCount && start + count <= ordered.length; count++) {
+      const stroke = ordered[start + count - 1];
+      const strokeBounds = boundsOf([stroke]);
+      if (groupBounds && gapBetween(groupBounds, strokeBounds) > JOIN_GAP_MM) break;
+      groupBounds = groupBounds ? union(groupBounds, strokeBounds) : strokeBounds;
+      if (groupBounds.maxX - groupBounds.minX > MAX_REGION_MM || groupBounds.maxY - groupBounds.minY > MAX_REGION_MM) break;
+      if (count < minCount) continue;
+
+      const group = ordered.slice(start, start + count);
+      const shape = describeShape(group);
+      if (Math.abs(shape.aspect - query.aspect) > ASPECT_TOLERANCE) continue;
+      if (Math.abs(shape.density - query.density) > DENSITY_TOLERANCE) continue;
+
+      const distance = shapeDistance(query.signature, normalizeShape(resamplePath(shape.path)));
+      if (distance > maxDistance) continue;
+      found.push({
+        bounds: shape.bounds,
+        strokeIds: group.map((s) => s.id).filter((id) => id != null),
+        distance,
+        score: 1 - distance / maxDistance
+      });
+    }
+  }
+
+  found.sort((a, b) => a.distance - b.distance);
+  const kept = [];
+  for (const match of found) {
+    if (kept.some((k) => overlaps(k.bounds, match.bounds))) continue;
+    kept.push(match);
+    if (kept.length >= MAX_MATCHES_PER_PAGE) break;
+  }
+  return kept;
+}
+
+/**
+ * @typedef {Object} SketchPageResult
+ * @property {number} book
+ * @property {string} pageId
+ * @property {number} score - the page's best match score
+ * @property {SketchMatch[]} matches
+ * @property {Array<{points: number[][]}>} strokes - the page's strokes, for the thumbnail
+ */
+
+/**
+ * Match a sketch against every page in a list, one page at a time. Pages are
+ * loaded through `loadPage` (the full PageDoc, strokes included) and only the
+ * pages with matches are kept in memory.
+ * @param {SketchQuery} query
+ * @param {Array<{book: number, page: number, pageId?: string}>} records
+ * @param {Object} options
+ * @param {(book: number, pageId: string) => Promise<{strokes?: Array}|null>} options.loadPage
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @param {() => boolean} [options.isCancelled] - checked between pages
+ * @param {number} [options.maxDistance]
+ * @param {number} [options.maxResults] - keep only the best N pages
+ * @returns {Promise<SketchPageResult[]>} best page first
+ */
+export async function searchPagesBySketch(query, records, { loadPage, onProgress, isCancelled, maxDistance, maxResults = 50 } = {}) {
+  const results = [];
+  if (!query) return results;
+  const list = records || [];
+  for (let i = 0; i < list.length; i++) {
+    if (isCancelled && isCancelled()) break;
+    const record = list[i];
+    const pageId = String(record.pageId ?? record.page);
+    try {
+      const doc = await loadPage(record.book, pageId);
+      const strokes = (doc && doc.strokes) || [];
+      const matches = matchSketchOnPage(query, strokes, { maxDistance });
+      if (matches.length > 0) {
+        results.push({ book: record.book, pageId, score: matches[0].score, matches, strokes });
+        if (results.length > maxResults) {
+          results.sort((a, b) => b.score - a.score);
+          results.pop();
+        }
+      }
+    } catch (err) {
+      console.warn(`Sketch search skipped B${record.book}/P${pageId}:`, err);
+    }
+    if (onProgress) onProgress(i + 1, list.length);
+  }
+  return results.sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,190 @@
+/**
+ * Check data folder — walks pages/ and reports (and repairs) integrity issues.
+ *
+ * Inventory comes from the main process (listDataFiles), which unlike
+ * listPages also returns files that don't parse and leftover .tmp files from
+ * interrupted atomic writes. Each page is then read one at a time through
+ * getPage and judged by the pure checks in integrity.js, so the whole library
+ * is never resident at once.
+ *
+ * Content repairs go through savePage, and restores through the version
+ * history, so every repair is snapshotted first and can be rolled back from
+ * the page's History panel. File-level repairs move or delete files in main.
+ */
+
+import {
+  listDataFiles,
+  repairDataFile,
+  getAliasesRaw,
+  removeAlias,
+  getPage,
+  savePage,
+  listPageHistory,
+  getPageVersion,
+  restorePageVersion
+} from './local-store.js';
+import { validatePageDoc } from './page-doc.js';
+import {
+  ISSUE,
+  REPAIR,
+  checkPageDoc,
+  checkAliases,
+  unreadablePageIssue,
+  unreadableAliasesIssue,
+  orphanTmpIssue,
+  invalidAliasKeys,
+  repairPageDoc
+} from './integrity.js';
+import { invalidatePage } from '$lib/viewer/page-cache.js';
+
+/**
+ * @typedef {Object} FolderCheckResult
+ * @property {import('./integrity.js').IntegrityIssue[]} issues
+ * @property {number} pagesChecked
+ * @property {number} tmpFilesSeen
+ * @property {string} checkedAt - ISO 8601
+ */
+
+/**
+ * The newest saved version of a page that is a valid PageDoc, or null.
+ * `readable` only means the file parses, so each candidate is read and
+ * validated in full. History holds what each save replaced, never the latest
+ * save itself, so this is always older than the damaged file.
+ * @returns {Promise<import('./local-store.js').PageVersion|null>}
+ */
+async function newestValidVersion(book, pageId) {
+  let versions;
+  try {
+    versions = await listPageHistory(book, pageId);
+  } catch {
+    return null;
+  }
+  for (const version of versions) {
+    if (!version.readable) continue;
+    try {
+      const doc = await getPageVersion(book, pageId, version.id);
+      if (validatePageDoc(doc).length === 0) return version;
+    } catch {
+      // Unreadable after all — try the next one
+    }
+  }
+  return null;
+}
+
+async function hasValidHistory(book, pageId) {
+  return (await newestValidVersion(book, pageId)) !== null;
+}
+
+/**
+ * Run every check across the data folder.
+ * @param {{onProgress?: (done: number, total: number) => void}} [options]
+ * @returns {Promise<FolderCheckResult>}
+ */
+export async function checkDataFolder({ onProgress } = {}) {
+  const inventory = await listDataFiles();
+  const issues = [];
+
+  if (inventory.aliases) {
+    const relPath = inventory.aliases.relPath;
+    try {
+      issues.push(...checkAliases(await getAliasesRaw(), relPath));
+    } catch (err) {
+      issues.push(unreadableAliasesIssue(relPath, err.message));
+    }
+  }
+
+  const total = inventory.pages.length;
+  for (let i = 0; i < total; i++) {
+    const where = inventory.pages[i];
+    let doc;
+    try {
+      doc = await getPage(where.book, where.pageId);
+    } catch (err) {
+      issues.push(unreadablePageIssue(where, err.message, await hasValidHistory(where.book, where.pageId)));
+      onProgress?.(i + 1, total);
+      continue;
+    }
+    if (!doc) continue; // removed since the inventory was taken
+    for (const issue of checkPageDoc(doc, where)) {
+      // Only offer a rollback when there is something to roll back to.
+      if (issue.repairs.some(r => r.action === REPAIR.RESTORE_HISTORY)
+          && !(await hasValidHistory(where.book, where.pageId))) {
+        issue.repairs = issue.repairs.filter(r => r.action !== REPAIR.RESTORE_HISTORY);
+      }
+      issues.push(issue);
+    }
+    onProgress?.(i + 1, total);
+  }
+
+  // A temp file written moments ago may still be renamed into place by the
+  // save that owns it; only report ones that have sat around.
+  for (const tmp of inventory.tmpFiles) {
+    if (!tmp.inFlight) issues.push(orphanTmpIssue(tmp));
+  }
+
+  return {
+    issues,
+    pagesChecked: total,
+    tmpFilesSeen: inventory.tmpFiles.length,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Apply one of an issue's offered repairs.
+ * @param {import('./integrity.js').IntegrityIssue} issue
+ * @param {string} action - one of issue.repairs[].action
+ * @returns {Promise<string>} human-readable description of what was done
+ */
+export async function applyRepair(issue, action) {
+  if (!issue.repairs.some(r => r.action === action)) {
+    throw new Error(`Repair "${action}" is not offered for this issue`);
+  }
+  const label = issue.pageId != null ? `B${issue.book}/P${issue.pageId}` : issue.relPath;
+
+  switch (action) {
+    case REPAIR.NORMALIZE:
+    case REPAIR.FIX_PAGEINFO:
+    case REPAIR.DEDUPE_STROKES:
+    case REPAIR.CLEAR_LINE_REFS:
+    case REPAIR.RECOUNT: {
+      const doc = await getPage(issue.book, issue.pageId);
+      if (!doc) throw new Error(`${label} no longer exists`);
+      const fixed = repairPageDoc(doc, action, issue);
+      fixed.metadata = { ...fixed.metadata, lastUpdated: new Date().toISOString() };
+      await savePage(issue.book, issue.pageId, fixed);
+      invalidatePage(issue.book, issue.pageId);
+      return `${label}: ${issue.repairs.find(r => r.action === action).label.toLowerCase()}`;
+    }
+
+    case REPAIR.RESTORE_HISTORY: {
+      const version = await newestValidVersion(issue.book, issue.pageId);
+      if (!version) throw new Error(`${label} has no valid saved version`);
+      await restorePageVersion(issue.book, issue.pageId, version.id);
+      invalidatePage(issue.book, issue.pageId);
+      return `${label}: restored the version saved ${version.savedAt} (the damaged save is kept in History)`;
+    }
+
+    case REPAIR.QUARANTINE:
+    case REPAIR.DELETE_TMP:
+    case REPAIR.PROMOTE_TMP: {
+      const result = await repairDataFile(issue.relPath, action);
+      if (issue.pageId != null) invalidatePage(issue.book, issue.pageId);
+      if (action === REPAIR.QUARANTINE) return `${label}: moved aside to ${result.to}`;
+      if (action === REPAIR.PROMOTE_TMP) return `${result.target}: replaced with ${issue.relPath}`;
+      return `${issue.relPath}: deleted`;
+    }
+
+    case REPAIR.DROP_BAD_ALIASES: {
+      const raw = await getAliasesRaw();
+      const bad = raw && typeof raw === 'object' ? invalidAliasKeys(raw) : [];
+      for (const key of bad) await removeAlias(key);
+      return `_aliases.json: removed ${bad.length} invalid entr${bad.length === 1 ? 'y' : 'ies'}`;
+    }
+
+    default:
+      throw new Error(`Unknown repair action: ${action}`);
+  }
+}
+
+export { ISSUE, REPAIR };
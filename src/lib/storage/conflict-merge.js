@@ -0,0 +1,228 @@
+/**
+ * Conflict merge — three-way merge of a page with a cloud-sync conflict copy.
+ *
+ * When two machines save the same page before OneDrive/Dropbox has synced,
+ * the sync client keeps one as P12.json and renames the other (e.g.
+ * "P12 (conflicted copy).json"); main lists those copies on the page's meta.
+ * This module folds a copy back into the page:
+ *
+ *   - base:   the newest saved version (pages/B*\/.history/) that predates
+ *             both sides — their common ancestor. Without one the merge is
+ *             two-way: nothing can be told apart from "never existed", so
+ *             nothing is treated as deleted.
+ *   - strokes: union by id. A stroke in the base that one side no longer has
+ *             was deleted there, and stays deleted.
+ *   - lines:  merged by id the same way (except that a hand edit on one side
+ *             outlives a delete on the other); lines both sides transcribed
+ *             independently (different ids, same text + overlapping Y-bounds —
+ *             the mergeTranscript duplicate test) fold into one, and strokes
+ *             are re-pointed at the surviving line.
+ *   - an edit on both sides to the same stroke/line goes to the more recently
+ *     updated doc and is reported as a conflict.
+ *
+ * Pure (no I/O) so it can be unit-tested; ConflictResolutionDialog does the
+ * reads and the write.
+ */
+
+import { PAGE_DOC_VERSION, computeBounds } from './page-doc.js';
+import { findDuplicateLine } from './line-match.js';
+import { mergeAudioRefs } from '../audio/audio-refs.js';
+
+/**
+ * @typedef {Object} LineConflict
+ * @property {string} id
+ * @property {import('./page-doc.js').TranscriptLine} ours
+ * @property {import('./page-doc.js').TranscriptLine} theirs
+ * @property {'ours'|'theirs'} kept
+ */
+
+/**
+ * @typedef {Object} MergeReport
+ * @property {boolean} hasBase
+ * @property {number} strokesFromOurs      - strokes only our side added
+ * @property {number} strokesFromTheirs    - strokes only the copy added
+ * @property {number} strokesDeleted       - dropped because one side deleted them
+ * @property {number} strokeConflicts      - both sides changed the same stroke
+ * @property {number} linesFromOurs
+ * @property {number} linesFromTheirs
+ * @property {number} linesDeleted
+ * @property {number} linesFolded          - independent duplicate transcriptions merged
+ * @property {LineConflict[]} lineConflicts
+ */
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function byId(items) {
+  const map = new Map();
+  for (const item of items || []) {
+    if (item && item.id != null) map.set(item.id, item);
+  }
+  return map;
+}
+
+function updatedAt(doc) {
+  const t = Date.parse(doc?.metadata?.lastUpdated || '');
+  return Number.isFinite(t) ? t : 0;
+}
+
+/**
+ * Three-way merge of one id-keyed collection. Returns the merged items in
+ * first-seen order (ours, then theirs) plus per-outcome counts.
+ */
+function mergeById(baseItems, ourItems, theirItems, preferTheirs, editBeatsDelete) {
+  const base = byId(baseItems);
+  const ours = byId(ourItems);
+  const theirs = byId(theirItems);
+  const out = [];
+  const stats = { fromOurs: 0, fromTheirs: 0, deleted: 0, conflicts: [] };
+
+  const ids = [...ours.keys(), ...[...theirs.keys()].filter(id => !ours.has(id))];
+  for (const id of ids) {
+    const o = ours.get(id);
+    const t = theirs.get(id);
+    const b = base.get(id);
+
+    if (o && t) {
+      if (same(o, t)) out.push(o);
+      else if (b && same(b, o)) out.push(t);        // only theirs changed it
+      else if (b && same(b, t)) out.push(o);        // only ours changed it
+      else {
+        out.push(preferTheirs ? t : o);
+        stats.conflicts.push({ id, ours: o, theirs: t, kept: preferTheirs ? 'theirs' : 'ours' });
+      }
+    } else {
+      const item = o || t;
+      if (!b) {
+        // Added on one side only.
+        out.push(item);
+        if (o) stats.fromOurs++;
+        else stats.fromTheirs++;
+      } else if (editBeatsDelete && !same(b, item)) {
+        // Deleted on one side, edited on the other: keep the edit.
+        out.push(item);
+      } else {
+        stats.deleted++;
+      }
+    }
+  }
+  return { items: out, stats };
+}
+
+/**
+ * Pick the common ancestor from a page's history listing: the newest
+ * readable version saved no later than either side's lastUpdated.
+ * @param {import('./local-store.js').PageVersion[]} versions - newest first
+ * @param {Object|null} ours
+ * @param {Object|null} theirs
+ * @returns {import('./local-store.js').PageVersion|null}
+ */
+export function pickMergeBase(versions, ours, theirs) {
+  const cutoff = Math.min(
+    ours ? updatedAt(ours) : Infinity,
+    theirs ? updatedAt(theirs) : Infinity
+  );
+  if (!Number.isFinite(cutoff) || cutoff === 0) return null;
+  for (const v of versions || []) {
+    if (!v.readable) continue;
+    const t = Date.parse(v.lastUpdated || '');
+    if (Number.isFinite(t) && t <= cutoff) return v;
+  }
+  return null;
+}
+
+/**
+ * Merge a conflict copy ("theirs") into the page file ("ours").
+ * @param {import('./page-doc.js').PageDoc|null} base
+ * @param {import('./page-doc.js').PageDoc|null} ours  - null if only copies exist
+ * @param {import('./page-doc.js').PageDoc} theirs
+ * @param {{now?: string}} [options]
+ * @returns {{doc: import('./page-doc.js').PageDoc, report: MergeReport}}
+ */
+export function mergePageDocs(base, ours, theirs, { now = new Date().toISOString() } = {}) {
+  const preferTheirs = updatedAt(theirs) > updatedAt(ours);
+  const shell = ours || theirs;
+
+  // A transcript line edited by hand on one side survives a delete on the other.
+  const lines = mergeById(base?.transcript?.lines, ours?.transcript?.lines, theirs?.transcript?.lines, preferTheirs, true);
+
+  // Fold lines only the copy has that duplicate one we already have (both
+  // machines transcribed the same ink), re-pointing strokes at the survivor.
+  // A folded line is either one the copy added (counted in fromTheirs) or one
+  // it edited after we deleted it (kept by edit-beats-delete, not counted).
+  const ourLineIds = new Set((ours?.transcript?.lines || []).map(l => l.id));
+  const baseLineIds = new Set((base?.transcript?.lines || []).map(l => l.id));
+  const kept = lines.items.filter(l => ourLineIds.has(l.id));
+  const remap = new Map();
+  let folded = 0;
+  let foldedAdded = 0;
+  for (const line of lines.items) {
+    if (ourLineIds.has(line.id)) continue;
+    const dup = findDuplicateLine(line, kept);
+    if (dup) {
+      remap.set(line.id, dup.id);
+      folded++;
+      if (!baseLineIds.has(line.id)) foldedAdded++;
+      continue;
+    }
+    kept.push(line);
+  }
+
+  // Re-point the copy's strokes at folded lines before comparing strokes, so
+  // a stroke both sides linked to "the same" line doesn't count as a conflict.
+  // A stroke's only mutable field is its lineId, which transcription rewrites
+  // on its own, so a stroke deletion always wins.
+  const theirStrokes = (theirs?.strokes || []).map(s =>
+    (s && remap.has(s.lineId) ? { ...s, lineId: remap.get(s.lineId) } : s)
+  );
+  const strokes = mergeById(base?.strokes, ours?.strokes, theirStrokes, preferTheirs, false);
+
+  let mergedLines = kept.map(l => (remap.has(l.parentId) ? { ...l, parentId: remap.get(l.parentId) } : l));
+  // Same ordering rule as mergeTranscript (top-to-bottom), but only when every
+  // line has a position — editor-added lines without yBounds keep their order.
+  if (mergedLines.every(l => l.yBounds)) {
+    mergedLines = [...mergedLines].sort((a, b) => a.yBounds.minY - b.yBounds.minY);
+  }
+
+  const liveLineIds = new Set(mergedLines.map(l => l.id));
+  const mergedStrokes = strokes.items
+    .map(s => (s.lineId && !liveLineIds.has(s.lineId) ? { ...s, lineId: null } : s))
+    .sort((a, b) => (a.startTime || 0) - (b.startTime || 0));
+
+  const lastTranscribed = [ours?.transcript?.lastTranscribed, theirs?.transcript?.lastTranscribed]
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+
+  // Recordings either machine linked stay linked
+  const audio = mergeAudioRefs(ours?.metadata?.audio, theirs?.metadata?.audio);
+
+  const doc = {
+    ...shell,
+    version: PAGE_DOC_VERSION,
+    metadata: {
+      ...(shell.metadata || {}),
+      ...(audio.length > 0 ? { audio } : {}),
+      lastUpdated: now,
+      totalStrokes: mergedStrokes.length,
+      bounds: computeBounds(mergedStrokes)
+    },
+    transcript: { ...(shell.transcript || {}), lastTranscribed, lines: mergedLines },
+    strokes: mergedStrokes
+  };
+
+  return {
+    doc,
+    report: {
+      hasBase: !!base,
+      strokesFromOurs: strokes.stats.fromOurs,
+      strokesFromTheirs: strokes.stats.fromTheirs,
+      strokesDeleted: strokes.stats.deleted,
+      strokeConflicts: strokes.stats.conflicts.length,
+      linesFromOurs: lines.stats.fromOurs,
+      linesFromTheirs: lines.stats.fromTheirs - foldedAdded,
+      linesDeleted: lines.stats.deleted,
+      linesFolded: folded,
+      lineConflicts: lines.stats.conflicts
+    }
+  };
+}
@@ -0,0 +1,215 @@
+/**
+ * Folder Watch — live-refresh pages that change on disk behind the app's back.
+ *
+ * scanLocalPages() only runs at boot, on tab activation and on a manual
+ * rescan, so a page a cloud client pulls down from another machine (or one
+ * edited by hand) used to stay stale until then. Main now watches
+ * <root>/pages and pushes batched change events, already stripped of the
+ * app's own writes (see "Data-folder watch" in electron/main.cjs). For each
+ * changed page we:
+ *
+ *   - drop its page-cache entry so Book View re-reads it,
+ *   - re-read just that page's metadata and replace (or remove) its
+ *     logseqPages record and search-index entry — no full rescan,
+ *   - refresh its on-disk stroke ids if it's on the canvas, so the pending-
+ *     changes diff is taken against the new file,
+ *   - warn if it has unsaved work here: canvas edits merge into the new file
+ *     on save, but a Book View transcript save replaces the transcript on disk.
+ */
+
+import { get } from 'svelte/store';
+import {
+  log,
+  dataRoot,
+  dataFolderReady,
+  pendingChanges,
+  onDiskStrokeIds,
+  noteOnDiskStrokeIds,
+  upsertPageRecord,
+  removePageRecord,
+  isViewerPageDirty,
+  indexPageMeta,
+  unindexPage
+} from '$stores';
+import { registerBookIds, setBookAliases } from '$stores/book-aliases.js';
+import { setRecognitionSettings } from '$stores/recognition-settings.js';
+import { setCorrectionDictionary } from '$stores/corrections.js';
+import { invalidatePage } from '$lib/viewer/page-cache.js';
+import { metaToRecord } from './scan.js';
+import { getPage, getPageMeta, getAliases, getRecognitionSettings, getCorrections, watchFolder, unwatchFolder, onFolderChanged } from './local-store.js';
+
+/**
+ * Collapse a batch of change events into the distinct pages it touches (a
+ * page and its conflict copy can both change in one batch) plus whether the
+ * alias, recognition-settings and correction-dictionary files changed.
+ * @param {import('./local-store.js').FolderChange[]} changes
+ * @returns {{aliases: boolean, recognition: boolean, corrections: boolean, pages: Array<{book:number, pageId:string, conflictCopy:boolean}>}}
+ */
+export function coalesceFolderChanges(changes) {
+  let aliases = false;
+  let recognition = false;
+  let corrections = false;
+  const pages = new Map();
+  for (const change of changes || []) {
+    if (change.kind === 'aliases') {
+      aliases = true;
+      continue;
+    }
+    if (change.kind === 'recognition') {
+      recognition = true;
+      continue;
+    }
+    if (change.kind === 'corrections') {
+      corrections = true;
+      continue;
+    }
+    if (change.kind !== 'page' || !Number.isFinite(change.book) || !change.pageId) continue;
+    const key = `B${change.book}/P${change.pageId}`;
+    const prev = pages.get(key);
+    pages.set(key, {
+      book: change.book,
+      pageId: String(change.pageId),
+      conflictCopy: !!change.conflictCopy || !!prev?.conflictCopy
+    });
+  }
+  return { aliases, recognition, corrections, pages: [...pages.values()] };
+}
+
+/**
+ * What unsaved work this window holds for a page: canvas stroke edits
+ * (pendingChanges is keyed by the integer page) and/or a transcript open for
+ * editing in Book View (keyed by pageId, suffix included).
+ */
+function unsavedWorkFor(book, pageId) {
+  const page = parseInt(pageId, 10);
+  const canvas = String(page) === pageId ? get(pendingChanges).get(`B${book}/P${page}`) : null;
+  return {
+    canvas: !!canvas && (canvas.additions.length > 0 || canvas.deletions.length > 0),
+    transcript: isViewerPageDirty(`${book}:${pageId}`)
+  };
+}
+
+async function refreshPage({ book, pageId, conflictCopy }) {
+  const unsaved = unsavedWorkFor(book, pageId);
+
+  invalidatePage(book, pageId);
+  const meta = await getPageMeta(book, pageId);
+  if (meta) {
+    upsertPageRecord(metaToRecord(meta));
+    indexPageMeta(meta);
+    registerBookIds([book]);
+  } else {
+    removePageRecord(book, pageId);
+    unindexPage(book, pageId);
+  }
+
+  const page = parseInt(pageId, 10);
+  if (String(page) === pageId && get(onDiskStrokeIds).has(`B${book}/P${page}`)) {
+    const doc = await getPage(book, page);
+    noteOnDiskStrokeIds(book, page, (doc && doc.strokes) || []);
+  }
+
+  const label = `B${book}/P${pageId}`;
+  if (conflictCopy && meta && meta.conflictCopies && meta.conflictCopies.length > 0) {
+    log(`${label} has a sync conflict copy — open it in Saved Pages to merge`, 'warning');
+  }
+  if (unsaved.canvas) {
+    log(`${label} changed on disk while it has unsaved canvas edits — saving will merge them into the new version`, 'warning');
+  }
+  if (unsaved.transcript) {
+    log(`${label} changed on disk while its transcript is being edited — saving will replace the transcript on disk`, 'warning');
+  }
+  return !!meta;
+}
+
+// Batches are applied one at a time so two quick events for the same page
+// can't race their metadata reads.
+let queue = Promise.resolve();
+
+/**
+ * Apply one storage:folderChanged batch. Events for a folder other than the
+ * current data root (the setting just changed) are dropped.
+ * @param {{root: string, changes: import('./local-store.js').FolderChange[]}} event
+ * @returns {Promise<void>}
+ */
+export function handleFolderChanges(event) {
+  queue = queue.then(() => applyFolderChanges(event)).catch((err) => {
+    console.error('Folder change refresh failed:', err);
+    log(`Refreshing changed pages failed: ${err.message}`, 'error');
+  });
+  return queue;
+}
+
+async function applyFolderChanges({ root, changes }) {
+  if (!root || root !== get(dataRoot)) return;
+  const { aliases, recognition, corrections, pages } = coalesceFolderChanges(changes);
+
+  if (aliases) {
+    setBookAliases(await getAliases());
+  }
+  if (recognition) {
+    setRecognitionSettings(await getRecognitionSettings());
+  }
+  if (corrections) {
+    setCorrectionDictionary(await getCorrections());
+  }
+
+  let refreshed = 0;
+  let removed = 0;
+  for (const change of pages) {
+    if (await refreshPage(change)) refreshed++;
+    else removed++;
+  }
+
+  if (refreshed || removed) {
+    const parts = [];
+    if (refreshed) parts.push(`${refreshed} updated`);
+    if (removed) parts.push(`${removed} removed`);
+    log(`Data folder changed outside the app: ${parts.join(', ')}`, 'info');
+  }
+}
+
+/**
+ * Keep main's watch pointed at the current data root while the folder is
+ * ready, and apply its change events. Call once at startup; returns a stop
+ * function. A no-op outside Electron.
+ * @returns {() => void}
+ */
+export function startFolderWatch() {
+  if (typeof window === 'undefined' || !window.storageAPI) return () => {};
+
+  let watching = null;
+  const offChanged = onFolderChanged((event) => {
+    if (event.stopped) {
+      // Main lost the watch (folder removed / drive gone); the next ready
+      // transition re-arms it.
+      if (event.root === watching) watching = null;
+      log(`Live refresh stopped: ${event.stopped}`, 'warning');
+      return;
+    }
+    handleFolderChanges(event);
+  });
+
+  function sync() {
+    const root = get(dataRoot);
+    const target = root && get(dataFolderReady) ? root : null;
+    if (target === watching) return;
+    watching = target;
+    const request = target ? watchFolder(target) : unwatchFolder();
+    request.catch((err) => {
+      console.warn('Folder watch failed:', err);
+      log(`Live refresh unavailable: ${err.message}`, 'warning');
+    });
+  }
+
+  const offRoot = dataRoot.subscribe(sync);
+  const offReady = dataFolderReady.subscribe(sync);
+
+  return () => {
+    offRoot();
+    offReady();
+    offChanged();
+    if (watching) unwatchFolder().catch(() => {});
+    watching = null;
+  };
+}
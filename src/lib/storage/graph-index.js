@@ -126,3 +126,132 @@ export function upsertSmartpenIndex(index, entry, alias = null) {
   next.updatedAt = new Date().toISOString();
   return next;
 }
+
+/**
+ * Drop a page's entry from the manifest (the page was deleted). The book's
+ * alias goes too once no page of that book is left. Returns a NEW index;
+ * `updatedAt` is bumped.
+ *
+ * @param {Object} index - existing manifest (or null/garbage — normalized)
+ * @param {number|string} book
+ * @param {number|string} pageId
+ * @returns {{version:number, updatedAt:string, aliases:Object, pages:Array}}
+ */
+export function removeFromSmartpenIndex(index, book, pageId) {
+  const next = normalizeIndex(index);
+  const bookNum = Number(book);
+  const pid = String(pageId);
+
+  next.pages = next.pages.filter(
+    (e) => !(Number(e.book) === bookNum && String(e.pageId) === pid)
+  );
+  if (!next.pages.some((e) => Number(e.book) === bookNum)) {
+    delete next.aliases[String(bookNum)];
+  }
+
+  next.updatedAt = new Date().toISOString();
+  return next;
+}
+
+/**
+ * Set (or clear, with a blank alias) a book's name in the manifest's aliases
+ * map. Only books with published pages get one, as on upsert. Returns a NEW
+ * index; `updatedAt` is bumped.
+ *
+ * @param {Object} index - existing manifest (or null/garbage — normalized)
+ * @param {number|string} book
+ * @param {string|null} alias
+ * @returns {{version:number, updatedAt:string, aliases:Object, pages:Array}}
+ */
+export function setSmartpenIndexAlias(index, book, alias) {
+  const next = normalizeIndex(index);
+  const key = String(Number(book));
+  const listed = next.pages.some((e) => Number(e.book) === Number(book));
+
+  if (listed && alias != null && String(alias).trim() !== '') {
+    next.aliases[key] = String(alias);
+  } else {
+    delete next.aliases[key];
+  }
+
+  next.updatedAt = new Date().toISOString();
+  return next;
+}
+
+/**
+ * Read a page's identity back out of an asset filename.
+ * @param {string} name - e.g. "smartpen-B390-P151b.json"
+ * @returns {{book:number, pageId:string}|null}
+ */
+export function parseSmartpenAssetName(name) {
+  const m = String(name).match(/^smartpen-B(\d+)-P(\d+[a-zA-Z]?)\.json$/);
+  return m ? { book: Number(m[1]), pageId: m[2] } : null;
+}
+
+/** Same entry, field by field (JSON drops undefined fields on the way to disk). */
+function sameIndexEntry(a, b) {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  for (const key of keys) {
+    if (JSON.stringify(a?.[key]) !== JSON.stringify(b?.[key])) return false;
+  }
+  return true;
+}
+
+const entryKey = (e) => `${Number(e.book)}/${String(e.pageId)}`;
+
+/**
+ * Reconcile a manifest with the data root: the entries the bridge's pages
+ * should have (from {@link buildSmartpenIndexEntry}) replace what's there,
+ * entries for pages that no longer exist go, and the aliases map is rebuilt
+ * from the data root's aliases for the books still listed.
+ *
+ * @param {Object} index - current manifest (or null/garbage — normalized)
+ * @param {Array<ReturnType<typeof buildSmartpenIndexEntry>>} entries - one per page in the data root
+ * @param {Object<string,string>} [aliases] - the data root's book → alias map
+ * @param {{keep?: Array<{book:number|string, pageId:number|string}>}} [options] -
+ *   pages that exist but couldn't be read; their current entries stay as they are
+ * @returns {{index: Object, missing: Array, stale: Array, orphaned: Array, aliasesChanged: boolean, changed: boolean}}
+ *   missing/stale are the expected entries to write, orphaned the entries removed
+ */
+export function reconcileSmartpenIndex(index, entries, aliases = {}, { keep = [] } = {}) {
+  const current = normalizeIndex(index);
+  const existing = new Map(current.pages.map(e => [entryKey(e), e]));
+  const expected = new Map(entries.map(e => [entryKey(e), e]));
+  const kept = new Set(keep.map(entryKey));
+
+  const missing = [];
+  const stale = [];
+  for (const [key, entry] of expected) {
+    if (!existing.has(key)) missing.push(entry);
+    else if (!sameIndexEntry(existing.get(key), entry)) stale.push(entry);
+  }
+  const orphaned = current.pages.filter(e => !expected.has(entryKey(e)) && !kept.has(entryKey(e)));
+
+  const pages = [
+    ...expected.values(),
+    ...current.pages.filter(e => kept.has(entryKey(e)) && !expected.has(entryKey(e)))
+  ].sort((a, b) => (a.book !== b.book ? a.book - b.book : (a.page || 0) - (b.page || 0)));
+
+  const nextAliases = {};
+  for (const book of new Set(pages.map(e => String(Number(e.book))))) {
+    const alias = aliases?.[book];
+    if (alias != null && String(alias).trim() !== '') nextAliases[book] = String(alias);
+  }
+  const aliasesChanged = JSON.stringify(Object.entries(nextAliases).sort()) !== JSON.stringify(Object.entries(current.aliases).sort());
+
+  const changed = missing.length > 0 || stale.length > 0 || orphaned.length > 0 || aliasesChanged ||
+    !index || !Array.isArray(index.pages);
+  return {
+    index: {
+      version: 1,
+      updatedAt: changed ? new Date().toISOString() : current.updatedAt,
+      aliases: nextAliases,
+      pages
+    },
+    missing,
+    stale,
+    orphaned,
+    aliasesChanged,
+    changed
+  };
+}
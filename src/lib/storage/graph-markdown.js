@@ -0,0 +1,393 @@
+/**
+ * Graph Markdown — a page as plain LogSeq Markdown, for graphs without the
+ * JPI Tools plugin.
+ *
+ * The optional "Markdown" publish mode (publish-graph.js) writes, next to the
+ * plugin assets:
+ *
+ *   - page mode:    <graph>/pages/Smartpen___B12___P3.md — the page
+ *                   "Smartpen/B12/P3" (LogSeq's file name for a namespaced
+ *                   page), with the ink embedded above the transcript
+ *   - journal mode: a "[[Smartpen/B12/P3]]" block in
+ *                   <graph>/journals/2026_10_19.md, the day the page was
+ *                   written (its first stroke); the rest of the journal file
+ *                   is left as it is
+ *   - days mode:    the same block in the journal of every day the page was
+ *                   written on, each holding the lines written that day
+ *                   (journal-days.js)
+ *   - both:         <graph>/assets/smartpen-B12-P3.svg, the ink at real size
+ *
+ * Each transcript line becomes a block whose `id::` comes from the line's id
+ * (see {@link lineBlockUuid}), so block references made in LogSeq survive a
+ * republish. A line tagged with `[tag: X]` gets a `tags::` property. Lines
+ * routed with `[page: Shopping]` leave the page's own output and go, as a
+ * block linking back to it, into <graph>/pages/Shopping.md; the rest of that
+ * file is left as it is. Pure (no I/O, no `$lib`/`$stores` imports).
+ */
+
+import { lineToMarkdown, isPropertyLine } from '../viewer/transcript-markdown.js';
+import { pageToSvg } from './page-tools.js';
+import { sliceTranscriptByDay } from './journal-days.js';
+
+/** Namespace every published page lives under. */
+export const SMARTPEN_NAMESPACE = 'Smartpen';
+
+/**
+ * How a page is written as Markdown: not at all, as its own page, into the
+ * journal of the day it was started, or split over the journals of the days
+ * its lines were written.
+ */
+export const GRAPH_MARKDOWN_MODES = ['off', 'page', 'journal', 'days'];
+
+/** Block property that marks a page's block in a journal file. */
+const JOURNAL_PROPERTY = 'smartpen-page';
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * LogSeq page name of a published page.
+ * @param {number|string} book
+ * @param {number|string} pageId
+ * @returns {string} e.g. "Smartpen/B12/P3"
+ */
+export function smartpenPageName(book, pageId) {
+  return `${SMARTPEN_NAMESPACE}/B${book}/P${pageId}`;
+}
+
+/**
+ * Graph-relative path of the page file (LogSeq writes "/" as "___").
+ * @param {number|string} book
+ * @param {number|string} pageId
+ * @returns {string} e.g. "pages/Smartpen___B12___P3.md"
+ */
+export function markdownPagePath(book, pageId) {
+  return `pages/${smartpenPageName(book, pageId).replace(/\//g, '___')}.md`;
+}
+
+/**
+ * Graph-relative path of a page lines are routed to with `[page: X]`. "/"
+ * becomes "___" as for namespaced pages; characters file systems refuse are
+ * percent-encoded.
+ * @param {string} name - the page name as written
+ * @returns {string} e.g. "pages/Shopping.md"
+ */
+export function routedPagePath(name) {
+  const safe = String(name).replace(/[<>:"\\|?*%]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `pages/${safe.replace(/\//g, '___')}.md`;
+}
+
+/**
+ * Graph-relative path of the page's SVG.
+ * @param {number|string} book
+ * @param {number|string} pageId
+ * @returns {string} e.g. "assets/smartpen-B12-P3.svg"
+ */
+export function pageSvgPath(book, pageId) {
+  return `assets/smartpen-B${book}-P${pageId}.svg`;
+}
+
+/**
+ * Graph-relative path of a day's journal file (LogSeq's default yyyy_MM_dd).
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} e.g. "journals/2026_10_19.md"
+ */
+export function journalPath(date) {
+  return `journals/${date.replace(/-/g, '_')}.md`;
+}
+
+/**
+ * The day a page was written: its first stroke's local date, else the day
+ * it was last saved.
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function pageJournalDate(doc) {
+  const times = (doc?.strokes || []).map(s => s?.startTime).filter(t => Number.isFinite(t) && t > 0);
+  const when = times.length ? new Date(Math.min(...times)) : new Date(doc?.metadata?.lastUpdated || NaN);
+  if (Number.isNaN(when.getTime())) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${when.getFullYear()}-${pad(when.getMonth() + 1)}-${pad(when.getDate())}`;
+}
+
+/**
+ * Every journal day a page can have a block in, in either journal mode.
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @returns {string[]} YYYY-MM-DD, oldest first
+ */
+export function pageJournalDates(doc) {
+  const dates = new Set(sliceTranscriptByDay(doc).map(slice => slice.date));
+  const first = pageJournalDate(doc);
+  if (first) dates.add(first);
+  return [...dates].sort();
+}
+
+/**
+ * A stable block UUID for a transcript line. Line ids are UUIDs already for
+ * everything the bridge recognizes; anything else is hashed into one, so the
+ * same line always gets the same block id.
+ * @param {string} lineId
+ * @returns {string}
+ */
+export function lineBlockUuid(lineId) {
+  const id = String(lineId);
+  if (UUID_RE.test(id)) return id.toLowerCase();
+
+  // Four FNV-1a passes with different seeds → 128 bits
+  let hex = '';
+  for (const seed of [0x811c9dc5, 0x01000193, 0x9e3779b9, 0x85ebca6b]) {
+    let h = seed;
+    for (let i = 0; i < id.length; i++) {
+      h ^= id.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    hex += (h >>> 0).toString(16).padStart(8, '0');
+  }
+  // Shape it as a version-4-style UUID so LogSeq accepts it
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/** The transcript as blocks, each followed by its `tags::` and `id::` properties. */
+function transcriptBlocks(lines, depth) {
+  const out = [];
+  for (const line of lines || []) {
+    if (!line || typeof line.text !== 'string' || line.text.trim() === '' || isPropertyLine(line.text)) continue;
+    const indentLevel = Math.max(0, line.indentLevel || 0) + depth;
+    out.push(lineToMarkdown({ ...line, indentLevel }));
+    const tags = line.properties?.tags;
+    if (Array.isArray(tags) && tags.length) out.push(`${'\t'.repeat(indentLevel)}  tags:: ${tags.join(', ')}`);
+    if (line.id != null) out.push(`${'\t'.repeat(indentLevel)}  id:: ${lineBlockUuid(line.id)}`);
+  }
+  return out;
+}
+
+/** The page a line is routed to with `[page: X]`, or null. */
+function routeOf(line) {
+  const page = line?.properties?.page;
+  return typeof page === 'string' && page.trim() ? page.trim() : null;
+}
+
+/**
+ * The lines `[page: X]` routes off the page, by the page they go to (names
+ * differing only in case are one LogSeq page), in transcript order.
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @returns {Map<string, import('./page-doc.js').TranscriptLine[]>} page name
+ *   (as first written) → its lines
+ */
+export function routedLines(doc) {
+  const byKey = new Map();
+  for (const line of doc?.transcript?.lines || []) {
+    const name = routeOf(line);
+    if (!name) continue;
+    const key = name.toLowerCase();
+    if (!byKey.has(key)) byKey.set(key, { name, lines: [] });
+    byKey.get(key).lines.push(line);
+  }
+  return new Map([...byKey.values()].map(({ name, lines }) => [name, lines]));
+}
+
+/**
+ * Graph-relative paths of the pages a doc routes lines to.
+ * @param {import('./page-doc.js').PageDoc|null} doc
+ * @returns {string[]}
+ */
+export function routedPagePaths(doc) {
+  return [...routedLines(doc).keys()].map(routedPagePath);
+}
+
+/** The doc without its routed lines — they're published on their own pages. */
+function withoutRoutedLines(doc) {
+  const lines = doc?.transcript?.lines;
+  if (!Array.isArray(lines) || !lines.some(routeOf)) return doc;
+  return { ...doc, transcript: { ...doc.transcript, lines: lines.filter(line => !routeOf(line)) } };
+}
+
+/** Indents evened out, so lines taken from a deeper outline still nest. */
+function evenIndents(lines) {
+  const out = [];
+  for (const line of lines) {
+    const prev = out[out.length - 1];
+    out.push({ ...line, indentLevel: Math.min(Math.max(0, line.indentLevel || 0), prev ? prev.indentLevel + 1 : 0) });
+  }
+  return out;
+}
+
+/** The block that links a page from a journal or a routed page. */
+function linkBlockHeader({ book, pageId, alias = null }) {
+  return [`- [[${smartpenPageName(book, pageId)}]]${alias ? ` (${alias})` : ''}`, `  ${JOURNAL_PROPERTY}:: B${book}/P${pageId}`];
+}
+
+/**
+ * The page file for page mode.
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @param {{book: number|string, pageId: number|string, alias?: string|null}} page
+ * @returns {string}
+ */
+export function pageToLogseqMarkdown(doc, { book, pageId, alias = null }) {
+  const out = [`title:: ${smartpenPageName(book, pageId)}`, 'tags:: smartpen'];
+  if (alias) out.push(`smartpen-book:: ${alias}`);
+  out.push('');
+  if ((doc?.strokes || []).length) out.push(`- ![B${book}/P${pageId}](../${pageSvgPath(book, pageId)})`);
+  out.push(...transcriptBlocks(doc?.transcript?.lines, 0));
+  return out.join('\n') + '\n';
+}
+
+/**
+ * The page's block for the journal modes: a link to the page, the ink and the
+ * transcript nested under it.
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @param {{book: number|string, pageId: number|string, alias?: string|null}} page
+ * @param {import('./page-doc.js').TranscriptLine[]} [lines] - the lines to
+ *   include (days mode: the ones written that day); all by default
+ * @returns {string} no trailing newline
+ */
+export function pageToJournalBlock(doc, { book, pageId, alias = null }, lines = doc?.transcript?.lines) {
+  const out = linkBlockHeader({ book, pageId, alias });
+  if ((doc?.strokes || []).length) out.push(`\t- ![B${book}/P${pageId}](../${pageSvgPath(book, pageId)})`);
+  out.push(...transcriptBlocks(lines, 1));
+  return out.join('\n');
+}
+
+/**
+ * The page's block on a page its lines are routed to: a link back to the page
+ * with the routed lines nested under it (no ink).
+ * @param {{book: number|string, pageId: number|string, alias?: string|null}} page
+ * @param {import('./page-doc.js').TranscriptLine[]} lines - from {@link routedLines}
+ * @returns {string} no trailing newline
+ */
+export function pageToRoutedBlock({ book, pageId, alias = null }, lines) {
+  return [...linkBlockHeader({ book, pageId, alias }), ...transcriptBlocks(evenIndents(lines), 1)].join('\n');
+}
+
+/** [start, end) line range of a page's block in a journal, or null. */
+function findJournalBlock(lines, book, pageId) {
+  const marker = `${JOURNAL_PROPERTY}:: B${book}/P${pageId}`;
+  const at = lines.findIndex(l => l.trim() === marker);
+  if (at === -1) return null;
+  let start = at;
+  while (start > 0 && !lines[start].startsWith('- ')) start--;
+  let end = at + 1;
+  while (end < lines.length && !lines[end].startsWith('- ')) end++;
+  return [start, end];
+}
+
+/**
+ * Put a page's block into a journal (or routed page) file: replaced where it
+ * already is, appended otherwise. Everything else in the file is kept.
+ * @param {string|null} journalText - current file (null when there's none)
+ * @param {string} block - from {@link pageToJournalBlock} or {@link pageToRoutedBlock}
+ * @param {{book: number|string, pageId: number|string}} page
+ * @returns {string}
+ */
+export function upsertJournalBlock(journalText, block, { book, pageId }) {
+  const lines = String(journalText || '').replace(/\n+$/, '').split('\n');
+  if (lines.length === 1 && lines[0].trim() === '') lines.pop();
+  // A brand-new journal from LogSeq holds a lone empty bullet
+  if (lines.length === 1 && lines[0].trim() === '-') lines.pop();
+  const range = findJournalBlock(lines, book, pageId);
+  if (range) lines.splice(range[0], range[1] - range[0], ...block.split('\n'));
+  else lines.push(...block.split('\n'));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Take a page's block out of a journal (or routed page) file.
+ * @param {string|null} journalText
+ * @param {{book: number|string, pageId: number|string}} page
+ * @returns {string|null} the new text, or null when the page wasn't in it
+ */
+export function removeJournalBlock(journalText, { book, pageId }) {
+  const lines = String(journalText || '').replace(/\n+$/, '').split('\n');
+  const range = findJournalBlock(lines, book, pageId);
+  if (!range) return null;
+  lines.splice(range[0], range[1] - range[0]);
+  return lines.length ? lines.join('\n') + '\n' : '';
+}
+
+/**
+ * Every file the Markdown mode writes for a page, and the file the other mode
+ * would have written: it holds the same block ids, so it has to go (a page
+ * file is removed, a journal block taken out).
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @param {{book: number|string, pageId: number|string, alias?: string|null, mode: 'page'|'journal'|'days'}} page
+ * @returns {{svg: {relPath: string, text: string}|null,
+ *   markdown: {relPath: string, text?: string, block?: string}|null,
+ *   journals?: Array<{relPath: string, block: string}>,
+ *   routed?: Array<{relPath: string, block: string}>,
+ *   superseded: {relPath: string, journal: boolean}|null}}
+ *   journal mode gives the block to upsert instead of the file text; days
+ *   mode gives one block per day in `journals` instead of `markdown`;
+ *   `routed` holds the block to upsert into each page lines are routed to
+ */
+export function buildGraphMarkdown(doc, { book, pageId, alias = null, mode }) {
+  const svg = (doc?.strokes || []).length ? { relPath: pageSvgPath(book, pageId), text: pageToSvg(doc) } : null;
+  const date = pageJournalDate(doc);
+  const own = withoutRoutedLines(doc);
+  const routed = [...routedLines(doc)].map(([name, lines]) => ({
+    relPath: routedPagePath(name),
+    block: pageToRoutedBlock({ book, pageId, alias }, lines)
+  }));
+  if (mode === 'page') {
+    return {
+      svg,
+      markdown: { relPath: markdownPagePath(book, pageId), text: pageToLogseqMarkdown(own, { book, pageId, alias }) },
+      routed,
+      superseded: date ? { relPath: journalPath(date), journal: true } : null
+    };
+  }
+  if (mode === 'journal') {
+    return {
+      svg,
+      markdown: date ? { relPath: journalPath(date), block: pageToJournalBlock(own, { book, pageId, alias }) } : null,
+      routed,
+      superseded: { relPath: markdownPagePath(book, pageId), journal: false }
+    };
+  }
+  if (mode === 'days') {
+    // Dated on the whole page (an undated line follows the one above it),
+    // then the routed lines taken out
+    const slices = sliceTranscriptByDay(doc)
+      .map(slice => ({ ...slice, lines: slice.lines.filter(line => !routeOf(line)) }))
+      .filter(slice => slice.lines.length);
+    // A page with ink but no transcript yet still goes to the day it was started
+    if (slices.length === 0 && date && svg) slices.push({ date, lines: [] });
+    return {
+      svg,
+      markdown: null,
+      journals: slices.map(slice => ({
+        relPath: journalPath(slice.date),
+        block: pageToJournalBlock(doc, { book, pageId, alias }, slice.lines)
+      })),
+      routed,
+      superseded: { relPath: markdownPagePath(book, pageId), journal: false }
+    };
+  }
+  return { svg: null, markdown: null, superseded: null };
+}
+
+/**
+ * Journals that held the page as last published but get no block now — the
+ * mode changed, or the lines of a day moved to another one. The page's block
+ * comes out of each.
+ * @param {import('./page-doc.js').PageDoc|null} published - the page as last published
+ * @param {ReturnType<typeof buildGraphMarkdown>} built - what is written now
+ * @returns {string[]} graph-relative journal paths
+ */
+export function staleJournalPaths(published, built) {
+  if (!published) return [];
+  const written = new Set((built.journals || []).map(j => j.relPath));
+  if (built.markdown?.block) written.add(built.markdown.relPath);
+  return pageJournalDates(published).map(journalPath).filter(relPath => !written.has(relPath));
+}
+
+/**
+ * Pages the page's lines were routed to as last published but aren't now —
+ * the `[page: X]` tag changed or went. The page's block comes out of each.
+ * @param {import('./page-doc.js').PageDoc|null} published - the page as last published
+ * @param {ReturnType<typeof buildGraphMarkdown>} built - what is written now
+ * @returns {string[]} graph-relative page paths
+ */
+export function staleRoutedPaths(published, built) {
+  if (!published) return [];
+  const written = new Set((built.routed || []).map(r => r.relPath));
+  return routedPagePaths(published).filter(relPath => !written.has(relPath));
+}
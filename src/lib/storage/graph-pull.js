@@ -0,0 +1,216 @@
+/**
+ * Graph pull — bring transcript edits made in LogSeq back into the bridge.
+ *
+ * The JPI Tools plugin lets teammates fix a transcript inside LogSeq; it edits
+ * the published asset (see publish-graph.js), not `pages/B*\/P*.json`. This
+ * module compares the asset ("theirs") with the bridge's page ("ours"), line
+ * by line on `id`:
+ *
+ *   - base:   the local version that was published — the page itself when it
+ *             hasn't been saved since the asset's lastUpdated, otherwise the
+ *             newest saved version (.history/) from no later than that. Without
+ *             one the diff is two-way: no line counts as removed in LogSeq and
+ *             every differing line is a conflict.
+ *   - only changes made on the LogSeq side are reported (theirs ≠ base):
+ *     lines added, edited (text, indent, checkbox, state, LaTeX) or removed.
+ *   - a line both sides changed is a conflict; it goes to the more recently
+ *     updated doc unless the user picks otherwise.
+ *
+ * Only the transcript comes back: strokes are the bridge's, and lines the
+ * asset has without an id are ignored. Pure (no I/O); graph-sync.js does the
+ * reads and GraphPullDialog the write.
+ */
+
+import { computeBounds } from './page-doc.js';
+
+/** Transcript line fields LogSeq can edit; the rest stay the bridge's. */
+export const GRAPH_LINE_FIELDS = ['text', 'indentLevel', 'parentId', 'checked', 'state', 'latex'];
+
+/**
+ * @typedef {Object} GraphLineChange
+ * @property {string} id
+ * @property {'added'|'edited'|'removed'} kind    - what LogSeq did to the line
+ * @property {import('./page-doc.js').TranscriptLine|null} ours
+ * @property {import('./page-doc.js').TranscriptLine|null} theirs
+ * @property {boolean} conflict                  - the bridge changed it too
+ * @property {'ours'|'theirs'} kept               - the side taken by default
+ */
+
+/**
+ * @typedef {Object} GraphTranscriptDiff
+ * @property {boolean} hasBase
+ * @property {GraphLineChange[]} changes          - in the asset's line order
+ * @property {string[]} theirOrder                - the asset's line ids, in order
+ */
+
+function byId(lines) {
+  const map = new Map();
+  for (const line of lines || []) {
+    if (line && line.id != null) map.set(line.id, line);
+  }
+  return map;
+}
+
+function updatedAt(doc) {
+  const t = Date.parse(doc?.metadata?.lastUpdated || '');
+  return Number.isFinite(t) ? t : 0;
+}
+
+/** Same line as far as LogSeq can tell (only the fields it edits). */
+function sameLine(a, b) {
+  if (!a || !b) return a === b;
+  return GRAPH_LINE_FIELDS.every(field => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null));
+}
+
+/**
+ * Do two docs' transcripts differ in anything LogSeq can edit? A cheap test
+ * before looking for a base.
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+export function transcriptsDiffer(a, b) {
+  const left = byId(a?.transcript?.lines);
+  const right = byId(b?.transcript?.lines);
+  if (left.size !== right.size) return true;
+  for (const [id, line] of left) {
+    if (!sameLine(line, right.get(id))) return true;
+  }
+  return false;
+}
+
+/**
+ * Pick the local version the asset was published from.
+ * @param {Object} ours - the bridge's page
+ * @param {import('./local-store.js').PageVersion[]} versions - its history, newest first
+ * @param {Object} theirs - the asset
+ * @returns {{source: 'page'|'version'|null, version: import('./local-store.js').PageVersion|null}}
+ */
+export function pickGraphBase(ours, versions, theirs) {
+  const published = updatedAt(theirs);
+  if (!published) return { source: null, version: null };
+  if (ours && updatedAt(ours) <= published) return { source: 'page', version: null };
+  for (const v of versions || []) {
+    if (!v.readable) continue;
+    const t = Date.parse(v.lastUpdated || '');
+    if (Number.isFinite(t) && t <= published) return { source: 'version', version: v };
+  }
+  return { source: null, version: null };
+}
+
+/**
+ * The transcript changes made in LogSeq, with conflicts against the bridge's
+ * own changes since publishing.
+ * @param {Object|null} base
+ * @param {Object} ours
+ * @param {Object} theirs
+ * @returns {GraphTranscriptDiff}
+ */
+export function diffGraphTranscript(base, ours, theirs) {
+  const baseLines = byId(base?.transcript?.lines);
+  const ourLines = byId(ours?.transcript?.lines);
+  const theirLines = byId(theirs?.transcript?.lines);
+  const preferTheirs = updatedAt(theirs) > updatedAt(ours);
+  const changes = [];
+
+  const change = (id, kind, o, t, conflict) => {
+    changes.push({ id, kind, ours: o || null, theirs: t || null, conflict, kept: conflict && !preferTheirs ? 'ours' : 'theirs' });
+  };
+
+  for (const [id, t] of theirLines) {
+    const o = ourLines.get(id);
+    const b = baseLines.get(id);
+    if (base && b && sameLine(b, t)) continue;            // LogSeq didn't touch it
+    if (o && sameLine(o, t)) continue;                    // both sides agree
+    if (!o) {
+      // Gone from the bridge: deleted here since publishing, or never there
+      if (b) change(id, 'edited', null, t, true);
+      else change(id, 'added', null, t, false);
+    } else {
+      change(id, 'edited', o, t, !base || !b || !sameLine(b, o));
+    }
+  }
+
+  if (base) {
+    for (const [id, b] of baseLines) {
+      if (theirLines.has(id) || !ourLines.has(id)) continue;
+      const o = ourLines.get(id);
+      change(id, 'removed', o, null, !sameLine(b, o));
+    }
+  }
+
+  return { hasBase: !!base, changes, theirOrder: [...theirLines.keys()] };
+}
+
+/** Our line with LogSeq's edits to it; per-word detail goes with an edited text. */
+function withTheirFields(ours, theirs) {
+  const line = { ...ours };
+  for (const field of GRAPH_LINE_FIELDS) {
+    if (theirs[field] === undefined) delete line[field];
+    else line[field] = theirs[field];
+  }
+  if (line.text !== ours.text) delete line.words;
+  if (line.state === undefined) delete line.stateSource;
+  else if (line.state !== ours.state) line.stateSource = 'manual';
+  return line;
+}
+
+/**
+ * Apply the LogSeq side of the chosen changes to the bridge's page.
+ * @param {Object} ours
+ * @param {GraphTranscriptDiff} diff
+ * @param {Object<string, 'ours'|'theirs'>} [choices] - overrides of `kept`, by line id
+ * @param {{now?: string}} [options]
+ * @returns {{doc: Object, pulled: number, textEdits: Array<{from: string, to: string}>}}
+ *   textEdits are recognized lines whose text was corrected, for the correction dictionary
+ */
+export function applyGraphPull(ours, diff, choices = {}, { now = new Date().toISOString() } = {}) {
+  const taken = diff.changes.filter(c => (choices[c.id] || c.kept) === 'theirs');
+  const byLine = new Map(taken.map(c => [c.id, c]));
+  const textEdits = [];
+  let lines = [];
+
+  for (const line of ours?.transcript?.lines || []) {
+    const c = byLine.get(line.id);
+    if (!c) lines.push(line);
+    else if (c.kind === 'removed') continue;
+    else {
+      if (line.words?.length && c.theirs.text !== line.text) textEdits.push({ from: line.text, to: c.theirs.text });
+      lines.push(withTheirFields(line, c.theirs));
+    }
+  }
+
+  // Lines new to the bridge go after the line that precedes them in the asset
+  for (const c of taken) {
+    if (c.ours || !c.theirs) continue;
+    const added = { ...c.theirs };
+    delete added.words;
+    const before = diff.theirOrder.slice(0, diff.theirOrder.indexOf(c.id)).reverse();
+    const anchor = before.map(id => lines.findIndex(l => l.id === id)).find(i => i !== -1);
+    lines.splice(anchor === undefined ? 0 : anchor + 1, 0, added);
+  }
+
+  // Removed lines take their children's parent role with them
+  const removed = new Map(taken.filter(c => c.kind === 'removed').map(c => [c.id, c.ours.parentId ?? null]));
+  const live = new Set(lines.map(l => l.id));
+  lines = lines.map(l => {
+    let parentId = l.parentId;
+    while (parentId != null && removed.has(parentId)) parentId = removed.get(parentId);
+    if (parentId != null && !live.has(parentId)) parentId = null;
+    return parentId === l.parentId ? l : { ...l, parentId };
+  });
+  const strokes = (ours?.strokes || []).map(s => (s.lineId && !live.has(s.lineId) ? { ...s, lineId: null } : s));
+
+  const doc = {
+    ...ours,
+    metadata: {
+      ...(ours?.metadata || {}),
+      lastUpdated: now,
+      totalStrokes: strokes.length,
+      bounds: computeBounds(strokes)
+    },
+    transcript: { ...(ours?.transcript || {}), lines },
+    strokes
+  };
+  return { doc, pulled: taken.length, textEdits };
+}
@@ -0,0 +1,433 @@
+/**
+ * Graph sync — bring the whole LogSeq graph mirror back in line with the
+ * data root ("Sync graph now" in GraphFolderSettings).
+ *
+ * publish-graph.js only mirrors pages as they are saved, so the mirror drifts
+ * whenever publishing was off for a while or the graph folder was restored
+ * from a backup. A sync walks every page in the data root, one at a time (the
+ * library is never resident at once), and compares:
+ *
+ *   - its asset with the page as the bridge would publish it (missing/stale
+ *     assets are rewritten),
+ *   - its `smartpen-index.json` entry with buildSmartpenIndexEntry (missing or
+ *     stale entries are rewritten, the book aliases rebuilt),
+ *   - with a Markdown mode on, its Markdown page, journal blocks, blocks on
+ *     routed pages and SVG with what publishMarkdown would write (the page's
+ *     Markdown is rewritten when any of them is missing or stale, or when the
+ *     other mode's output or a day or page it no longer reaches still holds it),
+ *
+ * and removes the assets, entries and Markdown of pages that no longer exist
+ * (through publish-graph.js, so a sync writes what a save would). A page
+ * that can't be read keeps whatever the graph has for it, and so does an
+ * asset holding transcript edits made in LogSeq: those are listed for review
+ * ({@link findGraphEdits} / GraphPullDialog, see graph-pull.js) instead of
+ * being overwritten.
+ *
+ * Run it with `dryRun` first to get the report without touching the graph;
+ * the settings panel shows that report before the real run.
+ */
+
+import { get } from 'svelte/store';
+import { log } from '$stores';
+import { graphRoot, graphMarkdownMode } from '$stores/settings.js';
+import { bookAliases } from '$stores/book-aliases.js';
+import { listPages, getPage, listPageHistory, getPageVersion } from './local-store.js';
+import { serializePageDoc } from './page-doc-format.js';
+import {
+  buildSmartpenIndexEntry,
+  emptySmartpenIndex,
+  reconcileSmartpenIndex
+} from './graph-index.js';
+import { transcriptsDiffer, pickGraphBase, diffGraphTranscript } from './graph-pull.js';
+import { isMarkdownOn, publishMarkdown, unpublishMarkdown } from './publish-graph.js';
+import {
+  buildGraphMarkdown,
+  upsertJournalBlock,
+  removeJournalBlock,
+  markdownPagePath,
+  pageSvgPath,
+  journalPath,
+  pageJournalDates,
+  routedPagePaths,
+  staleJournalPaths,
+  staleRoutedPaths
+} from './graph-markdown.js';
+
+/**
+ * @typedef {Object} GraphPageRef
+ * @property {number} book
+ * @property {string} pageId
+ * @property {'missing'|'stale'} [reason]
+ * @property {string} [error]
+ * @property {string[]} [files] - graph-relative Markdown files to write or clean up
+ */
+
+/**
+ * @typedef {Object} GraphSyncReport
+ * @property {boolean} dryRun
+ * @property {string} graphRoot
+ * @property {number} pagesChecked
+ * @property {GraphPageRef[]} assetsToWrite
+ * @property {GraphPageRef[]} entriesToWrite
+ * @property {GraphPageRef[]} entriesToRemove - index entries of deleted pages
+ * @property {GraphPageRef[]} assetsToRemove  - asset files of deleted pages
+ * @property {GraphPageRef[]} markdownToWrite - pages whose Markdown is missing or stale
+ * @property {GraphPageRef[]} markdownToRemove - Markdown of deleted pages
+ * @property {boolean} aliasesChanged
+ * @property {boolean} indexUnreadable        - the manifest was corrupt and is rebuilt
+ * @property {GraphPageRef[]} unreadable      - pages left as they are in the graph
+ * @property {GraphPageRef[]} graphEdits      - assets with LogSeq edits, left for review
+ * @property {boolean} changed                - anything to write (or written)
+ */
+
+const SYNC_METHODS = ['readGraphIndex', 'listGraphAssets', 'readGraphAsset', 'writeGraphAsset', 'removeGraphAsset', 'writeGraphIndex'];
+
+function getBackend() {
+  if (typeof window === 'undefined' || !window.storageAPI) return null;
+  const api = window.storageAPI;
+  return SYNC_METHODS.every(name => typeof api[name] === 'function') ? api : null;
+}
+
+function unwrap(response, action) {
+  if (!response) throw new Error(`graph: empty response from ${action}`);
+  if (response.ok === false) throw new Error(response.error || `graph: ${action} failed`);
+  return response.result;
+}
+
+const ref = (book, pageId, extra = {}) => ({ book: Number(book), pageId: String(pageId), ...extra });
+const refKey = (r) => `${Number(r.book)}/${String(r.pageId)}`;
+
+/** Does the published asset hold this doc? (Byte-identical, or the same JSON.) */
+function assetMatches(assetText, expectedText) {
+  if (assetText === expectedText) return true;
+  try {
+    return JSON.stringify(JSON.parse(assetText)) === JSON.stringify(JSON.parse(expectedText));
+  } catch {
+    return false;
+  }
+}
+
+/** Journal text compared without the trailing newlines LogSeq may drop. */
+const sameText = (a, b) => String(a ?? '').replace(/\n+$/, '') === String(b ?? '').replace(/\n+$/, '');
+
+/** The published asset as a doc (for where its Markdown went), or null. */
+function parseAsset(assetText) {
+  try {
+    return assetText ? JSON.parse(assetText) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The Markdown files that don't hold the page as publishMarkdown would write
+ * it: a missing or stale SVG, page file or block, and the other mode's output
+ * or a journal or routed page the page no longer reaches that still holds it.
+ * @returns {Promise<string[]>} graph-relative paths
+ */
+async function markdownDrift(api, root, book, pid, doc, alias, published) {
+  const built = buildGraphMarkdown(doc, { book, pageId: pid, alias, mode: get(graphMarkdownMode) });
+  const { svg, markdown, journals = [], routed = [], superseded } = built;
+  const page = { book, pageId: pid };
+  const read = async (relPath) => unwrap(await api.readGraphFile(root, relPath), 'readGraphFile');
+  const drift = [];
+  for (const file of [svg, markdown?.text ? markdown : null].filter(Boolean)) {
+    if ((await read(file.relPath)) !== file.text) drift.push(file.relPath);
+  }
+  for (const { relPath, block } of [...journals, ...(markdown?.block ? [markdown] : []), ...routed]) {
+    const text = await read(relPath);
+    if (!sameText(upsertJournalBlock(text, block, page), text)) drift.push(relPath);
+  }
+  const leftovers = [...staleJournalPaths(published, built), ...staleRoutedPaths(published, built)];
+  if (superseded?.journal) leftovers.push(superseded.relPath);
+  for (const relPath of leftovers) {
+    if (removeJournalBlock(await read(relPath), page) !== null) drift.push(relPath);
+  }
+  if (superseded && !superseded.journal && (await read(superseded.relPath)) !== null) drift.push(superseded.relPath);
+  return [...new Set(drift)];
+}
+
+/**
+ * The Markdown a deleted page left in the graph: its page file, SVG, and
+ * blocks in the journals and routed pages it was last published to.
+ * @returns {Promise<string[]>} graph-relative paths
+ */
+async function markdownLeftovers(api, root, book, pid, published) {
+  const read = async (relPath) => unwrap(await api.readGraphFile(root, relPath), 'readGraphFile');
+  const found = [];
+  for (const relPath of [markdownPagePath(book, pid), pageSvgPath(book, pid)]) {
+    if ((await read(relPath)) !== null) found.push(relPath);
+  }
+  const blockPaths = published ? [...pageJournalDates(published).map(journalPath), ...routedPagePaths(published)] : [];
+  for (const relPath of blockPaths) {
+    if (removeJournalBlock(await read(relPath), { book, pageId: pid }) !== null) found.push(relPath);
+  }
+  return found;
+}
+
+/**
+ * @typedef {Object} GraphPull
+ * @property {import('./page-doc.js').PageDoc} ours   - the bridge's page
+ * @property {import('./page-doc.js').PageDoc} theirs - the published asset
+ * @property {import('./page-doc.js').PageDoc|null} base
+ * @property {import('./local-store.js').PageVersion|null} baseVersion - null when the base is the page itself
+ * @property {import('./graph-pull.js').GraphTranscriptDiff} diff
+ */
+
+/**
+ * Diff an asset against its page. The page's history is only read when the
+ * transcripts differ at all.
+ * @returns {Promise<GraphPull|null>} null when the asset isn't a readable PageDoc
+ */
+async function compareWithAsset(book, pageId, ours, assetText) {
+  let theirs;
+  try {
+    theirs = JSON.parse(assetText);
+  } catch {
+    return null;
+  }
+  if (!theirs || typeof theirs !== 'object') return null;
+  if (!transcriptsDiffer(ours, theirs)) {
+    return { ours, theirs, base: ours, baseVersion: null, diff: diffGraphTranscript(ours, ours, theirs) };
+  }
+
+  let base = null;
+  let baseVersion = null;
+  try {
+    const picked = pickGraphBase(ours, ours ? await listPageHistory(book, pageId) : [], theirs);
+    if (picked.source === 'page') base = ours;
+    else if (picked.source === 'version') {
+      baseVersion = picked.version;
+      base = await getPageVersion(book, pageId, baseVersion.id);
+    }
+  } catch (err) {
+    console.warn('Graph pull: no usable history base', err);
+  }
+  return { ours, theirs, base, baseVersion, diff: diffGraphTranscript(base, ours, theirs) };
+}
+
+/**
+ * Read a page and its published asset and diff their transcripts.
+ * @param {number|string} book
+ * @param {number|string} pageId
+ * @returns {Promise<GraphPull|null>} null when either is missing
+ */
+export async function loadGraphPull(book, pageId) {
+  const root = get(graphRoot);
+  if (!root) throw new Error('No graph folder set');
+  const api = getBackend();
+  if (!api) throw new Error('Graph sync is only available in the desktop app');
+
+  const [ours, assetText] = await Promise.all([
+    getPage(book, pageId),
+    api.readGraphAsset(root, book, pageId).then(res => unwrap(res, 'readGraphAsset'))
+  ]);
+  if (!ours || assetText === null) return null;
+  return compareWithAsset(book, pageId, ours, assetText);
+}
+
+/**
+ * @typedef {Object} GraphEditSummary
+ * @property {number} book
+ * @property {string} pageId
+ * @property {number} added
+ * @property {number} edited
+ * @property {number} removed
+ * @property {number} conflicts
+ */
+
+/**
+ * Find the published pages whose transcript was edited in LogSeq, one page
+ * at a time.
+ * @param {{onProgress?: (done: number, total: number) => void}} [options]
+ * @returns {Promise<GraphEditSummary[]>}
+ */
+export async function findGraphEdits({ onProgress } = {}) {
+  const root = get(graphRoot);
+  if (!root) throw new Error('No graph folder set');
+  const api = getBackend();
+  if (!api) throw new Error('Graph sync is only available in the desktop app');
+
+  const assets = unwrap(await api.listGraphAssets(root), 'listGraphAssets');
+  const found = [];
+  for (let i = 0; i < assets.length; i++) {
+    const { book, pageId } = assets[i];
+    onProgress?.(i, assets.length);
+    try {
+      const pull = await loadGraphPull(book, pageId);
+      if (!pull || pull.diff.changes.length === 0) continue;
+      const count = (kind) => pull.diff.changes.filter(c => c.kind === kind).length;
+      found.push({
+        ...ref(book, pageId),
+        added: count('added'),
+        edited: count('edited'),
+        removed: count('removed'),
+        conflicts: pull.diff.changes.filter(c => c.conflict).length
+      });
+    } catch (err) {
+      log(`Checking B${book}/P${pageId} for LogSeq edits failed: ${err.message}`, 'warning');
+    }
+  }
+  onProgress?.(assets.length, assets.length);
+  return found;
+}
+
+/**
+ * Compare the graph mirror with the data root and, unless `dryRun`, fix it.
+ * Assets and Markdown are written as they're found; removals and the
+ * manifest go last.
+ *
+ * @param {{dryRun?: boolean, onProgress?: (done: number, total: number) => void}} [options]
+ * @returns {Promise<GraphSyncReport>}
+ */
+export async function syncGraphMirror({ dryRun = true, onProgress } = {}) {
+  const root = get(graphRoot);
+  if (!root) throw new Error('No graph folder set');
+  const api = getBackend();
+  if (!api) throw new Error('Graph sync is only available in the desktop app');
+
+  let index = emptySmartpenIndex();
+  let indexUnreadable = false;
+  const rawIndex = unwrap(await api.readGraphIndex(root), 'readGraphIndex');
+  if (rawIndex) {
+    try {
+      index = JSON.parse(rawIndex);
+    } catch {
+      indexUnreadable = true;
+    }
+  }
+
+  const pages = await listPages();
+  const markdownOn = isMarkdownOn(api);
+  const aliases = get(bookAliases) || {};
+  const entries = [];
+  const assetsToWrite = [];
+  const markdownToWrite = [];
+  const unreadable = [];
+  const graphEdits = [];
+
+  for (let i = 0; i < pages.length; i++) {
+    const { book, pageId } = pages[i];
+    onProgress?.(i, pages.length);
+    let doc;
+    try {
+      doc = await getPage(book, pageId);
+      if (!doc) throw new Error('page file is missing');
+    } catch (err) {
+      unreadable.push(ref(book, pageId, { error: err.message }));
+      continue;
+    }
+    entries.push(buildSmartpenIndexEntry(doc, book, pageId));
+
+    const expectedText = serializePageDoc(doc);
+    const assetText = unwrap(await api.readGraphAsset(root, book, pageId), 'readGraphAsset');
+    if (assetText === null || !assetMatches(assetText, expectedText)) {
+      if (assetText !== null) {
+        const pull = await compareWithAsset(book, pageId, doc, assetText);
+        if (pull && pull.diff.changes.length > 0) {
+          graphEdits.push(ref(book, pageId));
+          continue;
+        }
+      }
+      assetsToWrite.push(ref(book, pageId, { reason: assetText === null ? 'missing' : 'stale' }));
+      if (!dryRun) unwrap(await api.writeGraphAsset(root, book, pageId, expectedText), 'writeGraphAsset');
+    }
+
+    if (!markdownOn) continue;
+    const pid = String(pageId);
+    const alias = aliases[String(book)] ?? null;
+    const published = parseAsset(assetText);
+    const files = await markdownDrift(api, root, book, pid, doc, alias, published);
+    if (files.length === 0) continue;
+    markdownToWrite.push(ref(book, pageId, { files }));
+    if (!dryRun) await publishMarkdown(api, root, book, pid, doc, alias, published);
+  }
+  onProgress?.(pages.length, pages.length);
+
+  const reconciled = reconcileSmartpenIndex(index, entries, aliases, { keep: unreadable });
+  const existingPages = new Set(pages.map(refKey));
+  const assetsToRemove = unwrap(await api.listGraphAssets(root), 'listGraphAssets')
+    .filter(asset => !existingPages.has(refKey(asset)))
+    .map(asset => ref(asset.book, asset.pageId));
+
+  // Where a deleted page's Markdown went comes from its asset, so read it
+  // before the asset is removed.
+  const markdownToRemove = [];
+  const publishedDeleted = new Map();
+  for (const asset of markdownOn ? assetsToRemove : []) {
+    const pid = String(asset.pageId);
+    const published = parseAsset(unwrap(await api.readGraphAsset(root, asset.book, pid), 'readGraphAsset'));
+    const files = await markdownLeftovers(api, root, asset.book, pid, published);
+    if (files.length === 0) continue;
+    markdownToRemove.push(ref(asset.book, pid, { files }));
+    publishedDeleted.set(refKey(asset), published);
+  }
+
+  const report = {
+    dryRun,
+    graphRoot: root,
+    pagesChecked: pages.length,
+    assetsToWrite,
+    entriesToWrite: [
+      ...reconciled.missing.map(e => ref(e.book, e.pageId, { reason: 'missing' })),
+      ...reconciled.stale.map(e => ref(e.book, e.pageId, { reason: 'stale' }))
+    ],
+    entriesToRemove: reconciled.orphaned.map(e => ref(e.book, e.pageId)),
+    assetsToRemove,
+    markdownToWrite,
+    markdownToRemove,
+    aliasesChanged: reconciled.aliasesChanged,
+    indexUnreadable,
+    unreadable,
+    graphEdits,
+    changed: assetsToWrite.length > 0 || assetsToRemove.length > 0 || markdownToWrite.length > 0 ||
+      markdownToRemove.length > 0 || reconciled.changed || indexUnreadable
+  };
+  if (dryRun) return report;
+
+  for (const page of markdownToRemove) {
+    await unpublishMarkdown(api, root, page.book, page.pageId, publishedDeleted.get(refKey(page)));
+  }
+  for (const asset of assetsToRemove) {
+    unwrap(await api.removeGraphAsset(root, asset.book, asset.pageId), 'removeGraphAsset');
+  }
+  if (reconciled.changed || indexUnreadable) {
+    unwrap(await api.writeGraphIndex(root, JSON.stringify(reconciled.index, null, 2) + '\n'), 'writeGraphIndex');
+  }
+
+  log(`Graph sync: ${describeGraphSync(report)}`, report.changed ? 'success' : 'info');
+  for (const page of unreadable) {
+    log(`Graph sync skipped B${page.book}/P${page.pageId}: ${page.error}`, 'warning');
+  }
+  for (const page of graphEdits) {
+    log(`Graph sync kept B${page.book}/P${page.pageId}: it has edits made in LogSeq to review`, 'warning');
+  }
+  return report;
+}
+
+/**
+ * One-line summary of a sync report, e.g. "120 pages checked: 3 assets
+ * written, 1 deleted page removed".
+ * @param {GraphSyncReport} report
+ * @returns {string}
+ */
+export function describeGraphSync(report) {
+  const count = (n, one, many = `${one}s`) => `${n} ${n === 1 ? one : many}`;
+  const verb = (done, todo) => (report.dryRun ? todo : done);
+  const parts = [];
+  if (report.assetsToWrite.length) parts.push(`${count(report.assetsToWrite.length, 'asset')} ${verb('written', 'to write')}`);
+  if (report.entriesToWrite.length) parts.push(`${count(report.entriesToWrite.length, 'index entry', 'index entries')} ${verb('updated', 'to update')}`);
+  if (report.entriesToRemove.length || report.assetsToRemove.length) {
+    const n = new Set([...report.entriesToRemove, ...report.assetsToRemove].map(refKey)).size;
+    parts.push(`${count(n, 'deleted page')} ${verb('removed', 'to remove')}`);
+  }
+  if (report.markdownToWrite?.length) parts.push(`Markdown of ${count(report.markdownToWrite.length, 'page')} ${verb('rewritten', 'to rewrite')}`);
+  if (report.markdownToRemove?.length) {
+    parts.push(`Markdown of ${count(report.markdownToRemove.length, 'deleted page')} ${verb('removed', 'to remove')}`);
+  }
+  if (report.aliasesChanged) parts.push(`book aliases ${verb('updated', 'to update')}`);
+  if (report.indexUnreadable) parts.push(`unreadable index ${verb('rebuilt', 'to rebuild')}`);
+  if (report.graphEdits?.length) parts.push(`${count(report.graphEdits.length, 'page')} with LogSeq edits to review`);
+  if (parts.length === 0) return `${count(report.pagesChecked, 'page')} checked, graph is up to date`;
+  return `${count(report.pagesChecked, 'page')} checked: ${parts.join(', ')}`;
+}
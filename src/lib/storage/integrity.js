@@ -0,0 +1,350 @@
+/**
+ * Data-folder integrity — pure checks and repairs for PageDocs and _aliases.json.
+ *
+ * writeFileAtomic guards our own writes, but files that were hand-edited or
+ * half-synced by Dropbox/OneDrive can still land in the folder, and
+ * listAllPages just skips (or mis-summarizes) them. This module decides what
+ * is wrong with a single parsed file and how to fix it; check-folder.js walks
+ * the folder and applies the repairs. No I/O here, so it's unit-testable.
+ */
+
+import { PAGE_DOC_VERSION, SUPPORTED_PAGE_DOC_VERSIONS, validatePageDoc, computeBounds } from './page-doc.js';
+
+/** Issue kinds reported by the checker. */
+export const ISSUE = Object.freeze({
+  UNREADABLE: 'unreadable',               // file is not valid JSON
+  INVALID: 'invalid',                     // fails validatePageDoc
+  PAGEINFO_MISMATCH: 'pageinfo-mismatch', // pageInfo.book/page disagree with the filename
+  DUPLICATE_STROKES: 'duplicate-strokes', // two or more strokes share an id
+  DANGLING_LINE_REFS: 'dangling-line-refs', // stroke.lineId points at a missing transcript line
+  STALE_METADATA: 'stale-metadata',       // metadata.totalStrokes disagrees with strokes.length
+  ORPHAN_TMP: 'orphan-tmp',               // leftover atomic-write temp file
+  ALIASES_UNREADABLE: 'aliases-unreadable',
+  ALIASES_INVALID: 'aliases-invalid'
+});
+
+/** Repair actions; each issue lists the ones that apply to it. */
+export const REPAIR = Object.freeze({
+  NORMALIZE: 'normalize',             // fill in missing shell fields
+  FIX_PAGEINFO: 'fix-pageinfo',       // take book/page from the filename
+  DEDUPE_STROKES: 'dedupe-strokes',   // drop exact copies, re-id the rest
+  CLEAR_LINE_REFS: 'clear-line-refs', // unlink strokes from missing lines
+  RECOUNT: 'recount',                 // recompute totalStrokes + bounds
+  RESTORE_HISTORY: 'restore-history', // roll back to the newest valid version before this save
+  QUARANTINE: 'quarantine',           // move the file aside as *.corrupt-<stamp>
+  DELETE_TMP: 'delete-tmp',
+  PROMOTE_TMP: 'promote-tmp',
+  DROP_BAD_ALIASES: 'drop-bad-aliases'
+});
+
+const REPAIR_LABELS = {
+  [REPAIR.NORMALIZE]: 'Fill in missing fields',
+  [REPAIR.FIX_PAGEINFO]: 'Match pageInfo to filename',
+  [REPAIR.DEDUPE_STROKES]: 'De-duplicate strokes',
+  [REPAIR.CLEAR_LINE_REFS]: 'Unlink from missing lines',
+  [REPAIR.RECOUNT]: 'Recount strokes',
+  [REPAIR.RESTORE_HISTORY]: 'Restore previous version (loses the latest save)',
+  [REPAIR.QUARANTINE]: 'Move file aside',
+  [REPAIR.DELETE_TMP]: 'Delete temp file',
+  [REPAIR.PROMOTE_TMP]: 'Use temp file as the page',
+  [REPAIR.DROP_BAD_ALIASES]: 'Remove invalid entries'
+};
+
+/**
+ * @typedef {Object} IntegrityIssue
+ * @property {string} kind                    - one of ISSUE
+ * @property {'error'|'warning'} severity
+ * @property {string} relPath                 - root-relative file the issue is about
+ * @property {number} [book]
+ * @property {string} [pageId]
+ * @property {string} message
+ * @property {{action: string, label: string}[]} repairs - empty when only a manual fix will do
+ */
+
+function repairs(...actions) {
+  return actions.map(action => ({ action, label: REPAIR_LABELS[action] }));
+}
+
+/**
+ * Split a pageId ("42", "151b") into its integer page number.
+ * @param {string|number} pageId
+ * @returns {number}
+ */
+function pageNumber(pageId) {
+  return parseInt(String(pageId), 10);
+}
+
+/**
+ * Which validatePageDoc failures `normalize` can fill in without guessing at
+ * content: a missing version, transcript, strokes array or pageInfo. A version
+ * we don't know (likely a newer build) or a non-array strokes value can't be.
+ */
+function isNormalizable(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return false;
+  if (doc.version != null && !SUPPORTED_PAGE_DOC_VERSIONS.includes(doc.version)) return false;
+  if (doc.strokes != null && !Array.isArray(doc.strokes)) return false;
+  const lines = doc.transcript?.lines;
+  if (doc.transcript != null && lines != null && !Array.isArray(lines)) return false;
+  return true;
+}
+
+/**
+ * Check one parsed PageDoc against its location in the folder.
+ * @param {*} doc - parsed JSON (may be anything)
+ * @param {{book: number, pageId: string, relPath: string}} where
+ * @returns {IntegrityIssue[]}
+ */
+export function checkPageDoc(doc, { book, pageId, relPath }) {
+  const base = { relPath, book, pageId: String(pageId) };
+  const issues = [];
+
+  const problems = validatePageDoc(doc);
+  if (problems.length) {
+    issues.push({
+      ...base,
+      kind: ISSUE.INVALID,
+      severity: 'error',
+      message: `Not a valid page: ${problems.join('; ')}`,
+      repairs: isNormalizable(doc)
+        ? repairs(REPAIR.NORMALIZE, REPAIR.RESTORE_HISTORY)
+        : repairs(REPAIR.RESTORE_HISTORY, REPAIR.QUARANTINE)
+    });
+    // The finer checks below assume the basic shape; re-run after repair.
+    return issues;
+  }
+
+  const page = pageNumber(pageId);
+  if (doc.pageInfo.book !== book || doc.pageInfo.page !== page) {
+    issues.push({
+      ...base,
+      kind: ISSUE.PAGEINFO_MISMATCH,
+      severity: 'warning',
+      message: `pageInfo says B${doc.pageInfo.book}/P${doc.pageInfo.page} but the file is B${book}/P${pageId}`,
+      repairs: repairs(REPAIR.FIX_PAGEINFO)
+    });
+  }
+
+  const seen = new Map();
+  for (const s of doc.strokes) {
+    const id = s && s.id;
+    if (id == null) continue;
+    seen.set(id, (seen.get(id) || 0) + 1);
+  }
+  const dupIds = [...seen].filter(([, n]) => n > 1).map(([id]) => id);
+  if (dupIds.length) {
+    const extra = dupIds.reduce((sum, id) => sum + seen.get(id) - 1, 0);
+    issues.push({
+      ...base,
+      kind: ISSUE.DUPLICATE_STROKES,
+      severity: 'warning',
+      message: `${extra} duplicate stroke${extra === 1 ? '' : 's'} (${dupIds.slice(0, 3).join(', ')}${dupIds.length > 3 ? ', …' : ''})`,
+      repairs: repairs(REPAIR.DEDUPE_STROKES)
+    });
+  }
+
+  const lineIds = new Set(doc.transcript.lines.map(l => l && l.id));
+  const dangling = doc.strokes.filter(s => s && s.lineId && !lineIds.has(s.lineId));
+  if (dangling.length) {
+    const missing = new Set(dangling.map(s => s.lineId));
+    issues.push({
+      ...base,
+      kind: ISSUE.DANGLING_LINE_REFS,
+      severity: 'warning',
+      message: `${dangling.length} stroke${dangling.length === 1 ? '' : 's'} linked to ${missing.size} missing transcript line${missing.size === 1 ? '' : 's'}`,
+      repairs: repairs(REPAIR.CLEAR_LINE_REFS)
+    });
+  }
+
+  const total = doc.metadata?.totalStrokes;
+  if (total !== doc.strokes.length) {
+    issues.push({
+      ...base,
+      kind: ISSUE.STALE_METADATA,
+      severity: 'warning',
+      message: `metadata.totalStrokes is ${total ?? 'missing'} but the page has ${doc.strokes.length} strokes`,
+      repairs: repairs(REPAIR.RECOUNT)
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Issue for a page file that doesn't parse at all.
+ * @param {{book: number, pageId: string, relPath: string}} where
+ * @param {string} error - parse error message
+ * @param {boolean} hasHistory - whether a saved version exists to roll back to
+ * @returns {IntegrityIssue}
+ */
+export function unreadablePageIssue({ book, pageId, relPath }, error, hasHistory) {
+  return {
+    relPath,
+    book,
+    pageId: String(pageId),
+    kind: ISSUE.UNREADABLE,
+    severity: 'error',
+    message: `File is not valid JSON (${error}) — it is skipped when listing pages`,
+    repairs: hasHistory ? repairs(REPAIR.RESTORE_HISTORY, REPAIR.QUARANTINE) : repairs(REPAIR.QUARANTINE)
+  };
+}
+
+/**
+ * Issue for a leftover atomic-write temp file. A temp whose target page is
+ * missing is likely the only copy of that save, so promoting it is offered.
+ * @param {{relPath: string, targetRelPath: string, targetExists: boolean, size: number, mtime: string}} tmp
+ * @returns {IntegrityIssue}
+ */
+export function orphanTmpIssue(tmp) {
+  const target = tmp.targetRelPath.split('/').pop();
+  return {
+    relPath: tmp.relPath,
+    kind: ISSUE.ORPHAN_TMP,
+    severity: tmp.targetExists ? 'warning' : 'error',
+    message: tmp.targetExists
+      ? `Leftover temp file from an interrupted save of ${target} (${tmp.size} bytes, ${tmp.mtime})`
+      : `Temp file for ${target}, which does not exist — the save may never have completed`,
+    repairs: tmp.targetExists
+      ? repairs(REPAIR.DELETE_TMP, REPAIR.PROMOTE_TMP)
+      : repairs(REPAIR.PROMOTE_TMP, REPAIR.DELETE_TMP)
+  };
+}
+
+/**
+ * Check the raw (un-normalized) _aliases.json contents: an object mapping
+ * book numbers to non-empty strings.
+ * @param {*} raw
+ * @param {string} relPath
+ * @returns {IntegrityIssue[]}
+ */
+export function checkAliases(raw, relPath) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return [{
+      relPath,
+      kind: ISSUE.ALIASES_INVALID,
+      severity: 'error',
+      message: '_aliases.json must be an object of { "<book>": "<alias>" }',
+      repairs: repairs(REPAIR.QUARANTINE)
+    }];
+  }
+  const bad = invalidAliasKeys(raw);
+  if (!bad.length) return [];
+  return [{
+    relPath,
+    kind: ISSUE.ALIASES_INVALID,
+    severity: 'warning',
+    message: `${bad.length} invalid alias entr${bad.length === 1 ? 'y' : 'ies'}: ${bad.slice(0, 3).map(k => JSON.stringify(k)).join(', ')}`,
+    repairs: repairs(REPAIR.DROP_BAD_ALIASES)
+  }];
+}
+
+/**
+ * @param {string} relPath
+ * @param {string} error
+ * @returns {IntegrityIssue}
+ */
+export function unreadableAliasesIssue(relPath, error) {
+  return {
+    relPath,
+    kind: ISSUE.ALIASES_UNREADABLE,
+    severity: 'error',
+    message: `_aliases.json is not valid JSON (${error}) — book aliases can't load`,
+    repairs: repairs(REPAIR.QUARANTINE)
+  };
+}
+
+/**
+ * Keys of an aliases object that aren't `"<book number>": "<non-empty string>"`.
+ * @param {Object} raw
+ * @returns {string[]}
+ */
+export function invalidAliasKeys(raw) {
+  return Object.keys(raw).filter(k =>
+    !/^\d+$/.test(k) || typeof raw[k] !== 'string' || !raw[k].trim()
+  );
+}
+
+/**
+ * Apply one content repair to a parsed PageDoc. Returns a new doc; the input
+ * is not mutated. File-level repairs (restore/quarantine/tmp) aren't handled
+ * here — see check-folder.js.
+ * @param {*} doc
+ * @param {string} action - one of REPAIR
+ * @param {{book: number, pageId: string}} where
+ * @returns {import('./page-doc.js').PageDoc}
+ */
+export function repairPageDoc(doc, action, { book, pageId }) {
+  const out = { ...doc };
+  const page = pageNumber(pageId);
+
+  switch (action) {
+    case REPAIR.NORMALIZE: {
+      if (out.version == null) out.version = PAGE_DOC_VERSION;
+      if (!out.pageInfo || typeof out.pageInfo !== 'object') out.pageInfo = { section: 0, owner: 0, book, page };
+      else if (typeof out.pageInfo.book !== 'number' || typeof out.pageInfo.page !== 'number') {
+        out.pageInfo = { ...out.pageInfo, book, page };
+      }
+      if (!Array.isArray(out.strokes)) out.strokes = [];
+      if (!out.transcript || typeof out.transcript !== 'object') out.transcript = { lastTranscribed: null, lines: [] };
+      else if (!Array.isArray(out.transcript.lines)) out.transcript = { ...out.transcript, lines: [] };
+      return withMetadata(out);
+    }
+
+    case REPAIR.FIX_PAGEINFO:
+      out.pageInfo = { ...out.pageInfo, book, page };
+      return out;
+
+    case REPAIR.DEDUPE_STROKES: {
+      // Exact copies (a sync merge appending the same stroke twice) are
+      // dropped; differing strokes that share an id both hold real ink, so
+      // later ones get a fresh id instead.
+      const byId = new Map();
+      const taken = new Set(out.strokes.map(s => s && s.id));
+      const strokes = [];
+      for (const s of out.strokes) {
+        if (!s || s.id == null) { strokes.push(s); continue; }
+        const copies = byId.get(s.id);
+        if (!copies) {
+          byId.set(s.id, [JSON.stringify(s)]);
+          strokes.push(s);
+          continue;
+        }
+        const json = JSON.stringify(s);
+        if (copies.includes(json)) continue;
+        copies.push(json);
+        let n = copies.length;
+        while (taken.has(`${s.id}-${n}`)) n++;
+        const id = `${s.id}-${n}`;
+        taken.add(id);
+        strokes.push({ ...s, id });
+      }
+      out.strokes = strokes;
+      return withMetadata(out);
+    }
+
+    case REPAIR.CLEAR_LINE_REFS: {
+      const lineIds = new Set(out.transcript.lines.map(l => l && l.id));
+      out.strokes = out.strokes.map(s =>
+        s && s.lineId && !lineIds.has(s.lineId) ? { ...s, lineId: null } : s
+      );
+      return out;
+    }
+
+    case REPAIR.RECOUNT:
+      return withMetadata(out);
+
+    default:
+      throw new Error(`Not a page-content repair: ${action}`);
+  }
+}
+
+/** Recompute the derived metadata fields (totalStrokes, bounds). */
+function withMetadata(doc) {
+  return {
+    ...doc,
+    metadata: {
+      ...(doc.metadata || {}),
+      totalStrokes: doc.strokes.length,
+      bounds: computeBounds(doc.strokes.filter(Boolean))
+    }
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * Journal days — a page's transcript cut up by the day each line was written.
+ *
+ * A physical page is often written over several days. Every line is dated by
+ * the strokes it was written with (the strokes' `lineId`, its words' and its
+ * bullet's `strokeIds`): the local day of the earliest one. A `[date: …]`
+ * command on the line (`properties.date`) overrides that; a line none of
+ * these date follows the line above it, and lines before the first dated one
+ * take the day the page was started.
+ *
+ * The "days" graph Markdown mode (graph-markdown.js) publishes each slice into
+ * that day's LogSeq journal; `smartpen-cli export-days` writes a dated
+ * Markdown file per day. Import-free apart from pure helpers, so the CLI can
+ * load it.
+ */
+
+import { localDayKey } from '../writing-sessions.js';
+import { linesToLogseqMarkdown, isPropertyLine } from '../viewer/transcript-markdown.js';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} DaySlice
+ * @property {string} date          - YYYY-MM-DD, local time
+ * @property {number|null} start    - Unix ms of the slice's first stroke
+ * @property {import('./page-doc.js').TranscriptLine[]} lines - in transcript
+ *   order without blank lines, indents evened out so the slice stands as an
+ *   outline of its own
+ */
+
+/**
+ * The date of each transcript line, by the rules above.
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @returns {Array<{date: string|null, start: number|null}>} parallel to the lines;
+ *   dates are null only for a page without any dated stroke or save time
+ */
+export function lineWrittenDates(doc) {
+  const lines = doc?.transcript?.lines || [];
+  const startById = new Map();
+  const startByLine = new Map();
+  let firstStroke = Infinity;
+  for (const stroke of doc?.strokes || []) {
+    if (!Number.isFinite(stroke?.startTime) || stroke.startTime <= 0) continue;
+    firstStroke = Math.min(firstStroke, stroke.startTime);
+    if (stroke.id != null) startById.set(stroke.id, stroke.startTime);
+    if (stroke.lineId != null) {
+      startByLine.set(stroke.lineId, Math.min(startByLine.get(stroke.lineId) ?? Infinity, stroke.startTime));
+    }
+  }
+
+  const saved = new Date(doc?.metadata?.lastUpdated || NaN).getTime();
+  const pageDate = Number.isFinite(firstStroke) ? localDayKey(firstStroke) : Number.isFinite(saved) ? localDayKey(saved) : null;
+
+  const dates = [];
+  let previousDate = null;
+  for (const line of lines) {
+    let start = line?.id != null ? startByLine.get(line.id) ?? Infinity : Infinity;
+    const ids = [...(line?.words || []).flatMap(w => w?.strokeIds || []), ...(line?.bullet?.strokeIds || [])];
+    for (const id of ids) {
+      if (startById.has(id)) start = Math.min(start, startById.get(id));
+    }
+    start = Number.isFinite(start) ? start : null;
+
+    const explicit = line?.properties?.date;
+    let date = typeof explicit === 'string' && DATE_RE.test(explicit) ? explicit : start !== null ? localDayKey(start) : null;
+    if (date === null) date = previousDate;
+    dates.push({ date, start });
+    if (date !== null) previousDate = date;
+  }
+  // Lines ahead of the first dated one belong to the day the page was started
+  for (const entry of dates) {
+    if (entry.date !== null) break;
+    entry.date = pageDate;
+  }
+  return dates;
+}
+
+/**
+ * The page's transcript as one slice per day it was written on.
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @returns {DaySlice[]} oldest day first
+ */
+export function sliceTranscriptByDay(doc) {
+  const lines = doc?.transcript?.lines || [];
+  const dates = lineWrittenDates(doc);
+  const byDate = new Map();
+  lines.forEach((line, i) => {
+    const { date, start } = dates[i];
+    if (date === null || typeof line?.text !== 'string' || line.text.trim() === '' || isPropertyLine(line.text)) return;
+    let slice = byDate.get(date);
+    if (!slice) {
+      slice = { date, start: null, lines: [] };
+      byDate.set(date, slice);
+    }
+    if (start !== null) slice.start = slice.start === null ? start : Math.min(slice.start, start);
+    // A line whose parent went to another day moves up to stay in the outline
+    const prev = slice.lines[slice.lines.length - 1];
+    const indentLevel = Math.min(Math.max(0, line.indentLevel || 0), prev ? prev.indentLevel + 1 : 0);
+    slice.lines.push({ ...line, indentLevel });
+  });
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * One dated Markdown file per day across pages: each page's lines of that
+ * day under a heading, pages in the order they were written on.
+ * @param {Array<{book: number|string, pageId: number|string, doc: import('./page-doc.js').PageDoc}>} pages
+ * @param {Object<string, string>} [aliases] - book → alias
+ * @returns {Array<{date: string, fileName: string, text: string}>} oldest day first
+ */
+export function pagesToDayMarkdown(pages, aliases = {}) {
+  const days = new Map();
+  for (const { book, pageId, doc } of pages || []) {
+    for (const slice of sliceTranscriptByDay(doc)) {
+      const markdown = linesToLogseqMarkdown(slice.lines);
+      if (!markdown) continue;
+      if (!days.has(slice.date)) days.set(slice.date, []);
+      days.get(slice.date).push({ book, pageId, start: slice.start, markdown });
+    }
+  }
+  return [...days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, entries]) => {
+      entries.sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
+      const sections = entries.map(({ book, pageId, markdown }) => {
+        const alias = aliases[String(book)];
+        return `## B${book}/P${pageId}${alias ? ` (${alias})` : ''}\n\n${markdown}\n`;
+      });
+      return { date, fileName: `${date}.md`, text: [`# ${date}\n`, ...sections].join('\n') };
+    });
+}
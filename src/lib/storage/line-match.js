@@ -0,0 +1,61 @@
+/**
+ * Line matching — the Y-bounds tests the save path (save-page.js) and the
+ * sync-conflict merge (conflict-merge.js) use to tie strokes and duplicate
+ * transcriptions to transcript lines.
+ *
+ * Import-free so it loads outside the renderer too (scripts/smartpen-cli.mjs).
+ */
+
+/**
+ * Do two Y-bound ranges overlap?
+ */
+export function yBoundsOverlap(a, b, tol = 0) {
+  if (!a || !b) return false;
+  return !(a.maxY + tol < b.minY || b.maxY + tol < a.minY);
+}
+
+/**
+ * For each new MyScript line, find the storage-format stroke IDs whose Y range
+ * touches the line's Y range. Used to attach lineId to strokes.
+ *
+ * @param {Object} line - { yBounds: {minY, maxY} }
+ * @param {Array} storedStrokes - StoredStroke[]
+ * @param {number} tol - tolerance in pen-unit (default 5)
+ * @returns {string[]} matching stroke ids
+ */
+export function strokesIntersectingLine(line, storedStrokes, tol = 5) {
+  if (!line.yBounds) return [];
+  const lineMin = line.yBounds.minY - tol;
+  const lineMax = line.yBounds.maxY + tol;
+  const out = [];
+  for (const s of storedStrokes) {
+    if (!s.points || s.points.length === 0) continue;
+    // Compute stroke Y bounds
+    let minY = Infinity, maxY = -Infinity;
+    for (const p of s.points) {
+      if (p[1] < minY) minY = p[1];
+      if (p[1] > maxY) maxY = p[1];
+    }
+    if (yBoundsOverlap({ minY, maxY }, { minY: lineMin, maxY: lineMax })) {
+      out.push(s.id);
+    }
+  }
+  return out;
+}
+
+/**
+ * Find the existing line a new line duplicates, by trimmed-text + Y-bounds
+ * overlap. Also used by the sync-conflict merge (conflict-merge.js) to fold
+ * lines that both machines transcribed independently.
+ * @returns {Object|null} the matching existing line
+ */
+export function findDuplicateLine(newLine, existingLines) {
+  const t = (newLine.text || '').trim();
+  if (!t) return null;
+  for (const ex of existingLines) {
+    if ((ex.text || '').trim() === t && yBoundsOverlap(ex.yBounds, newLine.yBounds, 3)) {
+      return ex;
+    }
+  }
+  return null;
+}
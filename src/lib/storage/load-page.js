@@ -14,7 +14,7 @@
  */
 
 import { get } from 'svelte/store';
-import { strokes, log, updatePageSyncStatus, noteOnDiskStrokeIds } from '$stores';
+import { strokes, log, updatePageSyncStatus, noteOnDiskStrokeIds, registerAudioRefs } from '$stores';
 import { registerBookIds } from '$stores/book-aliases.js';
 import { getPage } from './local-store.js';
 
@@ -57,15 +57,18 @@ function transformStoredToCanvasFormat(doc, onProgress = null) {
       // PageDoc carries lineId; in-memory canvas keeps it as blockUuid for
       // compatibility with existing transcript matching code.
       blockUuid: s.lineId || null,
+      penId: s.penId || null,
       dotArray: points.map((p, i) => {
-        const [x, y, ts] = p;
+        const [x, y, ts, force] = p;
         let dotType;
         if (i === 0) dotType = 0;                // Pen Down
         else if (i === points.length - 1) dotType = 2; // Pen Up
         else dotType = 1;                        // Pen Move
         return {
           x, y,
-          f: 100,                                // Default pressure (light)
+          // Stored pen force (v2.1+). Pre-2.1 points have none: leave it unset
+          // so a re-save doesn't store a placeholder as real pressure
+          f: typeof force === 'number' ? force : undefined,
           dotType,
           timestamp: typeof ts === 'number' ? ts : undefined,
           pageInfo: sharedPageInfo
@@ -99,12 +102,6 @@ function mergeStrokes(existing, incoming) {
   return { strokes: merged, imported: uniqueNew.length, duplicatesSkipped: dupes };
 }
 
-/**
- * Import strokes from the local folder PageDoc into the canvas.
- * @param {Object} pageData - Record from the scanner (must have book, page, pageDoc?)
- * @param {Function} [onProgress]
- * @returns {Promise<{success:boolean, imported?:number, duplicatesSkipped?:number, total?:number, error?:string}>}
- */
 /**
  * For each (book, page) currently loaded in the canvas, look up the PageDoc
  * on disk and merge in any strokes the canvas doesn't already have.
@@ -152,6 +149,33 @@ export async function importStrokesForLoadedPagesFromFolder(onProgress = null) {
   }
 }
 
+/**
+ * Import a writing session (src/lib/writing-sessions.js): exactly the strokes
+ * written in it, from every page it touched, merged into the canvas.
+ * @param {import('../writing-sessions.js').WritingSession} session
+ * @param {Function} [onProgress] (message, current, total) => void
+ * @returns {Promise<{success:boolean, imported?:number, pagesProcessed?:number, error?:string}>}
+ */
+export async function importSessionStrokesFromFolder(session, onProgress = null) {
+  let imported = 0, pagesProcessed = 0;
+  for (let i = 0; i < session.pages.length; i++) {
+    const { book, pageId, strokeIds } = session.pages[i];
+    if (onProgress) onProgress(`Loading B${book}/P${pageId}…`, i + 1, session.pages.length);
+    const res = await importStrokesFromFolder({ book, page: parseInt(pageId, 10), pageId, strokeIds });
+    if (!res.success) return { success: false, imported, pagesProcessed, error: res.error };
+    imported += res.imported || 0;
+    pagesProcessed++;
+  }
+  return { success: true, imported, pagesProcessed };
+}
+
+/**
+ * Import strokes from the local folder PageDoc into the canvas.
+ * @param {Object} pageData - Record from the scanner (must have book, page, pageDoc?);
+ *   `strokeIds` narrows the import to those strokes (a writing session)
+ * @param {Function} [onProgress]
+ * @returns {Promise<{success:boolean, imported?:number, duplicatesSkipped?:number, total?:number, error?:string}>}
+ */
 export async function importStrokesFromFolder(pageData, onProgress = null) {
   try {
     // Prefer a doc handed in by the caller; otherwise read lazily. Records from
@@ -177,8 +201,14 @@ export async function importStrokesFromFolder(pageData, onProgress = null) {
       doc.pageInfo?.page ?? pageData.page,
       doc.strokes || []
     );
+    // Clicking these strokes on the canvas plays the audio recorded with them
+    registerAudioRefs(doc.pageInfo?.book ?? pageData.book, doc.metadata?.audio);
 
-    const canvasStrokes = transformStoredToCanvasFormat(doc, onProgress);
+    const wanted = pageData.strokeIds ? new Set(pageData.strokeIds) : null;
+    const canvasStrokes = transformStoredToCanvasFormat(
+      wanted ? { ...doc, strokes: (doc.strokes || []).filter(s => wanted.has(getStrokeId(s))) } : doc,
+      onProgress
+    );
     if (canvasStrokes.length === 0) {
       log(`B${pageData.book}/P${pageData.page} has no strokes`, 'info');
       return { success: true, imported: 0, duplicatesSkipped: 0, total: 0 };
@@ -9,9 +9,18 @@
  */
 
 import { get } from 'svelte/store';
-import { dataRoot } from '$stores/settings.js';
+import { dataRoot, detectBulletJournal } from '$stores/settings.js';
+import { indexPageDoc, unindexPage } from '$stores/search-index.js';
 import { PAGE_DOC_VERSION, emptyPageDoc, computeBounds, validatePageDoc } from './page-doc.js';
-import { publishPageToGraph } from './publish-graph.js';
+import {
+  publishPageToGraph,
+  unpublishPageFromGraph,
+  publishBookAliasToGraph,
+  isGraphPublishEnabled
+} from './publish-graph.js';
+import { diffPageDocs } from './page-history.js';
+import { applyCommands } from '$lib/commands/registry.js';
+import { classifyBulletSymbols } from '$lib/recognition/bullet-symbols.js';
 
 export { PAGE_DOC_VERSION, emptyPageDoc, computeBounds, validatePageDoc };
 
@@ -93,18 +102,39 @@ export async function getPage(book, page) {
   return unwrap(res, 'getPage');
 }
 
+/**
+ * Lightweight metadata for one page, as listPages would report it (conflict
+ * copies included). Null once neither the page nor a copy of it exists.
+ * @param {number} book
+ * @param {string|number} pageId  unique-within-book id (incl. suffix)
+ * @returns {Promise<import('./page-doc.js').PageMeta|null>}
+ */
+export async function getPageMeta(book, pageId) {
+  const backend = getBackend();
+  const res = await backend.getPageMeta(requireRoot(), book, pageId);
+  return unwrap(res, 'getPageMeta');
+}
+
 /**
  * @param {number} book
  * @param {number} page
  * @param {import('./page-doc.js').PageDoc} doc
+ * @param {{replaceGraphEdits?: boolean}} [options] - publish even over
+ *   transcript edits made in LogSeq (they've been reviewed; see graph-pull.js)
  * @returns {Promise<import('./page-doc.js').SaveResult>}
  */
-export async function savePage(book, page, doc) {
+export async function savePage(book, page, doc, { replaceGraphEdits = false } = {}) {
   const backend = getBackend();
   const issues = validatePageDoc(doc);
   if (issues.length) {
     throw new Error(`PageDoc validation failed: ${issues.join('; ')}`);
   }
+  // Hand-drawn bullets set the lines' task state (lib/recognition/bullet-symbols.js)
+  if (get(detectBulletJournal)) ({ doc } = classifyBulletSymbols(doc));
+  // Handwritten [command: value] tags take effect on every save (see
+  // lib/commands/registry.js); they only set line properties and write exports.
+  ({ doc } = await applyCommands(doc, { book, page, writeExport }));
+  const previous = replaceGraphEdits ? null : await readGraphBase(book, page);
   const res = await backend.savePage(requireRoot(), book, page, doc);
   const result = unwrap(res, 'savePage');
 
@@ -115,15 +145,237 @@ export async function savePage(book, page, doc) {
   // failure must not break the authoritative bridge save. `page` here is the
   // bridge's file identifier (integer, or a letter-suffixed pageId like
   // "151b"), which is exactly the asset/manifest identity we want.
-  await publishPageToGraph(book, page, doc);
+  await publishPageToGraph(book, page, doc, { previous });
+  // Same choke point keeps the full-text index current without a rescan.
+  indexPageDoc(book, page, doc);
 
   return result;
 }
 
+/**
+ * The page as the graph last saw it, read before a write replaces it, so the
+ * publish after the write holds back over transcript edits made in LogSeq
+ * (publishPageToGraph's `previous`). Null while publishing is off.
+ * @param {number} book
+ * @param {number|string} page
+ * @returns {Promise<import('./page-doc.js').PageDoc|null>}
+ */
+async function readGraphBase(book, page) {
+  if (!isGraphPublishEnabled()) return null;
+  return getPage(book, page).catch(() => null);
+}
+
+/**
+ * Write a file under the data folder's exports/ (skipped when unchanged).
+ * @param {string} relPath - data-root-relative, must start with "exports/"
+ * @param {string} text
+ * @returns {Promise<{path: string, written: boolean}>}
+ */
+export async function writeExport(relPath, text) {
+  const backend = getBackend();
+  const res = await backend.writeExport(requireRoot(), relPath, text);
+  return unwrap(res, 'writeExport');
+}
+
 export async function deletePage(book, page) {
   const backend = getBackend();
   const res = await backend.deletePage(requireRoot(), book, page);
-  return unwrap(res, 'deletePage');
+  const result = unwrap(res, 'deletePage');
+  // Best-effort, like the publish in savePage: never throws.
+  await unpublishPageFromGraph(book, page);
+  unindexPage(book, page);
+  return result;
+}
+
+/* ============================================================
+ *  Version history
+ * ============================================================ */
+
+/**
+ * @typedef {Object} PageVersion
+ * @property {string} id                 - opaque version id (sortable timestamp stamp)
+ * @property {string} savedAt            - ISO 8601 time the snapshot was taken
+ * @property {number} size               - bytes on disk
+ * @property {boolean} readable          - false if the snapshot failed to parse
+ * @property {number} strokeCount
+ * @property {number} transcriptLineCount
+ * @property {string|null} lastUpdated   - the snapshotted doc's own metadata.lastUpdated
+ */
+
+/**
+ * List a page's saved versions, newest first.
+ * @returns {Promise<PageVersion[]>}
+ */
+export async function listPageHistory(book, page) {
+  const backend = getBackend();
+  const res = await backend.listPageHistory(requireRoot(), book, page);
+  return unwrap(res, 'listPageHistory');
+}
+
+/**
+ * @returns {Promise<import('./page-doc.js').PageDoc>}
+ */
+export async function getPageVersion(book, page, versionId) {
+  const backend = getBackend();
+  const res = await backend.getPageVersion(requireRoot(), book, page, versionId);
+  return unwrap(res, 'getPageVersion');
+}
+
+/**
+ * Diff two versions of a page; a null id on either side means the current
+ * page file. Reads both sides through the backend and compares them with
+ * {@link diffPageDocs}.
+ * @param {number} book
+ * @param {number|string} page
+ * @param {string|null} fromVersionId
+ * @param {string|null} [toVersionId]
+ * @returns {Promise<import('./page-history.js').PageDocDiff>}
+ */
+export async function diffPageVersions(book, page, fromVersionId, toVersionId = null) {
+  const read = (id) => (id ? getPageVersion(book, page, id) : getPage(book, page));
+  const [from, to] = await Promise.all([read(fromVersionId), read(toVersionId)]);
+  return diffPageDocs(from, to);
+}
+
+/**
+ * Roll a page back to a saved version. The main process snapshots the state
+ * being replaced first, so a restore is itself undoable. Like savePage, the
+ * restored doc is mirrored to the LogSeq graph when publishing is on (held
+ * back over unpulled LogSeq edits) and re-indexed for search.
+ * @returns {Promise<{doc: import('./page-doc.js').PageDoc, path: string}>}
+ */
+export async function restorePageVersion(book, page, versionId) {
+  const backend = getBackend();
+  const previous = await readGraphBase(book, page);
+  const res = await backend.restorePageVersion(requireRoot(), book, page, versionId);
+  const result = unwrap(res, 'restorePageVersion');
+  await publishPageToGraph(book, page, result.doc, { previous });
+  indexPageDoc(book, page, result.doc);
+  return result;
+}
+
+/* ============================================================
+ *  Sync-conflict copies (see conflict-merge.js)
+ * ============================================================ */
+
+/**
+ * Read one of a page's conflict copies (PageMeta.conflictCopies[].relPath).
+ * @returns {Promise<import('./page-doc.js').PageDoc>}
+ */
+export async function getConflictCopy(book, page, relPath) {
+  const backend = getBackend();
+  const res = await backend.getConflictCopy(requireRoot(), book, page, relPath);
+  return unwrap(res, 'getConflictCopy');
+}
+
+/**
+ * Resolve a conflict copy: write `doc` as the page (pass null to keep the page
+ * file as it is), archive the copy into the page's history, and delete it.
+ * A written doc is mirrored to the LogSeq graph (held back over unpulled
+ * LogSeq edits) and re-indexed like any other save.
+ * @param {number} book
+ * @param {number|string} page
+ * @param {string} relPath
+ * @param {import('./page-doc.js').PageDoc|null} doc
+ * @returns {Promise<{path: string|null, archivedAs: string}>}
+ */
+export async function resolveConflictCopy(book, page, relPath, doc) {
+  const backend = getBackend();
+  if (doc) {
+    const issues = validatePageDoc(doc);
+    if (issues.length) {
+      throw new Error(`PageDoc validation failed: ${issues.join('; ')}`);
+    }
+  }
+  const previous = doc ? await readGraphBase(book, page) : null;
+  const res = await backend.resolveConflictCopy(requireRoot(), book, page, relPath, doc);
+  const result = unwrap(res, 'resolveConflictCopy');
+  if (doc) {
+    await publishPageToGraph(book, page, doc, { previous });
+    indexPageDoc(book, page, doc);
+  }
+  return result;
+}
+
+/* ============================================================
+ *  Integrity check (see check-folder.js)
+ * ============================================================ */
+
+/**
+ * @typedef {Object} DataFileInventory
+ * @property {{book: number, page: number, pageId: string, relPath: string}[]} pages
+ *   - every B{n}/P{id}.json, including files listPages skips as unreadable
+ * @property {{relPath: string, targetRelPath: string, targetExists: boolean, size: number, mtime: string, inFlight: boolean}[]} tmpFiles
+ *   - leftover atomic-write temp files
+ * @property {{relPath: string}|null} aliases - _aliases.json, if present
+ */
+
+/**
+ * @returns {Promise<DataFileInventory>}
+ */
+export async function listDataFiles() {
+  const backend = getBackend();
+  const res = await backend.listDataFiles(requireRoot());
+  return unwrap(res, 'listDataFiles');
+}
+
+/**
+ * File-level repair: 'delete-tmp' | 'promote-tmp' | 'quarantine'.
+ * @param {string} relPath - root-relative path from listDataFiles
+ * @param {string} action
+ */
+export async function repairDataFile(relPath, action) {
+  const backend = getBackend();
+  const res = await backend.repairDataFile(requireRoot(), relPath, action);
+  return unwrap(res, 'repairDataFile');
+}
+
+/**
+ * _aliases.json exactly as stored (null if absent) — unlike getAliases, which
+ * drops keys that aren't book numbers.
+ */
+export async function getAliasesRaw() {
+  const backend = getBackend();
+  const res = await backend.getAliasesRaw(requireRoot());
+  return unwrap(res, 'getAliasesRaw');
+}
+
+/* ============================================================
+ *  Folder watch
+ * ============================================================ */
+
+/**
+ * @typedef {Object} FolderChange
+ * @property {'page'|'aliases'|'recognition'|'corrections'} kind
+ * @property {number} [book]
+ * @property {string} [pageId]
+ * @property {boolean} [conflictCopy] - the change was to a conflict copy of the page
+ */
+
+/**
+ * Start (or re-point) main's watch on <root>/pages. Changes arrive through
+ * onFolderChanged, batched and without the app's own writes.
+ */
+export async function watchFolder(root = null) {
+  const backend = getBackend();
+  const res = await backend.watchFolder(root ?? requireRoot());
+  return unwrap(res, 'watchFolder');
+}
+
+export async function unwatchFolder() {
+  const backend = getBackend();
+  const res = await backend.unwatchFolder();
+  return unwrap(res, 'unwatchFolder');
+}
+
+/**
+ * `stopped` (an error message) means main lost the watch, e.g. the folder
+ * was removed; changes is then empty.
+ * @param {(event: {root: string, changes: FolderChange[], stopped?: string}) => void} callback
+ * @returns {() => void} unsubscribe
+ */
+export function onFolderChanged(callback) {
+  return getBackend().onFolderChanged(callback);
 }
 
 /* ============================================================
@@ -149,11 +401,126 @@ export async function getAliases() {
 export async function setAlias(book, alias) {
   const backend = getBackend();
   const res = await backend.setAlias(requireRoot(), book, alias);
-  return unwrap(res, 'setAlias');
+  const result = unwrap(res, 'setAlias');
+  await publishBookAliasToGraph(book, alias);
+  return result;
 }
 
 export async function removeAlias(book) {
   const backend = getBackend();
   const res = await backend.removeAlias(requireRoot(), book);
-  return unwrap(res, 'removeAlias');
+  const result = unwrap(res, 'removeAlias');
+  await publishBookAliasToGraph(book, null);
+  return result;
+}
+
+/* ============================================================
+ *  Recognition settings
+ * ============================================================ */
+
+/**
+ * @typedef {Object} RecognitionOptions
+ * @property {string} [lang] - MyScript language code, e.g. 'en_US'
+ * @property {'Text'|'Math'|'Diagram'} [contentType]
+ */
+
+/**
+ * Per-book settings and per-page overrides from pages/_recognition.json.
+ * Page keys are "{book}/{pageId}".
+ * @returns {Promise<{books: Record<string, RecognitionOptions>, pages: Record<string, RecognitionOptions>}>}
+ */
+export async function getRecognitionSettings() {
+  const backend = getBackend();
+  const res = await backend.getRecognitionSettings(requireRoot());
+  return unwrap(res, 'getRecognitionSettings');
+}
+
+/**
+ * Set a book's recognition options; null (or {}) clears them.
+ * @param {number} book
+ * @param {RecognitionOptions|null} value
+ */
+export async function setBookRecognition(book, value) {
+  const backend = getBackend();
+  const res = await backend.setBookRecognition(requireRoot(), book, value);
+  return unwrap(res, 'setBookRecognition');
+}
+
+/**
+ * Override the options for one page; null (or {}) falls back to the book.
+ * @param {number} book
+ * @param {string|number} pageId
+ * @param {RecognitionOptions|null} value
+ */
+export async function setPageRecognition(book, pageId, value) {
+  const backend = getBackend();
+  const res = await backend.setPageRecognition(requireRoot(), book, pageId, value);
+  return unwrap(res, 'setPageRecognition');
+}
+
+/**
+ * @typedef {Object} CorrectionEntry
+ * @property {string} from     - what the recognizer wrote
+ * @property {string} to       - what it was corrected to
+ * @property {number} count    - how often the correction was made
+ * @property {boolean} enabled - used for the lexicon and substitution
+ * @property {string|null} lastSeen - ISO time of the latest correction
+ */
+
+/**
+ * The correction dictionary from pages/_corrections.json.
+ * @returns {Promise<{entries: CorrectionEntry[]}>}
+ */
+export async function getCorrections() {
+  const backend = getBackend();
+  const res = await backend.getCorrections(requireRoot());
+  return unwrap(res, 'getCorrections');
+}
+
+/**
+ * Count one more sighting of each correction; new ones start enabled.
+ * @param {Array<{from: string, to: string}>} pairs
+ * @returns {Promise<{entries: CorrectionEntry[]}>} the updated dictionary
+ */
+export async function recordCorrections(pairs) {
+  const backend = getBackend();
+  const res = await backend.recordCorrections(requireRoot(), pairs);
+  return unwrap(res, 'recordCorrections');
+}
+
+/**
+ * Enable or disable ({ enabled }) a correction, or remove it (null).
+ * @param {string} from
+ * @param {string} to
+ * @param {{enabled: boolean}|null} value
+ * @returns {Promise<{entries: CorrectionEntry[]}>} the updated dictionary
+ */
+export async function updateCorrection(from, to, value) {
+  const backend = getBackend();
+  const res = await backend.updateCorrection(requireRoot(), from, to, value);
+  return unwrap(res, 'updateCorrection');
+}
+
+/* ============================================================
+ *  Search index (see search-index.js)
+ * ============================================================ */
+
+/**
+ * The cached full-text search index from pages/_search-index.json.
+ * @returns {Promise<import('../search-index.js').SavedSearchIndex|null>} null if none was saved
+ */
+export async function getSearchIndex() {
+  const backend = getBackend();
+  const res = await backend.getSearchIndex(requireRoot());
+  return unwrap(res, 'getSearchIndex');
+}
+
+/**
+ * Replace the cached full-text search index.
+ * @param {import('../search-index.js').SavedSearchIndex} data
+ */
+export async function saveSearchIndex(data) {
+  const backend = getBackend();
+  const res = await backend.saveSearchIndex(requireRoot(), data);
+  return unwrap(res, 'saveSearchIndex');
 }
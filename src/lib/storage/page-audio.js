@@ -0,0 +1,103 @@
+/**
+ * Page audio — keeping recordings made while writing next to the pages.
+ *
+ * When a recording stops, its file goes into the folder of every book written
+ * in meanwhile (pages/B{book}/audio-{startTime}.webm) and the pages already on
+ * disk with strokes from that time list it in metadata.audio. Pages still
+ * unsaved pick it up when they are saved (save-page.js asks
+ * {@link audioRefsForPage}). See lib/audio/audio-refs.js for the ref format.
+ */
+
+import { get } from 'svelte/store';
+import { dataRoot } from '$stores/settings.js';
+import { audioLibrary, registerAudioRefs } from '$stores/audio.js';
+import { audioFileName, recordingCoversStrokes, mergeAudioRefs } from '$lib/audio/audio-refs.js';
+import { getPage, savePage } from './local-store.js';
+
+function getBackend() {
+  if (typeof window === 'undefined' || !window.storageAPI || typeof window.storageAPI.writeAudio !== 'function') {
+    throw new Error('Audio storage is not available (Electron only).');
+  }
+  return window.storageAPI;
+}
+
+function unwrap(response, action) {
+  if (!response) throw new Error(`audio: empty response from ${action}`);
+  if (response.ok === false) throw new Error(response.error || `audio: ${action} failed`);
+  return response.result;
+}
+
+function requireRoot() {
+  const root = get(dataRoot);
+  if (!root) throw new Error('No data folder selected. Pick one in Settings.');
+  return root;
+}
+
+/**
+ * Store a finished recording with the pages written on while it ran.
+ * @param {import('$lib/audio/audio-recorder.js').Recording} recording
+ * @param {Object[]} canvasStrokes - pen strokes ({ pageInfo, startTime })
+ * @returns {Promise<{ref: import('$lib/audio/audio-refs.js').AudioRef|null,
+ *   pages: Array<{book: number, page: number}>, linked: number}>}
+ *   ref is null when nothing was written during the recording; `linked`
+ *   counts the saved pages that now list it
+ */
+export async function saveRecording(recording, canvasStrokes) {
+  const ref = {
+    file: audioFileName(recording.startTime, recording.mimeType),
+    startTime: recording.startTime,
+    endTime: recording.endTime,
+    mimeType: recording.mimeType
+  };
+
+  const pages = new Map();
+  for (const stroke of canvasStrokes || []) {
+    if (!stroke?.pageInfo || !recordingCoversStrokes(ref, [stroke])) continue;
+    const { book, page } = stroke.pageInfo;
+    pages.set(`${book}/${page}`, { book, page });
+  }
+  if (pages.size === 0) return { ref: null, pages: [], linked: 0 };
+
+  const backend = getBackend();
+  const root = requireRoot();
+  const bytes = new Uint8Array(await recording.blob.arrayBuffer());
+  const books = [...new Set([...pages.values()].map(p => p.book))];
+  for (const book of books) {
+    unwrap(await backend.writeAudio(root, book, ref.file, bytes), 'writeAudio');
+    registerAudioRefs(book, [ref]);
+  }
+
+  let linked = 0;
+  for (const { book, page } of pages.values()) {
+    const doc = await getPage(book, page);
+    if (!doc || !recordingCoversStrokes(ref, doc.strokes)) continue;
+    await savePage(book, page, {
+      ...doc,
+      metadata: { ...(doc.metadata || {}), audio: mergeAudioRefs(doc.metadata?.audio, [ref]) }
+    });
+    linked++;
+  }
+  return { ref, pages: [...pages.values()], linked };
+}
+
+/**
+ * The known recordings in a book's folder that ran while these strokes were
+ * written — what a page saved with them should list.
+ * @param {number|string} book
+ * @param {Array<{startTime?: number}>} strokes
+ * @returns {import('$lib/audio/audio-refs.js').AudioRef[]}
+ */
+export function audioRefsForPage(book, strokes) {
+  return mergeAudioRefs([], [...get(audioLibrary).values()]
+    .filter(ref => ref.book === Number(book) && recordingCoversStrokes(ref, strokes)));
+}
+
+/**
+ * Read a recording back for playback.
+ * @param {{book: number, file: string, mimeType: string}} ref
+ * @returns {Promise<Blob>}
+ */
+export async function loadRecording(ref) {
+  const bytes = unwrap(await getBackend().readAudio(requireRoot(), ref.book, ref.file), 'readAudio');
+  return new Blob([bytes], { type: ref.mimeType });
+}
@@ -6,7 +6,8 @@
  *   [
  *     6.56,
  *     37.25,
- *     1765313505107
+ *     1765313505107,
+ *     412
  *   ]
  * For a 1,700-stroke page that's ~140k lines of indent whitespace — ~60% of
  * the file is structural noise.
@@ -20,13 +21,13 @@
  *
  * Tested format example:
  *   {
- *     "version": "2.0",
+ *     "version": "2.1",
  *     "pageInfo": { ... pretty ... },
  *     "metadata": { ... pretty ... },
  *     "transcript": { "lines": [ ... pretty ... ] },
  *     "strokes": [
- *       {"id":"s1","startTime":1,"endTime":2,"lineId":null,"points":[[1,2,3],[4,5,6]]},
- *       {"id":"s2","startTime":3,"endTime":4,"lineId":"abc","points":[[7,8,9]]}
+ *       {"id":"s1","startTime":1,"endTime":2,"lineId":null,"points":[[1,2,1,300],[4,5,2,280]]},
+ *       {"id":"s3","startTime":3,"endTime":4,"lineId":"abc","penId":"9c:7b:d2:01:4f:3a","points":[[7,8,3,412]]}
  *     ]
  *   }
  */
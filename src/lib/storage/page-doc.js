@@ -8,7 +8,13 @@
  * See docs/LOCAL-STORAGE-PIVOT-SPEC.md for the full design.
  */
 
-export const PAGE_DOC_VERSION = '2.0';
+export const PAGE_DOC_VERSION = '2.1';
+
+/**
+ * Versions this build can read. 2.1 only adds an optional 4th point element
+ * (pen force), so 2.0 files load unchanged and are upgraded on their next save.
+ */
+export const SUPPORTED_PAGE_DOC_VERSIONS = ['2.0', '2.1'];
 
 /**
  * @typedef {Object} PageInfo
@@ -40,6 +46,41 @@ export const PAGE_DOC_VERSION = '2.0';
  * @property {string|null} parentId
  * @property {boolean|null} checked   - null = no checkbox, true = DONE, false = TODO
  * @property {YBounds|null} yBounds
+ * @property {string} [latex]         - LaTeX source, for lines recognized as Math
+ * @property {TranscriptWord[]} [words] - per-word detail from the recognizer; one
+ *   entry per word of `text`, dropped when the text is edited by hand
+ * @property {LineProperties} [properties] - effects of the `[command: value]`
+ *   tags covering the line; rebuilt on every save (lib/commands/registry.js)
+ * @property {('todo'|'done'|'migrated'|'scheduled'|'cancelled'|'event'|'note')} [state] -
+ *   bullet-journal state; `checked` follows it for todo/done
+ * @property {'manual'} [stateSource] - set when the user picked the state;
+ *   symbol detection then leaves it alone
+ * @property {LineBullet} [bullet]    - the hand-drawn bullet the state was read
+ *   from (lib/recognition/bullet-symbols.js)
+ */
+
+/**
+ * @typedef {Object} LineBullet
+ * @property {'checkbox'|'dot'|'circle'|'dash'} symbol
+ * @property {string} state          - what the symbol and its marks read as
+ * @property {string[]} strokeIds    - the symbol's stroke, then any marks on it
+ * @property {number} confidence     - 0–1
+ */
+
+/**
+ * @typedef {Object} LineProperties
+ * @property {string} [page]      - [page: X] — the named page the line is routed to
+ * @property {string[]} [tags]    - [tag: X]
+ * @property {string} [date]      - [date: X], as YYYY-MM-DD
+ * @property {string} [sketch]    - [sketch] — data-root-relative path of the Excalidraw export
+ */
+
+/**
+ * @typedef {Object} TranscriptWord
+ * @property {string} text
+ * @property {string[]} [strokeIds]   - StoredStroke ids the word was written with
+ * @property {string[]} [candidates]  - the recognizer's alternatives
+ * @property {number} [confidence]    - 0–1, when the recognizer scores words
  */
 
 /**
@@ -54,7 +95,11 @@ export const PAGE_DOC_VERSION = '2.0';
  * @property {number} startTime
  * @property {number} [endTime]
  * @property {string|null} lineId                 - Transcript line this stroke belongs to
- * @property {Array<[number, number, number?]>} points  - [x, y, timestamp?]
+ * @property {string} [penId]                     - MAC address of the pen that wrote it
+ *   ("9c:7b:d2:01:4f:3a", lib/pen-ids.js); absent when not known
+ * @property {Array<[number, number, (number|null)?, number?]>} points
+ *   - [x, y, timestamp?, force?]. Force (pen pressure) is v2.1+; when a point
+ *     has force but no timestamp the timestamp slot is null.
  */
 
 /**
@@ -62,11 +107,13 @@ export const PAGE_DOC_VERSION = '2.0';
  * @property {string} lastUpdated     - ISO 8601
  * @property {number} totalStrokes
  * @property {Bounds} bounds
+ * @property {import('../audio/audio-refs.js').AudioRef[]} [audio] - recordings
+ *   made while the page was written, stored in its book folder
  */
 
 /**
  * @typedef {Object} PageDoc
- * @property {"2.0"} version
+ * @property {"2.0"|"2.1"} version
  * @property {PageInfo} pageInfo
  * @property {PageMetadata} metadata
  * @property {Transcript} transcript
@@ -86,7 +133,29 @@ export const PAGE_DOC_VERSION = '2.0';
  * @property {boolean} hasTranscription
  * @property {number} transcriptLineCount
  * @property {string|null} transcriptionText - 2-space-indented transcript text (small; powers search/preview)
+ * @property {SearchableLine[]} transcriptLines - Per-line text + position for the search index (not kept on records)
  * @property {string} path             - Absolute path to the .json file
+ * @property {string} [mtime]          - ISO 8601 modification time of the file; the
+ *   search index re-tokenizes a page only when this changes
+ * @property {ConflictCopy[]} conflictCopies - Cloud-sync conflict copies of this page awaiting a merge
+ * @property {boolean} [missingOriginal] - true when only conflict copies exist (meta read from the newest copy)
+ */
+
+/**
+ * @typedef {Object} SearchableLine - The slice of a TranscriptLine the search index keeps.
+ * @property {string|null} id
+ * @property {string} text
+ * @property {number} indentLevel
+ * @property {{minY:number, maxY:number}|null} yBounds
+ */
+
+/**
+ * @typedef {Object} ConflictCopy - A sync client's renamed copy of a page,
+ *   e.g. "P12 (conflicted copy).json" or "P12-DESKTOP-ABC.json".
+ * @property {string} fileName
+ * @property {string} relPath          - Data-root-relative, forward slashes
+ * @property {string} marker           - The part the sync client appended
+ * @property {string} mtime            - ISO 8601
  */
 
 /**
@@ -163,7 +232,7 @@ export function validatePageDoc(doc) {
   if (!doc || typeof doc !== 'object') {
     return ['not an object'];
   }
-  if (doc.version !== PAGE_DOC_VERSION) {
+  if (!SUPPORTED_PAGE_DOC_VERSIONS.includes(doc.version)) {
     issues.push(`unknown version: ${doc.version}`);
   }
   if (!doc.pageInfo || typeof doc.pageInfo.book !== 'number' || typeof doc.pageInfo.page !== 'number') {
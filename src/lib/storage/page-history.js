@@ -0,0 +1,126 @@
+/**
+ * Page history — pure helpers for comparing PageDoc versions.
+ *
+ * The main process keeps a rolling, size-bounded snapshot of every page under
+ * `pages/B{book}/.history/P{page}/` (one file per save; see writePageDoc in
+ * electron/main.cjs). The renderer lists/reads/restores those through
+ * local-store.js; this module only diffs two docs so the History panel can
+ * show what a rollback would change. No I/O here, so it's unit-testable.
+ */
+
+/**
+ * @typedef {Object} LineChange
+ * @property {string} id
+ * @property {import('./page-doc.js').TranscriptLine} before
+ * @property {import('./page-doc.js').TranscriptLine} after
+ */
+
+/**
+ * @typedef {Object} PageDocDiff
+ * @property {string[]} strokesAdded     - stroke ids in `after` but not `before`
+ * @property {string[]} strokesRemoved   - stroke ids in `before` but not `after`
+ * @property {number} strokesRelinked    - strokes present in both whose lineId differs
+ * @property {import('./page-doc.js').TranscriptLine[]} linesAdded
+ * @property {import('./page-doc.js').TranscriptLine[]} linesRemoved
+ * @property {LineChange[]} linesChanged - same line id, different text/indent/checked/state
+ * @property {boolean} identical
+ */
+
+function strokeMap(doc) {
+  const map = new Map();
+  for (const s of (doc && Array.isArray(doc.strokes) ? doc.strokes : [])) {
+    if (s && s.id) map.set(s.id, s);
+  }
+  return map;
+}
+
+function lineMap(doc) {
+  const map = new Map();
+  for (const l of (doc?.transcript?.lines || [])) {
+    if (l && l.id) map.set(l.id, l);
+  }
+  return map;
+}
+
+function lineContentDiffers(a, b) {
+  return (a.text || '') !== (b.text || '')
+    || (a.indentLevel || 0) !== (b.indentLevel || 0)
+    || (a.checked ?? null) !== (b.checked ?? null)
+    || (a.state ?? null) !== (b.state ?? null);
+}
+
+/**
+ * Diff two PageDocs by stroke id and transcript line id. Either side may be
+ * null (a page that didn't exist / was deleted).
+ * @param {import('./page-doc.js').PageDoc|null} before
+ * @param {import('./page-doc.js').PageDoc|null} after
+ * @returns {PageDocDiff}
+ */
+export function diffPageDocs(before, after) {
+  const beforeStrokes = strokeMap(before);
+  const afterStrokes = strokeMap(after);
+  const strokesAdded = [];
+  const strokesRemoved = [];
+  let strokesRelinked = 0;
+
+  for (const [id, s] of afterStrokes) {
+    const prev = beforeStrokes.get(id);
+    if (!prev) strokesAdded.push(id);
+    else if ((prev.lineId || null) !== (s.lineId || null)) strokesRelinked++;
+  }
+  for (const id of beforeStrokes.keys()) {
+    if (!afterStrokes.has(id)) strokesRemoved.push(id);
+  }
+
+  const beforeLines = lineMap(before);
+  const afterLines = lineMap(after);
+  const linesAdded = [];
+  const linesRemoved = [];
+  const linesChanged = [];
+
+  for (const [id, line] of afterLines) {
+    const prev = beforeLines.get(id);
+    if (!prev) linesAdded.push(line);
+    else if (lineContentDiffers(prev, line)) linesChanged.push({ id, before: prev, after: line });
+  }
+  for (const [id, line] of beforeLines) {
+    if (!afterLines.has(id)) linesRemoved.push(line);
+  }
+
+  const identical = strokesAdded.length === 0 && strokesRemoved.length === 0
+    && strokesRelinked === 0 && linesAdded.length === 0
+    && linesRemoved.length === 0 && linesChanged.length === 0;
+
+  return { strokesAdded, strokesRemoved, strokesRelinked, linesAdded, linesRemoved, linesChanged, identical };
+}
+
+/**
+ * One-line human summary of a diff, e.g. "+12 strokes, −1 line, 2 lines edited".
+ * @param {PageDocDiff} diff
+ * @returns {string}
+ */
+export function summarizeDiff(diff) {
+  if (!diff || diff.identical) return 'No differences';
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const parts = [];
+  if (diff.strokesAdded.length) parts.push(`+${plural(diff.strokesAdded.length, 'stroke')}`);
+  if (diff.strokesRemoved.length) parts.push(`−${plural(diff.strokesRemoved.length, 'stroke')}`);
+  if (diff.linesAdded.length) parts.push(`+${plural(diff.linesAdded.length, 'line')}`);
+  if (diff.linesRemoved.length) parts.push(`−${plural(diff.linesRemoved.length, 'line')}`);
+  if (diff.linesChanged.length) parts.push(`${plural(diff.linesChanged.length, 'line')} edited`);
+  if (diff.strokesRelinked) parts.push(`${plural(diff.strokesRelinked, 'stroke')} relinked`);
+  return parts.join(', ');
+}
+
+/**
+ * Parse a history version id ("2026-10-19T12-05-01-123Z", optionally with a
+ * "-N" collision suffix) back into a Date. Returns null if it doesn't parse.
+ * @param {string} versionId
+ * @returns {Date|null}
+ */
+export function versionIdToDate(versionId) {
+  const m = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/.exec(String(versionId || ''));
+  if (!m) return null;
+  const d = new Date(`${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z`);
+  return isNaN(d.getTime()) ? null : d;
+}
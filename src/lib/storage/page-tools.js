@@ -0,0 +1,212 @@
+/**
+ * Page tools — the pure half of the headless CLI (scripts/smartpen-cli.mjs).
+ *
+ * The CLI reads and writes the data folder itself; everything it does to a
+ * PageDoc in between lives here, built from the same modules the app uses
+ * (page-doc-format, conflict-merge, graph-index, the viewer's markdown and
+ * SVG renderers), so a nightly export or a bulk fix produces exactly what the
+ * app would. No I/O and no `$lib`/`$stores` imports, so plain Node can
+ * load it.
+ */
+
+import { serializePageDoc } from './page-doc-format.js';
+import { mergePageDocs } from './conflict-merge.js';
+import { buildSmartpenIndexEntry, upsertSmartpenIndex, emptySmartpenIndex } from './graph-index.js';
+import { linesToLogseqMarkdown } from '../viewer/transcript-markdown.js';
+import { generateThumbnailSVG, computeStrokeBounds, strokeToWidthRuns, strokeWidthRunRanges, NCODE_SCALE } from '../viewer/page-svg.js';
+import { buildReplayTimeline } from '../viewer/stroke-replay.js';
+
+/** Formats accepted by {@link exportPage}. */
+export const EXPORT_FORMATS = ['md', 'svg', 'json'];
+
+/** SVG px per mm (96 dpi), so an exported page prints at its real size. */
+const SVG_PX_PER_MM = 96 / 25.4;
+const SVG_PADDING = 4;
+const SVG_PEN_WIDTH_MM = 0.5;
+const SVG_INK = '#1a1a2e';
+
+/**
+ * Parse a page reference: "B12/P3", "b390/p151b" or "12/3".
+ * @param {string} ref
+ * @returns {{book: number, pageId: string}|null}
+ */
+export function parsePageRef(ref) {
+  const m = String(ref || '').trim().match(/^B?(\d+)\s*\/\s*P?(\d+[a-zA-Z]?)$/i);
+  if (!m) return null;
+  return { book: parseInt(m[1], 10), pageId: `${parseInt(m[2], 10)}${m[2].replace(/^\d+/, '')}` };
+}
+
+/**
+ * @param {number|string} book
+ * @param {number|string} pageId
+ * @returns {string} e.g. "B12/P3"
+ */
+export function formatPageRef(book, pageId) {
+  return `B${book}/P${pageId}`;
+}
+
+/**
+ * One-line facts about a page, as `show` and `list` print them.
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @returns {{strokes: number, lines: number, states: Object<string, number>, lastUpdated: string|null, lastTranscribed: string|null}}
+ */
+export function summarizePage(doc) {
+  const lines = doc?.transcript?.lines || [];
+  const states = {};
+  for (const line of lines) {
+    if (line?.state) states[line.state] = (states[line.state] || 0) + 1;
+  }
+  return {
+    strokes: Array.isArray(doc?.strokes) ? doc.strokes.length : 0,
+    lines: lines.length,
+    states,
+    lastUpdated: doc?.metadata?.lastUpdated || null,
+    lastTranscribed: doc?.transcript?.lastTranscribed || null
+  };
+}
+
+/**
+ * Render a page's ink at its real size, with the viewer's pressure-aware
+ * stroke widths.
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @returns {string} an `<svg>` document
+ */
+export function pageToSvg(doc) {
+  const strokes = doc?.strokes || [];
+  const bounds = computeStrokeBounds(strokes);
+  if (!bounds) return generateThumbnailSVG([]) + '\n';
+
+  const scale = NCODE_SCALE * SVG_PX_PER_MM;
+  const width = ((bounds.maxX - bounds.minX) * scale + SVG_PADDING * 2).toFixed(1);
+  const height = ((bounds.maxY - bounds.minY) * scale + SVG_PADDING * 2).toFixed(1);
+  let paths = '';
+  for (const stroke of strokes) {
+    for (const run of strokeToWidthRuns(stroke, bounds, scale, SVG_PEN_WIDTH_MM * SVG_PX_PER_MM, SVG_PADDING, 1)) {
+      paths += `<path d="${run.d}" stroke="${SVG_INK}" stroke-width="${run.width}" fill="none" stroke-linecap="round" stroke-linejoin="round"/>`;
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${paths}</svg>\n`;
+}
+
+/**
+ * The page's ink drawing itself in the order it was written, idle gaps
+ * squeezed out as in the viewer's replay (stroke-replay.js). Each pen run
+ * animates with CSS over its real writing time, so the file plays once in a
+ * browser or an `<img>` and shows the finished page anywhere that ignores
+ * the animation.
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @param {{speed?: number, maxGap?: number}} [options]
+ * @returns {string} an `<svg>` document
+ */
+export function pageToAnimatedSvg(doc, { speed = 1, maxGap } = {}) {
+  const strokes = doc?.strokes || [];
+  const bounds = computeStrokeBounds(strokes);
+  if (!bounds) return generateThumbnailSVG([]) + '\n';
+
+  const scale = NCODE_SCALE * SVG_PX_PER_MM;
+  const baseWidth = SVG_PEN_WIDTH_MM * SVG_PX_PER_MM;
+  const width = ((bounds.maxX - bounds.minX) * scale + SVG_PADDING * 2).toFixed(1);
+  const height = ((bounds.maxY - bounds.minY) * scale + SVG_PADDING * 2).toFixed(1);
+  const seconds = (ms) => Number((ms / speed / 1000).toFixed(3));
+  let paths = '';
+  for (const item of buildReplayTimeline(strokes, { maxGap }).items) {
+    const ranges = strokeWidthRunRanges(item.stroke, baseWidth);
+    strokeToWidthRuns(item.stroke, bounds, scale, baseWidth, SVG_PADDING, 1).forEach((run, i) => {
+      const { start, end } = ranges[i];
+      const delay = seconds(item.times[start]);
+      const duration = Math.max(0.001, seconds(item.times[end] - item.times[start]));
+      paths += `<path d="${run.d}" pathLength="1" stroke="${SVG_INK}" stroke-width="${run.width}" fill="none" stroke-linecap="round" stroke-linejoin="round" style="animation-delay:${delay}s;animation-duration:${duration}s"/>`;
+    });
+  }
+  // Hidden until its turn, then drawn from the pen-down end
+  const style = '<style>path{stroke-dasharray:1;animation-name:draw;animation-timing-function:linear;animation-fill-mode:both}' +
+    '@keyframes draw{from{stroke-dashoffset:1;visibility:hidden}to{stroke-dashoffset:0;visibility:visible}}</style>';
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${style}${paths}</svg>\n`;
+}
+
+/**
+ * Export a page as LogSeq markdown (`md`), an SVG of its ink (`svg`) or the
+ * PageDoc file itself (`json`).
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @param {string} format - one of EXPORT_FORMATS
+ * @returns {string}
+ */
+export function exportPage(doc, format) {
+  switch (format) {
+    case 'md': {
+      const markdown = linesToLogseqMarkdown(doc?.transcript?.lines || []);
+      return markdown ? `${markdown}\n` : '';
+    }
+    case 'svg':
+      return pageToSvg(doc);
+    case 'json':
+      return serializePageDoc(doc);
+    default:
+      throw new Error(`Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Move a page to another book number: the filename changes, so `pageInfo`
+ * follows it.
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @param {number} book
+ * @returns {import('./page-doc.js').PageDoc}
+ */
+export function renumberPageDoc(doc, book) {
+  return { ...doc, pageInfo: { ...doc.pageInfo, book } };
+}
+
+/**
+ * Set or clear (empty name) a book's alias in an `_aliases.json` map.
+ * @param {Object<string, string>} aliases
+ * @param {number|string} book
+ * @param {string|null} name
+ * @returns {Object<string, string>}
+ */
+export function withBookAlias(aliases, book, name) {
+  const next = { ...(aliases || {}) };
+  const trimmed = String(name ?? '').trim();
+  if (trimmed) next[String(book)] = trimmed;
+  else delete next[String(book)];
+  return next;
+}
+
+/**
+ * Fold other pages into a target page: a two-way conflict merge (nothing
+ * counts as deleted), so strokes are unioned by id and lines both pages
+ * transcribed from the same ink collapse into one.
+ * @param {import('./page-doc.js').PageDoc} target
+ * @param {import('./page-doc.js').PageDoc[]} sources
+ * @param {{now?: string}} [options]
+ * @returns {{doc: import('./page-doc.js').PageDoc, reports: import('./conflict-merge.js').MergeReport[]}}
+ */
+export function mergePages(target, sources, { now = new Date().toISOString() } = {}) {
+  let doc = target;
+  const reports = [];
+  for (const source of sources) {
+    // The target is "ours", so its pageInfo and transcript settings are kept
+    const merged = mergePageDocs(null, doc, source, { now });
+    doc = merged.doc;
+    reports.push(merged.report);
+  }
+  return { doc, reports };
+}
+
+/**
+ * Add pages to a graph's `smartpen-index.json` manifest and serialize what
+ * publishing them writes — the batch form of publish-graph.js.
+ * @param {Object|null} index - the current manifest (null when there is none)
+ * @param {Array<{book: number, pageId: string, doc: import('./page-doc.js').PageDoc}>} pages
+ * @param {Object<string, string>} aliases - book → alias
+ * @returns {{index: Object, assets: Array<{book: number, pageId: string, text: string}>}}
+ */
+export function publishPages(index, pages, aliases = {}) {
+  let next = index || emptySmartpenIndex();
+  const assets = [];
+  for (const { book, pageId, doc } of pages) {
+    next = upsertSmartpenIndex(next, buildSmartpenIndexEntry(doc, book, pageId), aliases[String(book)] ?? null);
+    assets.push({ book, pageId: String(pageId), text: serializePageDoc(doc) });
+  }
+  return { index: next, assets };
+}
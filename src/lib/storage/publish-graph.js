@@ -12,10 +12,25 @@
  *      — the discovery manifest, with this page's entry added/replaced and the
  *        book alias merged (plugin spec §4.6 "page-less" model).
  *
+ * With "Also write LogSeq Markdown" on (`graphMarkdownMode`), each publish
+ * also writes the page as a plain LogSeq page, a journal block, or a journal
+ * block on each day its lines were written, plus an SVG of its ink
+ * (graph-markdown.js), for teammates without the plugin. Lines routed with
+ * `[page: X]` go into page X as a block linking back, and `[tag: X]` lines
+ * carry a `tags::` property.
+ *
+ * A save never overwrites transcript edits made in LogSeq: when the asset
+ * still holds the page as it was before the save plus edits of its own, the
+ * publish is held back until they're pulled in (graph-pull.js).
+ *
+ * Deleting a page removes its asset and manifest entry, and renaming a book
+ * rewrites its alias in the manifest (and in the book's Markdown, which
+ * carries it), through the same path.
+ *
  * `stroke-data/pages/` stays the bridge's working store; the graph copy is a
  * published mirror. The graph copy is BEST-EFFORT: a publish failure logs a
- * warning but never fails the authoritative bridge save (this module never
- * throws).
+ * warning but never fails the authoritative bridge save, delete or alias
+ * edit (this module never throws).
  *
  * See plugin spec §6.1 and `tools/migrate-smartpen-assets.mjs` (`--from-clean`
  * does this same write batch-wise).
@@ -23,22 +38,36 @@
 
 import { get } from 'svelte/store';
 import { log } from '$stores';
-import { graphRoot, publishToGraph } from '$stores/settings.js';
+import { graphRoot, publishToGraph, graphMarkdownMode } from '$stores/settings.js';
 import { bookAliases } from '$stores/book-aliases.js';
 import { serializePageDoc } from './page-doc-format.js';
 import {
   buildSmartpenIndexEntry,
   upsertSmartpenIndex,
+  removeFromSmartpenIndex,
+  setSmartpenIndexAlias,
   emptySmartpenIndex
 } from './graph-index.js';
+import { pickGraphBase, diffGraphTranscript } from './graph-pull.js';
+import {
+  buildGraphMarkdown,
+  upsertJournalBlock,
+  removeJournalBlock,
+  markdownPagePath,
+  pageSvgPath,
+  journalPath,
+  pageJournalDates,
+  staleJournalPaths,
+  routedPagePaths,
+  staleRoutedPaths
+} from './graph-markdown.js';
+
+const MARKDOWN_METHODS = ['readGraphFile', 'writeGraphFile', 'removeGraphFile'];
 
-function getBackend() {
+function getBackend(methods = ['publishToGraph', 'readGraphIndex']) {
   if (typeof window === 'undefined' || !window.storageAPI) return null;
   const api = window.storageAPI;
-  if (typeof api.publishToGraph !== 'function' || typeof api.readGraphIndex !== 'function') {
-    return null;
-  }
-  return api;
+  return methods.every(name => typeof api[name] === 'function') ? api : null;
 }
 
 function unwrap(response, action) {
@@ -47,6 +76,41 @@ function unwrap(response, action) {
   return response.result;
 }
 
+/**
+ * Read the current manifest. Null when there is none yet; a corrupt one
+ * shouldn't block publishing, so it reads as empty.
+ */
+async function readIndex(api, root) {
+  const rawIndex = unwrap(await api.readGraphIndex(root), 'readGraphIndex');
+  if (!rawIndex) return null;
+  try {
+    return JSON.parse(rawIndex);
+  } catch {
+    return emptySmartpenIndex();
+  }
+}
+
+/**
+ * Does the asset hold `previous` (the version it was published from) plus
+ * transcript edits made in LogSeq? An asset older than `previous` is just a
+ * stale mirror.
+ */
+async function hasGraphEdits(api, root, book, pid, previous) {
+  if (typeof api.readGraphAsset !== 'function') return false;
+  const assetText = unwrap(await api.readGraphAsset(root, book, pid), 'readGraphAsset');
+  if (!assetText) return false;
+  let asset;
+  try {
+    asset = JSON.parse(assetText);
+  } catch {
+    return false;
+  }
+  if (pickGraphBase(previous, [], asset).source !== 'page') return false;
+  return diffGraphTranscript(previous, previous, asset).changes.length > 0;
+}
+
+const serializeIndex = (index) => JSON.stringify(index, null, 2) + '\n';
+
 /** Is the feature turned on AND a graph folder chosen? (one-time read) */
 export function isGraphPublishEnabled() {
   return !!get(publishToGraph) && !!get(graphRoot);
@@ -58,10 +122,13 @@ export function isGraphPublishEnabled() {
  * @param {number|string} book   - book identifier (matches the bridge filename)
  * @param {number|string} pageId - page identifier incl. any letter suffix
  * @param {import('./page-doc.js').PageDoc} doc - the PageDoc just written to the bridge store
+ * @param {{previous?: import('./page-doc.js').PageDoc|null}} [options] - the page
+ *   as it was before this save; when given, LogSeq edits to the asset hold the
+ *   publish back
  * @returns {Promise<{skipped:boolean, reason?:string, success?:boolean,
  *   error?:string, assetPath?:string, indexPath?:string}>}
  */
-export async function publishPageToGraph(book, pageId, doc) {
+export async function publishPageToGraph(book, pageId, doc, { previous = null } = {}) {
   if (!get(publishToGraph)) return { skipped: true, reason: 'disabled' };
 
   const root = get(graphRoot);
@@ -73,30 +140,28 @@ export async function publishPageToGraph(book, pageId, doc) {
   const pid = String(pageId);
 
   try {
-    // 1. Read the current manifest (null on first publish / ENOENT).
-    const rawIndex = unwrap(await api.readGraphIndex(root), 'readGraphIndex');
-    let index;
-    if (rawIndex) {
-      try {
-        index = JSON.parse(rawIndex);
-      } catch {
-        // A corrupt manifest shouldn't block publishing; start clean.
-        index = emptySmartpenIndex();
-      }
-    } else {
-      index = emptySmartpenIndex();
+    if (previous && await hasGraphEdits(api, root, book, pid, previous)) {
+      log(`B${book}/P${pid} was edited in LogSeq — not publishing over it. Pull the edits in Settings → Graph folder first.`, 'warning');
+      return { skipped: true, reason: 'graph-edits' };
     }
 
+    // 1. Read the current manifest (empty on first publish / ENOENT).
+    const index = (await readIndex(api, root)) || emptySmartpenIndex();
+
     // 2. Upsert this page's entry + merge the book alias.
     const aliasMap = get(bookAliases) || {};
     const alias = aliasMap[String(book)] ?? aliasMap[book] ?? null;
     const entry = buildSmartpenIndexEntry(doc, book, pid);
     const nextIndex = upsertSmartpenIndex(index, entry, alias);
 
+    // The journals the Markdown went to last time come from the page as it
+    // was published, so read it before it's overwritten.
+    const published = isMarkdownOn(api) ? await readPublishedDoc(api, root, book, pid) : null;
+
     // 3. Serialize both files on the renderer side; main just writes them
     //    atomically to the convention paths it computes from book/pageId.
     const assetText = serializePageDoc(doc);
-    const indexText = JSON.stringify(nextIndex, null, 2) + '\n';
+    const indexText = serializeIndex(nextIndex);
 
     const result = unwrap(
       await api.publishToGraph(root, book, pid, assetText, indexText),
@@ -104,9 +169,189 @@ export async function publishPageToGraph(book, pageId, doc) {
     );
 
     log(`Published B${book}/P${pid} to graph (${entry.strokeCount} stroke(s))`, 'success');
+    await publishMarkdown(api, root, book, pid, doc, alias, published);
     return { skipped: false, success: true, ...result };
   } catch (err) {
     log(`Graph publish failed for B${book}/P${pid}: ${err.message}`, 'warning');
     return { skipped: false, success: false, error: err.message || String(err) };
   }
 }
+
+/**
+ * Is a Markdown mode on, and can the backend write it?
+ * @param {Object} api - window.storageAPI
+ * @returns {boolean}
+ */
+export function isMarkdownOn(api) {
+  const mode = get(graphMarkdownMode);
+  return !!mode && mode !== 'off' && MARKDOWN_METHODS.every(name => typeof api[name] === 'function');
+}
+
+/**
+ * Write the page as LogSeq Markdown too, if that mode is on. A failure here
+ * is logged on its own; the plugin assets are already published. Also used
+ * by graph-sync.js to rewrite Markdown that drifted.
+ * @param {Object} api - window.storageAPI
+ * @param {string} root - graph folder
+ * @param {number|string} book
+ * @param {string} pid
+ * @param {import('./page-doc.js').PageDoc} doc
+ * @param {string|null} alias
+ * @param {import('./page-doc.js').PageDoc|null} published - the page as last
+ *   published, for the journals and routed pages it no longer reaches
+ */
+export async function publishMarkdown(api, root, book, pid, doc, alias, published) {
+  if (!isMarkdownOn(api)) return;
+  try {
+    const built = buildGraphMarkdown(doc, { book, pageId: pid, alias, mode: get(graphMarkdownMode) });
+    const { svg, markdown, journals = [], routed = [], superseded } = built;
+    if (superseded?.journal) await removeFromJournal(api, root, superseded.relPath, book, pid);
+    else if (superseded) unwrap(await api.removeGraphFile(root, superseded.relPath), 'removeGraphFile');
+    for (const relPath of [...staleJournalPaths(published, built), ...staleRoutedPaths(published, built)]) {
+      await removeFromJournal(api, root, relPath, book, pid);
+    }
+    if (svg) unwrap(await api.writeGraphFile(root, svg.relPath, svg.text), 'writeGraphFile');
+    for (const { relPath, block } of [...journals, ...(markdown?.block ? [markdown] : []), ...routed]) {
+      const journal = unwrap(await api.readGraphFile(root, relPath), 'readGraphFile');
+      unwrap(await api.writeGraphFile(root, relPath, upsertJournalBlock(journal, block, { book, pageId: pid })), 'writeGraphFile');
+    }
+    if (markdown?.text) unwrap(await api.writeGraphFile(root, markdown.relPath, markdown.text), 'writeGraphFile');
+  } catch (err) {
+    log(`Graph Markdown for B${book}/P${pid} failed: ${err.message}`, 'warning');
+  }
+}
+
+/** Take a page's block out of a journal (or routed page) file, if it's there. */
+async function removeFromJournal(api, root, relPath, book, pid) {
+  const journal = unwrap(await api.readGraphFile(root, relPath), 'readGraphFile');
+  const text = journal === null ? null : removeJournalBlock(journal, { book, pageId: pid });
+  if (text !== null) unwrap(await api.writeGraphFile(root, relPath, text), 'writeGraphFile');
+}
+
+/** The page as last published (for the journals it went to), or null. */
+async function readPublishedDoc(api, root, book, pid) {
+  if (typeof api.readGraphAsset !== 'function') return null;
+  try {
+    const text = unwrap(await api.readGraphAsset(root, book, pid), 'readGraphAsset');
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove whatever the Markdown mode wrote for a page: its page file, its
+ * journal blocks, its blocks on the pages its lines were routed to and its
+ * SVG (whichever mode is on now). Also used by graph-sync.js for deleted pages.
+ * @param {Object} api - window.storageAPI
+ * @param {string} root - graph folder
+ * @param {number|string} book
+ * @param {string} pid
+ * @param {import('./page-doc.js').PageDoc|null} published - the page as last published
+ */
+export async function unpublishMarkdown(api, root, book, pid, published) {
+  if (!MARKDOWN_METHODS.every(name => typeof api[name] === 'function')) return;
+  try {
+    unwrap(await api.removeGraphFile(root, markdownPagePath(book, pid)), 'removeGraphFile');
+    unwrap(await api.removeGraphFile(root, pageSvgPath(book, pid)), 'removeGraphFile');
+    for (const date of published ? pageJournalDates(published) : []) {
+      await removeFromJournal(api, root, journalPath(date), book, pid);
+    }
+    for (const relPath of routedPagePaths(published)) await removeFromJournal(api, root, relPath, book, pid);
+  } catch (err) {
+    log(`Removing graph Markdown for B${book}/P${pid} failed: ${err.message}`, 'warning');
+  }
+}
+
+/**
+ * Take a deleted page out of the graph, if publishing is enabled: its manifest
+ * entry first (so the plugin stops listing it), then its asset. Never throws.
+ *
+ * @param {number|string} book
+ * @param {number|string} pageId
+ * @returns {Promise<{skipped:boolean, reason?:string, success?:boolean, error?:string}>}
+ */
+export async function unpublishPageFromGraph(book, pageId) {
+  if (!get(publishToGraph)) return { skipped: true, reason: 'disabled' };
+
+  const root = get(graphRoot);
+  if (!root) return { skipped: true, reason: 'no-graph-root' };
+
+  const api = getBackend(['readGraphIndex', 'writeGraphIndex', 'removeGraphAsset']);
+  if (!api) return { skipped: true, reason: 'no-backend' };
+
+  const pid = String(pageId);
+
+  try {
+    const index = await readIndex(api, root);
+    const listed = (index?.pages || []).some(
+      (e) => Number(e.book) === Number(book) && String(e.pageId) === pid
+    );
+    if (listed) {
+      const nextIndex = removeFromSmartpenIndex(index, book, pid);
+      unwrap(await api.writeGraphIndex(root, serializeIndex(nextIndex)), 'writeGraphIndex');
+    }
+    const published = await readPublishedDoc(api, root, book, pid);
+    unwrap(await api.removeGraphAsset(root, book, pid), 'removeGraphAsset');
+    await unpublishMarkdown(api, root, book, pid, published);
+
+    log(`Removed B${book}/P${pid} from graph`, 'success');
+    return { skipped: false, success: true };
+  } catch (err) {
+    log(`Graph removal failed for B${book}/P${pid}: ${err.message}`, 'warning');
+    return { skipped: false, success: false, error: err.message || String(err) };
+  }
+}
+
+/**
+ * Rewrite the Markdown of a book's published pages, which carries the book's
+ * alias (`smartpen-book::`, the link line of journal and routed-page blocks).
+ * Each page is written from its asset, the page as it was published.
+ */
+async function republishBookMarkdown(api, root, book, alias, index) {
+  const pages = (index.pages || []).filter(e => Number(e.book) === Number(book));
+  for (const entry of pages) {
+    const pid = String(entry.pageId);
+    const doc = await readPublishedDoc(api, root, book, pid);
+    if (doc) await publishMarkdown(api, root, book, pid, doc, alias, doc);
+  }
+}
+
+/**
+ * Rewrite a book's alias in the graph manifest after it was set or removed
+ * (blank `alias`), if publishing is enabled, and with a Markdown mode on in
+ * the book's Markdown too. A graph with nothing published yet is left alone.
+ * Never throws.
+ *
+ * @param {number|string} book
+ * @param {string|null} alias
+ * @returns {Promise<{skipped:boolean, reason?:string, success?:boolean, error?:string}>}
+ */
+export async function publishBookAliasToGraph(book, alias) {
+  if (!get(publishToGraph)) return { skipped: true, reason: 'disabled' };
+
+  const root = get(graphRoot);
+  if (!root) return { skipped: true, reason: 'no-graph-root' };
+
+  const api = getBackend(['readGraphIndex', 'writeGraphIndex']);
+  if (!api) return { skipped: true, reason: 'no-backend' };
+
+  try {
+    const index = await readIndex(api, root);
+    if (!index) return { skipped: true, reason: 'no-index' };
+
+    const nextIndex = setSmartpenIndexAlias(index, book, alias);
+    const key = String(Number(book));
+    if ((index.aliases?.[key] ?? null) === (nextIndex.aliases[key] ?? null)) {
+      return { skipped: true, reason: 'unchanged' };
+    }
+    unwrap(await api.writeGraphIndex(root, serializeIndex(nextIndex)), 'writeGraphIndex');
+    if (isMarkdownOn(api)) await republishBookMarkdown(api, root, book, nextIndex.aliases[key] ?? null, nextIndex);
+
+    log(`Updated graph alias for B${book}`, 'success');
+    return { skipped: false, success: true };
+  } catch (err) {
+    log(`Graph alias update failed for B${book}: ${err.message}`, 'warning');
+    return { skipped: false, success: false, error: err.message || String(err) };
+  }
+}
@@ -12,14 +12,23 @@
  *     - Update lineId on existing strokes if the in-memory version differs.
  *     - Never infer deletions from count differences.
  *
- *   Transcript (incremental append):
+ *   Transcript (incremental):
  *     - If pageTranscription is provided, treat its `lines` as NEW lines (the
- *       ActionBar limits MyScript input to untranscribed strokes only).
- *     - Generate fresh UUIDs for the new lines.
- *     - For each new line, match strokes via Y-bounds overlap and write the
- *       new lineId onto those strokes.
+ *       ActionBar sends only untranscribed strokes that don't extend an
+ *       existing line — see recognition/incremental-transcription.js).
+ *     - Generate fresh UUIDs for the new lines and insert each by Y position
+ *       among the existing lines, whose order is kept.
+ *     - Keep each new line's words (strokes, alternatives, confidence). Link
+ *       the strokes its words were written with to it, or — when the
+ *       recognizer didn't say — the transcribed strokes its Y-bounds overlap.
+ *     - Apply `lineUpdates` (lines re-transcribed with new strokes): replace
+ *       the line's text in place and link the new strokes to it.
  *     - Skip duplicate lines whose text+yBounds match an existing line.
- *     - Existing transcript.lines are preserved.
+ *     - Existing transcript.lines are otherwise preserved.
+ *
+ *   Audio:
+ *     - metadata.audio keeps the page's recordings and adds the known ones
+ *       that ran while its strokes were written (page-audio.js).
  *
  *   Editor-driven full transcript rewrites bypass this module and call
  *   savePage() directly (see PageCard.svelte handleSaveEditor).
@@ -28,6 +37,10 @@
 import { getPage, savePage } from './local-store.js';
 import { emptyPageDoc, computeBounds, PAGE_DOC_VERSION } from './page-doc.js';
 import { noteOnDiskStrokeIds } from '$stores/pending-changes.js';
+import { toTranscriptWords } from '$lib/recognition/transcript-structure.js';
+import { findDuplicateLine, strokesIntersectingLine } from './line-match.js';
+import { audioRefsForPage } from './page-audio.js';
+import { mergeAudioRefs } from '$lib/audio/audio-refs.js';
 
 /* -----------------------------------------------------------------
  *  Stroke shape conversion
@@ -39,14 +52,19 @@ function round2(n) {
 
 /**
  * Convert a pen-format stroke (with dotArray) to v2 StoredStroke shape.
- * @param {Object} stroke - { startTime, endTime, blockUuid?, dotArray: [{x,y,timestamp}] }
+ * Pen force rides along as the 4th point element (PageDoc v2.1) so pressure
+ * survives a save/reload; the timestamp slot is null if a dot has force only.
+ * The pen that wrote it is kept as `penId` when known.
+ * @param {Object} stroke - { startTime, endTime, blockUuid?, penId?, dotArray: [{x,y,f?,timestamp?}] }
  * @returns {import('./page-doc.js').StoredStroke}
  */
 export function strokeToStored(stroke) {
   const points = (stroke.dotArray || []).map(d => {
     const x = round2(d.x);
     const y = round2(d.y);
-    if (typeof d.timestamp === 'number') return [x, y, d.timestamp];
+    const ts = typeof d.timestamp === 'number' ? d.timestamp : null;
+    if (typeof d.f === 'number' && isFinite(d.f)) return [x, y, ts, Math.round(d.f)];
+    if (ts !== null) return [x, y, ts];
     return [x, y];
   });
   return {
@@ -54,6 +72,7 @@ export function strokeToStored(stroke) {
     startTime: stroke.startTime,
     endTime: stroke.endTime,
     lineId: stroke.blockUuid || stroke.lineId || null,
+    ...(stroke.penId ? { penId: stroke.penId } : {}),
     points
   };
 }
@@ -76,69 +95,99 @@ function randomUUID() {
 }
 
 /**
- * Do two Y-bound ranges overlap?
+ * Skip-duplicate test: does a new MyScript line match an existing line by
+ * trimmed-text + Y-bounds overlap?
  */
-function yBoundsOverlap(a, b, tol = 0) {
-  if (!a || !b) return false;
-  return !(a.maxY + tol < b.minY || b.maxY + tol < a.minY);
+function isDuplicate(newLine, existingLines) {
+  return findDuplicateLine(newLine, existingLines) !== null;
 }
 
 /**
- * For each new MyScript line, find the storage-format stroke IDs whose Y range
- * touches the line's Y range. Used to attach lineId to strokes.
- *
- * @param {Object} line - { yBounds: {minY, maxY} }
- * @param {Array} storedStrokes - StoredStroke[]
- * @param {number} tol - tolerance in pen-unit (default 5)
- * @returns {string[]} matching stroke ids
+ * Insert a line before the first line that starts below it, leaving the
+ * existing order alone. Lines without Y-bounds go at the end.
  */
-function strokesIntersectingLine(line, storedStrokes, tol = 5) {
-  if (!line.yBounds) return [];
-  const lineMin = line.yBounds.minY - tol;
-  const lineMax = line.yBounds.maxY + tol;
-  const out = [];
-  for (const s of storedStrokes) {
-    if (!s.points || s.points.length === 0) continue;
-    // Compute stroke Y bounds
-    let minY = Infinity, maxY = -Infinity;
-    for (const p of s.points) {
-      if (p[1] < minY) minY = p[1];
-      if (p[1] > maxY) maxY = p[1];
-    }
-    if (yBoundsOverlap({ minY, maxY }, { minY: lineMin, maxY: lineMax })) {
-      out.push(s.id);
-    }
-  }
-  return out;
+function insertByPosition(lines, line) {
+  const minY = line.yBounds?.minY;
+  const at = typeof minY === 'number'
+    ? lines.findIndex(l => typeof l.yBounds?.minY === 'number' && l.yBounds.minY > minY)
+    : -1;
+  if (at === -1) lines.push(line);
+  else lines.splice(at, 0, line);
 }
 
-/**
- * Skip-duplicate test: does a new MyScript line match an existing line by
- * trimmed-text + Y-bounds overlap?
- */
-function isDuplicate(newLine, existingLines) {
-  const t = (newLine.text || '').trim();
-  if (!t) return false;
-  for (const ex of existingLines) {
-    if ((ex.text || '').trim() === t && yBoundsOverlap(ex.yBounds, newLine.yBounds, 3)) {
-      return true;
-    }
-  }
-  return false;
+function unionBounds(a, b) {
+  if (!a) return b ? { minY: b.minY, maxY: b.maxY } : null;
+  if (!b) return a;
+  return { minY: Math.min(a.minY, b.minY), maxY: Math.max(a.maxY, b.maxY) };
 }
 
 /**
- * Merge new MyScript lines into the existing transcript, preserving existing
- * lines untouched. Returns { lines, lineIdAssignments: Map<strokeId,lineId> }.
+ * Merge a page transcription into the existing transcript, preserving existing
+ * lines. Returns { lines, lineIdAssignments: Map<strokeId,lineId>, linesUpdated }.
+ *
+ * - `myscriptLines` are new lines. Each is inserted by position; strokes are
+ *   linked to it by Y-overlap, among `transcribedStrokeIds` when given.
+ * - `lineUpdates` re-transcribe existing lines (incremental transcription):
+ *   the line keeps its id and place and takes the new text; its strokes that
+ *   have no line yet are linked to it. An update whose strokes are all linked
+ *   already has been applied by an earlier save and is skipped, so a later
+ *   hand edit of the line survives a re-save. An update for a line that was
+ *   deleted meanwhile comes back as a new line.
  */
-function mergeTranscript(existingLines, myscriptLines, storedStrokes) {
+export function mergeTranscript(existingLines, myscriptLines, storedStrokes, { transcribedStrokeIds = null, lineUpdates = [] } = {}) {
   const lines = [...existingLines];
   const lineIdAssignments = new Map(); // strokeId → new lineId
+  let linesUpdated = 0;
+
+  const unlinked = new Set(storedStrokes.filter(s => !s.lineId).map(s => s.id));
+
+  for (const update of lineUpdates || []) {
+    const pending = (update.strokeIds || []).map(id => `s${id}`).filter(id => unlinked.has(id));
+    if (pending.length === 0) continue;
+
+    const index = lines.findIndex(l => l.id === update.lineId);
+    if (index === -1) {
+      const lineRecord = {
+        id: update.lineId,
+        text: (update.text || '').trim(),
+        indentLevel: 0,
+        parentId: null,
+        checked: null,
+        yBounds: update.yBounds ? { minY: update.yBounds.minY, maxY: update.yBounds.maxY } : null
+      };
+      if (typeof update.latex === 'string') lineRecord.latex = update.latex;
+      if (update.words?.length > 0) lineRecord.words = update.words;
+      insertByPosition(lines, lineRecord);
+    } else {
+      const lineRecord = {
+        ...lines[index],
+        text: (update.text || '').trim(),
+        yBounds: unionBounds(lines[index].yBounds, update.yBounds)
+      };
+      if (typeof update.latex === 'string') lineRecord.latex = update.latex;
+      if (update.words?.length > 0) lineRecord.words = update.words;
+      else delete lineRecord.words;
+      lines[index] = lineRecord;
+      linesUpdated++;
+    }
+    for (const sid of pending) {
+      lineIdAssignments.set(sid, update.lineId);
+      unlinked.delete(sid);
+    }
+  }
 
   if (!myscriptLines || myscriptLines.length === 0) {
-    return { lines, lineIdAssignments };
+    return { lines, lineIdAssignments, linesUpdated };
   }
 
+  // Only the strokes that were sent can belong to the new lines
+  const candidates = transcribedStrokeIds
+    ? (() => {
+        const sent = new Set(transcribedStrokeIds.map(id => `s${id}`));
+        return storedStrokes.filter(s => sent.has(s.id));
+      })()
+    : storedStrokes;
+
   // Generate IDs upfront so parent linkage by index works
   const newIds = myscriptLines.map(() => randomUUID());
 
@@ -159,29 +208,29 @@ function mergeTranscript(existingLines, myscriptLines, storedStrokes) {
         ? { minY: ms.yBounds.minY, maxY: ms.yBounds.maxY }
         : null
     };
+    // Math recognitions keep the LaTeX source alongside the text
+    if (typeof ms.latex === 'string') lineRecord.latex = ms.latex;
+    const words = toTranscriptWords(text, ms.words);
+    if (words.some(w => w.strokeIds || w.candidates || w.confidence !== undefined)) lineRecord.words = words;
 
     if (isDuplicate(lineRecord, lines)) {
       continue;
     }
 
-    lines.push(lineRecord);
+    insertByPosition(lines, lineRecord);
 
-    // Attach lineId to strokes whose Y range overlaps the new line
-    const matchingStrokeIds = strokesIntersectingLine(lineRecord, storedStrokes);
+    // Attach lineId to the strokes the recognizer put in this line, else to
+    // strokes whose Y range overlaps it
+    const candidateIds = new Set(candidates.map(s => s.id));
+    const wordStrokeIds = (lineRecord.words || []).flatMap(w => w.strokeIds || []).filter(id => candidateIds.has(id));
+    const matchingStrokeIds = wordStrokeIds.length > 0 ? wordStrokeIds : strokesIntersectingLine(lineRecord, candidates);
     for (const sid of matchingStrokeIds) {
       // Only assign if the stroke doesn't already belong to a line
-      lineIdAssignments.set(sid, lineRecord.id);
+      if (!lineIdAssignments.has(sid)) lineIdAssignments.set(sid, lineRecord.id);
     }
   }
 
-  // Sort by yBounds.minY (top-to-bottom on the page) for readability
-  lines.sort((a, b) => {
-    const ay = a.yBounds?.minY ?? 0;
-    const by = b.yBounds?.minY ?? 0;
-    return ay - by;
-  });
-
-  return { lines, lineIdAssignments };
+  return { lines, lineIdAssignments, linesUpdated };
 }
 
 /* -----------------------------------------------------------------
@@ -205,6 +254,8 @@ function mergeTranscript(existingLines, myscriptLines, storedStrokes) {
  * @property {number} total
  * @property {number} lineCount
  * @property {number} [linesAdded]
+ * @property {number} [linesUpdated]
+ * @property {Map<string,string>} [strokeLineIds] - stroke startTime → lineId for strokes linked by this save
  * @property {string} [path]
  * @property {string} [error]
  */
@@ -271,22 +322,31 @@ export async function savePageToFolder(input) {
     // ----- Transcript: append-merge -----
     let transcript = existing.transcript || { lastTranscribed: null, lines: [] };
     let linesAdded = 0;
+    let linesUpdated = 0;
+    const strokeLineIds = new Map();
 
-    if (pageTranscription && Array.isArray(pageTranscription.lines) && pageTranscription.lines.length > 0) {
+    const newLines = Array.isArray(pageTranscription?.lines) ? pageTranscription.lines : [];
+    const lineUpdates = Array.isArray(pageTranscription?.lineUpdates) ? pageTranscription.lineUpdates : [];
+    if (newLines.length > 0 || lineUpdates.length > 0) {
       const before = transcript.lines.length;
-      const { lines, lineIdAssignments } = mergeTranscript(
+      const { lines, lineIdAssignments, linesUpdated: updated } = mergeTranscript(
         transcript.lines || [],
-        pageTranscription.lines,
-        merged
+        newLines,
+        merged,
+        { transcribedStrokeIds: pageTranscription.transcribedStrokeIds || null, lineUpdates }
       );
       linesAdded = lines.length - before;
+      linesUpdated = updated;
 
-      if (linesAdded > 0 || lineIdAssignments.size > 0) {
+      if (linesAdded > 0 || linesUpdated > 0 || lineIdAssignments.size > 0) {
         // Attach new lineIds to strokes that didn't already have one
         merged = merged.map(s => {
           if (s.lineId) return s; // already linked — leave it alone
           const newLineId = lineIdAssignments.get(s.id);
-          if (newLineId) return { ...s, lineId: newLineId };
+          if (newLineId) {
+            strokeLineIds.set(String(s.startTime), newLineId);
+            return { ...s, lineId: newLineId };
+          }
           return s;
         });
 
@@ -303,13 +363,16 @@ export async function savePageToFolder(input) {
       merged = merged.map(s => (s.lineId && !liveLineIds.has(s.lineId)) ? { ...s, lineId: null } : s);
     }
 
+    const audio = mergeAudioRefs(existing.metadata?.audio, audioRefsForPage(book, merged));
+
     const doc = {
       version: PAGE_DOC_VERSION,
       pageInfo,
       metadata: {
         lastUpdated: new Date().toISOString(),
         totalStrokes: merged.length,
-        bounds: computeBounds(merged)
+        bounds: computeBounds(merged),
+        ...(audio.length > 0 ? { audio } : {})
       },
       transcript,
       strokes: merged
@@ -330,6 +393,8 @@ export async function savePageToFolder(input) {
       total: merged.length,
       lineCount: doc.transcript.lines.length,
       linesAdded,
+      linesUpdated,
+      strokeLineIds,
       path: result.path
     };
   } catch (err) {
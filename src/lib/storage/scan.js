@@ -17,8 +17,18 @@
 import { get } from 'svelte/store';
 import { log, setLogseqPages, setScanning } from '$stores';
 import { registerBookIds, setBookAliases } from '$stores/book-aliases.js';
+import { setRecognitionSettings } from '$stores/recognition-settings.js';
+import { setCorrectionDictionary } from '$stores/corrections.js';
+import { rebuildSearchIndex, searchIndexSnapshot } from '$stores/search-index.js';
 import { dataRoot, dataFolderReady } from '$stores/settings.js';
-import { listPages, getAliases } from './local-store.js';
+import {
+  listPages,
+  getAliases,
+  getRecognitionSettings,
+  getCorrections,
+  getSearchIndex,
+  saveSearchIndex
+} from './local-store.js';
 
 /**
  * Convert a lightweight PageMeta → record shape consumed by PageCard / BookViewer.
@@ -52,7 +62,11 @@ export function metaToRecord(meta) {
     // Explorer preview and full-text search. Strokes/pageDoc are intentionally
     // absent — consumers fetch them lazily via getPage / page-cache.
     transcriptionText,
-    syncStatus: 'clean'
+    syncStatus: 'clean',
+    // Cloud-sync conflict copies waiting to be merged (PageCard offers the
+    // resolution dialog); empty for the normal case.
+    conflictCopies: meta.conflictCopies || [],
+    missingOriginal: !!meta.missingOriginal
   };
 }
 
@@ -94,10 +108,40 @@ export async function scanLocalPages() {
       console.warn('Failed to load aliases:', aliasErr);
     }
 
+    try {
+      setRecognitionSettings(await getRecognitionSettings());
+    } catch (recognitionErr) {
+      console.warn('Failed to load recognition settings:', recognitionErr);
+    }
+
+    try {
+      setCorrectionDictionary(await getCorrections());
+    } catch (correctionsErr) {
+      console.warn('Failed to load the correction dictionary:', correctionsErr);
+    }
+
     // List all pages (lightweight metadata — no strokes loaded). This single
     // pass is the whole scan now; we no longer re-read every page with getPage.
     const metaList = await listPages();
 
+    // The full-text index is built from the same pass (meta carries each
+    // page's transcript lines); records stay summary-only. Pages whose file
+    // is unchanged since the saved index was written aren't re-tokenized.
+    let savedIndex = null;
+    try {
+      savedIndex = await getSearchIndex();
+    } catch (indexErr) {
+      console.warn('Failed to load the saved search index:', indexErr);
+    }
+    const { reused, reindexed } = rebuildSearchIndex(metaList, savedIndex);
+    if (reindexed > 0 || reused !== (savedIndex?.pages?.length ?? 0)) {
+      try {
+        await saveSearchIndex(searchIndexSnapshot());
+      } catch (indexErr) {
+        console.warn('Failed to save the search index:', indexErr);
+      }
+    }
+
     if (metaList.length === 0) {
       log('No saved pages found.', 'info');
       setLogseqPages([]);
@@ -112,6 +156,11 @@ export async function scanLocalPages() {
 
     setLogseqPages(records);
     log(`Scanned ${records.length} page(s) across ${bookIds.length} book(s)`, 'success');
+
+    const conflicted = records.filter(r => r.conflictCopies.length > 0);
+    if (conflicted.length > 0) {
+      log(`${conflicted.length} page(s) have sync conflict copies — open them in Saved Pages to merge`, 'warning');
+    }
     return true;
   } catch (err) {
     console.error('Folder scan failed:', err);
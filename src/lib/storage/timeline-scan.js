@@ -0,0 +1,50 @@
+/**
+ * Timeline scan — reads every saved page's stroke times for the Timeline tab.
+ *
+ * Works from the Saved Pages records (scanning the folder first when there
+ * are none yet) and keeps what it read between scans, so a refresh only
+ * re-reads pages whose lastUpdated changed. Pages are read straight from
+ * disk: going through the Book View page cache would evict the pages being
+ * viewed.
+ */
+
+import { get } from 'svelte/store';
+import { logseqPages, log, timelineScanning, timelineProgress, setWritingActivity } from '$stores';
+import { dataFolderReady } from '$stores/settings.js';
+import { scanWritingActivity } from '../writing-sessions.js';
+import { scanLocalPages } from './scan.js';
+import { getPage } from './local-store.js';
+
+/** Page key → PageActivity from the previous scan. */
+const activityCache = new Map();
+
+let scanInFlight = false;
+
+/**
+ * Read the stroke times of every saved page into the timeline store.
+ * @returns {Promise<boolean>} false when the folder isn't ready or a scan is already running
+ */
+export async function refreshWritingTimeline() {
+  if (!get(dataFolderReady) || scanInFlight) return false;
+  scanInFlight = true;
+  timelineScanning.set(true);
+  try {
+    if (get(logseqPages).length === 0) await scanLocalPages();
+    const records = get(logseqPages);
+    timelineProgress.set({ done: 0, total: records.length });
+    const activity = await scanWritingActivity(records, {
+      loadPage: getPage,
+      cache: activityCache,
+      onProgress: (done, total) => timelineProgress.set({ done, total })
+    });
+    setWritingActivity(activity);
+    return true;
+  } catch (err) {
+    console.error('Timeline scan failed:', err);
+    log(`Reading the writing timeline failed: ${err.message}`, 'error');
+    return false;
+  } finally {
+    scanInFlight = false;
+    timelineScanning.set(false);
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Stroke Pressure — shared helpers for pressure-modulated ink width.
+ *
+ * The pen reports a force value (`f`) on every dot. PageDoc v2.1 keeps it as
+ * the 4th element of each stored point (`[x, y, timestamp, force]`), and the
+ * renderers (CanvasRenderer, viewer/page-svg.js, SVG export) turn it into a
+ * per-segment line width so a reloaded page looks the way the pen wrote it.
+ *
+ * Canvas and SVG can only stroke a path at one width, so a stroke is split
+ * into "runs": consecutive segments whose (quantized) width is the same are
+ * drawn as one path. A stroke with uniform or missing force collapses to a
+ * single run — exactly the pre-pressure output.
+ */
+
+/** Force value that maps to the base width (matches the live-canvas `f / 500`). */
+export const FORCE_REFERENCE = 500;
+
+/** Clamp range for the force → width multiplier, so outliers stay legible. */
+export const MIN_PRESSURE_FACTOR = 0.25;
+export const MAX_PRESSURE_FACTOR = 2.5;
+
+/**
+ * Width multiplier for a force value. Missing/invalid force → 1 (base width).
+ * @param {number|null|undefined} force
+ * @returns {number}
+ */
+export function pressureFactor(force) {
+  if (typeof force !== 'number' || !isFinite(force) || force <= 0) return 1;
+  const factor = force / FORCE_REFERENCE;
+  return Math.min(MAX_PRESSURE_FACTOR, Math.max(MIN_PRESSURE_FACTOR, factor));
+}
+
+/**
+ * Force of a stored PageDoc point (`[x, y, timestamp?, force?]`), or null.
+ * @param {Array<number|null>} point
+ * @returns {number|null}
+ */
+export function storedPointForce(point) {
+  return point && typeof point[3] === 'number' ? point[3] : null;
+}
+
+/**
+ * Does a stored stroke carry per-point force?
+ * @param {{points?: Array<Array<number|null>>}} stroke
+ * @returns {boolean}
+ */
+export function storedStrokeHasPressure(stroke) {
+  const points = stroke && stroke.points;
+  if (!Array.isArray(points)) return false;
+  return points.some((p) => storedPointForce(p) !== null);
+}
+
+/**
+ * Does a canvas-format dot array carry real pressure? Strokes reloaded from
+ * pre-2.1 PageDocs have no `f`, and some sources fill in a constant
+ * placeholder, so only force that actually varies along the stroke counts.
+ * @param {Array<{f?: number}>} dots
+ * @returns {boolean}
+ */
+export function dotsHavePressure(dots) {
+  if (!Array.isArray(dots) || dots.length < 2) return false;
+  const first = dots[0].f;
+  return dots.some((d) => d.f !== first);
+}
+
+/**
+ * Group a stroke's segments into runs of equal width.
+ *
+ * Segment `i` joins point `i - 1` to point `i` (i ≥ 1). `widthAt(i)` returns
+ * the width for segment `i`; widths are quantized to `step` before grouping so
+ * tiny force jitter doesn't fragment the stroke into hundreds of paths.
+ *
+ * @param {number} pointCount
+ * @param {(i:number) => number} widthAt
+ * @param {number} [step] - quantization step in output units
+ * @returns {Array<{start:number, end:number, width:number}>} point-index ranges
+ *   (inclusive) — each run draws points[start..end]
+ */
+export function pressureRuns(pointCount, widthAt, step = 0.05) {
+  if (pointCount < 2) return [];
+  const quantize = (w) => Math.max(step, Math.round(w / step) * step);
+  const runs = [];
+  let current = null;
+  for (let i = 1; i < pointCount; i++) {
+    const width = quantize(widthAt(i));
+    if (current && current.width === width) {
+      current.end = i;
+    } else {
+      current = { start: i - 1, end: i, width };
+      runs.push(current);
+    }
+  }
+  return runs;
+}
@@ -268,11 +268,11 @@ export function convertFromStorageFormat(storedStrokes, pageInfo) {
     startTime: stored.startTime,
     endTime: stored.endTime,
     blockUuid: stored.blockUuid || null,  // Restore block reference
-    dotArray: stored.points.map(([x, y, timestamp]) => ({
+    dotArray: stored.points.map(([x, y, timestamp, force]) => ({
       x,
       y,
-      f: 512,  // Default pressure (not stored)
-      timestamp
+      f: typeof force === 'number' ? force : undefined,  // None stored before v2.1
+      timestamp: timestamp ?? undefined
     }))
   }));
 }
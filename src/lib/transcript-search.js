@@ -1,9 +1,12 @@
 /**
  * Transcript Search Utilities
- * Bag-of-words search for handwriting transcriptions
+ * Bag-of-words search and highlighting for handwriting transcriptions.
+ * The Search Transcripts dialog queries the inverted index in
+ * search-index.js; highlightTerms renders its per-line hits.
  */
 
 import { filterTranscriptionProperties } from '../utils/formatting.js';
+import { tokenSpans } from './search-index.js';
 
 /**
  * Tokenize text for search (bag-of-words)
@@ -86,6 +89,27 @@ export function highlightMatches(text, query) {
   return highlighted;
 }
 
+/**
+ * Highlight the words of a line whose normalized token is one of `terms` —
+ * the per-line `terms` of a search-index hit, which (being fuzzy) may not
+ * literally contain the query text.
+ * @param {string} text - One transcript line
+ * @param {string[]} terms - Normalized tokens to mark
+ * @returns {string} HTML with <mark> tags around matching words
+ */
+export function highlightTerms(text, terms) {
+  if (!text) return '';
+  const wanted = new Set(terms || []);
+  let out = '';
+  let pos = 0;
+  for (const { start, end, token } of tokenSpans(text)) {
+    if (!wanted.has(token)) continue;
+    out += escapeHtml(text.slice(pos, start)) + '<mark>' + escapeHtml(text.slice(start, end)) + '</mark>';
+    pos = end;
+  }
+  return out + escapeHtml(text.slice(pos));
+}
+
 /**
  * Escape HTML special characters
  * @param {string} text - Text to escape
@@ -5,11 +5,16 @@
  * (one `<path>` per stroke), which fits the flex spread layout cleanly and
  * keeps the viewer independent of the world-space capture canvas
  * (`canvas-renderer.js`). Strokes use the PageDoc storage format:
- *   { id, points: [[x, y, timestamp?], ...] }   // x,y in Ncode mm
+ *   { id, points: [[x, y, timestamp?, force?], ...] }   // x,y in Ncode mm
+ *
+ * Strokes with stored pen force (PageDoc v2.1+) render as several `<path>`s
+ * of pressure-modulated width — see {@link strokeToWidthRuns}.
  *
  * Ported from the reference LogSeq plugin's svg-generator.ts.
  */
 
+import { pressureFactor, pressureRuns, storedPointForce, storedStrokeHasPressure } from '../stroke-pressure.js';
+
 /** Ncode mm → screen-pixel scale factor (matches canvas-renderer.js). */
 export const NCODE_SCALE = 2.371;
 
@@ -56,6 +61,49 @@ export function strokeToPathD(stroke, bounds, scale = NCODE_SCALE) {
     .join(' ');
 }
 
+/**
+ * Split one stroke into equal-width path runs for pressure-modulated rendering.
+ * Each run is `{ d, width }` — draw it as a `<path>` with `stroke-width={width}`.
+ * A stroke without stored force yields a single run at `baseWidth`, identical
+ * to {@link strokeToPathD}.
+ * @param {{points: Array<Array<number|null>>}} stroke
+ * @param {{minX:number,minY:number}} bounds
+ * @param {number} [scale]
+ * @param {number} [baseWidth] - width at the reference force
+ * @param {number} [padding] - offset added to both axes after scaling
+ * @param {number} [digits] - coordinate precision
+ * @returns {Array<{d:string, width:number}>}
+ */
+export function strokeToWidthRuns(stroke, bounds, scale = NCODE_SCALE, baseWidth = 0.5, padding = 0, digits = 2) {
+  const points = stroke && stroke.points;
+  if (!bounds || !points || points.length < 2) return [];
+  return strokeWidthRunRanges(stroke, baseWidth).map((run) => {
+    let d = '';
+    for (let i = run.start; i <= run.end; i++) {
+      const x = (points[i][0] - bounds.minX) * scale + padding;
+      const y = (points[i][1] - bounds.minY) * scale + padding;
+      d += `${i === run.start ? 'M' : ' L'} ${x.toFixed(digits)} ${y.toFixed(digits)}`;
+    }
+    return { d, width: Number(run.width.toFixed(3)) };
+  });
+}
+
+/**
+ * The point ranges behind {@link strokeToWidthRuns}, in the same order:
+ * `{ start, end, width }` with inclusive point indices (neighbouring runs
+ * share their joining point). Lets a caller time each run, e.g. the replay's
+ * animated SVG.
+ * @param {{points: Array<Array<number|null>>}} stroke
+ * @param {number} [baseWidth]
+ * @returns {Array<{start:number, end:number, width:number}>}
+ */
+export function strokeWidthRunRanges(stroke, baseWidth = 0.5) {
+  const points = (stroke && stroke.points) || [];
+  const withPressure = storedStrokeHasPressure(stroke);
+  const widthAt = (i) => (withPressure ? pressureFactor(storedPointForce(points[i])) * baseWidth : baseWidth);
+  return pressureRuns(points.length, widthAt, baseWidth / 20);
+}
+
 /**
  * Generate a small, self-fitting thumbnail SVG string for page cards.
  * The strokes are scaled to fit within maxWidth × maxHeight preserving aspect.
@@ -63,9 +111,11 @@ export function strokeToPathD(stroke, bounds, scale = NCODE_SCALE) {
  * @param {number} [maxWidth]
  * @param {number} [maxHeight]
  * @param {string} [strokeColor]
+ * @param {Array<{minX:number,minY:number,maxX:number,maxY:number}>} [highlights]
+ *   regions (Ncode mm) to mark behind the ink, e.g. sketch-search matches
  * @returns {string} an `<svg>…</svg>` string (renders "Empty" when no strokes)
  */
-export function generateThumbnailSVG(strokes, maxWidth = 240, maxHeight = 200, strokeColor = '#1a1a2e') {
+export function generateThumbnailSVG(strokes, maxWidth = 240, maxHeight = 200, strokeColor = '#1a1a2e', highlights = []) {
   const bounds = computeStrokeBounds(strokes);
   if (!bounds) {
     return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${maxWidth} ${maxHeight}" width="${maxWidth}" height="${maxHeight}"><text x="${maxWidth / 2}" y="${maxHeight / 2}" text-anchor="middle" dominant-baseline="middle" font-size="12" fill="#bbb">Empty</text></svg>`;
@@ -88,16 +138,17 @@ export function generateThumbnailSVG(strokes, maxWidth = 240, maxHeight = 200, s
   const svgH = ncodeHeight * fitScale + padding * 2;
 
   let paths = '';
+  for (const region of highlights || []) {
+    const x = (region.minX - bounds.minX) * fitScale + padding - 2;
+    const y = (region.minY - bounds.minY) * fitScale + padding - 2;
+    const w = (region.maxX - region.minX) * fitScale + 4;
+    const h = (region.maxY - region.minY) * fitScale + 4;
+    paths += `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${w.toFixed(1)}" height="${h.toFixed(1)}" rx="2" fill="rgba(255,213,0,0.45)" stroke="#e0a800" stroke-width="0.75"/>`;
+  }
   for (const stroke of strokes) {
-    if (!stroke.points || stroke.points.length < 2) continue;
-    const d = stroke.points
-      .map((p, i) => {
-        const x = (p[0] - bounds.minX) * fitScale + padding;
-        const y = (p[1] - bounds.minY) * fitScale + padding;
-        return `${i === 0 ? 'M' : 'L'} ${x.toFixed(1)} ${y.toFixed(1)}`;
-      })
-      .join(' ');
-    paths += `<path d="${d}" stroke="${strokeColor}" stroke-width="0.3" fill="none" stroke-linecap="round" stroke-linejoin="round"/>`;
+    for (const run of strokeToWidthRuns(stroke, bounds, fitScale, 0.3, padding, 1)) {
+      paths += `<path d="${run.d}" stroke="${strokeColor}" stroke-width="${run.width}" fill="none" stroke-linecap="round" stroke-linejoin="round"/>`;
+    }
   }
 
   return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${svgW.toFixed(1)} ${svgH.toFixed(1)}" width="${maxWidth}" height="${maxHeight}" preserveAspectRatio="xMidYMid meet">${paths}</svg>`;
@@ -12,6 +12,7 @@
  */
 
 import { getPage, savePage } from '$lib/storage/local-store.js';
+import { hasCurrentWords } from '$lib/recognition/transcript-structure.js';
 
 /**
  * Recompute each line's parentId from its indentLevel: the parent is the
@@ -38,7 +39,7 @@ export function recomputeParentIds(lines) {
  * @returns {import('$lib/storage/page-doc.js').TranscriptLine}
  */
 function normaliseLine(line) {
-  return {
+  const out = {
     id: line.id,
     text: typeof line.text === 'string' ? line.text : '',
     indentLevel: Math.max(0, line.indentLevel || 0),
@@ -46,6 +47,15 @@ function normaliseLine(line) {
     checked: line.checked === true || line.checked === false ? line.checked : null,
     yBounds: line.yBounds ?? null,
   };
+  // A Math line's text is its LaTeX, so an edit to one is an edit to both.
+  if (typeof line.latex === 'string') out.latex = out.text;
+  // Word detail only while it still matches the text
+  if (hasCurrentWords(line)) out.words = line.words;
+  // Bullet-journal state and the symbol it was read from (recognition/bullet-symbols.js)
+  if (line.state) out.state = line.state;
+  if (line.stateSource) out.stateSource = line.stateSource;
+  if (line.bullet) out.bullet = line.bullet;
+  return out;
 }
 
 /**
@@ -0,0 +1,195 @@
+/**
+ * stroke-replay — a page's strokes redrawn in the order they were written.
+ *
+ * The replay clock follows the stroke and point timestamps (see
+ * docs/temporal-data-specification.md) with long pauses squeezed out: an idle
+ * gap longer than `maxGap` — between strokes, or with the pen resting on the
+ * paper — plays as `maxGap`, so an hour's meeting with a few bursts of
+ * writing replays in about the time the writing took. Strokes without
+ * timestamps (old imports) follow the stroke before them at a nominal speed.
+ *
+ * Takes both stroke shapes the app holds: PageDoc strokes
+ * (`points: [[x, y, t?, force?]]`, Book View) and pen strokes
+ * (`dotArray: [{x, y, timestamp}]`, the editor canvas). Pure (no DOM, no
+ * `$lib`/`$stores` imports); the animated SVG export is page-tools.js's
+ * pageToAnimatedSvg.
+ */
+
+/** Playback speeds offered by the replay controls. */
+export const REPLAY_SPEEDS = [1, 2, 4, 8, 16];
+
+/** Longest idle gap (ms) the replay plays out in full. */
+export const DEFAULT_MAX_GAP = 1500;
+
+/** How long an untimed stroke takes to draw (ms). */
+const UNTIMED_STROKE_MS = 300;
+
+/**
+ * @typedef {Object} ReplayStroke
+ * @property {Object} stroke          - the input stroke
+ * @property {number} index           - its position in the input array
+ * @property {number} start           - replay ms when the pen goes down
+ * @property {number} end             - replay ms when it lifts
+ * @property {number[]} times         - replay ms of each point
+ * @property {number|null} wallStart  - when it was written (Unix ms), null when untimed
+ */
+
+/**
+ * @typedef {Object} ReplayTimeline
+ * @property {ReplayStroke[]} items   - in writing order
+ * @property {number} duration        - replay ms
+ * @property {number} skipped         - idle ms squeezed out
+ */
+
+function strokePoints(stroke) {
+  return (stroke && (stroke.points || stroke.dotArray || stroke.dots)) || [];
+}
+
+function pointTime(point) {
+  const t = Array.isArray(point) ? point[2] : point?.timestamp;
+  return Number.isFinite(t) ? t : null;
+}
+
+/**
+ * Wall-clock start and per-point offsets (ms from the start) of one stroke.
+ * Missing point times are spread between the stroke's start and end.
+ */
+function strokeTiming(stroke) {
+  const points = strokePoints(stroke);
+  const own = points.map(pointTime);
+  const known = own.filter(t => t !== null);
+  const start = Number.isFinite(stroke?.startTime) ? stroke.startTime : known.length ? Math.min(...known) : null;
+  const last = Math.max(0, points.length - 1);
+
+  if (start === null) {
+    return { start: null, offsets: points.map((_, i) => (last ? (i / last) * UNTIMED_STROKE_MS : 0)) };
+  }
+  if (known.length < points.length) {
+    const end = Number.isFinite(stroke?.endTime) ? stroke.endTime : known.length ? Math.max(...known) : start;
+    return { start, offsets: points.map((_, i) => own[i] ?? start + (last ? (i / last) * Math.max(0, end - start) : 0)).map(t => t - start) };
+  }
+  return { start, offsets: own.map(t => t - start) };
+}
+
+/**
+ * Lay a page's strokes out on the replay clock.
+ * @param {Object[]} strokes - PageDoc or pen strokes, in any order
+ * @param {{maxGap?: number}} [options]
+ * @returns {ReplayTimeline}
+ */
+export function buildReplayTimeline(strokes, { maxGap = DEFAULT_MAX_GAP } = {}) {
+  // Untimed strokes keep their place after the stroke before them
+  let previousKey = -Infinity;
+  const timed = (strokes || []).map((stroke, index) => {
+    const timing = strokeTiming(stroke);
+    previousKey = timing.start ?? previousKey;
+    return { stroke, index, ...timing, key: previousKey };
+  });
+  timed.sort((a, b) => a.key - b.key);
+
+  const items = [];
+  let clock = 0;
+  let lastWallEnd = null;
+  let skipped = 0;
+  const squeeze = (idle) => {
+    const gap = Math.min(Math.max(0, idle), maxGap);
+    if (idle > gap) skipped += idle - gap;
+    return gap;
+  };
+
+  for (const { stroke, index, start: wallStart, offsets } of timed) {
+    const start = clock + (wallStart !== null && lastWallEnd !== null ? squeeze(wallStart - lastWallEnd) : 0);
+    const times = [];
+    let at = start;
+    for (let i = 0; i < offsets.length; i++) {
+      if (i > 0) at += squeeze(offsets[i] - offsets[i - 1]);
+      times.push(at);
+    }
+    const end = times.length ? times[times.length - 1] : start;
+    items.push({ stroke, index, start, end, times, wallStart });
+    clock = end;
+    if (wallStart !== null) {
+      const wallEnd = wallStart + (offsets.length ? offsets[offsets.length - 1] : 0);
+      lastWallEnd = lastWallEnd === null ? wallEnd : Math.max(lastWallEnd, wallEnd);
+    }
+  }
+
+  return { items, duration: clock, skipped };
+}
+
+/**
+ * How many of a stroke's points are drawn at replay time `t`.
+ * @param {ReplayStroke} item
+ * @param {number} t
+ * @returns {number}
+ */
+export function replayPointCount(item, t) {
+  if (t < item.start) return 0;
+  if (t >= item.end) return item.times.length;
+  let lo = 0;
+  let hi = item.times.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (item.times[mid] <= t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * A stroke cut down to its first `count` points (the same object when it's
+ * whole).
+ * @param {Object} stroke
+ * @param {number} count
+ * @returns {Object}
+ */
+export function truncateStroke(stroke, count) {
+  const points = strokePoints(stroke);
+  if (count >= points.length) return stroke;
+  const key = stroke.points ? 'points' : stroke.dotArray ? 'dotArray' : 'dots';
+  return { ...stroke, [key]: points.slice(0, count) };
+}
+
+/**
+ * The strokes on the page at replay time `t`, in writing order; strokes being
+ * written are cut off at the pen's position.
+ * @param {ReplayTimeline} timeline
+ * @param {number} t
+ * @returns {Object[]}
+ */
+export function replayStrokesAt(timeline, t) {
+  const shown = [];
+  for (const item of timeline.items) {
+    const count = replayPointCount(item, t);
+    if (count > 0) shown.push(truncateStroke(item.stroke, count));
+  }
+  return shown;
+}
+
+/**
+ * When the writing shown at replay time `t` was really done.
+ * @param {ReplayTimeline} timeline
+ * @param {number} t
+ * @returns {number|null} Unix ms, null before the first timed stroke
+ */
+export function replayWallTime(timeline, t) {
+  let wall = null;
+  for (const item of timeline.items) {
+    if (item.start > t) break;
+    if (item.wallStart !== null) wall = item.wallStart + (Math.min(t, item.end) - item.start);
+  }
+  return wall;
+}
+
+/**
+ * Replay time as the controls show it.
+ * @param {number} ms
+ * @returns {string} e.g. "1:05", "1:02:09"
+ */
+export function formatReplayTime(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const s = String(total % 60).padStart(2, '0');
+  const m = Math.floor(total / 60) % 60;
+  const h = Math.floor(total / 3600);
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
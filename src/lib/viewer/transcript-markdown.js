@@ -6,17 +6,29 @@
  *  - One `- ` bullet per line, indented with TABS by `indentLevel` so LogSeq
  *    reconstructs the outline hierarchy on paste.
  *  - Task state maps to LogSeq's native markers:
- *      checked === false → `- TODO text`
- *      checked === true  → `- DONE text`
- *      otherwise         → `- text`
+ *      todo (checked === false)   → `- TODO text`
+ *      done (checked === true)    → `- DONE text`
+ *      migrated / scheduled       → `- LATER text`
+ *      cancelled                  → `- CANCELED text`
+ *      otherwise (events, notes)  → `- text`
  *  - LogSeq property lines (`key:: value`) are stripped — only transcript text
  *    is copied.
  *  - Blank lines are dropped.
  *
- * A line object is { text, indentLevel, checked, ... } (see page-doc.js
+ * A line object is { text, indentLevel, checked, state?, ... } (see page-doc.js
  * TranscriptLine). Extra fields are ignored.
  */
 
+import { lineState } from '../recognition/bullet-symbols.js';
+
+const STATE_KEYWORDS = {
+  todo: 'TODO',
+  done: 'DONE',
+  migrated: 'LATER',
+  scheduled: 'LATER',
+  cancelled: 'CANCELED'
+};
+
 /** Matches a LogSeq property line, e.g. `id:: abc`, `collapsed:: true`. */
 const PROPERTY_RE = /^\s*[A-Za-z0-9_-]+::/;
 
@@ -30,14 +42,13 @@ export function isPropertyLine(text) {
 
 /**
  * Format a single line as a LogSeq bullet (no trailing newline).
- * @param {{text?:string, indentLevel?:number, checked?:boolean|null}} line
+ * @param {{text?:string, indentLevel?:number, checked?:boolean|null, state?:string}} line
  * @returns {string}
  */
 export function lineToMarkdown(line) {
   const indent = '\t'.repeat(Math.max(0, line.indentLevel || 0));
-  let marker = '';
-  if (line.checked === false) marker = 'TODO ';
-  else if (line.checked === true) marker = 'DONE ';
+  const keyword = STATE_KEYWORDS[lineState(line)];
+  const marker = keyword ? `${keyword} ` : '';
   return `${indent}- ${marker}${line.text ?? ''}`;
 }
 
@@ -0,0 +1,183 @@
+/**
+ * Writing sessions — every page's strokes clustered by when they were written.
+ *
+ * Strokes carry absolute pen-down / pen-up times
+ * (docs/temporal-data-specification.md), so a stretch of writing can be found
+ * again even when it moved between notebooks: the strokes of all pages are
+ * put in time order and split wherever the pen rested longer than the session
+ * gap. A session lists the pages it touched and the ids of its strokes on
+ * each, which is what the Timeline tab shows and loads onto the canvas.
+ *
+ * Pages come through an injected `loadPage` and are reduced to their stroke
+ * times straight away ({@link pageStrokeTimes}); a cache keyed on each page's
+ * lastUpdated lets a rescan skip the pages that haven't changed. Strokes
+ * without a startTime (old imports) can't be placed and are left out.
+ */
+
+/** Session gaps offered by the Timeline tab (ms). */
+export const SESSION_GAPS = [2, 10, 30, 60].map(minutes => minutes * 60 * 1000);
+
+/** Idle time that ends a session unless the user picks another gap (ms). */
+export const DEFAULT_SESSION_GAP = 10 * 60 * 1000;
+
+/**
+ * @typedef {Object} StrokeTime
+ * @property {string} id
+ * @property {number} startTime
+ * @property {number} endTime
+ */
+
+/**
+ * @typedef {Object} PageActivity
+ * @property {number} book
+ * @property {string} pageId
+ * @property {string|null} lastUpdated
+ * @property {StrokeTime[]} strokes - in writing order
+ */
+
+/**
+ * @typedef {Object} SessionPage
+ * @property {number} book
+ * @property {string} pageId
+ * @property {string[]} strokeIds
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} WritingSession
+ * @property {string} id            - stable for the same strokes and gap
+ * @property {number} start         - Unix ms of the first pen-down
+ * @property {number} end           - Unix ms of the last pen-up
+ * @property {number} duration      - end - start
+ * @property {number} writingTime   - ms the pen was on the paper
+ * @property {number} strokeCount
+ * @property {SessionPage[]} pages  - in the order they were first written on
+ */
+
+/**
+ * The stroke times of a page, in writing order.
+ * @param {import('./storage/page-doc.js').PageDoc|null} doc
+ * @returns {StrokeTime[]}
+ */
+export function pageStrokeTimes(doc) {
+  const times = [];
+  for (const stroke of doc?.strokes || []) {
+    if (!Number.isFinite(stroke?.startTime)) continue;
+    const endTime = Number.isFinite(stroke.endTime) ? Math.max(stroke.endTime, stroke.startTime) : stroke.startTime;
+    times.push({ id: stroke.id || `s${stroke.startTime}`, startTime: stroke.startTime, endTime });
+  }
+  return times.sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Read the stroke times of every page, one page at a time.
+ * @param {Array<{book: number, page: number, pageId?: string, lastUpdated?: string|null}>} records
+ * @param {Object} options
+ * @param {(book: number, pageId: string) => Promise<Object|null>} options.loadPage
+ * @param {Map<string, PageActivity>} [options.cache] - reused for unchanged pages, updated in place
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @param {() => boolean} [options.isCancelled] - checked between pages
+ * @returns {Promise<PageActivity[]>}
+ */
+export async function scanWritingActivity(records, { loadPage, cache = new Map(), onProgress, isCancelled } = {}) {
+  const activity = [];
+  const seen = new Set();
+  const list = records || [];
+  for (let i = 0; i < list.length; i++) {
+    if (isCancelled && isCancelled()) break;
+    const record = list[i];
+    const pageId = String(record.pageId ?? record.page);
+    const key = `B${record.book}/P${pageId}`;
+    const lastUpdated = record.lastUpdated || null;
+    seen.add(key);
+
+    let entry = cache.get(key);
+    if (!entry || !lastUpdated || entry.lastUpdated !== lastUpdated) {
+      try {
+        entry = { book: record.book, pageId, lastUpdated, strokes: pageStrokeTimes(await loadPage(record.book, pageId)) };
+        cache.set(key, entry);
+      } catch (err) {
+        console.warn(`Timeline skipped ${key}:`, err);
+        entry = null;
+      }
+    }
+    if (entry) activity.push(entry);
+    if (onProgress) onProgress(i + 1, list.length);
+  }
+  if (!(isCancelled && isCancelled())) {
+    for (const key of cache.keys()) {
+      if (!seen.has(key)) cache.delete(key);
+    }
+  }
+  return activity;
+}
+
+/**
+ * Cluster the strokes of all pages into writing sessions.
+ * @param {PageActivity[]} activity
+ * @param {{gap?: number}} [options] - idle ms that ends a session
+ * @returns {WritingSession[]} newest first
+ */
+export function detectWritingSessions(activity, { gap = DEFAULT_SESSION_GAP } = {}) {
+  const strokes = [];
+  for (const page of activity || []) {
+    for (const s of page.strokes) strokes.push({ ...s, book: page.book, pageId: page.pageId });
+  }
+  strokes.sort((a, b) => a.startTime - b.startTime);
+
+  const sessions = [];
+  let current = null;
+  for (const s of strokes) {
+    if (!current || s.startTime - current.end > gap) {
+      current = { start: s.startTime, end: s.endTime, writingTime: 0, strokeCount: 0, pagesByKey: new Map() };
+      sessions.push(current);
+    }
+    current.end = Math.max(current.end, s.endTime);
+    current.writingTime += s.endTime - s.startTime;
+    current.strokeCount++;
+    const key = `B${s.book}/P${s.pageId}`;
+    let page = current.pagesByKey.get(key);
+    if (!page) {
+      page = { book: s.book, pageId: s.pageId, strokeIds: [], start: s.startTime, end: s.endTime };
+      current.pagesByKey.set(key, page);
+    }
+    page.strokeIds.push(s.id);
+    page.end = Math.max(page.end, s.endTime);
+  }
+
+  return sessions
+    .map(({ pagesByKey, ...session }) => ({
+      id: `session-${session.start}`,
+      ...session,
+      duration: session.end - session.start,
+      pages: [...pagesByKey.values()]
+    }))
+    .reverse();
+}
+
+/**
+ * Local calendar day of a time.
+ * @param {number} ms
+ * @returns {string} YYYY-MM-DD
+ */
+export function localDayKey(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Sessions grouped by the day they started, keeping their order.
+ * @param {WritingSession[]} sessions
+ * @returns {Array<{day: string, sessions: WritingSession[]}>}
+ */
+export function groupSessionsByDay(sessions) {
+  const days = [];
+  for (const session of sessions || []) {
+    const day = localDayKey(session.start);
+    if (days.length === 0 || days[days.length - 1].day !== day) days.push({ day, sessions: [] });
+    days[days.length - 1].sessions.push(session);
+  }
+  return days;
+}
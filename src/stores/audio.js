@@ -0,0 +1,61 @@
+/**
+ * Audio Store - recordings made while writing, and what is playing
+ *
+ * `audioLibrary` knows every recording the strokes on screen can point into:
+ * the ones made this session and the ones listed in the metadata.audio of
+ * pages loaded onto the canvas or opened in Book View. Clicking a stroke or a
+ * transcript line calls seekAudioTo(its startTime); the player
+ * (components/pen/AudioRecorder.svelte) follows `audioPlayback`.
+ */
+import { writable, get } from 'svelte/store';
+import { findRecordingAt } from '../lib/audio/audio-refs.js';
+
+/**
+ * @typedef {import('../lib/audio/audio-refs.js').AudioRef & {book: number}} BookAudioRef
+ */
+
+/** The recording in progress: { startTime } while recording, else null. */
+export const audioRecording = writable(null);
+
+/** @type {import('svelte/store').Writable<Map<string, BookAudioRef>>} key "B{book}/{file}" */
+export const audioLibrary = writable(new Map());
+
+/**
+ * The recording to play and where: { ref, offset (s), seq }. `seq` changes on
+ * every seek so seeking to the same place again restarts it.
+ */
+export const audioPlayback = writable(null);
+
+let seekSeq = 0;
+
+/**
+ * Make a book's recordings known to the player.
+ * @param {number|string} book
+ * @param {import('../lib/audio/audio-refs.js').AudioRef[]|undefined} refs
+ */
+export function registerAudioRefs(book, refs) {
+  if (!Array.isArray(refs) || refs.length === 0) return;
+  audioLibrary.update(library => {
+    const next = new Map(library);
+    for (const ref of refs) {
+      if (ref?.file) next.set(`B${book}/${ref.file}`, { ...ref, book: Number(book) });
+    }
+    return next;
+  });
+}
+
+/**
+ * Play the recording that ran at a moment, from that moment.
+ * @param {number} time - Unix ms (a stroke's startTime)
+ * @returns {boolean} false when no known recording covers it
+ */
+export function seekAudioTo(time) {
+  const found = findRecordingAt([...get(audioLibrary).values()], time);
+  if (!found) return false;
+  audioPlayback.set({ ref: found.recording, offset: found.offset, seq: ++seekSeq });
+  return true;
+}
+
+export function stopAudioPlayback() {
+  audioPlayback.set(null);
+}
@@ -0,0 +1,27 @@
+/**
+ * Corrections Store - Personal correction dictionary
+ *
+ * Mirrors pages/_corrections.json: pairs of what the recognizer wrote and
+ * what it was corrected to, learned from transcript edits. Enabled entries
+ * go to the recognizer as a custom lexicon and are substituted into new
+ * results (see lib/recognition/corrections.js).
+ */
+import { writable, derived } from 'svelte/store';
+
+/**
+ * { entries: [{ from, to, count, enabled, lastSeen }] }
+ */
+export const correctionDictionary = writable({ entries: [] });
+
+/** Entries used for recognition, most-corrected first. */
+export const activeCorrections = derived(correctionDictionary, $dictionary =>
+  $dictionary.entries.filter(entry => entry.enabled).sort((a, b) => b.count - a.count)
+);
+
+/**
+ * Replace the dictionary (typically loaded from the data folder)
+ * @param {{entries?: Array}} dictionary
+ */
+export function setCorrectionDictionary(dictionary) {
+  correctionDictionary.set({ entries: [...(dictionary?.entries || [])] });
+}
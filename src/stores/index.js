@@ -47,12 +47,20 @@ export {
   penReady,
   penBattery,
   penMemory,
+  connectedPens,
+  activePenId,
+  hiddenPenIds,
+  colorByPen,
   transferProgress,
   transferPercent,
   setPenConnected,
   setPenAuthorized,
   setPenInfo,
   setPenController,
+  updateConnectedPen,
+  removeConnectedPen,
+  setActivePen,
+  togglePenVisible,
   updateTransferProgress,
   resetTransferProgress
 } from './pen.js';
@@ -77,6 +85,7 @@ export {
   hasPageTranscriptions,
   setTranscription,
   setPageTranscription,
+  setPageLineUpdate,
   togglePageSelection,
   selectAllPages,
   deselectAllPages,
@@ -92,6 +101,13 @@ export {
   myscriptHmacKey,
   hasMyScriptCredentials,
   getMyScriptCredentials,
+  // Handwriting recognition engine
+  recognitionEngine,
+  localRecognizerUrl,
+  recognitionReady,
+  getRecognitionConfig,
+  myscriptMonthlyLimit,
+  detectBulletJournal,
   // v2.0 local-folder storage
   dataRoot,
   dataFolderReady,
@@ -101,6 +117,7 @@ export {
   // "Publish to graph" — mirror saved pages into a LogSeq graph
   graphRoot,
   publishToGraph,
+  graphMarkdownMode,
   graphFolderReady,
   graphFolderStatusText,
   setGraphFolderStatus,
@@ -166,7 +183,9 @@ export {
   setLogseqPages,
   setScanning,
   clearLogseqPages,
-  updatePageSyncStatus
+  updatePageSyncStatus,
+  upsertPageRecord,
+  removePageRecord
 } from './logseqPages.js';
 
 // Viewer (Book View pane)
@@ -179,10 +198,14 @@ export {
   toggleViewerMode,
   markViewerDirtyPage,
   clearViewerDirtyPage,
+  isViewerPageDirty,
   clearAllViewerDirty,
   recordRecentView,
   setViewerSelection,
-  clearViewerSelection
+  clearViewerSelection,
+  viewerHighlight,
+  setViewerHighlight,
+  clearViewerHighlight
 } from './viewer.js';
 
 // Book Aliases
@@ -199,6 +222,45 @@ export {
   clearBookAliases
 } from './book-aliases.js';
 
+// Transcription queue (mirrors main's persistent job queue)
+export {
+  transcriptionQueueState,
+  activeTranscriptionJobs,
+  failedTranscriptionJobs,
+  setTranscriptionQueueState,
+  quotaLevel
+} from './transcription-queue.js';
+
+// Recognition language / content type per book and page
+export {
+  CONTENT_TYPES,
+  RECOGNITION_LANGUAGES,
+  DEFAULT_RECOGNITION_OPTIONS,
+  recognitionSettings,
+  setRecognitionSettings,
+  setBookRecognitionOptions,
+  setPageRecognitionOptions,
+  resolveRecognitionOptions
+} from './recognition-settings.js';
+
+// Correction dictionary learned from transcript edits
+export {
+  correctionDictionary,
+  activeCorrections,
+  setCorrectionDictionary
+} from './corrections.js';
+
+// Full-text search index
+export {
+  searchIndexVersion,
+  rebuildSearchIndex,
+  searchIndexSnapshot,
+  indexPageMeta,
+  indexPageDoc,
+  unindexPage,
+  searchTranscripts
+} from './search-index.js';
+
 // Page Positions (Spatial Layout)
 export {
   pagePositions,
@@ -266,3 +328,22 @@ export {
   clearPastedSelection,
   getPastedAsNewPage
 } from './pasted-strokes.js';
+
+// Timeline (writing sessions)
+export {
+  writingActivity,
+  timelineScanning,
+  timelineProgress,
+  timelineScannedAt,
+  setWritingActivity
+} from './timeline.js';
+
+// Audio recorded while writing
+export {
+  audioRecording,
+  audioLibrary,
+  audioPlayback,
+  registerAudioRefs,
+  seekAudioTo,
+  stopAudioPlayback
+} from './audio.js';
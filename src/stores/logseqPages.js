@@ -78,3 +78,31 @@ export function updatePageSyncStatus(book, page, status) {
     });
   });
 }
+
+/**
+ * Replace (or add) one page's record, keyed by book + pageId — the folder
+ * watcher's single-page refresh, so an external change doesn't need a full
+ * rescan. Keeps the record's current syncStatus.
+ * @param {Object} record - record shape from metaToRecord
+ */
+export function upsertPageRecord(record) {
+  logseqPages.update(pages => {
+    const idx = pages.findIndex(p => p.book === record.book && String(p.pageId) === String(record.pageId));
+    if (idx === -1) return [...pages, record];
+    const next = [...pages];
+    next[idx] = { ...record, syncStatus: pages[idx].syncStatus };
+    return next;
+  });
+}
+
+/**
+ * Drop one page's record (its file was deleted or moved away).
+ * @param {number} book - Book ID
+ * @param {string|number} pageId - Unique-within-book page id (incl. suffix)
+ */
+export function removePageRecord(book, pageId) {
+  logseqPages.update(pages => {
+    const next = pages.filter(p => !(p.book === book && String(p.pageId) === String(pageId)));
+    return next.length === pages.length ? pages : next;
+  });
+}
@@ -1,7 +1,12 @@
 /**
  * Pen Store - Manages pen connection state
+ *
+ * Several pens can be connected at once (`connectedPens`, keyed by MAC
+ * address). penController / penInfo / penAuthorized follow the *active* pen —
+ * the one offline fetch, pen memory and the header status act on; the
+ * newest pen becomes active and another takes over when it disconnects.
  */
-import { writable, derived } from 'svelte/store';
+import { writable, derived, get } from 'svelte/store';
 
 // Connection state
 export const penConnected = writable(false);
@@ -13,6 +18,19 @@ export const penInfo = writable(null);
 // Pen controller reference (for SDK calls)
 export const penController = writable(null);
 
+/**
+ * Connected pens: Map<penId, { id, controller, info, authorized }>
+ * (penId: normalized MAC, see lib/pen-ids.js)
+ */
+export const connectedPens = writable(new Map());
+
+// The pen the single-pen stores above follow
+export const activePenId = writable(null);
+
+// Stroke filter and colouring by pen (canvas and stroke list)
+export const hiddenPenIds = writable(new Set());
+export const colorByPen = writable(false);
+
 // Offline transfer progress
 export const transferProgress = writable({
   active: false,
@@ -63,7 +81,69 @@ export function setPenConnected(connected) {
     penAuthorized.set(false);
     penInfo.set(null);
     penController.set(null);
+    connectedPens.set(new Map());
+    activePenId.set(null);
+  }
+}
+
+/**
+ * Add or update a connected pen; the first pen, or one added with
+ * `activate`, becomes the active pen.
+ * @param {string} id - normalized MAC
+ * @param {{controller?: Object, info?: Object, authorized?: boolean}} changes
+ * @param {{activate?: boolean}} [options]
+ */
+export function updateConnectedPen(id, changes, { activate = false } = {}) {
+  connectedPens.update(pens => {
+    const next = new Map(pens);
+    next.set(id, { id, controller: null, info: null, authorized: false, ...pens.get(id), ...changes });
+    return next;
+  });
+  const active = get(activePenId);
+  if (activate || !active || active === id) setActivePen(id);
+}
+
+/**
+ * Forget a pen that disconnected; another connected pen becomes active.
+ * @param {string} id
+ * @returns {number} pens still connected
+ */
+export function removeConnectedPen(id) {
+  const next = new Map(get(connectedPens));
+  next.delete(id);
+  connectedPens.set(next);
+  if (next.size === 0) {
+    setPenConnected(false);
+  } else if (get(activePenId) === id) {
+    setActivePen(next.keys().next().value);
   }
+  return next.size;
+}
+
+/**
+ * Make a connected pen the one the single-pen stores follow.
+ * @param {string} id
+ */
+export function setActivePen(id) {
+  const pen = get(connectedPens).get(id);
+  if (!pen) return;
+  activePenId.set(id);
+  penController.set(pen.controller);
+  penInfo.set(pen.info);
+  penAuthorized.set(pen.authorized);
+}
+
+/**
+ * Show or hide one pen's strokes.
+ * @param {string} key - penId or NO_PEN
+ */
+export function togglePenVisible(key) {
+  hiddenPenIds.update(hidden => {
+    const next = new Set(hidden);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    return next;
+  });
 }
 
 /**
@@ -0,0 +1,91 @@
+/**
+ * Recognition Settings Store - Per-book recognition language and content type
+ *
+ * Mirrors pages/_recognition.json: a book can be set to, say, German text or
+ * Math, and a single page can override its book (a page of equations in a
+ * text notebook). "Transcribe" resolves each page's options here and sends
+ * one recognition request per page with them.
+ */
+import { writable, get } from 'svelte/store';
+
+/** Content types the recognizers understand (MyScript's contentType values). */
+export const CONTENT_TYPES = ['Text', 'Math', 'Diagram'];
+
+/** Languages offered in the pickers (MyScript language codes). */
+export const RECOGNITION_LANGUAGES = [
+  { code: 'en_US', label: 'English (US)' },
+  { code: 'en_GB', label: 'English (UK)' },
+  { code: 'de_DE', label: 'German' },
+  { code: 'fr_FR', label: 'French' },
+  { code: 'es_ES', label: 'Spanish' },
+  { code: 'it_IT', label: 'Italian' },
+  { code: 'nl_NL', label: 'Dutch' },
+  { code: 'pt_BR', label: 'Portuguese (Brazil)' },
+  { code: 'sv_SE', label: 'Swedish' },
+  { code: 'pl_PL', label: 'Polish' },
+  { code: 'ja_JP', label: 'Japanese' },
+  { code: 'zh_CN', label: 'Chinese (Simplified)' }
+];
+
+/** Used for anything without a book or page setting. */
+export const DEFAULT_RECOGNITION_OPTIONS = { lang: 'en_US', contentType: 'Text' };
+
+/**
+ * { books: { "3": { lang, contentType } }, pages: { "3/12": { lang?, contentType? } } }
+ */
+export const recognitionSettings = writable({ books: {}, pages: {} });
+
+/**
+ * Replace all settings (typically loaded from the data folder)
+ * @param {{books?: Object, pages?: Object}} settings
+ */
+export function setRecognitionSettings(settings) {
+  recognitionSettings.set({
+    books: { ...(settings?.books || {}) },
+    pages: { ...(settings?.pages || {}) }
+  });
+}
+
+/**
+ * Set or clear (null) a book's options
+ * @param {number|string} bookId
+ * @param {{lang?: string, contentType?: string}|null} options
+ */
+export function setBookRecognitionOptions(bookId, options) {
+  recognitionSettings.update(settings => {
+    const { [String(bookId)]: removed, ...books } = settings.books;
+    return { ...settings, books: options ? { ...books, [String(bookId)]: options } : books };
+  });
+}
+
+/**
+ * Set or clear (null) a page's override
+ * @param {number|string} bookId
+ * @param {number|string} pageId
+ * @param {{lang?: string, contentType?: string}|null} options
+ */
+export function setPageRecognitionOptions(bookId, pageId, options) {
+  const key = `${bookId}/${pageId}`;
+  recognitionSettings.update(settings => {
+    const { [key]: removed, ...pages } = settings.pages;
+    return { ...settings, pages: options ? { ...pages, [key]: options } : pages };
+  });
+}
+
+/**
+ * Effective options for a page: the page override, then the book, then the
+ * defaults — field by field, so a page can change only its content type.
+ * @param {number|string} bookId
+ * @param {number|string} pageId
+ * @param {{books: Object, pages: Object}} [settings] - defaults to the store
+ * @returns {{lang: string, contentType: string}}
+ */
+export function resolveRecognitionOptions(bookId, pageId, settings = get(recognitionSettings)) {
+  const book = settings?.books?.[String(bookId)] || {};
+  const page = settings?.pages?.[`${bookId}/${pageId}`] || {};
+  const contentType = page.contentType || book.contentType;
+  return {
+    lang: page.lang || book.lang || DEFAULT_RECOGNITION_OPTIONS.lang,
+    contentType: CONTENT_TYPES.includes(contentType) ? contentType : DEFAULT_RECOGNITION_OPTIONS.contentType
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Search Index Store - the session's full-text index over saved transcripts
+ *
+ * The index itself (src/lib/search-index.js) is a plain mutable structure;
+ * this store owns the one instance and bumps `searchIndexVersion` whenever it
+ * changes so open search UIs re-run their query. It is rebuilt by every
+ * folder scan — reusing the pages of the saved index whose files are
+ * unchanged (storage/scan.js loads and saves it) — and patched per page by
+ * the save, delete, restore and folder-watch paths.
+ */
+import { writable, get } from 'svelte/store';
+import { bookAliases } from './book-aliases.js';
+import {
+  createSearchIndex,
+  buildSearchIndex,
+  serializeSearchIndex,
+  indexPage,
+  removePageFromIndex,
+  searchIndex
+} from '../lib/search-index.js';
+
+let index = createSearchIndex();
+
+/** Increments on every index change. */
+export const searchIndexVersion = writable(0);
+
+function bump() {
+  searchIndexVersion.update(n => n + 1);
+}
+
+function metaToIndexedPage(meta) {
+  return {
+    book: meta.book,
+    pageId: meta.pageId ?? meta.page,
+    page: meta.page,
+    lastUpdated: meta.lastUpdated,
+    stamp: meta.mtime ?? null,
+    lines: meta.transcriptLines
+  };
+}
+
+/**
+ * Replace the whole index from a folder scan's PageMeta list, reusing pages
+ * of a saved index whose file hasn't changed since.
+ * @param {import('../lib/storage/page-doc.js').PageMeta[]} metaList
+ * @param {import('../lib/search-index.js').SavedSearchIndex|null} [saved]
+ * @returns {{reused: number, reindexed: number}}
+ */
+export function rebuildSearchIndex(metaList, saved = null) {
+  const built = buildSearchIndex((metaList || []).map(metaToIndexedPage), saved);
+  index = built.index;
+  bump();
+  return { reused: built.reused, reindexed: built.reindexed };
+}
+
+/**
+ * The current index in its persisted form.
+ * @returns {import('../lib/search-index.js').SavedSearchIndex}
+ */
+export function searchIndexSnapshot() {
+  return serializeSearchIndex(index);
+}
+
+/**
+ * Re-index one page from its PageMeta (folder watch).
+ * @param {import('../lib/storage/page-doc.js').PageMeta} meta
+ */
+export function indexPageMeta(meta) {
+  indexPage(index, metaToIndexedPage(meta));
+  bump();
+}
+
+/**
+ * Re-index one page from a PageDoc that was just written.
+ * @param {number} book
+ * @param {string|number} pageId - unique-within-book id (incl. suffix)
+ * @param {import('../lib/storage/page-doc.js').PageDoc} doc
+ */
+export function indexPageDoc(book, pageId, doc) {
+  indexPage(index, {
+    book,
+    pageId,
+    page: doc?.pageInfo?.page,
+    lastUpdated: doc?.metadata?.lastUpdated ?? null,
+    lines: doc?.transcript?.lines
+  });
+  bump();
+}
+
+/**
+ * Drop a page from the index (deleted on disk).
+ * @param {number} book
+ * @param {string|number} pageId
+ */
+export function unindexPage(book, pageId) {
+  removePageFromIndex(index, book, String(pageId));
+  bump();
+}
+
+/**
+ * Run a query against the current index. `book:` accepts an alias
+ * (case-insensitive) as well as a book number.
+ * @param {string} query
+ * @returns {import('../lib/search-index.js').SearchResult[]}
+ */
+export function searchTranscripts(query) {
+  const aliases = get(bookAliases);
+  const resolveBook = (name) => {
+    const wanted = name.toLowerCase();
+    return Object.keys(aliases)
+      .filter(id => String(aliases[id] || '').toLowerCase() === wanted)
+      .map(Number);
+  };
+  return searchIndex(index, query, { resolveBook });
+}
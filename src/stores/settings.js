@@ -2,6 +2,7 @@
  * Settings Store - User settings with localStorage persistence
  */
 import { writable, derived, get } from 'svelte/store';
+import { isRecognizerConfigured } from '../lib/recognition/recognizers.js';
 
 const STORAGE_KEY = 'smartpen-bridge-settings';
 
@@ -65,6 +66,19 @@ function createPersistedStore(key, defaultValue) {
 export const myscriptAppKey = createPersistedStore('myscriptAppKey', '');
 export const myscriptHmacKey = createPersistedStore('myscriptHmacKey', '');
 
+// Handwriting recognition engine (see src/lib/recognition/recognizers.js):
+// 'myscript' | 'local-http' | 'mock'
+export const recognitionEngine = createPersistedStore('recognitionEngine', 'myscript');
+export const localRecognizerUrl = createPersistedStore('localRecognizerUrl', 'http://127.0.0.1:8765/recognize');
+
+// Monthly MyScript request allowance (free tier: 2,000) that the usage
+// counter in Settings warns against.
+export const myscriptMonthlyLimit = createPersistedStore('myscriptMonthlyLimit', 2000);
+
+// Read hand-drawn bullet-journal symbols (☐ • ○ –) into line states on save
+// (see src/lib/recognition/bullet-symbols.js).
+export const detectBulletJournal = createPersistedStore('detectBulletJournal', true);
+
 // v2.0 Local-folder storage settings
 export const dataRoot = createPersistedStore('dataRoot', '');           // absolute path
 export const dataFolderReady = writable(false);                          // updated at boot / on folder change
@@ -74,6 +88,7 @@ export const dataFolderStatusText = writable('Folder: not set');
 // assets (PageDoc + smartpen-index.json) for the JPI Tools plugin to render.
 export const graphRoot = createPersistedStore('graphRoot', '');         // absolute path to the LogSeq graph root
 export const publishToGraph = createPersistedStore('publishToGraph', false); // mirror on save?
+export const graphMarkdownMode = createPersistedStore('graphMarkdownMode', 'off'); // also write LogSeq Markdown: 'off' | 'page' | 'journal' | 'days'
 export const graphFolderReady = writable(false);                         // updated at boot / on folder change
 export const graphFolderStatusText = writable('Graph: not set');
 
@@ -85,6 +100,16 @@ export const hasMyScriptCredentials = derived(
   }
 );
 
+// Derived store: Does the selected recognition engine have what it needs?
+export const recognitionReady = derived(
+  [recognitionEngine, myscriptAppKey, myscriptHmacKey, localRecognizerUrl],
+  ([$engine, $appKey, $hmacKey, $url]) => isRecognizerConfigured({
+    engine: $engine,
+    myscript: { appKey: ($appKey || '').trim(), hmacKey: ($hmacKey || '').trim() },
+    localHttp: { url: ($url || '').trim() }
+  })
+);
+
 /**
  * Get current MyScript credentials (one-time read)
  * Useful for API calls
@@ -96,6 +121,19 @@ export function getMyScriptCredentials() {
   };
 }
 
+/**
+ * Get the recognition settings (one-time read), in the shape the recognizers
+ * take as `config`.
+ * @returns {{engine: string, myscript: {appKey: string, hmacKey: string}, localHttp: {url: string}}}
+ */
+export function getRecognitionConfig() {
+  return {
+    engine: get(recognitionEngine) || 'myscript',
+    myscript: getMyScriptCredentials(),
+    localHttp: { url: (get(localRecognizerUrl) || '').trim() }
+  };
+}
+
 /**
  * Update local data-folder status
  * @param {boolean} ready
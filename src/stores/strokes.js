@@ -132,11 +132,11 @@ export function loadStrokesFromStorage(storedStrokes, pageInfo) {
     startTime: stored.startTime,
     endTime: stored.endTime,
     blockUuid: stored.blockUuid || null,
-    dotArray: stored.points.map(([x, y, timestamp]) => ({
+    dotArray: stored.points.map(([x, y, timestamp, force]) => ({
       x,
       y,
-      f: 512,
-      timestamp
+      f: typeof force === 'number' ? force : undefined,  // None stored before v2.1
+      timestamp: timestamp ?? undefined
     }))
   }));
   
@@ -0,0 +1,28 @@
+/**
+ * Timeline Store - writing activity behind the Data Explorer's Timeline tab
+ *
+ * Holds every saved page's stroke times (src/lib/writing-sessions.js), read by
+ * refreshWritingTimeline() in src/lib/storage/timeline-scan.js. Sessions are
+ * derived from it in the tab, so changing the session gap needs no rescan.
+ */
+import { writable } from 'svelte/store';
+
+/** @type {import('svelte/store').Writable<import('../lib/writing-sessions.js').PageActivity[]>} */
+export const writingActivity = writable([]);
+
+/** True while pages are being read for the timeline. */
+export const timelineScanning = writable(false);
+
+/** Pages read so far in the running scan. */
+export const timelineProgress = writable({ done: 0, total: 0 });
+
+/** When the timeline was last read (ms), null before the first scan. */
+export const timelineScannedAt = writable(null);
+
+/**
+ * @param {import('../lib/writing-sessions.js').PageActivity[]} activity
+ */
+export function setWritingActivity(activity) {
+  writingActivity.set(activity);
+  timelineScannedAt.set(Date.now());
+}
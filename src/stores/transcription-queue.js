@@ -0,0 +1,68 @@
+/**
+ * Transcription Queue Store - The main process's recognition job queue
+ *
+ * Main owns the queue (it persists across restarts and retries on its own);
+ * this store holds the latest state it pushed so the ActionBar badge and the
+ * queue panel in Settings can render it. See src/lib/recognition/transcription-queue.js.
+ */
+import { writable, derived } from 'svelte/store';
+
+/** Share of the monthly allowance at which the usage counter turns amber. */
+export const QUOTA_WARNING_RATIO = 0.8;
+
+/**
+ * {
+ *   available: boolean,                 // false outside Electron
+ *   jobs: [{ id, label, engine, kind, status, attempts, nextAttemptAt, lastError, createdAt, meta }],
+ *   usage: { month: 'YYYY-MM', myscript: number },
+ *   online: boolean,
+ *   myscriptReady: boolean             // main has MyScript keys
+ * }
+ * status is 'queued' | 'sending' | 'done' | 'failed'.
+ */
+export const transcriptionQueueState = writable({
+  available: false,
+  jobs: [],
+  usage: { month: '', myscript: 0 },
+  online: true,
+  myscriptReady: false
+});
+
+/** Jobs still waiting for or being sent to the recognizer */
+export const activeTranscriptionJobs = derived(
+  transcriptionQueueState,
+  $state => $state.jobs.filter(job => job.status === 'queued' || job.status === 'sending')
+);
+
+/** Jobs that gave up (non-retryable error, or out of attempts) */
+export const failedTranscriptionJobs = derived(
+  transcriptionQueueState,
+  $state => $state.jobs.filter(job => job.status === 'failed')
+);
+
+/**
+ * Replace the state with the latest snapshot from main
+ * @param {Object} state
+ */
+export function setTranscriptionQueueState(state) {
+  transcriptionQueueState.set({
+    available: true,
+    jobs: state?.jobs || [],
+    usage: state?.usage || { month: '', myscript: 0 },
+    online: state?.online !== false,
+    myscriptReady: !!state?.myscriptReady
+  });
+}
+
+/**
+ * Where a month's request count stands against the allowance.
+ * @param {number} count
+ * @param {number} limit - no limit when not a positive number
+ * @returns {'ok'|'warning'|'exceeded'}
+ */
+export function quotaLevel(count, limit) {
+  if (!(limit > 0)) return 'ok';
+  if (count >= limit) return 'exceeded';
+  if (count >= limit * QUOTA_WARNING_RATIO) return 'warning';
+  return 'ok';
+}
@@ -149,6 +149,7 @@ export function setPageTranscription(pageKey, transcription, pageInfo, strokeCou
       pageInfo,
       strokeCount,
       transcribedStrokeIds, // NEW: Track which strokes were actually transcribed
+      lineUpdates: pt.get(pageKey)?.lineUpdates || [],
       timestamp: Date.now()
     });
     return newMap;
@@ -162,6 +163,46 @@ export function setPageTranscription(pageKey, transcription, pageInfo, strokeCou
   });
 }
 
+/**
+ * Record the re-transcription of one existing line on a page (incremental
+ * transcription: new strokes that extend a line). Kept beside the page's new
+ * lines as `lineUpdates`, one per line id, the latest winning; the save
+ * replaces the line's text in place.
+ * @param {string} pageKey - Page identifier (e.g., "S0/O0/B1/P1")
+ * @param {{lineId: string, text: string, latex?: string, yBounds: Object|null}} update
+ * @param {Object} pageInfo - Page metadata { section, owner, book, page }
+ * @param {number} strokeCount - Number of strokes in this page
+ * @param {Array} lineStrokes - The strokes sent for this line
+ */
+export function setPageLineUpdate(pageKey, update, pageInfo, strokeCount, lineStrokes) {
+  const strokeIds = lineStrokes.map(s => String(s.startTime));
+
+  pageTranscriptions.update(pt => {
+    const newMap = new Map(pt);
+    const previous = pt.get(pageKey);
+    const lineUpdates = (previous?.lineUpdates || []).filter(u => u.lineId !== update.lineId);
+    newMap.set(pageKey, {
+      text: '',
+      lines: [],
+      words: [],
+      commands: [],
+      transcribedStrokeIds: [],
+      ...previous,
+      pageInfo,
+      strokeCount,
+      lineUpdates: [...lineUpdates, { ...update, strokeIds }],
+      timestamp: Date.now()
+    });
+    return newMap;
+  });
+
+  selectedPagesForImport.update(sp => {
+    const newSet = new Set(sp);
+    newSet.add(pageKey);
+    return newSet;
+  });
+}
+
 /**
  * Toggle page selection for import
  * @param {string} pageKey - Page identifier
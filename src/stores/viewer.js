@@ -8,7 +8,7 @@
  * a transcript save never masks unsaved stroke changes), and the
  * recently-viewed pages list (persisted to localStorage).
  */
-import { writable, derived } from 'svelte/store';
+import { writable, derived, get } from 'svelte/store';
 
 /* ============================================================
  *  Pane mode
@@ -53,6 +53,11 @@ export function clearViewerDirtyPage(key) {
   });
 }
 
+/** @param {string} key - `${book}:${page}` */
+export function isViewerPageDirty(key) {
+  return get(dirtyPages).has(key);
+}
+
 export function clearAllViewerDirty() {
   dirtyPages.set(new Set());
 }
@@ -138,3 +143,25 @@ export function clearViewerSelection() {
   }
   viewerSelection.set(null);
 }
+
+/* ============================================================
+ *  Search-hit highlight
+ * ============================================================ */
+
+/**
+ * The place a search result jumped to — `{ book, pageId, lineId, yBounds,
+ * xBounds, strokeIds }` — or null. Book View marks it on that page: a band
+ * over the strokes (narrowed to xBounds for a sketch match, which has no
+ * lineId) and, for a transcript hit, the line in the transcript. A word
+ * picked in the transcript sets strokeIds instead, and exactly those strokes
+ * are drawn highlighted.
+ */
+export const viewerHighlight = writable(null);
+
+export function setViewerHighlight(book, pageId, lineId, yBounds = null, xBounds = null, strokeIds = null) {
+  viewerHighlight.set({ book, pageId: String(pageId), lineId, yBounds, xBounds, strokeIds });
+}
+
+export function clearViewerHighlight() {
+  viewerHighlight.set(null);
+}